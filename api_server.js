@@ -37,6 +37,8 @@ const axios = require('axios');
 const winston = require('winston');
 const { body, param, query, validationResult } = require('express-validator');
 const crypto = require('crypto');
+const readline = require('readline');
+const { signStartContext } = require('./helpers/oauthReturn.js');
 
 // Configuration
 const config = {
@@ -46,6 +48,8 @@ const config = {
   // OAuth Server integration
   oauthBaseUrl: process.env.OAUTH_BASE_URL,
   s2sSecret: process.env.S2S_SHARED_SECRET,
+  // Marketplace app this service acts for on a multi-app OAuth server (unset = default app)
+  hlApp: process.env.HL_APP_SLUG || null,
   defaultScope: process.env.DEFAULT_SCOPE || 'locations/read contacts/read',
   
   // Optional local database
@@ -154,13 +158,14 @@ function generateS2SToken(payload) {
     aud: 'oauth-server',
     iat: Math.floor(Date.now() / 1000),
     exp: Math.floor(Date.now() / 1000) + 300, // 5 minutes
+    ...(config.hlApp ? { app: config.hlApp } : {}),
     ...payload
   }, config.s2sSecret);
 }
 
 // OAuth Server API client
 class OAuthServerAPI {
-  static async makeProxyRequest(locationId, agencyId, method, endpoint, data = null, headers = {}) {
+  static async makeProxyRequest(locationId, agencyId, method, endpoint, data = null, headers = {}, { idempotencyKey = null } = {}) {
     try {
       const token = generateS2SToken({
         location_id: locationId,
@@ -175,7 +180,9 @@ class OAuthServerAPI {
       }, {
         headers: {
           'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          // Lets the OAuth server replay the stored response if this call is retried
+          ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {})
         },
         timeout: 30000
       });
@@ -194,18 +201,20 @@ class OAuthServerAPI {
     }
   }
   
-  static async getInstallations() {
+  // Filters and cursor are passed through; the next page's cursor comes back as nextCursor
+  static async getInstallations(params = {}) {
     try {
       const token = generateS2SToken({});
       
       const response = await axios.get(`${config.oauthBaseUrl}/admin/installations`, {
+        params,
         headers: {
           'Authorization': `Bearer ${token}`
         },
         timeout: 10000
       });
       
-      return response.data;
+      return { installations: response.data, nextCursor: response.headers['x-next-cursor'] || null };
     } catch (error) {
       logger.error('Failed to get installations from OAuth server:', error);
       throw error;
@@ -229,6 +238,208 @@ class OAuthServerAPI {
       throw error;
     }
   }
+  
+  // Features (and missing scopes) the tenant's granted HighLevel scopes allow
+  static async getCapabilities(locationId, agencyId) {
+    try {
+      const token = generateS2SToken({
+        location_id: locationId,
+        agency_id: agencyId
+      });
+      
+      const response = await axios.get(`${config.oauthBaseUrl}/proxy/hl/capabilities`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        },
+        timeout: 10000
+      });
+      
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to get capabilities from OAuth server:', {
+        error: error.message,
+        status: error.response?.status,
+        locationId,
+        agencyId
+      });
+      throw error;
+    }
+  }
+
+  // Install link that resumes the onboarding UI at returnTo (with context echoed back) after the callback
+  static buildInstallUrl({ returnTo = null, context = null, pkce = false } = {}) {
+    const url = new URL(config.hlApp ? `/oauth/start/${config.hlApp}` : '/oauth/start', config.oauthBaseUrl);
+    if (returnTo || context !== null) {
+      url.searchParams.set('ctx', signStartContext({ secret: config.s2sSecret, returnTo, context }));
+    }
+    if (pkce) url.searchParams.set('pkce', '1');
+    return url.toString();
+  }
+
+  // Tell the OAuth server a webhook may have made cached proxy responses stale
+  static async invalidateCache(locationId, event) {
+    try {
+      const token = generateS2SToken({
+        location_id: locationId
+      });
+      
+      const response = await axios.post(`${config.oauthBaseUrl}/admin/cache/invalidate`, { event }, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 10000
+      });
+      
+      return response.data;
+    } catch (error) {
+      logger.warn('Failed to invalidate OAuth server cache:', {
+        event,
+        error: error.message,
+        status: error.response?.status,
+        locationId
+      });
+      throw error;
+    }
+  }
+  
+  /**
+   * Run many proxy calls for one tenant in a single request
+   * @param {Array<Object>} requests - [{ id?, method, endpoint, data?, headers? }]
+   * @param {Object} [options] - { stopOnError, report: 'default' | 'transactional' }
+   * @returns {Promise<Object>} - { summary, results: [{ id, status, body, ok, skipped? }], transaction? }
+   */
+  static async batch(locationId, agencyId, requests, { stopOnError = false, report = 'default' } = {}) {
+    try {
+      const token = generateS2SToken({
+        location_id: locationId,
+        agency_id: agencyId
+      });
+      
+      const response = await axios.post(`${config.oauthBaseUrl}/proxy/hl/batch`, {
+        requests,
+        stop_on_error: stopOnError,
+        report
+      }, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 120000
+      });
+      
+      return response.data;
+    } catch (error) {
+      logger.error('OAuth server batch request failed:', {
+        count: requests.length,
+        error: error.message,
+        status: error.response?.status,
+        locationId,
+        agencyId
+      });
+      throw error;
+    }
+  }
+  
+  /**
+   * Walk a HighLevel list endpoint through the OAuth server's /proxy/hl/paginate
+   * @param {Object} [options] - { itemsKey, pageSize, maxPages, maxItems, continuation }
+   * @yields {Object} - NDJSON records: { type: 'item', data } ... { type: 'end', continuation, ... }
+   */
+  static async *paginate(locationId, agencyId, endpoint, options = {}) {
+    const token = generateS2SToken({
+      location_id: locationId,
+      agency_id: agencyId
+    });
+    
+    let response;
+    try {
+      response = await axios.post(`${config.oauthBaseUrl}/proxy/hl/paginate`, {
+        endpoint,
+        continuation: options.continuation,
+        items_key: options.itemsKey,
+        page_size: options.pageSize,
+        max_pages: options.maxPages,
+        max_items: options.maxItems
+      }, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        responseType: 'stream',
+        timeout: 120000
+      });
+    } catch (error) {
+      logger.error('OAuth server pagination request failed:', {
+        endpoint,
+        error: error.message,
+        status: error.response?.status,
+        locationId,
+        agencyId
+      });
+      throw error;
+    }
+    
+    const lines = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (line.trim()) yield JSON.parse(line);
+    }
+  }
+  
+  /**
+   * Streamed proxy call for binary downloads and uploads (e.g. /medias)
+   * @param {Object} [upload] - { stream, contentType, contentLength } to stream a body upstream
+   * @returns {Promise<Object>} - Axios response whose data is a readable stream
+   */
+  static async makeStreamRequest(locationId, agencyId, method, endpoint, upload = null) {
+    const token = generateS2SToken({
+      location_id: locationId,
+      agency_id: agencyId
+    });
+    
+    const request = upload
+      ? {
+        url: `${config.oauthBaseUrl}/proxy/hl/stream`,
+        params: { method, endpoint },
+        data: upload.stream,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': upload.contentType,
+          ...(upload.contentLength ? { 'Content-Length': upload.contentLength } : {})
+        },
+        maxBodyLength: Infinity,
+        maxRedirects: 0
+      }
+      : {
+        url: `${config.oauthBaseUrl}/proxy/hl/stream`,
+        data: { method, endpoint },
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      };
+    
+    try {
+      return await axios({
+        ...request,
+        method: 'POST',
+        responseType: 'stream',
+        decompress: false,
+        maxContentLength: Infinity,
+        validateStatus: () => true,
+        timeout: 120000
+      });
+    } catch (error) {
+      logger.error('OAuth server stream request failed:', {
+        method,
+        endpoint,
+        error: error.message,
+        locationId,
+        agencyId
+      });
+      throw error;
+    }
+  }
 }
 
 // HighLevel API wrapper with business logic
@@ -238,6 +449,11 @@ class HighLevelService {
     this.agencyId = agencyId;
   }
   
+  // e.g. (await service.getCapabilities()).features.contacts.write
+  async getCapabilities() {
+    return OAuthServerAPI.getCapabilities(this.locationId, this.agencyId);
+  }
+  
   async getLocation() {
     const endpoint = `/locations/${this.locationId}`;
     const response = await OAuthServerAPI.makeProxyRequest(
@@ -262,7 +478,15 @@ class HighLevelService {
     return response.data;
   }
   
-  async createContact(contactData) {
+  // Follow HighLevel's cursors server-side; pass the returned continuation back in to resume
+  async getAllContacts(params = {}, { maxPages, maxItems, continuation } = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = `/locations/${this.locationId}/contacts${queryString ? '?' + queryString : ''}`;
+    
+    return this.collectPages(endpoint, 'contacts', { maxPages, maxItems, continuation });
+  }
+  
+  async createContact(contactData, idempotencyKey = null) {
     const endpoint = `/locations/${this.locationId}/contacts`;
     
     const response = await OAuthServerAPI.makeProxyRequest(
@@ -270,7 +494,9 @@ class HighLevelService {
       this.agencyId,
       'POST',
       endpoint,
-      contactData
+      contactData,
+      {},
+      { idempotencyKey }
     );
     return response.data;
   }
@@ -301,7 +527,28 @@ class HighLevelService {
     return response.data;
   }
   
-  async createOpportunity(opportunityData) {
+  async getAllOpportunities(params = {}, { maxPages, maxItems, continuation } = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = `/locations/${this.locationId}/opportunities${queryString ? '?' + queryString : ''}`;
+    
+    return this.collectPages(endpoint, 'opportunities', { maxPages, maxItems, continuation });
+  }
+  
+  async collectPages(endpoint, itemsKey, options) {
+    const result = { [itemsKey]: [], pagination: null };
+    
+    for await (const record of OAuthServerAPI.paginate(this.locationId, this.agencyId, endpoint, { ...options, itemsKey })) {
+      if (record.type === 'item') {
+        result[itemsKey].push(record.data);
+      } else if (record.type === 'end') {
+        const { type, ...pagination } = record;
+        result.pagination = pagination;
+      }
+    }
+    return result;
+  }
+  
+  async createOpportunity(opportunityData, idempotencyKey = null) {
     const endpoint = `/locations/${this.locationId}/opportunities`;
     
     const response = await OAuthServerAPI.makeProxyRequest(
@@ -309,7 +556,9 @@ class HighLevelService {
       this.agencyId,
       'POST',
       endpoint,
-      opportunityData
+      opportunityData,
+      {},
+      { idempotencyKey }
     );
     return response.data;
   }
@@ -326,7 +575,7 @@ class HighLevelService {
     return response.data;
   }
   
-  async createAppointment(calendarId, appointmentData) {
+  async createAppointment(calendarId, appointmentData, idempotencyKey = null) {
     const endpoint = `/calendars/${calendarId}/events`;
     
     const response = await OAuthServerAPI.makeProxyRequest(
@@ -334,7 +583,9 @@ class HighLevelService {
       this.agencyId,
       'POST',
       endpoint,
-      appointmentData
+      appointmentData,
+      {},
+      { idempotencyKey }
     );
     return response.data;
   }
@@ -472,7 +723,7 @@ app.post('/api/locations/:location_id/contacts',
   async (req, res) => {
     try {
       const service = new HighLevelService(req.tenant.locationId, req.tenant.agencyId);
-      const contact = await service.createContact(req.body);
+      const contact = await service.createContact(req.body, req.get('Idempotency-Key'));
       
       logger.info('Contact created successfully', {
         locationId: req.tenant.locationId,
@@ -570,7 +821,7 @@ app.post('/api/locations/:location_id/opportunities',
   async (req, res) => {
     try {
       const service = new HighLevelService(req.tenant.locationId, req.tenant.agencyId);
-      const opportunity = await service.createOpportunity(req.body);
+      const opportunity = await service.createOpportunity(req.body, req.get('Idempotency-Key'));
       
       logger.info('Opportunity created successfully', {
         locationId: req.tenant.locationId,
@@ -633,7 +884,7 @@ app.post('/api/calendars/:calendar_id/appointments',
     try {
       const { locationId, ...appointmentData } = req.body;
       const service = new HighLevelService(locationId, null);
-      const appointment = await service.createAppointment(req.params.calendar_id, appointmentData);
+      const appointment = await service.createAppointment(req.params.calendar_id, appointmentData, req.get('Idempotency-Key'));
       
       logger.info('Appointment created successfully', {
         locationId,
@@ -674,6 +925,9 @@ app.post('/webhooks/highlevel',
         timestamp: new Date().toISOString()
       });
       
+      // Cached proxy reads for this location may be stale now (no-op for unrelated types)
+      OAuthServerAPI.invalidateCache(locationId, type).catch(() => {});
+      
       // Process webhook based on type
       switch (type) {
         case 'contact.created':
@@ -713,7 +967,10 @@ app.post('/webhooks/highlevel',
 // Admin endpoints
 app.get('/admin/installations', strictLimiter, async (req, res) => {
   try {
-    const installations = await OAuthServerAPI.getInstallations();
+    const { installations, nextCursor } = await OAuthServerAPI.getInstallations(req.query);
+    if (nextCursor) {
+      res.setHeader('X-Next-Cursor', nextCursor);
+    }
     res.json(installations);
   } catch (error) {
     logger.error('Failed to get installations:', error);
@@ -33,13 +33,15 @@ async function fixConstraintsOnRailway() {
     await pool.query('DROP INDEX IF EXISTS unique_location_install CASCADE;');
     await pool.query('DROP INDEX IF EXISTS unique_agency_install CASCADE;');
     
-    // Add new unique constraints
-    console.log('➕ Adding new unique constraints...');
-    await pool.query('ALTER TABLE hl_installations ADD CONSTRAINT unique_location_install UNIQUE (location_id);');
-    console.log('✅ Added location_id unique constraint');
+    // Add per-app unique indexes (app_id NULL is the default app)
+    console.log('➕ Adding per-app unique indexes...');
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS unique_app_location_install
+      ON hl_installations ((COALESCE(app_id, '00000000-0000-0000-0000-000000000000'::uuid)), location_id);`);
+    console.log('✅ Added (app, location_id) unique index');
     
-    await pool.query('ALTER TABLE hl_installations ADD CONSTRAINT unique_agency_install UNIQUE (agency_id);');
-    console.log('✅ Added agency_id unique constraint');
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS unique_app_agency_install
+      ON hl_installations ((COALESCE(app_id, '00000000-0000-0000-0000-000000000000'::uuid)), agency_id);`);
+    console.log('✅ Added (app, agency_id) unique index');
     
     // Verify final state
     const finalConstraints = await pool.query(`
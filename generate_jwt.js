@@ -12,6 +12,7 @@ function createJWT() {
     
     const payload = {
         "service": "oauth-server",
+        "aud": "oauth-server",
         "iat": Math.floor(Date.now() / 1000),
         "exp": Math.floor(Date.now() / 1000) + 3600 // 1 hour
     };
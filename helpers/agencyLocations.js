@@ -0,0 +1,259 @@
+/**
+ * Agency Locations - location installations minted from an agency installation
+ *
+ * An agency token can mint a token for any of its sub-accounts (/oauth/locationToken). The
+ * location row is linked to the agency (parent_installation_id) and refreshed by minting
+ * again. Revoking an agency revokes its linked rows too; revoking a location detaches it, so
+ * a revoked row still linked to an agency was revoked with that agency and comes back when
+ * the reinstalled agency mints for it again.
+ *
+ * Proxy calls for a location without a row of its own mint one on demand through the
+ * agency's installation (LocationMinter); concurrent calls for one location share a mint.
+ */
+
+const { SingleFlight } = require('./refreshLock.js');
+
+/**
+ * What storing an agency-minted token does to the location's current row
+ * @param {Object|null} current - hl_installations row { status, parent_installation_id }
+ * @param {Object} agency - Agency installation { id }
+ * @returns {{ action: 'insert'|'update'|'keep_own'|'skip', reason?: string }}
+ */
+function locationTokenAction(current, agency) {
+  if (!current) return { action: 'insert' };
+
+  if (!current.parent_installation_id) {
+    // Installed (or uninstalled) by the location itself: its own grant decides
+    if (current.status === 'active') return { action: 'keep_own' };
+    return { action: 'skip', reason: current.status === 'revoked' ? 'location_uninstalled' : `own_installation_${current.status}` };
+  }
+  if (current.parent_installation_id !== agency.id) {
+    return { action: 'skip', reason: 'linked_to_another_agency' };
+  }
+  return { action: 'update' };
+}
+
+class AgencyLocationStore {
+  /**
+   * @param {Object} options
+   * @param {import('pg').Pool} options.db
+   * @param {Object} options.encryptionProvider - Seals the minted tokens
+   * @param {Object} options.logger
+   */
+  constructor({ db, encryptionProvider, logger }) {
+    this.db = db;
+    this.encryptionProvider = encryptionProvider;
+    this.logger = logger;
+  }
+
+  /**
+   * Store a location token minted from an agency installation's token
+   * @param {Object} agency - Agency installation { id, agency_id, app_id }
+   * @param {string} locationId
+   * @param {Object} tokens - /oauth/locationToken response (access_token, expires_in, scope, refresh_token?)
+   * @returns {Promise<Object>} - { installationId, created, reactivated } or { installationId: null, skipped: reason }
+   */
+  async save(agency, locationId, tokens) {
+    const expiresAt = new Date(Date.now() + tokens.expires_in * 1000);
+    const scopes = (tokens.scope || '').split(' ').filter(Boolean);
+
+    const existing = await this.db.query(
+      `SELECT id, data_key, key_provider, status, parent_installation_id
+         FROM hl_installations
+        WHERE location_id = $1 AND app_id IS NOT DISTINCT FROM $2`,
+      [locationId, agency.app_id || null]
+    );
+    const current = existing.rows[0] || null;
+    const { action, reason } = locationTokenAction(current, agency);
+
+    if (action === 'keep_own') {
+      await this.db.query('UPDATE hl_installations SET company_id = COALESCE(company_id, $2) WHERE id = $1', [current.id, agency.agency_id]);
+      this.logger.debug('Location has its own installation - agency token not stored', { locationId, installationId: current.id });
+      return { installationId: current.id, created: false, reactivated: false };
+    }
+    if (action === 'skip') {
+      this.logger.debug('Location installation left alone - agency token not stored', {
+        locationId,
+        installationId: current.id,
+        status: current.status,
+        reason
+      });
+      return { installationId: null, skipped: reason };
+    }
+
+    const sealed = await this.encryptionProvider.sealTokens(
+      { access_token: tokens.access_token, refresh_token: tokens.refresh_token || null },
+      { dataKey: current?.data_key || null, keyProvider: current?.key_provider || null }
+    );
+
+    if (action === 'update') {
+      await this.db.query(
+        `UPDATE hl_installations SET
+           access_token = $2,
+           refresh_token = $3,
+           scopes = $4,
+           expires_at = $5,
+           data_key = $6,
+           key_provider = $7,
+           parent_installation_id = $8,
+           company_id = $9,
+           installation_type = 'location',
+           status = 'active',
+           refresh_failure_count = 0,
+           last_error = NULL,
+           last_error_at = NULL,
+           last_token_refresh = NOW(),
+           token_version = token_version + 1,
+           updated_at = NOW()
+         WHERE id = $1`,
+        [current.id, sealed.access_token, sealed.refresh_token, scopes, expiresAt, sealed.data_key, sealed.key_provider, agency.id, agency.agency_id]
+      );
+      return { installationId: current.id, created: false, reactivated: current.status !== 'active' };
+    }
+
+    const result = await this.db.query(
+      `INSERT INTO hl_installations
+       (location_id, agency_id, access_token, refresh_token, scopes, expires_at, data_key, key_provider, app_id, parent_installation_id, company_id, installation_type)
+       VALUES ($1, NULL, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'location')
+       RETURNING id`,
+      [locationId, sealed.access_token, sealed.refresh_token, scopes, expiresAt, sealed.data_key, sealed.key_provider, agency.app_id || null, agency.id, agency.agency_id]
+    );
+    return { installationId: result.rows[0].id, created: true, reactivated: false };
+  }
+
+  /**
+   * Revoke a tenant's installation. Revoking an agency also revokes the location rows linked
+   * to it (they stay linked, so a reinstall brings them back); a revoked location is detached.
+   * @returns {Promise<{ revoked: string[], children: string[] }>} - IDs revoked directly and the linked rows revoked with them
+   */
+  async revoke(locationId, agencyId, appId = null) {
+    const match = locationId ? 'location_id = $2' : 'agency_id = $2';
+    const result = await this.db.query(
+      `WITH revoked AS (
+         UPDATE hl_installations SET status = $1, parent_installation_id = NULL, updated_at = NOW()
+          WHERE ${match} AND app_id IS NOT DISTINCT FROM $3
+         RETURNING id
+       ),
+       children AS (
+         UPDATE hl_installations SET status = $1, updated_at = NOW()
+          WHERE parent_installation_id IN (SELECT id FROM revoked) AND status <> $1
+         RETURNING id
+       )
+       SELECT ARRAY(SELECT id FROM revoked) AS revoked, ARRAY(SELECT id FROM children) AS children`,
+      ['revoked', locationId || agencyId, appId]
+    );
+    return result.rows[0];
+  }
+}
+
+class LocationMinter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.installations - InstallationDB (findInstallation, getInstallationRecord)
+   * @param {Function} options.findAgencyInstallationId - async (locationId, appId) => agency installation ID from its conversion jobs
+   * @param {Function} options.convert - async (agency row, locationId, req) => { installationId } (refreshes the agency and mints)
+   * @param {Function} options.auditLog - async (installationId, eventType, eventData, req)
+   * @param {Object} options.logger
+   */
+  constructor({ installations, findAgencyInstallationId, convert, auditLog, logger }) {
+    this.installations = installations;
+    this.findAgencyInstallationId = findAgencyInstallationId;
+    this.convert = convert;
+    this.auditLog = auditLog;
+    this.logger = logger;
+    this.inflight = new SingleFlight(); // appId:locationId -> Promise<installation row | null>
+  }
+
+  /**
+   * Installation a proxy call runs under: the location's own row (direct or minted from its
+   * agency). A location with no row but an installed agency gets a token minted through the
+   * agency, found from the token's agency_id or the agency's conversion jobs.
+   * @param {Object} [options]
+   * @param {boolean} [options.mint] - Mint a missing location token (false: lookup only)
+   * @param {Object} [options.req] - Originating request for audit logging
+   * @returns {Promise<Object|null>} - Row (tokens not decrypted)
+   */
+  async resolve(locationId, agencyId, appId = null, { mint = true, req = null } = {}) {
+    if (!locationId) {
+      return this.installations.findInstallation(null, agencyId, appId);
+    }
+
+    const own = await this.installations.findInstallation(locationId, null, appId);
+    if (!mint) {
+      return own;
+    }
+
+    // Revoked with its agency: mint again once the agency is reinstalled
+    if (own?.status === 'revoked' && own.parent_installation_id) {
+      const agency = await this.installations.getInstallationRecord(own.parent_installation_id);
+      return agency?.status === 'active' ? this.mint(agency, locationId, req) : own;
+    }
+    if (own) {
+      return own;
+    }
+
+    let agency = null;
+    if (agencyId) {
+      agency = await this.installations.findInstallation(null, agencyId, appId);
+    } else {
+      const agencyInstallationId = await this.findAgencyInstallationId(locationId, appId);
+      agency = agencyInstallationId && await this.installations.getInstallationRecord(agencyInstallationId);
+    }
+    if (!agency || agency.status !== 'active' || !agency.agency_id) {
+      return null;
+    }
+
+    return this.mint(agency, locationId, req);
+  }
+
+  /**
+   * Mint and store a token for a location through its agency's installation. The child row
+   * caches the token until it expires and is re-minted on refresh.
+   * @param {Object} agency - Active agency installation row
+   * @returns {Promise<Object|null>} - Location installation row, or null if HighLevel refused
+   */
+  mint(agency, locationId, req = null) {
+    return this.inflight.run(`${agency.app_id || ''}:${locationId}`, async () => {
+      try {
+        const { installationId } = await this.convert(agency, locationId, req);
+        if (!installationId) {
+          // The location's row is not ours to overwrite (uninstalled by the location, or another agency's)
+          return this.installations.findInstallation(locationId, null, agency.app_id || null);
+        }
+        const installation = await this.installations.getInstallationRecord(installationId);
+
+        await this.auditLog(installationId, 'location_token_minted', {
+          source: 'proxy',
+          locationId,
+          agencyId: agency.agency_id,
+          agencyInstallationId: agency.id,
+          expires_at: installation.expires_at
+        }, req);
+        this.logger.info('Location token minted from agency installation', { locationId, agencyInstallationId: agency.id, installationId });
+
+        return installation;
+      } catch (error) {
+        this.logger.warn('Location token could not be minted from agency installation', {
+          locationId,
+          agencyInstallationId: agency.id,
+          status: error.status,
+          error: error.message
+        });
+        await this.auditLog(agency.id, 'location_token_mint_failed', {
+          source: 'proxy',
+          locationId,
+          agencyId: agency.agency_id,
+          http_status: error.status || null,
+          error: error.message
+        }, req);
+        return null;
+      }
+    });
+  }
+}
+
+module.exports = {
+  locationTokenAction,
+  AgencyLocationStore,
+  LocationMinter
+};
@@ -0,0 +1,235 @@
+/**
+ * App Registry - HighLevel Marketplace apps served by this OAuth server
+ *
+ * Apps live in hl_apps (client ID, envelope-encrypted client secret, redirect URI, default
+ * scopes and an optional allow-list policy). The app configured through HL_CLIENT_ID /
+ * HL_CLIENT_SECRET / REDIRECT_URI stays available as the "default" app: its installations
+ * have app_id NULL and S2S tokens without an `app` claim act for it.
+ */
+
+const { ProxyPolicyStore } = require('./proxyPolicy.js');
+
+const DEFAULT_APP_SLUG = 'default';
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,62}$/;
+
+/**
+ * Marketplace app ID of an OAuth client ID ("<appId>-<suffix>"), as sent in webhook payloads
+ * @param {string} clientId
+ * @returns {string}
+ */
+function marketplaceAppId(clientId) {
+  return String(clientId || '').split('-')[0];
+}
+
+class AppValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AppValidationError';
+    this.code = 'INVALID_APP';
+  }
+}
+
+class AppRegistry {
+  /**
+   * @param {Object} options
+   * @param {import('pg').Pool} options.db
+   * @param {Object} options.encryptionProvider - Seals client secrets like installation tokens
+   * @param {Object} options.defaultApp - { clientId, clientSecret, redirectUri, scopes, policy }
+   * @param {Object} options.logger
+   * @param {number} [options.cacheTtlMs] - How long resolved apps are reused
+   */
+  constructor({ db, encryptionProvider, defaultApp, logger, cacheTtlMs = 60000 }) {
+    this.db = db;
+    this.encryptionProvider = encryptionProvider;
+    this.logger = logger;
+    this.cacheTtlMs = cacheTtlMs;
+    this.defaultApp = { id: null, slug: DEFAULT_APP_SLUG, name: 'Default app', status: 'active', hasOwnPolicy: false, ...defaultApp };
+    this.cache = new Map(); // slug -> { app, expiresAt }
+  }
+
+  /**
+   * Resolve an app by slug (empty or "default" is the env-configured app)
+   * @param {string} [slug]
+   * @returns {Promise<Object|null>} - App with decrypted clientSecret and a policy store, or null
+   */
+  async getBySlug(slug) {
+    if (!slug || slug === DEFAULT_APP_SLUG) return this.defaultApp;
+
+    const cached = this.cache.get(slug);
+    if (cached && cached.expiresAt > Date.now()) return cached.app;
+
+    const { rows } = await this.db.query('SELECT * FROM hl_apps WHERE slug = $1', [slug]);
+    const app = rows[0] ? await this.hydrate(rows[0]) : null;
+    this.cache.set(slug, { app, expiresAt: Date.now() + this.cacheTtlMs });
+    return app;
+  }
+
+  /**
+   * Resolve the app an installation belongs to
+   * @param {string|null} appId - hl_installations.app_id
+   * @returns {Promise<Object|null>}
+   */
+  async getById(appId) {
+    if (!appId) return this.defaultApp;
+
+    for (const { app, expiresAt } of this.cache.values()) {
+      if (app && app.id === appId && expiresAt > Date.now()) return app;
+    }
+
+    const { rows } = await this.db.query('SELECT slug FROM hl_apps WHERE id = $1', [appId]);
+    return rows[0] ? this.getBySlug(rows[0].slug) : null;
+  }
+
+  /**
+   * Resolve the app a lifecycle webhook is for (payload appId = client ID prefix)
+   * @param {string} appId
+   * @returns {Promise<Object|null>}
+   */
+  async findByMarketplaceAppId(appId) {
+    if (!appId) return null;
+    if (marketplaceAppId(this.defaultApp.clientId) === appId) return this.defaultApp;
+
+    const { rows } = await this.db.query(`SELECT slug FROM hl_apps WHERE split_part(client_id, '-', 1) = $1`, [appId]);
+    return rows[0] ? this.getBySlug(rows[0].slug) : null;
+  }
+
+  async hydrate(row) {
+    const { access_token: clientSecret } = await this.encryptionProvider.openTokens({
+      access_token: row.client_secret,
+      refresh_token: null,
+      data_key: row.data_key,
+      key_provider: row.key_provider
+    });
+
+    let policy = this.defaultApp.policy;
+    if (row.policy) {
+      // A first load that fails throws, so a broken app policy never falls back to the global one
+      policy = new ProxyPolicyStore({ document: row.policy, label: `app:${row.slug}`, logger: this.logger });
+      policy.load();
+    }
+
+    return {
+      id: row.id,
+      slug: row.slug,
+      name: row.name,
+      status: row.status,
+      clientId: row.client_id,
+      clientSecret,
+      redirectUri: row.redirect_uri,
+      scopes: row.scopes || [],
+      policy,
+      hasOwnPolicy: !!row.policy,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Create or update an app
+   * @param {Object} input - { slug, name, clientId, clientSecret?, redirectUri, scopes?, policy?, status? }
+   * @returns {Promise<Object>} - Public view of the stored app
+   * @throws {AppValidationError}
+   */
+  async upsert({ slug, name = null, clientId, clientSecret = null, redirectUri, scopes = [], policy = null, status = 'active' }) {
+    if (!SLUG_PATTERN.test(slug || '') || slug === DEFAULT_APP_SLUG) {
+      throw new AppValidationError('slug must be 2-63 lowercase letters, digits or dashes (and not "default")');
+    }
+    if (!clientId || !redirectUri) {
+      throw new AppValidationError('clientId and redirectUri are required');
+    }
+    if (!['active', 'disabled'].includes(status)) {
+      throw new AppValidationError('status must be active or disabled');
+    }
+    if (policy) {
+      // Fail fast on a broken document instead of at the first proxied call
+      try {
+        new ProxyPolicyStore({ document: policy, label: `app:${slug}`, logger: this.logger }).load();
+      } catch (error) {
+        throw new AppValidationError(`Invalid allow-list policy: ${error.message}`);
+      }
+    }
+
+    const existing = await this.db.query('SELECT data_key, key_provider FROM hl_apps WHERE slug = $1', [slug]);
+    if (existing.rows.length === 0 && !clientSecret) {
+      throw new AppValidationError('clientSecret is required for a new app');
+    }
+
+    // Keep the stored secret unless a new one was supplied
+    const sealed = clientSecret
+      ? await this.encryptionProvider.sealTokens({ access_token: clientSecret }, {
+        dataKey: existing.rows[0]?.data_key || null,
+        keyProvider: existing.rows[0]?.key_provider || null
+      })
+      : null;
+
+    const { rows } = await this.db.query(
+      `INSERT INTO hl_apps (slug, name, client_id, client_secret, data_key, key_provider, redirect_uri, scopes, policy, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (slug) DO UPDATE
+          SET name = EXCLUDED.name,
+              client_id = EXCLUDED.client_id,
+              client_secret = COALESCE($4, hl_apps.client_secret),
+              data_key = COALESCE($5, hl_apps.data_key),
+              key_provider = COALESCE($6, hl_apps.key_provider),
+              redirect_uri = EXCLUDED.redirect_uri,
+              scopes = EXCLUDED.scopes,
+              policy = EXCLUDED.policy,
+              status = EXCLUDED.status,
+              updated_at = NOW()
+       RETURNING *`,
+      [
+        slug,
+        name,
+        clientId,
+        sealed?.access_token || null,
+        sealed?.data_key || null,
+        sealed?.key_provider || null,
+        redirectUri,
+        scopes,
+        policy ? JSON.stringify(policy) : null,
+        status
+      ]
+    );
+
+    this.cache.delete(slug);
+    return AppRegistry.publicView(rows[0]);
+  }
+
+  /**
+   * All apps, default first (no secrets)
+   * @returns {Promise<Object[]>}
+   */
+  async list() {
+    const { rows } = await this.db.query('SELECT * FROM hl_apps ORDER BY slug');
+    return [AppRegistry.publicView(this.defaultApp), ...rows.map(row => AppRegistry.publicView(row))];
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * App fields safe to return over the API (DB row or resolved app)
+   */
+  static publicView(app) {
+    return {
+      id: app.id,
+      slug: app.slug,
+      name: app.name,
+      status: app.status,
+      client_id: app.client_id || app.clientId,
+      redirect_uri: app.redirect_uri || app.redirectUri,
+      scopes: app.scopes || [],
+      has_own_policy: app.hasOwnPolicy ?? !!app.policy,
+      created_at: app.created_at || app.createdAt || null,
+      updated_at: app.updated_at || app.updatedAt || null
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_APP_SLUG,
+  AppValidationError,
+  AppRegistry,
+  marketplaceAppId
+};
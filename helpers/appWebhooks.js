@@ -0,0 +1,84 @@
+/**
+ * App Webhooks - HighLevel Marketplace app lifecycle events (INSTALL, UNINSTALL, LocationCreate)
+ *
+ * HighLevel signs the raw request body with its RSA key (SHA-256, base64 in x-wh-signature).
+ * Deliveries are retried, so each webhookId is recorded in hl_webhook_events and processed once.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * HighLevel's webhook public key from PEM text or a file
+ * @param {Object} options
+ * @param {string} [options.pem] - PEM text (literal "\n" sequences are accepted)
+ * @param {string} [options.file] - Path to a PEM file
+ * @returns {crypto.KeyObject|null} - null when neither is configured
+ */
+function loadWebhookPublicKey({ pem = null, file = null }) {
+  const text = file ? fs.readFileSync(file, 'utf8') : pem && pem.replace(/\\n/g, '\n');
+  return text ? crypto.createPublicKey(text) : null;
+}
+
+/**
+ * Verify x-wh-signature over the exact bytes HighLevel sent
+ * @param {Buffer} rawBody
+ * @param {string} signature - base64
+ * @param {crypto.KeyObject} publicKey
+ * @returns {boolean}
+ */
+function verifyWebhookSignature(rawBody, signature, publicKey) {
+  if (!rawBody || !signature || !publicKey) return false;
+  try {
+    return crypto.verify('sha256', rawBody, publicKey, Buffer.from(signature, 'base64'));
+  } catch (error) {
+    return false;
+  }
+}
+
+class WebhookEventLog {
+  /**
+   * @param {Object} options
+   * @param {import('pg').Pool} options.db
+   * @param {number} [options.retentionMs] - How long webhook IDs are remembered
+   */
+  constructor({ db, retentionMs = 7 * 24 * 60 * 60 * 1000 }) {
+    this.db = db;
+    this.retentionMs = retentionMs;
+  }
+
+  /**
+   * Record a delivery
+   * @returns {Promise<boolean>} - true the first time a webhook ID is seen
+   */
+  async record(webhookId, eventType) {
+    const { rowCount } = await this.db.query(
+      `INSERT INTO hl_webhook_events (webhook_id, event_type)
+       VALUES ($1, $2)
+       ON CONFLICT (webhook_id) DO NOTHING`,
+      [webhookId, eventType]
+    );
+    return rowCount > 0;
+  }
+
+  /**
+   * Forget a delivery whose processing failed so HighLevel's retry is handled
+   */
+  async forget(webhookId) {
+    await this.db.query('DELETE FROM hl_webhook_events WHERE webhook_id = $1', [webhookId]);
+  }
+
+  async purgeExpired() {
+    const result = await this.db.query(
+      `DELETE FROM hl_webhook_events WHERE received_at < NOW() - ($1 || ' milliseconds')::interval`,
+      [this.retentionMs]
+    );
+    return result.rowCount;
+  }
+}
+
+module.exports = {
+  loadWebhookPublicKey,
+  verifyWebhookSignature,
+  WebhookEventLog
+};
@@ -0,0 +1,101 @@
+/**
+ * Circuit Breaker - per-key (installation) breaker for upstream HighLevel calls
+ *
+ * closed    -> calls flow; consecutive failures are counted
+ * open      -> calls are refused until cooldownMs has passed
+ * half_open -> one trial call; success closes the circuit, failure re-opens it
+ */
+
+class CircuitBreakerRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit
+   * @param {number} [options.cooldownMs] - How long an open circuit refuses calls
+   * @param {number} [options.maxEntries] - Cap on tracked keys (oldest healthy entries are dropped)
+   */
+  constructor({ failureThreshold = 5, cooldownMs = 30000, maxEntries = 10000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.maxEntries = maxEntries;
+    this.circuits = new Map(); // key -> { state, failures, openedAt, trialInFlight }
+  }
+
+  get(key) {
+    let circuit = this.circuits.get(key);
+    if (!circuit) {
+      if (this.circuits.size >= this.maxEntries) this.evict();
+      circuit = { state: 'closed', failures: 0, openedAt: null, trialInFlight: false };
+      this.circuits.set(key, circuit);
+    }
+    return circuit;
+  }
+
+  evict() {
+    for (const [key, circuit] of this.circuits.entries()) {
+      if (circuit.state === 'closed' && circuit.failures === 0) {
+        this.circuits.delete(key);
+        return;
+      }
+    }
+    this.circuits.delete(this.circuits.keys().next().value);
+  }
+
+  /**
+   * May a call go out for this key?
+   * @param {string} key
+   * @returns {{ allowed: boolean, state: string, retryAfterMs: number }}
+   */
+  check(key) {
+    const circuit = this.get(key);
+
+    if (circuit.state === 'open') {
+      const elapsed = Date.now() - circuit.openedAt;
+      if (elapsed < this.cooldownMs) {
+        return { allowed: false, state: 'open', retryAfterMs: this.cooldownMs - elapsed };
+      }
+      circuit.state = 'half_open';
+      circuit.trialInFlight = false;
+    }
+
+    if (circuit.state === 'half_open') {
+      if (circuit.trialInFlight) {
+        return { allowed: false, state: 'half_open', retryAfterMs: 1000 };
+      }
+      circuit.trialInFlight = true;
+    }
+
+    return { allowed: true, state: circuit.state, retryAfterMs: 0 };
+  }
+
+  recordSuccess(key) {
+    const circuit = this.get(key);
+    circuit.state = 'closed';
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    circuit.trialInFlight = false;
+  }
+
+  /**
+   * @returns {string} - Circuit state after the failure
+   */
+  recordFailure(key) {
+    const circuit = this.get(key);
+    circuit.failures++;
+    circuit.trialInFlight = false;
+
+    if (circuit.state === 'half_open' || circuit.failures >= this.failureThreshold) {
+      circuit.state = 'open';
+      circuit.openedAt = Date.now();
+    }
+    return circuit.state;
+  }
+
+  snapshot(key) {
+    const circuit = this.circuits.get(key);
+    return circuit ? { ...circuit } : { state: 'closed', failures: 0, openedAt: null };
+  }
+}
+
+module.exports = {
+  CircuitBreakerRegistry
+};
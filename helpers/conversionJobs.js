@@ -0,0 +1,317 @@
+/**
+ * Conversion Jobs - persisted agency-to-location token conversion
+ *
+ * A job belongs to one agency installation. It first pages through the agency's locations,
+ * saving the page offset after every page, then converts each location (pending -> converted,
+ * skipped or failed). A location is skipped, with the reason, when the agency token is not
+ * stored for it (e.g. the location uninstalled the app itself). Jobs are claimed with a lease, so one whose worker died is picked up again once
+ * the lease lapses and carries on from the recorded page and location progress.
+ */
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+class ConversionJobStore {
+  /**
+   * @param {Object} options
+   * @param {import('pg').Pool} options.db
+   * @param {number} [options.leaseSeconds] - How long a claimed job is left to its worker
+   * @param {number} [options.maxAttempts] - Tries per location, and per job after errors
+   */
+  constructor({ db, leaseSeconds = 300, maxAttempts = 3 }) {
+    this.db = db;
+    this.leaseSeconds = leaseSeconds;
+    this.maxAttempts = maxAttempts;
+  }
+
+  /**
+   * Queue a job for an agency installation, or return the one already queued/running
+   * @param {Object} agency - Installation row { id, agency_id, app_id }
+   * @param {string} [source] - What started it (oauth_callback, webhook, admin)
+   * @returns {Promise<{ job: Object, created: boolean }>}
+   */
+  async enqueue(agency, source = null) {
+    const inserted = await this.db.query(
+      `INSERT INTO hl_conversion_jobs (agency_installation_id, agency_id, app_id, source)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (agency_installation_id) WHERE status IN ('queued', 'running') DO NOTHING
+       RETURNING *`,
+      [agency.id, agency.agency_id, agency.app_id || null, source]
+    );
+    if (inserted.rows[0]) return { job: inserted.rows[0], created: true };
+
+    const existing = await this.db.query(
+      `SELECT * FROM hl_conversion_jobs
+        WHERE agency_installation_id = $1 AND status IN ('queued', 'running')`,
+      [agency.id]
+    );
+    return { job: existing.rows[0], created: false };
+  }
+
+  /**
+   * Claim the oldest job that is queued or whose worker's lease lapsed
+   * @returns {Promise<Object|null>}
+   */
+  async claimNext() {
+    const result = await this.db.query(
+      `WITH next AS (
+         SELECT id
+           FROM hl_conversion_jobs
+          WHERE status IN ('queued', 'running')
+            AND (claimed_until IS NULL OR claimed_until < NOW())
+          ORDER BY created_at
+          LIMIT 1
+          FOR UPDATE SKIP LOCKED
+       )
+       UPDATE hl_conversion_jobs j
+          SET status = 'running',
+              claimed_until = NOW() + ($1 || ' seconds')::interval,
+              started_at = COALESCE(j.started_at, NOW()),
+              updated_at = NOW()
+         FROM next
+        WHERE j.id = next.id
+       RETURNING j.*`,
+      [this.leaseSeconds]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Store one page of locations and advance the listing offset
+   * @param {Object} job
+   * @param {Array<{ id: string, name?: string }>} locations
+   * @param {number} pageSize - A short page ends the listing
+   * @returns {Promise<Object>} - Updated job
+   */
+  async recordPage(job, locations, pageSize) {
+    if (locations.length > 0) {
+      await this.db.query(
+        `INSERT INTO hl_conversion_job_locations (job_id, location_id, location_name)
+         SELECT $1, l.id, l.name
+           FROM jsonb_to_recordset($2::jsonb) AS l(id TEXT, name TEXT)
+         ON CONFLICT (job_id, location_id) DO NOTHING`,
+        [job.id, JSON.stringify(locations.map(location => ({ id: location.id, name: location.name || null })))]
+      );
+    }
+
+    const result = await this.db.query(
+      `UPDATE hl_conversion_jobs
+          SET next_skip = next_skip + $2,
+              listing_complete = $3,
+              claimed_until = NOW() + ($4 || ' seconds')::interval,
+              updated_at = NOW()
+        WHERE id = $1
+       RETURNING *`,
+      [job.id, locations.length, locations.length < pageSize, this.leaseSeconds]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Locations still to convert
+   * @returns {Promise<Object[]>}
+   */
+  async pendingLocations(jobId, limit) {
+    const result = await this.db.query(
+      `SELECT location_id, location_name, attempts
+         FROM hl_conversion_job_locations
+        WHERE job_id = $1 AND status = 'pending'
+        ORDER BY location_id
+        LIMIT $2`,
+      [jobId, limit]
+    );
+    return result.rows;
+  }
+
+  async markConverted(jobId, locationId, installationId) {
+    await this.db.query(
+      `UPDATE hl_conversion_job_locations
+          SET status = 'converted',
+              installation_id = $3,
+              attempts = attempts + 1,
+              last_error = NULL,
+              updated_at = NOW()
+        WHERE job_id = $1 AND location_id = $2`,
+      [jobId, locationId, installationId]
+    );
+  }
+
+  // Nothing was stored for the location: record why instead of counting it as converted
+  async markSkipped(jobId, locationId, reason) {
+    await this.db.query(
+      `UPDATE hl_conversion_job_locations
+          SET status = 'skipped',
+              skip_reason = $3,
+              attempts = attempts + 1,
+              last_error = NULL,
+              updated_at = NOW()
+        WHERE job_id = $1 AND location_id = $2`,
+      [jobId, locationId, reason]
+    );
+  }
+
+  // A failed location stays pending until it has used up maxAttempts
+  async markFailed(jobId, locationId, message) {
+    await this.db.query(
+      `UPDATE hl_conversion_job_locations
+          SET attempts = attempts + 1,
+              status = CASE WHEN attempts + 1 >= $4 THEN 'failed' ELSE 'pending' END,
+              last_error = $3,
+              updated_at = NOW()
+        WHERE job_id = $1 AND location_id = $2`,
+      [jobId, locationId, message, this.maxAttempts]
+    );
+  }
+
+  /**
+   * Agency installation whose latest conversion job listed a location
+   * @returns {Promise<string|null>} - Agency installation ID
+   */
+  async agencyInstallationFor(locationId, appId = null) {
+    const result = await this.db.query(
+      `SELECT j.agency_installation_id
+         FROM hl_conversion_job_locations l
+         JOIN hl_conversion_jobs j ON j.id = l.job_id
+        WHERE l.location_id = $1 AND j.app_id IS NOT DISTINCT FROM $2
+        ORDER BY j.created_at DESC
+        LIMIT 1`,
+      [locationId, appId]
+    );
+    return result.rows[0]?.agency_installation_id || null;
+  }
+
+  /**
+   * Extend a running job's lease
+   * @returns {Promise<boolean>} - false if the job is no longer running
+   */
+  async touch(jobId) {
+    const result = await this.db.query(
+      `UPDATE hl_conversion_jobs
+          SET claimed_until = NOW() + ($2 || ' seconds')::interval,
+              updated_at = NOW()
+        WHERE id = $1 AND status = 'running'`,
+      [jobId, this.leaseSeconds]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Mark a job completed (skipped and failed locations are counted, not retried)
+   * @returns {Promise<Object>} - Job status with counts
+   */
+  async complete(jobId) {
+    await this.db.query(
+      `UPDATE hl_conversion_jobs
+          SET status = 'completed',
+              claimed_until = NULL,
+              last_error = NULL,
+              finished_at = NOW(),
+              updated_at = NOW()
+        WHERE id = $1`,
+      [jobId]
+    );
+    return this.status(jobId);
+  }
+
+  /**
+   * Record a job-level error: the job is retried by the next run until maxAttempts, then failed
+   * @param {string} jobId
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {boolean} [options.final] - Fail now (e.g. the agency installation is gone)
+   * @returns {Promise<string>} - New job status
+   */
+  async fail(jobId, message, { final = false } = {}) {
+    const result = await this.db.query(
+      `UPDATE hl_conversion_jobs
+          SET attempts = attempts + 1,
+              status = CASE WHEN $3 OR attempts + 1 >= $4 THEN 'failed' ELSE 'queued' END,
+              claimed_until = NULL,
+              last_error = $2,
+              finished_at = CASE WHEN $3 OR attempts + 1 >= $4 THEN NOW() ELSE NULL END,
+              updated_at = NOW()
+        WHERE id = $1
+       RETURNING status`,
+      [jobId, message, final, this.maxAttempts]
+    );
+    return result.rows[0]?.status || null;
+  }
+
+  /**
+   * Job with converted / skipped / failed / pending counts and its skipped and failed locations
+   * @param {string} jobId
+   * @returns {Promise<Object|null>}
+   */
+  async status(jobId) {
+    const [job] = await this.list({ jobId, limit: 1 });
+    if (!job) return null;
+
+    const failures = await this.db.query(
+      `SELECT location_id, location_name, attempts, last_error, updated_at
+         FROM hl_conversion_job_locations
+        WHERE job_id = $1 AND status = 'failed'
+        ORDER BY location_id
+        LIMIT 100`,
+      [jobId]
+    );
+    const skips = await this.db.query(
+      `SELECT location_id, location_name, skip_reason, updated_at
+         FROM hl_conversion_job_locations
+        WHERE job_id = $1 AND status = 'skipped'
+        ORDER BY location_id
+        LIMIT 100`,
+      [jobId]
+    );
+    return { ...job, failed_locations: failures.rows, skipped_locations: skips.rows };
+  }
+
+  /**
+   * Recent jobs with counts, newest first
+   * @param {Object} [filter] - { jobId, appId, agencyId, status, limit }
+   * @returns {Promise<Object[]>}
+   */
+  async list({ jobId = null, appId, agencyId = null, status = null, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (jobId) {
+      params.push(jobId);
+      conditions.push(`j.id = $${params.length}`);
+    }
+    if (appId !== undefined) {
+      params.push(appId);
+      conditions.push(`j.app_id IS NOT DISTINCT FROM $${params.length}`);
+    }
+    if (agencyId) {
+      params.push(agencyId);
+      conditions.push(`j.agency_id = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`j.status = $${params.length}`);
+    }
+    params.push(limit);
+
+    const result = await this.db.query(
+      `SELECT j.id, j.agency_installation_id, j.agency_id, j.app_id, j.status, j.source,
+              j.listing_complete, j.attempts, j.last_error,
+              j.created_at, j.started_at, j.finished_at, j.updated_at,
+              COUNT(l.location_id)::int AS total,
+              (COUNT(l.location_id) FILTER (WHERE l.status = 'converted'))::int AS converted,
+              (COUNT(l.location_id) FILTER (WHERE l.status = 'skipped'))::int AS skipped,
+              (COUNT(l.location_id) FILTER (WHERE l.status = 'failed'))::int AS failed,
+              (COUNT(l.location_id) FILTER (WHERE l.status = 'pending'))::int AS pending
+         FROM hl_conversion_jobs j
+         LEFT JOIN hl_conversion_job_locations l ON l.job_id = j.id
+        ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+        GROUP BY j.id
+        ORDER BY j.created_at DESC
+        LIMIT $${params.length}`,
+      params
+    );
+    return result.rows;
+  }
+}
+
+module.exports = {
+  JOB_STATUSES,
+  ConversionJobStore
+};
@@ -0,0 +1,58 @@
+/**
+ * Disconnect - revoke a tenant's installation on request from the API server
+ *
+ * Disconnecting an agency revokes the location installations minted from it too, so the
+ * route only exists behind S2S authentication; the app comes from the token's `app` claim,
+ * never from the body. Cached proxy responses for every revoked installation are dropped.
+ */
+
+/**
+ * Middleware chain for POST /oauth/disconnect
+ * @param {Object} options
+ * @param {Function} options.authenticate - S2S authenticator (sets req.auth and req.hlApp)
+ * @param {Function} options.revokeInstallation - async (locationId, agencyId, appId) => { revoked, children }
+ * @param {Object} options.responseCache - ResponseCache (invalidate(installationId))
+ * @param {Object} options.logger
+ * @returns {Array<Function>} - [authenticate, handler]
+ */
+function disconnectRoute({ authenticate, revokeInstallation, responseCache, logger }) {
+  async function disconnect(req, res) {
+    const { location_id: locationId, agency_id: agencyId } = req.body;
+
+    if (!locationId && !agencyId) {
+      return res.status(400).json({ error: 'Missing location_id or agency_id' });
+    }
+
+    try {
+      const hlApp = req.hlApp;
+      const { revoked, children } = await revokeInstallation(locationId, agencyId, hlApp.id);
+      for (const installationId of [...revoked, ...children]) {
+        await responseCache.invalidate(installationId);
+      }
+
+      logger.info('Installation revoked', {
+        locationId,
+        agencyId,
+        app: hlApp.slug,
+        childrenRevoked: children.length,
+        ip: req.ip
+      });
+
+      res.json({ success: true, message: 'Installation revoked successfully', children_revoked: children.length });
+    } catch (error) {
+      logger.error('Failed to revoke installation:', {
+        error: error.message,
+        locationId,
+        agencyId
+      });
+
+      res.status(500).json({ error: 'Failed to revoke installation' });
+    }
+  }
+
+  return [authenticate, disconnect];
+}
+
+module.exports = {
+  disconnectRoute
+};
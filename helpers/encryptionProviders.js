@@ -0,0 +1,371 @@
+/**
+ * Encryption Providers - envelope encryption for stored HighLevel tokens
+ *
+ * Every installation gets its own data key. Tokens are encrypted with the data key
+ * (AES-256-GCM) and the data key is stored wrapped by a master key held by the provider:
+ * - local: master keyring read from a JSON key file (or the ENCRYPTION_KEYS keyring)
+ * - vault: HashiCorp Vault Transit compatible HTTP API (datakey/decrypt/rewrap)
+ *
+ * Rows written before envelope encryption (data_key IS NULL) are read with the legacy keyring.
+ * Each row is opened by the provider named in its key_provider column, so switching
+ * ENCRYPTION_PROVIDER keeps existing rows readable while the rotation job moves them over.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const { TokenEncryption, parseKeyring } = require('./tokenEncryption.js');
+
+/**
+ * Provider interface used by InstallationDB
+ * - sealTokens(tokens, { dataKey }) -> { access_token, refresh_token, data_key, key_provider }
+ * - openTokens(row) -> { access_token, refresh_token }
+ * - resealTokens(row) -> sealed columns, or null when the row is already current
+ * - describe() -> summary safe to expose on admin endpoints
+ */
+class EnvelopeEncryptionProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name stored in hl_installations.key_provider
+   * @param {TokenEncryption} options.legacy - Keyring for rows without a data key
+   * @param {number} [options.cacheTtlMs] - How long unwrapped data keys stay in memory
+   */
+  constructor({ name, legacy, cacheTtlMs = 5 * 60 * 1000, cacheMax = 1000 }) {
+    this.name = name;
+    this.legacy = legacy;
+    this.cacheTtlMs = cacheTtlMs;
+    this.cacheMax = cacheMax;
+    this.dataKeyCache = new Map(); // wrapped -> { key, exp }
+  }
+
+  /* Subclasses implement the master-key operations */
+  async generateDataKey() { throw new Error('generateDataKey not implemented'); }
+  async unwrapDataKey(wrapped) { throw new Error('unwrapDataKey not implemented'); }
+  async needsRewrap(wrapped) { return false; }
+  async rewrapDataKey(wrapped) { return wrapped; }
+
+  async sealTokens(tokens, { dataKey = null } = {}) {
+    let wrapped = dataKey;
+    let plaintextKey;
+
+    if (wrapped) {
+      plaintextKey = await this.getDataKey(wrapped);
+    } else {
+      const generated = await this.generateDataKey();
+      wrapped = generated.wrapped;
+      plaintextKey = generated.plaintext;
+      this.cacheDataKey(wrapped, plaintextKey);
+    }
+
+    const cipher = dataKeyCipher(plaintextKey);
+    return {
+      access_token: cipher.encrypt(tokens.access_token),
+      refresh_token: tokens.refresh_token ? cipher.encrypt(tokens.refresh_token) : null,
+      data_key: wrapped,
+      key_provider: this.name
+    };
+  }
+
+  async openTokens(row) {
+    if (!row.data_key) {
+      return {
+        access_token: this.legacy.decrypt(row.access_token),
+        refresh_token: row.refresh_token ? this.legacy.decrypt(row.refresh_token) : null
+      };
+    }
+
+    if (row.key_provider && row.key_provider !== this.name) {
+      throw new Error(`Installation data key belongs to provider "${row.key_provider}", active provider is "${this.name}"`);
+    }
+
+    const cipher = dataKeyCipher(await this.getDataKey(row.data_key));
+    return {
+      access_token: cipher.decrypt(row.access_token),
+      refresh_token: row.refresh_token ? cipher.decrypt(row.refresh_token) : null
+    };
+  }
+
+  async resealTokens(row) {
+    if (!row.data_key) {
+      return this.sealTokens(await this.openTokens(row));
+    }
+
+    if (!(await this.needsRewrap(row.data_key))) {
+      return null;
+    }
+
+    // Only the wrapped data key changes; token ciphertexts stay valid
+    return {
+      access_token: row.access_token,
+      refresh_token: row.refresh_token,
+      data_key: await this.rewrapDataKey(row.data_key),
+      key_provider: this.name
+    };
+  }
+
+  async getDataKey(wrapped) {
+    const cached = this.dataKeyCache.get(wrapped);
+    if (cached && cached.exp > Date.now()) {
+      return cached.key;
+    }
+    const key = await this.unwrapDataKey(wrapped);
+    this.cacheDataKey(wrapped, key);
+    return key;
+  }
+
+  cacheDataKey(wrapped, key) {
+    if (this.cacheTtlMs <= 0) return;
+    if (this.dataKeyCache.size >= this.cacheMax) {
+      this.dataKeyCache.delete(this.dataKeyCache.keys().next().value);
+    }
+    this.dataKeyCache.set(wrapped, { key, exp: Date.now() + this.cacheTtlMs });
+  }
+
+  describe() {
+    return {
+      provider: this.name,
+      envelope: true,
+      legacyKeyring: this.legacy.describe()
+    };
+  }
+}
+
+/**
+ * Master keyring from a local JSON file: { "primaryKeyId": "m2", "keys": { "m2": "<base64>", "m1": "<base64>" } }
+ * Falls back to the ENCRYPTION_KEYS keyring when no file is configured.
+ */
+class LocalFileEncryptionProvider extends EnvelopeEncryptionProvider {
+  constructor({ keyFile = null, legacy, ...options }) {
+    super({ name: 'local', legacy, ...options });
+    this.keyFile = keyFile;
+    this.master = keyFile ? LocalFileEncryptionProvider.loadKeyFile(keyFile) : legacy;
+  }
+
+  static loadKeyFile(keyFile) {
+    const parsed = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+    const spec = Object.entries(parsed.keys || {}).map(([keyId, value]) => `${keyId}:${value}`).join(',');
+    const keys = parseKeyring(spec);
+    return new TokenEncryption({
+      keys,
+      primaryKeyId: parsed.primaryKeyId || keys.keys().next().value
+    });
+  }
+
+  async generateDataKey() {
+    const plaintext = crypto.randomBytes(32);
+    return { plaintext, wrapped: this.master.encrypt(plaintext.toString('base64')) };
+  }
+
+  async unwrapDataKey(wrapped) {
+    return Buffer.from(this.master.decrypt(wrapped), 'base64');
+  }
+
+  async needsRewrap(wrapped) {
+    return this.master.needsReencryption(wrapped);
+  }
+
+  async rewrapDataKey(wrapped) {
+    return this.master.encrypt(this.master.decrypt(wrapped));
+  }
+
+  describe() {
+    return {
+      ...super.describe(),
+      keyFile: this.keyFile,
+      masterKeyring: this.master.describe()
+    };
+  }
+}
+
+/**
+ * HashiCorp Vault Transit (or any server speaking the same HTTP API)
+ * Uses POST /v1/<mount>/datakey/plaintext/<key>, /decrypt/<key>, /rewrap/<key> and GET /keys/<key>
+ */
+class VaultTransitEncryptionProvider extends EnvelopeEncryptionProvider {
+  constructor({ addr, token, keyName, mount = 'transit', namespace = null, timeout = 5000, legacy, ...options }) {
+    super({ name: 'vault', legacy, ...options });
+    if (!addr || !token || !keyName) {
+      throw new Error('Vault provider requires VAULT_ADDR, VAULT_TOKEN and VAULT_TRANSIT_KEY');
+    }
+    this.keyName = keyName;
+    this.mount = mount;
+    this.latestVersion = null;
+    this.latestVersionFetchedAt = 0;
+    this.http = axios.create({
+      baseURL: `${addr.replace(/\/$/, '')}/v1/${mount}`,
+      timeout,
+      headers: {
+        'X-Vault-Token': token,
+        ...(namespace ? { 'X-Vault-Namespace': namespace } : {})
+      }
+    });
+  }
+
+  async request(method, path, data) {
+    try {
+      const response = await this.http.request({ method, url: path, data });
+      return response.data.data;
+    } catch (error) {
+      const detail = error.response?.data?.errors?.join('; ') || error.message;
+      throw new Error(`Vault transit ${path} failed: ${detail}`);
+    }
+  }
+
+  async generateDataKey() {
+    const data = await this.request('post', `/datakey/plaintext/${this.keyName}`, { bits: 256 });
+    return { plaintext: Buffer.from(data.plaintext, 'base64'), wrapped: data.ciphertext };
+  }
+
+  async unwrapDataKey(wrapped) {
+    const data = await this.request('post', `/decrypt/${this.keyName}`, { ciphertext: wrapped });
+    return Buffer.from(data.plaintext, 'base64');
+  }
+
+  async getLatestVersion() {
+    if (this.latestVersion && Date.now() - this.latestVersionFetchedAt < 60 * 1000) {
+      return this.latestVersion;
+    }
+    const data = await this.request('get', `/keys/${this.keyName}`);
+    this.latestVersion = data.latest_version;
+    this.latestVersionFetchedAt = Date.now();
+    return this.latestVersion;
+  }
+
+  async needsRewrap(wrapped) {
+    const match = /^vault:v(\d+):/.exec(wrapped);
+    return !match || Number(match[1]) < await this.getLatestVersion();
+  }
+
+  async rewrapDataKey(wrapped) {
+    const data = await this.request('post', `/rewrap/${this.keyName}`, { ciphertext: wrapped });
+    return data.ciphertext;
+  }
+
+  describe() {
+    return {
+      ...super.describe(),
+      mount: this.mount,
+      keyName: this.keyName,
+      latestVersion: this.latestVersion
+    };
+  }
+}
+
+/**
+ * Seals with the active provider and opens each row with the provider that sealed it
+ * (key_provider). resealTokens moves rows of other providers onto the active one.
+ */
+class RoutingEncryptionProvider {
+  /**
+   * @param {Object} options
+   * @param {EnvelopeEncryptionProvider} options.active - Provider for new data keys
+   * @param {EnvelopeEncryptionProvider[]} [options.providers] - Other configured providers, read-only
+   */
+  constructor({ active, providers = [] }) {
+    this.active = active;
+    this.name = active.name;
+    this.providers = new Map(providers.map(provider => [provider.name, provider]));
+    this.providers.set(active.name, active);
+  }
+
+  providerFor(row) {
+    if (!row.data_key || !row.key_provider) return this.active;
+    const provider = this.providers.get(row.key_provider);
+    if (!provider) {
+      throw new Error(`Installation data key belongs to provider "${row.key_provider}", which is not configured`);
+    }
+    return provider;
+  }
+
+  /**
+   * @param {Object} tokens
+   * @param {Object} [options]
+   * @param {string} [options.dataKey] - Row's wrapped data key, reused when the active provider wrapped it
+   * @param {string} [options.keyProvider] - Provider that wrapped dataKey
+   */
+  async sealTokens(tokens, { dataKey = null, keyProvider = null } = {}) {
+    const reuse = dataKey && (!keyProvider || keyProvider === this.active.name);
+    return this.active.sealTokens(tokens, { dataKey: reuse ? dataKey : null });
+  }
+
+  async openTokens(row) {
+    return this.providerFor(row).openTokens(row);
+  }
+
+  async resealTokens(row) {
+    if (row.data_key && row.key_provider && row.key_provider !== this.active.name) {
+      return this.active.sealTokens(await this.openTokens(row));
+    }
+    return this.active.resealTokens(row);
+  }
+
+  describe() {
+    return {
+      ...this.active.describe(),
+      readableProviders: [...this.providers.keys()]
+    };
+  }
+}
+
+/**
+ * AES-256-GCM cipher bound to a single plaintext data key
+ * @param {Buffer} key - 32 byte data key
+ * @returns {TokenEncryption}
+ */
+function dataKeyCipher(key) {
+  return new TokenEncryption({ keys: new Map([['dek', key]]), primaryKeyId: 'dek' });
+}
+
+function buildProvider(name, { legacy, env, cacheTtlMs }) {
+  switch (name) {
+    case 'local':
+      return new LocalFileEncryptionProvider({
+        keyFile: env.ENCRYPTION_KEY_FILE || null,
+        legacy,
+        cacheTtlMs
+      });
+    case 'vault':
+      return new VaultTransitEncryptionProvider({
+        addr: env.VAULT_ADDR,
+        token: env.VAULT_TOKEN,
+        keyName: env.VAULT_TRANSIT_KEY,
+        mount: env.VAULT_TRANSIT_MOUNT || 'transit',
+        namespace: env.VAULT_NAMESPACE || null,
+        legacy,
+        cacheTtlMs
+      });
+    default:
+      throw new Error(`Unknown ENCRYPTION_PROVIDER: ${name}`);
+  }
+}
+
+/**
+ * Build the provider selected by ENCRYPTION_PROVIDER (local | vault). The other provider is
+ * kept for reading rows it sealed when it is configured too (local always is).
+ * @param {Object} options
+ * @param {TokenEncryption} options.legacy - Keyring for rows without a data key
+ * @param {Object} [options.env] - Environment (defaults to process.env)
+ * @returns {RoutingEncryptionProvider}
+ */
+function createEncryptionProvider({ legacy, env = process.env }) {
+  const cacheTtlMs = parseInt(env.DATA_KEY_CACHE_TTL_MS || String(5 * 60 * 1000), 10);
+  const name = (env.ENCRYPTION_PROVIDER || 'local').toLowerCase();
+  const configured = {
+    local: true,
+    vault: Boolean(env.VAULT_ADDR && env.VAULT_TOKEN && env.VAULT_TRANSIT_KEY)
+  };
+
+  const active = buildProvider(name, { legacy, env, cacheTtlMs });
+  const providers = Object.keys(configured)
+    .filter(other => other !== name && configured[other])
+    .map(other => buildProvider(other, { legacy, env, cacheTtlMs }));
+  return new RoutingEncryptionProvider({ active, providers });
+}
+
+module.exports = {
+  EnvelopeEncryptionProvider,
+  LocalFileEncryptionProvider,
+  VaultTransitEncryptionProvider,
+  RoutingEncryptionProvider,
+  createEncryptionProvider
+};
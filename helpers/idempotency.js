@@ -0,0 +1,137 @@
+/**
+ * Idempotency Keys - replay stored responses for retried mutating /proxy/hl calls
+ *
+ * A key is scoped to an installation. The first request claims it (status in_progress),
+ * the response is stored on completion, and duplicates within the TTL get the stored
+ * response back. Reusing a key with a different payload is rejected.
+ */
+
+const crypto = require('crypto');
+
+// JSON with sorted object keys so equal payloads hash the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Fingerprint of the request a key was first used with
+ * @param {Object} request - { method, endpoint, data }
+ * @returns {string} - sha256 hex
+ */
+function hashRequest({ method, endpoint, data }) {
+  return crypto.createHash('sha256')
+    .update(canonicalJson({ method: String(method).toUpperCase(), endpoint, data: data ?? null }))
+    .digest('hex');
+}
+
+class IdempotencyStore {
+  /**
+   * @param {Object} options
+   * @param {import('pg').Pool} options.db
+   * @param {number} [options.ttlMs] - How long a completed response is replayed
+   * @param {number} [options.lockMs] - How long an in-progress claim blocks duplicates before it is considered abandoned
+   */
+  constructor({ db, ttlMs = 24 * 60 * 60 * 1000, lockMs = 60000 }) {
+    this.db = db;
+    this.ttlMs = ttlMs;
+    this.lockMs = lockMs;
+  }
+
+  /**
+   * Claim a key, or report why the request can't run
+   * @param {string} scope - Installation ID
+   * @param {string} key - Caller's Idempotency-Key
+   * @param {string} requestHash - hashRequest() of this request
+   * @returns {Promise<Object>} - { state: 'claimed' | 'replay' | 'in_progress' | 'mismatch', response? }
+   */
+  async begin(scope, key, requestHash) {
+    // New key, or take over one that expired or whose owner died mid-request
+    const claimed = await this.db.query(
+      `INSERT INTO hl_idempotency_keys (scope, idempotency_key, request_hash, status, locked_until, expires_at)
+       VALUES ($1, $2, $3, 'in_progress', NOW() + ($4 || ' milliseconds')::interval, NOW() + ($5 || ' milliseconds')::interval)
+       ON CONFLICT (scope, idempotency_key) DO UPDATE
+          SET request_hash = EXCLUDED.request_hash,
+              status = 'in_progress',
+              response_status = NULL,
+              response_body = NULL,
+              locked_until = EXCLUDED.locked_until,
+              expires_at = EXCLUDED.expires_at,
+              created_at = NOW()
+        WHERE hl_idempotency_keys.expires_at < NOW()
+           OR (hl_idempotency_keys.status = 'in_progress'
+               AND hl_idempotency_keys.locked_until < NOW()
+               AND hl_idempotency_keys.request_hash = EXCLUDED.request_hash)
+       RETURNING idempotency_key`,
+      [scope, key, requestHash, this.lockMs, this.ttlMs]
+    );
+
+    if (claimed.rowCount > 0) {
+      return { state: 'claimed' };
+    }
+
+    const { rows } = await this.db.query(
+      `SELECT request_hash, status, response_status, response_body, created_at
+         FROM hl_idempotency_keys
+        WHERE scope = $1 AND idempotency_key = $2`,
+      [scope, key]
+    );
+    const existing = rows[0];
+
+    // Deleted between the two statements (released) - let the caller retry the claim
+    if (!existing) {
+      return { state: 'in_progress' };
+    }
+
+    if (existing.request_hash !== requestHash) {
+      return { state: 'mismatch' };
+    }
+
+    if (existing.status === 'completed') {
+      return {
+        state: 'replay',
+        response: { status: existing.response_status, body: existing.response_body, createdAt: existing.created_at }
+      };
+    }
+
+    return { state: 'in_progress' };
+  }
+
+  /**
+   * Store the response so duplicates replay it
+   */
+  async complete(scope, key, { status, body }) {
+    await this.db.query(
+      `UPDATE hl_idempotency_keys
+          SET status = 'completed',
+              response_status = $3,
+              response_body = $4,
+              locked_until = NULL
+        WHERE scope = $1 AND idempotency_key = $2`,
+      [scope, key, status, JSON.stringify(body ?? null)]
+    );
+  }
+
+  /**
+   * Drop an in-progress claim (the call failed before HighLevel gave a final answer)
+   */
+  async release(scope, key) {
+    await this.db.query(
+      `DELETE FROM hl_idempotency_keys WHERE scope = $1 AND idempotency_key = $2 AND status = 'in_progress'`,
+      [scope, key]
+    );
+  }
+
+  async purgeExpired() {
+    const result = await this.db.query('DELETE FROM hl_idempotency_keys WHERE expires_at < NOW()');
+    return result.rowCount;
+  }
+}
+
+module.exports = {
+  IdempotencyStore,
+  hashRequest
+};
@@ -0,0 +1,221 @@
+/**
+ * Installation Queries - filters, cursor pagination and health for the admin installations API
+ *
+ * GET /admin/installations takes status, type, agency_id, scope, expiry and created ranges and
+ * a location ID search; pages are ordered newest first and continue from an opaque cursor
+ * (created_at + id of the last row). Token columns are never selected.
+ */
+
+const INSTALLATION_STATUSES = ['active', 'revoked', 'expired', 'error'];
+const INSTALLATION_TYPES = ['location', 'agency'];
+const MAX_PAGE_SIZE = 500;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class InstallationFilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InstallationFilterError';
+    this.code = 'INVALID_FILTER';
+  }
+}
+
+/**
+ * Whether a route parameter can be an installation (or job) ID; Postgres rejects
+ * anything else with 22P02 instead of finding no row
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isUuid(value) {
+  return UUID_PATTERN.test(String(value));
+}
+
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify({ c: row.cursor_created_at, i: row.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { c, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof c === 'string' && isUuid(i) && !Number.isNaN(Date.parse(c))) return { createdAt: c, id: i };
+  } catch (error) {
+    // fall through
+  }
+  throw new InstallationFilterError('Invalid cursor');
+}
+
+function list(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function timestamp(value, name) {
+  if (Number.isNaN(Date.parse(value))) {
+    throw new InstallationFilterError(`${name} must be an ISO 8601 timestamp`);
+  }
+  return new Date(value).toISOString();
+}
+
+/**
+ * Validate query string filters
+ * @param {Object} query - req.query
+ * @returns {Object} - Normalized filters
+ * @throws {InstallationFilterError}
+ */
+function parseInstallationFilters(query = {}) {
+  const filters = {};
+
+  if (query.status) {
+    filters.status = list(query.status);
+    const unknown = filters.status.filter(status => !INSTALLATION_STATUSES.includes(status));
+    if (unknown.length) throw new InstallationFilterError(`Unknown status: ${unknown.join(', ')}`);
+  }
+  if (query.type) {
+    if (!INSTALLATION_TYPES.includes(query.type)) throw new InstallationFilterError('type must be location or agency');
+    filters.type = query.type;
+  }
+  if (query.agency_id) filters.agencyId = String(query.agency_id);
+  if (query.location_id) filters.locationSearch = String(query.location_id);
+  if (query.scope) filters.scopes = list(query.scope);
+
+  for (const [param, key] of [
+    ['expires_after', 'expiresAfter'],
+    ['expires_before', 'expiresBefore'],
+    ['created_after', 'createdAfter'],
+    ['created_before', 'createdBefore']
+  ]) {
+    if (query[param]) filters[key] = timestamp(query[param], param);
+  }
+  if (query.expires_within !== undefined) {
+    const minutes = Number(query.expires_within);
+    if (!Number.isInteger(minutes) || minutes < 0) throw new InstallationFilterError('expires_within must be a whole number of minutes');
+    filters.expiresWithinMinutes = minutes;
+  }
+
+  const limit = query.limit === undefined ? 100 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new InstallationFilterError(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  filters.limit = limit;
+  if (query.cursor) filters.cursor = decodeCursor(query.cursor);
+
+  return filters;
+}
+
+/**
+ * SQL for one page of installations (fetches limit + 1 rows to detect a next page)
+ * @param {Object} filters - parseInstallationFilters() result
+ * @param {string} columns - Column list to select
+ * @returns {{ text: string, params: Array }}
+ */
+function buildInstallationQuery(filters, columns) {
+  const conditions = [];
+  const params = [];
+  const param = value => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.status) conditions.push(`status = ANY(${param(filters.status)}::text[])`);
+  if (filters.type) conditions.push(`installation_type = ${param(filters.type)}`);
+  if (filters.agencyId) {
+    const agencyId = param(filters.agencyId);
+    conditions.push(`(agency_id = ${agencyId} OR company_id = ${agencyId})`);
+  }
+  if (filters.locationSearch) {
+    const pattern = `%${filters.locationSearch.replace(/[\\%_]/g, match => `\\${match}`)}%`;
+    conditions.push(`location_id ILIKE ${param(pattern)}`);
+  }
+  if (filters.scopes) conditions.push(`scopes @> ${param(filters.scopes)}::text[]`);
+  if (filters.expiresAfter) conditions.push(`expires_at >= ${param(filters.expiresAfter)}`);
+  if (filters.expiresBefore) conditions.push(`expires_at < ${param(filters.expiresBefore)}`);
+  if (filters.expiresWithinMinutes !== undefined) {
+    conditions.push(`expires_at <= NOW() + (${param(filters.expiresWithinMinutes)} || ' minutes')::interval`);
+  }
+  if (filters.createdAfter) conditions.push(`created_at >= ${param(filters.createdAfter)}`);
+  if (filters.createdBefore) conditions.push(`created_at < ${param(filters.createdBefore)}`);
+  if (filters.cursor) {
+    conditions.push(`(created_at, id) < (${param(filters.cursor.createdAt)}::timestamptz, ${param(filters.cursor.id)}::uuid)`);
+  }
+
+  return {
+    text: `SELECT ${columns}, created_at::text AS cursor_created_at
+             FROM hl_installations
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ${param(filters.limit + 1)}`,
+    params
+  };
+}
+
+/**
+ * Split a limit + 1 result into the page and the cursor for the next one
+ * @returns {{ rows: Object[], nextCursor: string|null }}
+ */
+function pageOf(rows, limit) {
+  const page = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? encodeCursor(page[page.length - 1]) : null;
+  return { rows: page.map(({ cursor_created_at: _, ...row }) => row), nextCursor };
+}
+
+/**
+ * Health of an installation as an operator would judge it
+ * @param {Object} row - hl_installations row (has_refresh_token instead of the token)
+ * @param {Object} options - { refreshThresholdMs, maxFailures, now }
+ * @returns {Object} - { state: healthy | degraded | unavailable, reasons, expires_in_seconds, ... }
+ */
+function installationHealth(row, { refreshThresholdMs, maxFailures, now = Date.now() }) {
+  const expiresInMs = new Date(row.expires_at).getTime() - now;
+  const reasons = [];
+  let state = 'healthy';
+
+  if (row.status !== 'active') {
+    state = 'unavailable';
+    reasons.push(`status_${row.status}`);
+  } else {
+    if (expiresInMs <= 0) reasons.push('token_expired');
+    else if (expiresInMs <= refreshThresholdMs) reasons.push('refresh_due');
+    if (row.refresh_failure_count > 0) reasons.push('refresh_failures');
+    // Agency-minted location tokens are re-minted, everything else needs a refresh token
+    if (!row.has_refresh_token && !row.parent_installation_id) reasons.push('no_refresh_token');
+    if (reasons.some(reason => reason !== 'refresh_due')) state = 'degraded';
+  }
+
+  return {
+    state,
+    reasons,
+    expires_in_seconds: Math.round(expiresInMs / 1000),
+    refresh_failure_count: row.refresh_failure_count,
+    max_refresh_failures: maxFailures,
+    last_token_refresh: row.last_token_refresh,
+    last_error: row.last_error,
+    last_error_at: row.last_error_at
+  };
+}
+
+/**
+ * Nest location installations under their agency for ?view=tree. A location minted from an
+ * agency belongs to that installation only; one installed directly belongs to every agency
+ * installation of the same app for its company, and is marked linked: false.
+ * @param {Object[]} agencies - Agency installation rows
+ * @param {Object[]} locations - Location installation rows (parent_installation_id or company_id among the agencies)
+ * @returns {Object[]} - [{ ...agency, locations: [{ ...location, linked }] }]
+ */
+function groupInstallationTree(agencies, locations) {
+  return agencies.map(agency => ({
+    ...agency,
+    locations: locations
+      .filter(location => location.parent_installation_id
+        ? location.parent_installation_id === agency.id
+        : location.company_id === agency.agency_id && location.app_id === agency.app_id)
+      .map(location => ({ ...location, linked: location.parent_installation_id === agency.id }))
+  }));
+}
+
+module.exports = {
+  InstallationFilterError,
+  isUuid,
+  parseInstallationFilters,
+  buildInstallationQuery,
+  pageOf,
+  installationHealth,
+  groupInstallationTree
+};
@@ -0,0 +1,159 @@
+/**
+ * Installation Status - what failed token refreshes do to an installation, and the typed
+ * errors proxy callers get for installations that cannot be used
+ *
+ * active -> expired  HighLevel answered invalid_grant (the refresh token is dead), or keeps
+ *                    rejecting freshly refreshed tokens: only a reinstall helps
+ * active -> error    maxFailures consecutive failed refreshes of any other kind; an admin
+ *                    reset (or the next successful refresh) returns it to active
+ * Installations that are not active keep their status; failures are still counted.
+ */
+
+class TokenRefreshError extends Error {
+  constructor(message, { status = null, data = null } = {}) {
+    super(message);
+    this.name = 'TokenRefreshError';
+    this.status = status;
+    this.data = data;
+  }
+
+  // OAuth error code from HighLevel's response body (e.g. invalid_grant)
+  get oauthError() {
+    return typeof this.data === 'object' && this.data ? this.data.error || null : null;
+  }
+
+  // The refresh token is dead; retrying cannot help
+  get isInvalidGrant() {
+    return this.oauthError === 'invalid_grant';
+  }
+
+  // Network errors, 429 and 5xx may succeed on a later attempt
+  get isTransient() {
+    return !this.isInvalidGrant && (!this.status || this.status === 429 || this.status >= 500);
+  }
+}
+
+// Why an installation cannot be used, returned to proxy callers as a typed error
+const INSTALLATION_UNAVAILABLE = {
+  expired: {
+    httpStatus: 401,
+    code: 'INSTALLATION_EXPIRED',
+    reason: 'HighLevel rejected the installation\'s tokens; the app must be reinstalled for this tenant'
+  },
+  error: {
+    httpStatus: 503,
+    code: 'INSTALLATION_ERROR',
+    reason: 'Token refresh failed repeatedly; an admin must reset the installation'
+  },
+  revoked: {
+    httpStatus: 403,
+    code: 'INSTALLATION_REVOKED',
+    reason: 'The installation was disconnected; the app must be reinstalled for this tenant'
+  }
+};
+
+class InstallationUnavailableError extends Error {
+  constructor(installation) {
+    const details = INSTALLATION_UNAVAILABLE[installation.status] || INSTALLATION_UNAVAILABLE.error;
+    super(details.reason);
+    this.name = 'InstallationUnavailableError';
+    this.httpStatus = details.httpStatus;
+    this.code = details.code;
+    this.installation = installation;
+  }
+
+  toJSON() {
+    return {
+      error: 'Installation unavailable',
+      code: this.code,
+      status: this.installation.status,
+      reason: this.message,
+      installation_id: this.installation.id,
+      last_error: this.installation.last_error || null,
+      last_error_at: this.installation.last_error_at || null
+    };
+  }
+}
+
+/**
+ * last_error text for a failed refresh: "HTTP 400 - invalid_grant - <description>"
+ * @param {Error} error
+ * @returns {string}
+ */
+function refreshFailureMessage(error) {
+  return [
+    error.status ? `HTTP ${error.status}` : null,
+    error.oauthError || null,
+    error.data?.error_description || error.message
+  ].filter(Boolean).join(' - ').substring(0, 1000);
+}
+
+class InstallationStatusStore {
+  /**
+   * @param {Object} options
+   * @param {import('pg').Pool} options.db
+   * @param {number} options.maxFailures - Consecutive failed refreshes that put an installation in error
+   */
+  constructor({ db, maxFailures }) {
+    this.db = db;
+    this.maxFailures = maxFailures;
+  }
+
+  /**
+   * Record a failed refresh and apply the status rules in one statement
+   * @param {string} installationId
+   * @param {Error} error - TokenRefreshError from HighLevel, or any other failure
+   * @returns {Promise<Object|null>} - { previous_status, status, refresh_failure_count }
+   */
+  async recordRefreshFailure(installationId, error) {
+    const invalidGrant = error instanceof TokenRefreshError && error.isInvalidGrant;
+
+    const result = await this.db.query(
+      `UPDATE hl_installations hi
+          SET refresh_failure_count = hi.refresh_failure_count + 1,
+              last_error = $2,
+              last_error_at = NOW(),
+              status = CASE
+                WHEN hi.status <> 'active' THEN hi.status
+                WHEN $3 THEN 'expired'
+                WHEN hi.refresh_failure_count + 1 >= $4 THEN 'error'
+                ELSE hi.status
+              END,
+              updated_at = NOW()
+         FROM hl_installations prev
+        WHERE hi.id = $1 AND prev.id = hi.id
+        RETURNING prev.status AS previous_status, hi.status, hi.refresh_failure_count`,
+      [installationId, refreshFailureMessage(error), invalidGrant, this.maxFailures]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * HighLevel keeps rejecting freshly refreshed tokens - only a reinstall will help
+   * @returns {Promise<Object|null>} - Updated row with previous_status
+   */
+  async markReauthorizationRequired(installationId, lastError) {
+    const result = await this.db.query(
+      `UPDATE hl_installations hi
+          SET status = CASE WHEN hi.status = 'active' THEN 'expired' ELSE hi.status END,
+              last_error = $2,
+              last_error_at = NOW(),
+              updated_at = NOW()
+         FROM hl_installations prev
+        WHERE hi.id = $1 AND prev.id = hi.id
+        RETURNING prev.status AS previous_status, hi.*`,
+      [installationId, lastError.substring(0, 1000)]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = {
+  TokenRefreshError,
+  INSTALLATION_UNAVAILABLE,
+  InstallationUnavailableError,
+  refreshFailureMessage,
+  InstallationStatusStore
+};
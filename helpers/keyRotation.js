@@ -0,0 +1,150 @@
+/**
+ * Key Rotation Job - re-wraps stored installation tokens and app client secrets to the current master key
+ * Walks hl_installations, then hl_apps, in id order so a rotation can run online in the background.
+ * Legacy rows (no data key) are moved onto envelope encryption as they are visited.
+ */
+
+// Tables holding sealed values, and which columns map onto the provider's access/refresh slots
+const SEALED_TABLES = [
+  { table: 'hl_installations', label: 'installation', access: 'access_token', refresh: 'refresh_token' },
+  { table: 'hl_apps', label: 'app', access: 'client_secret', refresh: null }
+];
+
+class KeyRotationJob {
+  /**
+   * @param {Object} deps
+   * @param {import('pg').Pool} deps.db - Database pool
+   * @param {import('./encryptionProviders').EnvelopeEncryptionProvider} deps.provider - Encryption provider
+   * @param {Object} deps.logger - Winston logger
+   * @param {number} [deps.batchSize] - Rows read per query
+   */
+  constructor({ db, provider, logger, batchSize = 100 }) {
+    this.db = db;
+    this.provider = provider;
+    this.logger = logger;
+    this.batchSize = batchSize;
+    this.state = { status: 'idle' };
+    this.running = null;
+  }
+
+  /**
+   * Start a rotation in the background; returns the current status if one is already running
+   * @param {Object} [meta] - Who/what triggered the run (stored on the status)
+   * @returns {Object} - Job status snapshot
+   */
+  start(meta = {}) {
+    if (this.running) {
+      return this.status();
+    }
+
+    this.state = {
+      status: 'running',
+      provider: this.provider.name,
+      triggeredBy: meta.triggeredBy || null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      scanned: 0,
+      reencrypted: 0,
+      skipped: 0,
+      failed: 0,
+      error: null
+    };
+
+    this.running = this.run()
+      .then(() => {
+        this.state.status = 'completed';
+      })
+      .catch((error) => {
+        this.state.status = 'failed';
+        this.state.error = error.message;
+        this.logger.error('Key rotation job failed:', { error: error.message });
+      })
+      .finally(() => {
+        this.state.finishedAt = new Date().toISOString();
+        this.running = null;
+        this.logger.info('Key rotation job finished', this.status());
+      });
+
+    return this.status();
+  }
+
+  status() {
+    return { ...this.state };
+  }
+
+  async run() {
+    this.logger.info('Key rotation job started', { provider: this.state.provider });
+
+    for (const table of SEALED_TABLES) {
+      await this.rotateTable(table);
+    }
+  }
+
+  async rotateTable(table) {
+    let lastId = null;
+
+    for (;;) {
+      const { rows } = await this.db.query(
+        `SELECT id, ${table.access} AS access_token, ${table.refresh || 'NULL'} AS refresh_token, data_key, key_provider
+           FROM ${table.table}
+          WHERE ($1::uuid IS NULL OR id > $1::uuid)
+          ORDER BY id
+          LIMIT $2`,
+        [lastId, this.batchSize]
+      );
+
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        this.state.scanned++;
+        await this.rotateRow(table, row);
+      }
+
+      lastId = rows[rows.length - 1].id;
+    }
+  }
+
+  async rotateRow(table, row) {
+    try {
+      const sealed = await this.provider.resealTokens(row);
+
+      if (!sealed) {
+        this.state.skipped++;
+        return;
+      }
+
+      // Compare-and-swap: a token refresh (or secret update) that landed meanwhile already wrote with the current key
+      const params = [row.id, sealed.access_token, sealed.data_key, sealed.key_provider, row.access_token, row.data_key];
+      let refreshColumn = '';
+      if (table.refresh) {
+        params.push(sealed.refresh_token);
+        refreshColumn = `, ${table.refresh} = $${params.length}`;
+      }
+      const result = await this.db.query(
+        `UPDATE ${table.table}
+            SET ${table.access} = $2${refreshColumn}, data_key = $3, key_provider = $4
+          WHERE id = $1
+            AND ${table.access} = $5
+            AND data_key IS NOT DISTINCT FROM $6`,
+        params
+      );
+
+      if (result.rowCount === 1) {
+        this.state.reencrypted++;
+      } else {
+        this.state.skipped++;
+      }
+    } catch (error) {
+      this.state.failed++;
+      this.logger.error(`Key rotation failed for ${table.label}`, {
+        table: table.table,
+        id: row.id,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = {
+  KeyRotationJob
+};
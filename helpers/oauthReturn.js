@@ -0,0 +1,189 @@
+/**
+ * OAuth Return - PKCE and resume-after-install support for /oauth/start
+ *
+ * The onboarding UI mints a short-lived start context (HS256 JWT with purpose "oauth_start",
+ * signed with a key derived from the S2S secret, never the secret itself, since the token travels
+ * in browser URLs) carrying a return_to URL and an opaque context. Both are stored
+ * with the state; after the callback the browser is sent back to return_to with the outcome
+ * in HMAC-signed query parameters so the UI can resume where the user left off.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const START_CONTEXT_PURPOSE = 'oauth_start';
+
+// Parameters appended to return_to and covered by the signature (return_to's own query is left alone)
+const RETURN_PARAMS = ['status', 'error', 'installation_id', 'location_id', 'agency_id', 'conversion_job_id', 'context', 'ts'];
+
+class StartContextError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StartContextError';
+    this.code = 'INVALID_START_CONTEXT';
+  }
+}
+
+// Start contexts get their own key so a leaked install link can't pass as an S2S token
+function startContextKey(secret) {
+  return crypto.createHmac('sha256', secret).update(START_CONTEXT_PURPOSE).digest();
+}
+
+/**
+ * Mint a start context token for /oauth/start?ctx=
+ * @param {Object} options
+ * @param {string} options.secret - S2S shared secret
+ * @param {string|null} [options.returnTo]
+ * @param {*} [options.context]
+ * @param {string|number} [options.expiresIn]
+ * @returns {string}
+ */
+function signStartContext({ secret, returnTo = null, context = null, expiresIn = '15m' }) {
+  return jwt.sign({
+    purpose: START_CONTEXT_PURPOSE,
+    return_to: returnTo,
+    context
+  }, startContextKey(secret), { algorithm: 'HS256', expiresIn });
+}
+
+/**
+ * New PKCE verifier and its S256 challenge (RFC 7636)
+ * @returns {{ codeVerifier: string, codeChallenge: string, codeChallengeMethod: string }}
+ */
+function createPkcePair() {
+  const codeVerifier = crypto.randomBytes(48).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge, codeChallengeMethod: 'S256' };
+}
+
+/**
+ * Check a return_to URL: absolute http(s), and on the allow-list when one is configured
+ * @param {string} returnTo
+ * @param {string[]} [allowedOrigins] - e.g. ['https://app.example.com']; empty allows any origin
+ * @returns {boolean}
+ */
+function isAllowedReturnTo(returnTo, allowedOrigins = []) {
+  let url;
+  try {
+    url = new URL(returnTo);
+  } catch (error) {
+    return false;
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return false;
+  return allowedOrigins.length === 0 || allowedOrigins.includes(url.origin);
+}
+
+/**
+ * Verify a start context token passed as ?ctx= to /oauth/start
+ * @param {string} token
+ * @param {Object} options
+ * @param {string} options.secret - S2S shared secret
+ * @param {string[]} [options.allowedOrigins] - return_to origin allow-list
+ * @param {number} [options.maxContextBytes] - Size cap for the serialized context
+ * @returns {{ returnTo: string|null, context: * }}
+ * @throws {StartContextError}
+ */
+function verifyStartContext(token, { secret, allowedOrigins = [], maxContextBytes = 2048 }) {
+  let claims;
+  try {
+    claims = jwt.verify(token, startContextKey(secret), { algorithms: ['HS256'] });
+  } catch (error) {
+    throw new StartContextError(`Start context rejected: ${error.message}`);
+  }
+
+  if (claims.purpose !== START_CONTEXT_PURPOSE) {
+    throw new StartContextError('Start context has the wrong purpose');
+  }
+
+  const returnTo = claims.return_to || null;
+  if (returnTo && !isAllowedReturnTo(returnTo, allowedOrigins)) {
+    throw new StartContextError('return_to is not an allowed URL');
+  }
+
+  const context = claims.context === undefined ? null : claims.context;
+  if (Buffer.byteLength(JSON.stringify(context)) > maxContextBytes) {
+    throw new StartContextError(`context exceeds ${maxContextBytes} bytes`);
+  }
+
+  return { returnTo, context };
+}
+
+class ReturnUrlSigner {
+  /**
+   * @param {Object} options
+   * @param {string} options.secret - Signing secret (a label-derived key is used)
+   */
+  constructor({ secret }) {
+    this.key = crypto.createHmac('sha256', secret).update('hl_oauth_return').digest();
+  }
+
+  // Signature over the sorted, encoded return parameters present in params
+  sign(params) {
+    const canonical = RETURN_PARAMS
+      .filter(name => params[name] !== undefined)
+      .sort()
+      .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(params[name])}`)
+      .join('&');
+    return crypto.createHmac('sha256', this.key).update(canonical).digest('base64url');
+  }
+
+  /**
+   * return_to with the outcome appended as signed query parameters
+   * @param {string} returnTo
+   * @param {Object} outcome - RETURN_PARAMS values, e.g. { status: 'success', installation_id, location_id }; null/undefined values are dropped
+   * @param {*} [context] - Opaque context from the start context, sent back as JSON
+   * @returns {string}
+   */
+  buildUrl(returnTo, outcome, context = null) {
+    const params = {};
+    for (const name of RETURN_PARAMS) {
+      if (outcome[name] !== undefined && outcome[name] !== null) params[name] = String(outcome[name]);
+    }
+    if (context !== null && context !== undefined) params.context = JSON.stringify(context);
+    params.ts = String(Date.now());
+    params.sig = this.sign(params);
+
+    const url = new URL(returnTo);
+    for (const [name, value] of Object.entries(params)) url.searchParams.set(name, value);
+    return url.toString();
+  }
+
+  /**
+   * Verify the parameters a return_to page received (for the onboarding UI backend)
+   * @param {Object} query - Parsed query string
+   * @param {number} [maxAgeMs]
+   * @returns {Object|null} - Outcome with context parsed, or null if tampered/expired
+   */
+  verify(query, maxAgeMs = 10 * 60 * 1000) {
+    if (!query?.sig || !query.ts) return null;
+
+    const expected = Buffer.from(this.sign(query));
+    const actual = Buffer.from(String(query.sig));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+    if (Date.now() - Number(query.ts) > maxAgeMs) return null;
+
+    const outcome = {};
+    for (const name of RETURN_PARAMS) {
+      if (query[name] !== undefined) outcome[name] = query[name];
+    }
+    if (outcome.context !== undefined) {
+      try {
+        outcome.context = JSON.parse(outcome.context);
+      } catch (error) {
+        return null;
+      }
+    }
+    return outcome;
+  }
+}
+
+module.exports = {
+  START_CONTEXT_PURPOSE,
+  RETURN_PARAMS,
+  StartContextError,
+  createPkcePair,
+  isAllowedReturnTo,
+  signStartContext,
+  verifyStartContext,
+  ReturnUrlSigner
+};
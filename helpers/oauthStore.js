@@ -1,91 +1,180 @@
 /**
- * OAuth State Persistence Kit - Postgres-backed Stores
- * Handles state persistence and code deduplication using PostgreSQL
+ * OAuth State Persistence Kit - OAuthStateStore
+ * Handles state persistence and authorization code deduplication for /oauth/start and
+ * /oauth/callback. One interface, two backends chosen at startup:
+ * - PostgresOAuthStateStore: oauth_state / oauth_used_codes (works across replicas and restarts)
+ * - MemoryOAuthStateStore: per process, for local development and tests
+ *
+ * Both use the same TTL semantics: a state expires stateTtlMs after it was created, and a
+ * used code is remembered for codeTtlMs after its first use.
  */
 
-const crypto = require('crypto');
-const { Pool } = require('pg');
+class PostgresOAuthStateStore {
+  /**
+   * @param {Object} options
+   * @param {import('pg').Pool} options.db
+   * @param {number} options.stateTtlMs
+   * @param {number} options.codeTtlMs
+   */
+  constructor({ db, stateTtlMs, codeTtlMs }) {
+    this.backend = 'postgres';
+    this.db = db;
+    this.stateTtlMs = stateTtlMs;
+    this.codeTtlMs = codeTtlMs;
+  }
 
-const pool = new Pool({ connectionString: process.env.DATABASE_URL });
-const ttlMinutes = parseInt(process.env.STATE_TTL_MIN || '20', 10);
+  /**
+   * Store a new state token
+   * @param {string} state - URL-safe random state
+   * @param {Object} data - { clientId, redirectUri, codeVerifier?, returnTo?, context? }
+   */
+  async saveState(state, { clientId, redirectUri, codeVerifier = null, returnTo = null, context = null }) {
+    await this.db.query(
+      `INSERT INTO oauth_state (state, client_id, redirect_uri, code_verifier, return_to, context, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW() + ($7 || ' milliseconds')::interval)`,
+      [state, clientId, redirectUri, codeVerifier, returnTo, context === null ? null : JSON.stringify(context), this.stateTtlMs]
+    );
+  }
 
-/**
- * Create a new state token and store it in the database
- * @param {string} clientId - HighLevel client ID
- * @param {string} redirectUri - OAuth redirect URI
- * @returns {Promise<string>} - Generated state token
- */
-async function createState(clientId, redirectUri) {
-  const state = crypto.randomBytes(16).toString('base64url'); // URL-safe
-  await pool.query(
-    `INSERT INTO oauth_state(state, client_id, redirect_uri, expires_at)
-     VALUES ($1,$2,$3, NOW() + ($4 || ' minutes')::interval)`,
-    [state, clientId, redirectUri, ttlMinutes]
-  );
-  return state;
-}
+  /**
+   * Consume a state token (delete and return its data)
+   * @param {string} state - State token to consume
+   * @returns {Promise<Object|null>} - { clientId, redirectUri, codeVerifier, returnTo, context, createdAt } or null if invalid/expired
+   */
+  async consumeState(state) {
+    if (!state) return null;
 
-/**
- * Consume a state token (delete and return its data)
- * @param {string} state - State token to consume
- * @returns {Promise<Object|null>} - State data or null if invalid/expired
- */
-async function consumeState(state) {
-  const { rows } = await pool.query(
-    `DELETE FROM oauth_state
-       WHERE state = $1 AND expires_at > NOW()
-     RETURNING client_id, redirect_uri, expires_at`,
-    [state]
-  );
-  return rows[0] || null; // null = invalid/expired
-}
+    const { rows } = await this.db.query(
+      `DELETE FROM oauth_state
+         WHERE state = $1 AND expires_at > NOW()
+       RETURNING client_id, redirect_uri, code_verifier, return_to, context, created_at`,
+      [state]
+    );
+    const row = rows[0];
+    return row ? {
+      clientId: row.client_id,
+      redirectUri: row.redirect_uri,
+      codeVerifier: row.code_verifier,
+      returnTo: row.return_to,
+      context: row.context,
+      createdAt: row.created_at
+    } : null;
+  }
 
-/**
- * Mark an authorization code as used to prevent reuse
- * @param {string} code - Authorization code
- * @param {number} ttlMin - TTL in minutes (default: 10)
- */
-async function markCodeUsed(code, ttlMin = 10) {
-  await pool.query(
-    `INSERT INTO oauth_used_codes(code, expires_at)
-     VALUES ($1, NOW() + ($2 || ' minutes')::interval)
-     ON CONFLICT (code) DO NOTHING`,
-    [code, ttlMin]
-  );
+  /**
+   * Atomically check-and-mark an authorization code as used
+   * @param {string} code - Authorization code
+   * @returns {Promise<boolean>} - true on first use, false if the code was already used
+   */
+  async claimCode(code) {
+    // An expired marker is taken over, so the check and the mark are a single statement
+    const { rowCount } = await this.db.query(
+      `INSERT INTO oauth_used_codes (code, expires_at)
+       VALUES ($1, NOW() + ($2 || ' milliseconds')::interval)
+       ON CONFLICT (code) DO UPDATE
+          SET created_at = NOW(),
+              expires_at = EXCLUDED.expires_at
+        WHERE oauth_used_codes.expires_at <= NOW()
+       RETURNING code`,
+      [code, this.codeTtlMs]
+    );
+    return rowCount > 0;
+  }
+
+  /**
+   * Clean up expired state tokens and used codes
+   * @returns {Promise<{ states: number, codes: number }>}
+   */
+  async cleanupExpired() {
+    const stateResult = await this.db.query('DELETE FROM oauth_state WHERE expires_at <= NOW()');
+    const codesResult = await this.db.query('DELETE FROM oauth_used_codes WHERE expires_at <= NOW()');
+    return { states: stateResult.rowCount, codes: codesResult.rowCount };
+  }
 }
 
-/**
- * Check if an authorization code has been used
- * @param {string} code - Authorization code to check
- * @returns {Promise<boolean>} - True if code has been used
- */
-async function isCodeUsed(code) {
-  const { rows } = await pool.query(
-    `SELECT 1 FROM oauth_used_codes
-      WHERE code=$1 AND expires_at > NOW()`,
-    [code]
-  );
-  return rows.length > 0;
+class MemoryOAuthStateStore {
+  constructor({ stateTtlMs, codeTtlMs }) {
+    this.backend = 'memory';
+    this.stateTtlMs = stateTtlMs;
+    this.codeTtlMs = codeTtlMs;
+    this.states = new Map(); // state -> { clientId, redirectUri, codeVerifier, returnTo, context, createdAt, expiresAt }
+    this.usedCodes = new Map(); // code -> expiresAt
+  }
+
+  async saveState(state, { clientId, redirectUri, codeVerifier = null, returnTo = null, context = null }) {
+    const now = Date.now();
+    this.states.set(state, {
+      clientId,
+      redirectUri,
+      codeVerifier,
+      returnTo,
+      context,
+      createdAt: new Date(now),
+      expiresAt: now + this.stateTtlMs
+    });
+  }
+
+  async consumeState(state) {
+    const entry = this.states.get(state);
+    if (!entry) return null;
+
+    this.states.delete(state);
+    if (Date.now() >= entry.expiresAt) return null;
+
+    const { expiresAt, ...data } = entry;
+    return data;
+  }
+
+  async claimCode(code) {
+    const expiresAt = this.usedCodes.get(code);
+    if (expiresAt && Date.now() < expiresAt) return false;
+
+    this.usedCodes.set(code, Date.now() + this.codeTtlMs);
+    return true;
+  }
+
+  async cleanupExpired() {
+    const now = Date.now();
+    let states = 0;
+    let codes = 0;
+
+    for (const [state, entry] of this.states.entries()) {
+      if (now >= entry.expiresAt) {
+        this.states.delete(state);
+        states++;
+      }
+    }
+    for (const [code, expiresAt] of this.usedCodes.entries()) {
+      if (now >= expiresAt) {
+        this.usedCodes.delete(code);
+        codes++;
+      }
+    }
+    return { states, codes };
+  }
 }
 
 /**
- * Clean up expired state tokens and used codes (maintenance function)
+ * Build the configured store
+ * @param {Object} options
+ * @param {string} [options.backend] - 'postgres' (default) or 'memory'
+ * @param {import('pg').Pool} [options.db] - Required for postgres
+ * @param {number} [options.stateTtlMs]
+ * @param {number} [options.codeTtlMs]
+ * @returns {PostgresOAuthStateStore|MemoryOAuthStateStore}
  */
-async function cleanupExpired() {
-  const stateResult = await pool.query(
-    `DELETE FROM oauth_state WHERE expires_at <= NOW()`
-  );
-  const codesResult = await pool.query(
-    `DELETE FROM oauth_used_codes WHERE expires_at <= NOW()`
-  );
-  
-  console.log(`Cleaned up ${stateResult.rowCount} expired states, ${codesResult.rowCount} expired codes`);
+function createOAuthStateStore({ backend = 'postgres', db, stateTtlMs = 20 * 60 * 1000, codeTtlMs = 10 * 60 * 1000 }) {
+  if (backend === 'memory') {
+    return new MemoryOAuthStateStore({ stateTtlMs, codeTtlMs });
+  }
+  if (backend !== 'postgres') {
+    throw new Error(`Unknown OAUTH_STATE_STORE "${backend}" (expected postgres or memory)`);
+  }
+  return new PostgresOAuthStateStore({ db, stateTtlMs, codeTtlMs });
 }
 
 module.exports = {
-  createState,
-  consumeState,
-  markCodeUsed,
-  isCodeUsed,
-  cleanupExpired
-};
\ No newline at end of file
+  PostgresOAuthStateStore,
+  MemoryOAuthStateStore,
+  createOAuthStateStore
+};
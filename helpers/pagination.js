@@ -0,0 +1,148 @@
+/**
+ * Pagination - HighLevel cursor handling for /proxy/hl/paginate
+ *
+ * HighLevel list endpoints return the page items next to a `meta` object carrying the
+ * next cursor: `startAfter` + `startAfterId` (contacts, opportunities), a `nextPageUrl`,
+ * or a `nextPage` number. Continuation tokens are HMAC-signed so callers can resume a
+ * walk without being able to point it at another tenant or endpoint.
+ */
+
+const crypto = require('crypto');
+
+const CURSOR_PARAMS = ['startAfter', 'startAfterId', 'page'];
+
+/**
+ * Items of one page: body[itemsKey], or the first array property that isn't meta
+ * @param {Object} body - Parsed HighLevel response
+ * @param {string} [itemsKey]
+ * @returns {{ key: string|null, items: Array }}
+ */
+function extractItems(body, itemsKey = null) {
+  if (!body || typeof body !== 'object') return { key: null, items: [] };
+  if (itemsKey) return { key: itemsKey, items: Array.isArray(body[itemsKey]) ? body[itemsKey] : [] };
+
+  const key = Object.keys(body).find(name => name !== 'meta' && Array.isArray(body[name]));
+  return { key: key || null, items: key ? body[key] : [] };
+}
+
+/**
+ * Cursor for the page after this one
+ * @param {Object} body - Parsed HighLevel response
+ * @returns {Object|null} - Query params to merge into the next request, or null on the last page
+ */
+function nextCursor(body) {
+  const meta = body?.meta;
+  if (!meta) return null;
+
+  if (meta.startAfterId || meta.startAfter) {
+    const cursor = {};
+    if (meta.startAfter !== undefined && meta.startAfter !== null) cursor.startAfter = String(meta.startAfter);
+    if (meta.startAfterId) cursor.startAfterId = String(meta.startAfterId);
+    return cursor;
+  }
+
+  if (meta.nextPageUrl) {
+    const params = new URL(meta.nextPageUrl, 'http://hl.invalid').searchParams;
+    const cursor = {};
+    for (const name of CURSOR_PARAMS) {
+      if (params.has(name)) cursor[name] = params.get(name);
+    }
+    return Object.keys(cursor).length > 0 ? cursor : null;
+  }
+
+  if (meta.nextPage) {
+    return { page: String(meta.nextPage) };
+  }
+
+  return null;
+}
+
+/**
+ * Endpoint with the cursor (and optional page size) set on its query string
+ * @param {string} endpoint - e.g. /contacts/?locationId=abc
+ * @param {Object|null} cursor
+ * @param {number} [pageSize]
+ * @returns {string}
+ */
+function applyCursor(endpoint, cursor, pageSize = null) {
+  const url = new URL(endpoint, 'http://hl.invalid');
+  for (const name of CURSOR_PARAMS) url.searchParams.delete(name);
+  for (const [name, value] of Object.entries(cursor || {})) url.searchParams.set(name, value);
+  if (pageSize) url.searchParams.set('limit', String(pageSize));
+
+  return url.pathname + url.search;
+}
+
+class ContinuationTokens {
+  /**
+   * @param {Object} options
+   * @param {string} options.secret - Signing secret (a label-derived key is used)
+   * @param {number} [options.ttlMs] - How long a continuation token stays valid
+   */
+  constructor({ secret, ttlMs = 24 * 60 * 60 * 1000 }) {
+    this.key = crypto.createHmac('sha256', secret).update('hl_paginate_continuation').digest();
+    this.ttlMs = ttlMs;
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.key).update(payload).digest('base64url');
+  }
+
+  /**
+   * @param {Object} state - { sub, endpoint, cursor, itemsKey, pageSize }
+   * @returns {string}
+   */
+  encode(state) {
+    const payload = Buffer.from(JSON.stringify({ ...state, exp: Date.now() + this.ttlMs })).toString('base64url');
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * Verify and unpack a continuation token
+   * @param {string} token
+   * @returns {Object|null} - State passed to encode(), or null if tampered/expired/malformed
+   */
+  decode(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+      const state = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return state.exp > Date.now() ? state : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Write one NDJSON record, waiting for the socket to drain (or close) when its buffer is full
+ * @param {import('express').Response} res
+ * @param {Object} record
+ * @returns {Promise<void>}
+ */
+function writeNdjson(res, record) {
+  if (res.write(`${JSON.stringify(record)}\n`) || res.destroyed) return Promise.resolve();
+
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+module.exports = {
+  extractItems,
+  nextCursor,
+  applyCursor,
+  ContinuationTokens,
+  writeNdjson
+};
@@ -0,0 +1,116 @@
+/**
+ * Proxy Batch - run many HighLevel calls for one tenant from a single S2S request
+ *
+ * Each sub-request is executed on its own (allow-list, scope check, rate limit, upstream
+ * call) and gets its own result; a failed item never fails the batch. With stopOnError,
+ * items that had not started when something failed are reported as skipped. The
+ * transactional report runs items one at a time and lists the writes that were applied
+ * before the first failure, so the caller can compensate.
+ */
+
+const { mapWithConcurrency } = require('./retry.js');
+
+// Methods that change nothing upstream - never listed as applied in a transactional report
+const READ_ONLY_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * Check the shape of a batch before anything runs
+ * @param {*} requests - req.body.requests
+ * @param {number} maxRequests
+ * @returns {Object|null} - { status, body } to reject the batch with, or null if it is valid
+ */
+function validateBatchRequests(requests, maxRequests) {
+  if (!Array.isArray(requests) || requests.length === 0) {
+    return { status: 400, body: { error: 'requests must be a non-empty array' } };
+  }
+
+  if (requests.length > maxRequests) {
+    return { status: 413, body: { error: 'Too many requests in batch', code: 'BATCH_TOO_LARGE', max_requests: maxRequests } };
+  }
+
+  const invalid = requests.findIndex(item => !item || typeof item.method !== 'string' || typeof item.endpoint !== 'string');
+  if (invalid !== -1) {
+    return { status: 400, body: { error: 'Each request needs a method and endpoint', index: invalid } };
+  }
+
+  return null;
+}
+
+/**
+ * Where a transactional batch got to: committed, partially_applied or not_applied
+ * @param {Array<Object>} results - Per-item results from runBatch
+ * @returns {Object}
+ */
+function transactionReport(results) {
+  const firstFailure = results.find(result => !result.ok && !result.skipped);
+  const applied = results
+    .filter(result => result.ok && !READ_ONLY_METHODS.has(result.method))
+    .map(({ id, method, endpoint, status }) => ({ id, method, endpoint, status }));
+
+  return {
+    status: !firstFailure ? 'committed' : applied.length > 0 ? 'partially_applied' : 'not_applied',
+    failed_at: firstFailure ? { id: firstFailure.id, index: firstFailure.index, status: firstFailure.status } : null,
+    applied,
+    not_attempted: results.filter(result => result.skipped).map(result => result.id)
+  };
+}
+
+/**
+ * Run a validated batch
+ * @param {Array<Object>} requests - [{ id?, method, endpoint, data?, headers? }]
+ * @param {Object} options
+ * @param {number} options.concurrency - Items in flight at once (1 when transactional)
+ * @param {boolean} [options.stopOnError] - Skip items not yet started once one fails
+ * @param {boolean} [options.transactional] - Run sequentially, stop at the first failure and add a transaction report
+ * @param {Function} execute - async ({ method, endpoint, data, headers }, index) => { status, body };
+ *   a status >= 400 is a failed item, and so is a throw (reported as a 500)
+ * @returns {Promise<Object>} - { summary, results, transaction? }
+ */
+async function runBatch(requests, { concurrency, stopOnError = false, transactional = false }, execute) {
+  const stopAfterFailure = transactional || stopOnError;
+  let stopped = false;
+
+  const runItem = async (item, index) => {
+    const id = item.id !== undefined && item.id !== null ? String(item.id) : String(index);
+    const method = item.method.toUpperCase();
+    const { endpoint } = item;
+
+    if (stopped) {
+      return { id, index, method, endpoint, status: null, skipped: true, ok: false };
+    }
+
+    let outcome;
+    try {
+      outcome = await execute({ method, endpoint, data: item.data || null, headers: item.headers || {} }, index);
+    } catch (error) {
+      outcome = { status: 500, body: { error: 'Proxy request failed' } };
+    }
+
+    const ok = outcome.status < 400;
+    if (!ok && stopAfterFailure) stopped = true;
+    return { id, index, method, endpoint, status: outcome.status, body: outcome.body, ok };
+  };
+
+  const settled = await mapWithConcurrency(requests, transactional ? 1 : concurrency, runItem);
+  const results = settled.map(result => result.value);
+
+  const summary = {
+    total: results.length,
+    succeeded: results.filter(result => result.ok).length,
+    failed: results.filter(result => !result.ok && !result.skipped).length,
+    skipped: results.filter(result => result.skipped).length
+  };
+
+  const body = { summary, results };
+  if (transactional) {
+    body.transaction = transactionReport(results);
+  }
+  return body;
+}
+
+module.exports = {
+  READ_ONLY_METHODS,
+  validateBatchRequests,
+  transactionReport,
+  runBatch
+};
@@ -0,0 +1,583 @@
+/**
+ * Proxy Policy - declarative, per-method allow-list for /proxy/hl
+ *
+ * Policy document (JSON):
+ * {
+ *   "rules": [
+ *     { "id": "contacts-item", "path": "/contacts/:contactId", "methods": ["GET", "PUT"],
+ *       "scopes": { "GET": ["contacts.readonly"], "PUT": ["contacts.write"] } }
+ *   ]
+ * }
+ *
+ * Path patterns: ":name" matches one segment, a trailing "/*" matches the base path and
+ * anything below it. "regex" may be given instead of "path" for unusual shapes.
+ * "scopes" is either an array (all methods) or a map of method -> scopes; a call is only
+ * proxied when the installation was granted every scope listed for its method.
+ * "feature" groups rules for the capabilities report (defaults to the rule id).
+ * "cache" opts a rule's GET responses into the proxy response cache: seconds, or
+ * { "ttlSeconds": 300, "invalidateOn": ["LocationUpdate"] } to also drop entries on those webhooks.
+ * Sources, first match wins: HL_ALLOWED_ENDPOINTS_FILE, HL_ALLOWED_ENDPOINTS_JSON, built-in defaults.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+const DEFAULT_POLICY = {
+  rules: [
+    // Location endpoints
+    {
+      id: 'locations-search',
+      feature: 'locations',
+      path: '/locations/search',
+      methods: ['GET'],
+      scopes: { GET: ['locations.readonly'] }
+    },
+    {
+      id: 'location',
+      feature: 'locations',
+      path: '/locations/:locationId',
+      methods: ['GET'],
+      scopes: { GET: ['locations.readonly'] },
+      cache: { ttlSeconds: 300, invalidateOn: ['LocationUpdate'] }
+    },
+    {
+      id: 'location-contacts',
+      feature: 'contacts',
+      path: '/locations/:locationId/contacts/*',
+      methods: ['GET', 'POST'],
+      scopes: { GET: ['contacts.readonly'], POST: ['contacts.write'] }
+    },
+    {
+      id: 'location-opportunities',
+      feature: 'opportunities',
+      path: '/locations/:locationId/opportunities/*',
+      methods: ['GET', 'POST'],
+      scopes: { GET: ['opportunities.readonly'], POST: ['opportunities.write'] }
+    },
+    {
+      id: 'location-calendars',
+      feature: 'calendars',
+      path: '/locations/:locationId/calendars/*',
+      methods: ['GET'],
+      scopes: { GET: ['calendars.readonly'] },
+      cache: { ttlSeconds: 300, invalidateOn: ['CalendarCreate', 'CalendarUpdate', 'CalendarDelete'] }
+    },
+    {
+      id: 'location-users',
+      feature: 'users',
+      path: '/locations/:locationId/users/*',
+      methods: ['GET'],
+      scopes: { GET: ['users.readonly'] }
+    },
+    {
+      id: 'location-custom-fields',
+      feature: 'custom-fields',
+      path: '/locations/:locationId/custom-fields/*',
+      methods: ['GET', 'POST', 'PUT', 'DELETE'],
+      scopes: { GET: ['locations/customFields.readonly'], POST: ['locations/customFields.write'], PUT: ['locations/customFields.write'], DELETE: ['locations/customFields.write'] },
+      cache: { ttlSeconds: 600, invalidateOn: ['LocationUpdate'] }
+    },
+    {
+      id: 'location-tags',
+      feature: 'tags',
+      path: '/locations/:locationId/tags/*',
+      methods: ['GET', 'POST', 'PUT', 'DELETE'],
+      scopes: { GET: ['locations/tags.readonly'], POST: ['locations/tags.write'], PUT: ['locations/tags.write'], DELETE: ['locations/tags.write'] },
+      cache: { ttlSeconds: 600, invalidateOn: ['LocationUpdate'] }
+    },
+    {
+      id: 'location-workflows',
+      feature: 'workflows',
+      path: '/locations/:locationId/workflows/*',
+      methods: ['GET'],
+      scopes: { GET: ['workflows.readonly'] }
+    },
+
+    // OAuth endpoint for agency -> location token conversion
+    {
+      id: 'oauth-location-token',
+      feature: 'oauth',
+      path: '/oauth/locationToken',
+      methods: ['POST'],
+      scopes: { POST: ['oauth.write'] }
+    },
+
+    // Agency/Company endpoints
+    {
+      id: 'company',
+      feature: 'companies',
+      path: '/companies/:companyId',
+      methods: ['GET'],
+      scopes: { GET: ['companies.readonly'] }
+    },
+    {
+      id: 'company-locations',
+      feature: 'companies',
+      path: '/companies/:companyId/locations',
+      methods: ['GET'],
+      scopes: { GET: ['locations.readonly'] }
+    },
+    {
+      id: 'agency',
+      feature: 'companies',
+      path: '/agencies/:agencyId',
+      methods: ['GET'],
+      scopes: { GET: ['companies.readonly'] }
+    },
+    {
+      id: 'agency-locations',
+      feature: 'companies',
+      path: '/agencies/:agencyId/locations',
+      methods: ['GET'],
+      scopes: { GET: ['locations.readonly'] }
+    },
+
+    // Contact endpoints
+    {
+      id: 'contacts',
+      feature: 'contacts',
+      path: '/contacts',
+      methods: ['GET', 'POST'],
+      scopes: { GET: ['contacts.readonly'], POST: ['contacts.write'] }
+    },
+    // Search and upsert are POSTs on paths that contacts-item would otherwise claim
+    {
+      id: 'contacts-search',
+      feature: 'contacts',
+      path: '/contacts/search',
+      methods: ['POST'],
+      scopes: { POST: ['contacts.readonly'] }
+    },
+    {
+      id: 'contacts-upsert',
+      feature: 'contacts',
+      path: '/contacts/upsert',
+      methods: ['POST'],
+      scopes: { POST: ['contacts.write'] }
+    },
+    {
+      id: 'contacts-item',
+      feature: 'contacts',
+      path: '/contacts/:contactId',
+      methods: ['GET', 'PUT', 'DELETE'],
+      scopes: { GET: ['contacts.readonly'], PUT: ['contacts.write'], DELETE: ['contacts.write'] }
+    },
+    {
+      id: 'contact-notes',
+      feature: 'contacts',
+      path: '/contacts/:contactId/notes/*',
+      methods: ['GET', 'POST', 'PUT', 'DELETE'],
+      scopes: { GET: ['contacts.readonly'], POST: ['contacts.write'], PUT: ['contacts.write'], DELETE: ['contacts.write'] }
+    },
+    {
+      id: 'contact-tasks',
+      feature: 'contacts',
+      path: '/contacts/:contactId/tasks/*',
+      methods: ['GET', 'POST', 'PUT', 'DELETE'],
+      scopes: { GET: ['contacts.readonly'], POST: ['contacts.write'], PUT: ['contacts.write'], DELETE: ['contacts.write'] }
+    },
+    {
+      id: 'contact-appointments',
+      feature: 'contacts',
+      path: '/contacts/:contactId/appointments/*',
+      methods: ['GET'],
+      scopes: { GET: ['contacts.readonly'] }
+    },
+
+    // Opportunity endpoints
+    {
+      id: 'opportunities',
+      feature: 'opportunities',
+      path: '/opportunities',
+      methods: ['GET', 'POST'],
+      scopes: { GET: ['opportunities.readonly'], POST: ['opportunities.write'] }
+    },
+    {
+      id: 'opportunity-pipelines',
+      feature: 'opportunities',
+      path: '/opportunities/pipelines',
+      methods: ['GET'],
+      scopes: { GET: ['opportunities.readonly'] },
+      cache: { ttlSeconds: 600, invalidateOn: ['PipelineCreate', 'PipelineUpdate', 'PipelineDelete'] }
+    },
+    {
+      id: 'opportunities-upsert',
+      feature: 'opportunities',
+      path: '/opportunities/upsert',
+      methods: ['POST'],
+      scopes: { POST: ['opportunities.write'] }
+    },
+    {
+      id: 'opportunities-item',
+      feature: 'opportunities',
+      path: '/opportunities/:opportunityId',
+      methods: ['GET', 'PUT', 'DELETE'],
+      scopes: { GET: ['opportunities.readonly'], PUT: ['opportunities.write'], DELETE: ['opportunities.write'] }
+    },
+    {
+      id: 'opportunity-notes',
+      feature: 'opportunities',
+      path: '/opportunities/:opportunityId/notes/*',
+      methods: ['GET', 'POST', 'PUT', 'DELETE'],
+      scopes: { GET: ['opportunities.readonly'], POST: ['opportunities.write'], PUT: ['opportunities.write'], DELETE: ['opportunities.write'] }
+    },
+
+    // Calendar endpoints
+    {
+      id: 'calendar-events',
+      feature: 'calendars',
+      path: '/calendars/:calendarId/events/*',
+      methods: ['GET', 'POST', 'PUT', 'DELETE'],
+      scopes: { GET: ['calendars/events.readonly'], POST: ['calendars/events.write'], PUT: ['calendars/events.write'], DELETE: ['calendars/events.write'] }
+    },
+    {
+      id: 'calendar-slots',
+      feature: 'calendars',
+      path: '/calendars/:calendarId/slots/*',
+      methods: ['GET'],
+      scopes: { GET: ['calendars.readonly'] }
+    },
+
+    // Products and stores endpoints
+    {
+      id: 'products',
+      feature: 'products',
+      path: '/products/*',
+      methods: ['GET', 'POST', 'PUT', 'DELETE'],
+      scopes: { GET: ['products.readonly'], POST: ['products.write'], PUT: ['products.write'], DELETE: ['products.write'] }
+    },
+    {
+      id: 'stores',
+      feature: 'products',
+      path: '/stores/*',
+      methods: ['GET'],
+      scopes: { GET: ['products.readonly'] }
+    },
+
+    // Media endpoints
+    {
+      id: 'medias',
+      feature: 'medias',
+      path: '/medias/*',
+      methods: ['GET', 'POST', 'DELETE'],
+      scopes: { GET: ['medias.readonly'], POST: ['medias.write'], DELETE: ['medias.write'] }
+    }
+  ]
+};
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a path pattern ("/contacts/:contactId/notes/*") to an anchored RegExp
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function compilePath(pattern) {
+  const wildcard = pattern.endsWith('/*');
+  // Endpoints are matched without their trailing slash (normalizeEndpoint), so patterns are too
+  const base = (wildcard ? pattern.slice(0, -2) : pattern).replace(/(.)\/$/, '$1');
+  const body = base
+    .split('/')
+    .map(segment => (segment.startsWith(':') ? '[^/]+' : escapeRegex(segment)))
+    .join('/');
+  return new RegExp(`^${body}${wildcard ? '(?:/.*)?' : ''}$`);
+}
+
+/**
+ * Normalise per-rule scopes to a method -> scopes map
+ */
+function compileScopes(scopes, methods, ruleId) {
+  if (!scopes) return {};
+  if (Array.isArray(scopes)) {
+    return Object.fromEntries(methods.map(method => [method, scopes]));
+  }
+  if (typeof scopes === 'object') {
+    const compiled = {};
+    for (const [method, list] of Object.entries(scopes)) {
+      if (!Array.isArray(list)) {
+        throw new Error(`Rule "${ruleId}": scopes.${method} must be an array`);
+      }
+      compiled[method.toUpperCase()] = list;
+    }
+    return compiled;
+  }
+  throw new Error(`Rule "${ruleId}": scopes must be an array or a method map`);
+}
+
+/**
+ * Validate and compile a policy document
+ * @param {Object} document - Parsed policy JSON
+ * @returns {Object} - { rules, version }
+ */
+function compilePolicy(document) {
+  if (!document || !Array.isArray(document.rules)) {
+    throw new Error('Proxy policy must have a "rules" array');
+  }
+
+  const seen = new Set();
+  const rules = document.rules.map((rule, index) => {
+    const id = rule.id || `rule-${index + 1}`;
+    if (seen.has(id)) {
+      throw new Error(`Duplicate proxy policy rule id: ${id}`);
+    }
+    seen.add(id);
+
+    if (!rule.path && !rule.regex) {
+      throw new Error(`Rule "${id}": "path" or "regex" is required`);
+    }
+
+    const methods = (rule.methods || ['GET']).map(m => String(m).toUpperCase());
+    const expanded = methods.includes('*') ? HTTP_METHODS : methods;
+    const unknown = expanded.filter(m => !HTTP_METHODS.includes(m));
+    if (unknown.length > 0) {
+      throw new Error(`Rule "${id}": unknown method(s) ${unknown.join(', ')}`);
+    }
+
+    if (rule.cache !== undefined && !(typeof rule.cache === 'number' && rule.cache >= 0) &&
+        !(rule.cache && typeof rule.cache === 'object' && rule.cache.ttlSeconds >= 0)) {
+      throw new Error(`Rule "${id}": cache must be seconds or { ttlSeconds, invalidateOn }`);
+    }
+
+    return {
+      ...rule,
+      id,
+      methods: expanded,
+      scopes: compileScopes(rule.scopes, expanded, id),
+      matcher: rule.regex ? new RegExp(rule.regex) : compilePath(rule.path)
+    };
+  });
+
+  const version = crypto.createHash('sha256').update(JSON.stringify(document)).digest('hex').substring(0, 12);
+  return { rules, version };
+}
+
+/**
+ * Strip the query string and reject paths that could escape the allow-list once
+ * the upstream URL is normalised (dot segments, empty segments, encoded slashes/dots)
+ * @param {string} endpoint
+ * @returns {string|null} - Path to match, or null if the endpoint is unsafe
+ */
+function normalizeEndpoint(endpoint) {
+  if (typeof endpoint !== 'string' || !endpoint.startsWith('/')) return null;
+  const path = endpoint.split(/[?#]/)[0];
+  if (/\/\.{1,2}(\/|$)|\/\/|%2e|%2f|\\/i.test(path)) return null;
+  return path.length > 1 ? path.replace(/\/$/, '') : path;
+}
+
+/**
+ * Public view of a compiled rule (no RegExp)
+ */
+function describeRule(rule) {
+  if (!rule) return null;
+  const { matcher, ...rest } = rule;
+  return rest;
+}
+
+class ProxyPolicyStore {
+  /**
+   * @param {Object} options
+   * @param {string} [options.file] - Policy JSON file (watched for changes)
+   * @param {string} [options.json] - Inline policy JSON (HL_ALLOWED_ENDPOINTS_JSON)
+   * @param {Object} [options.document] - Already-parsed policy (e.g. an app's hl_apps.policy)
+   * @param {string} [options.label] - Source name reported for options.document
+   * @param {Object} options.logger - Winston logger
+   * @param {number} [options.watchIntervalMs] - File poll interval
+   */
+  constructor({ file = null, json = null, document = null, label = 'document', logger, watchIntervalMs = 5000 }) {
+    this.file = file;
+    this.json = json;
+    this.document = document;
+    this.label = label;
+    this.logger = logger;
+    this.watchIntervalMs = watchIntervalMs;
+    this.policy = null;
+    this.source = null;
+    this.loadedAt = null;
+    this.lastError = null;
+  }
+
+  readDocument() {
+    if (this.file) {
+      return { document: JSON.parse(fs.readFileSync(this.file, 'utf8')), source: `file:${this.file}` };
+    }
+    if (this.json) {
+      return { document: JSON.parse(this.json), source: 'env:HL_ALLOWED_ENDPOINTS_JSON' };
+    }
+    if (this.document) {
+      return { document: this.document, source: this.label };
+    }
+    return { document: DEFAULT_POLICY, source: 'default' };
+  }
+
+  /**
+   * Load (or reload) the policy. A broken document keeps the previous policy in force.
+   * @returns {Object} - { success, version, source, error }
+   */
+  load() {
+    try {
+      const { document, source } = this.readDocument();
+      const policy = compilePolicy(document);
+      const changed = !this.policy || this.policy.version !== policy.version;
+
+      this.policy = policy;
+      this.source = source;
+      this.loadedAt = new Date().toISOString();
+      this.lastError = null;
+
+      if (changed) {
+        this.logger.info('Proxy policy loaded', { source, version: policy.version, rules: policy.rules.length });
+      }
+      return { success: true, version: policy.version, source };
+    } catch (error) {
+      this.lastError = error.message;
+      this.logger.error('Proxy policy load failed - keeping previous policy', {
+        error: error.message,
+        previousVersion: this.policy?.version || null
+      });
+      if (!this.policy) throw error;
+      return { success: false, version: this.policy.version, source: this.source, error: error.message };
+    }
+  }
+
+  /**
+   * Reload automatically when the policy file changes
+   */
+  watch() {
+    if (!this.file) return;
+    fs.watchFile(this.file, { interval: this.watchIntervalMs, persistent: false }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs) this.load();
+    });
+  }
+
+  unwatch() {
+    if (this.file) fs.unwatchFile(this.file);
+  }
+
+  /**
+   * Decide whether a proxied call is allowed
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - HighLevel path (query string allowed)
+   * @returns {Object} - { allowed, reason, rule, allowedMethods, requiredScopes, policyVersion }
+   */
+  evaluate(method, endpoint) {
+    const upperMethod = String(method || '').toUpperCase();
+    const path = normalizeEndpoint(endpoint);
+    const result = {
+      allowed: false,
+      method: upperMethod,
+      endpoint,
+      path,
+      reason: null,
+      rule: null,
+      allowedMethods: [],
+      requiredScopes: [],
+      policyVersion: this.policy.version
+    };
+
+    if (!path) {
+      return { ...result, reason: 'invalid_endpoint' };
+    }
+
+    const pathMatches = this.policy.rules.filter(rule => rule.matcher.test(path));
+    const rule = pathMatches.find(r => r.methods.includes(upperMethod));
+
+    if (rule) {
+      return {
+        ...result,
+        allowed: true,
+        reason: 'allowed',
+        rule: describeRule(rule),
+        allowedMethods: rule.methods,
+        requiredScopes: rule.scopes[upperMethod] || []
+      };
+    }
+
+    if (pathMatches.length > 0) {
+      return {
+        ...result,
+        reason: 'method_not_allowed',
+        rule: describeRule(pathMatches[0]),
+        allowedMethods: Array.from(new Set(pathMatches.flatMap(r => r.methods)))
+      };
+    }
+
+    return { ...result, reason: 'no_matching_rule' };
+  }
+
+  /**
+   * Scopes a decision requires that the installation was not granted
+   * @param {Object} decision - Result of evaluate()
+   * @param {string[]} grantedScopes - hl_installations.scopes
+   * @returns {string[]}
+   */
+  missingScopes(decision, grantedScopes = []) {
+    const granted = new Set(grantedScopes);
+    return decision.requiredScopes.filter(scope => !granted.has(scope));
+  }
+
+  /**
+   * Which features/methods an installation can use given its granted scopes
+   * @param {string[]} grantedScopes
+   * @returns {Object} - feature -> { allowed, blocked: { method: missingScopes } }
+   */
+  capabilities(grantedScopes = []) {
+    const granted = new Set(grantedScopes);
+    const features = {};
+
+    for (const rule of this.policy.rules) {
+      const feature = rule.feature || rule.id;
+      const entry = features[feature] || (features[feature] = { allowed: [], blocked: {} });
+
+      for (const method of rule.methods) {
+        const missing = (rule.scopes[method] || []).filter(scope => !granted.has(scope));
+        const key = `${method} ${rule.path || rule.regex}`;
+        if (missing.length === 0) {
+          entry.allowed.push(key);
+        } else {
+          entry.blocked[key] = missing;
+        }
+      }
+    }
+
+    for (const entry of Object.values(features)) {
+      entry.usable = entry.allowed.length > 0;
+      entry.read = entry.allowed.some(key => key.startsWith('GET '));
+      entry.write = entry.allowed.some(key => !key.startsWith('GET '));
+    }
+    return features;
+  }
+
+  /**
+   * IDs of cached rules whose responses a webhook event makes stale
+   * @param {string} eventType - HighLevel webhook type, e.g. LocationUpdate
+   * @returns {string[]}
+   */
+  rulesInvalidatedBy(eventType) {
+    return this.policy.rules
+      .filter(rule => Array.isArray(rule.cache?.invalidateOn) && rule.cache.invalidateOn.includes(eventType))
+      .map(rule => rule.id);
+  }
+
+  describe() {
+    return {
+      source: this.source,
+      version: this.policy?.version || null,
+      loadedAt: this.loadedAt,
+      lastError: this.lastError,
+      watching: !!this.file,
+      rules: (this.policy?.rules || []).map(describeRule)
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  HTTP_METHODS,
+  ProxyPolicyStore,
+  compilePolicy,
+  normalizeEndpoint
+};
@@ -0,0 +1,83 @@
+/**
+ * Proxy Streaming - byte caps and header pass-through for streamed /proxy/hl calls
+ * Used for binary downloads (e.g. /medias) and multipart uploads so bodies are piped
+ * through in chunks instead of being buffered and JSON-parsed.
+ */
+
+const { Transform } = require('stream');
+
+// Upstream response headers forwarded to the caller in streaming mode
+const STREAMED_RESPONSE_HEADERS = [
+  'content-type',
+  'content-length',
+  'content-encoding',
+  'content-disposition',
+  'content-range',
+  'accept-ranges',
+  'cache-control',
+  'etag',
+  'last-modified'
+];
+
+class ByteLimitExceededError extends Error {
+  constructor(limit) {
+    super(`Stream exceeded the ${limit} byte limit`);
+    this.name = 'ByteLimitExceededError';
+    this.code = 'LIMIT_EXCEEDED';
+    this.limit = limit;
+  }
+}
+
+/**
+ * Pass-through stream that fails once more than `limit` bytes went through it
+ */
+class ByteLimitStream extends Transform {
+  constructor(limit) {
+    super();
+    this.limit = limit;
+    this.bytes = 0;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.bytes += chunk.length;
+    if (this.limit > 0 && this.bytes > this.limit) {
+      return callback(new ByteLimitExceededError(this.limit));
+    }
+    callback(null, chunk);
+  }
+}
+
+/**
+ * Copy content headers from an upstream response onto the caller's response
+ * @param {Object} upstreamHeaders - Axios response headers (lower-cased)
+ * @param {import('express').Response} res
+ */
+function copyResponseHeaders(upstreamHeaders, res) {
+  for (const name of STREAMED_RESPONSE_HEADERS) {
+    const value = upstreamHeaders?.[name];
+    if (value !== undefined && value !== null) {
+      res.setHeader(name, value);
+    }
+  }
+}
+
+/**
+ * Declared body size from a Content-Length header
+ * @returns {number|null} - null when the header is missing or not a non-negative integer
+ */
+function declaredLength(headers) {
+  const value = headers?.['content-length'];
+  if (value === undefined || value === null) return null;
+
+  // Digits only: Number() would also take '', ' ', '1e3', '0x10' and '-1'
+  const text = String(value).trim();
+  return /^\d+$/.test(text) ? Number(text) : null;
+}
+
+module.exports = {
+  STREAMED_RESPONSE_HEADERS,
+  ByteLimitExceededError,
+  ByteLimitStream,
+  copyResponseHeaders,
+  declaredLength
+};
@@ -0,0 +1,147 @@
+/**
+ * Rate Limiter - token buckets keyed by installation for /proxy/hl
+ * Mirrors HighLevel's per-location limits (burst window + daily quota) so callers are
+ * queued or rejected here instead of hitting HighLevel's 429.
+ *
+ * Stores:
+ * - MemoryBucketStore: per process (single replica)
+ * - PostgresBucketStore: shared across replicas via hl_rate_limits / hl_rate_limit_take()
+ */
+
+const { sleep } = require('./retry.js');
+
+class MemoryBucketStore {
+  constructor() {
+    this.buckets = new Map(); // key -> { tokens, updatedAt }
+  }
+
+  /**
+   * Refill, then take `cost` tokens if available (negative cost refunds)
+   * @returns {Promise<{ allowed: boolean, remaining: number }>}
+   */
+  async take(key, { capacity, refillPerSec }, cost) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+    let tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSec);
+    const allowed = tokens >= cost;
+
+    if (allowed) tokens = Math.min(capacity, tokens - cost);
+    this.buckets.set(key, { tokens, updatedAt: now });
+
+    return { allowed, remaining: tokens };
+  }
+
+  // Drop buckets that have refilled completely (they carry no state)
+  prune(bucketDefs) {
+    const now = Date.now();
+    const fullAfterMs = Math.max(...bucketDefs.map(b => (b.capacity / b.refillPerSec) * 1000));
+    for (const [key, bucket] of this.buckets.entries()) {
+      if (now - bucket.updatedAt > fullAfterMs) this.buckets.delete(key);
+    }
+  }
+}
+
+class PostgresBucketStore {
+  constructor({ db }) {
+    this.db = db;
+  }
+
+  async take(key, { capacity, refillPerSec }, cost) {
+    const { rows } = await this.db.query(
+      'SELECT allowed, remaining FROM hl_rate_limit_take($1, $2, $3, $4)',
+      [key, capacity, refillPerSec, cost]
+    );
+    return rows[0];
+  }
+
+  prune() {
+    return this.db.query(`DELETE FROM hl_rate_limits WHERE updated_at < NOW() - INTERVAL '2 days'`);
+  }
+}
+
+class TokenBucketLimiter {
+  /**
+   * @param {Object} options
+   * @param {MemoryBucketStore|PostgresBucketStore} options.store
+   * @param {Array<{ name: string, capacity: number, windowMs: number }>} options.buckets
+   * @param {number} [options.maxWaitMs] - How long a request may queue for tokens before it is rejected
+   */
+  constructor({ store, buckets, maxWaitMs = 0 }) {
+    this.store = store;
+    this.maxWaitMs = maxWaitMs;
+    this.buckets = buckets.map(b => ({ ...b, refillPerSec: b.capacity / (b.windowMs / 1000) }));
+  }
+
+  /**
+   * Take one token from every bucket, or none if any bucket is empty
+   * @param {string} key - e.g. installation:<id>
+   * @returns {Promise<Object>} - { allowed, retryAfterMs, limits: [{ name, limit, remaining }] }
+   */
+  async take(key, cost = 1) {
+    const taken = [];
+    const limits = [];
+
+    for (const bucket of this.buckets) {
+      const result = await this.store.take(`${key}:${bucket.name}`, bucket, cost);
+      limits.push({ name: bucket.name, limit: bucket.capacity, remaining: Math.floor(result.remaining) });
+
+      if (!result.allowed) {
+        // Refund the buckets already charged so a rejected call costs nothing
+        for (const charged of taken) {
+          await this.store.take(`${key}:${charged.name}`, charged, -cost);
+        }
+        const retryAfterMs = Math.ceil(((cost - result.remaining) / bucket.refillPerSec) * 1000);
+        return { allowed: false, retryAfterMs, limitedBy: bucket.name, limits };
+      }
+      taken.push(bucket);
+    }
+
+    return { allowed: true, retryAfterMs: 0, limits };
+  }
+
+  /**
+   * Take a token, queueing up to maxWaitMs when the wait is short enough
+   * @param {string} key
+   * @returns {Promise<Object>} - Same shape as take(), plus waitedMs
+   */
+  async acquire(key) {
+    const started = Date.now();
+
+    for (;;) {
+      const result = await this.take(key);
+      const waitedMs = Date.now() - started;
+
+      if (result.allowed || waitedMs + result.retryAfterMs > this.maxWaitMs) {
+        return { ...result, waitedMs };
+      }
+      await sleep(result.retryAfterMs);
+    }
+  }
+
+  prune() {
+    return this.store.prune(this.buckets);
+  }
+}
+
+/**
+ * Set X-RateLimit-* headers (and Retry-After when limited) on a response
+ * @param {import('express').Response} res
+ * @param {Object} result - Result of take()/acquire()
+ */
+function setRateLimitHeaders(res, result) {
+  for (const limit of result.limits) {
+    const prefix = limit.name === 'burst' ? 'X-RateLimit' : `X-RateLimit-${limit.name[0].toUpperCase()}${limit.name.slice(1)}`;
+    res.setHeader(`${prefix}-Limit`, limit.limit);
+    res.setHeader(`${prefix}-Remaining`, Math.max(0, limit.remaining));
+  }
+  if (!result.allowed) {
+    res.setHeader('Retry-After', Math.max(1, Math.ceil(result.retryAfterMs / 1000)));
+  }
+}
+
+module.exports = {
+  MemoryBucketStore,
+  PostgresBucketStore,
+  TokenBucketLimiter,
+  setRateLimitHeaders
+};
@@ -0,0 +1,97 @@
+/**
+ * Refresh Lock - single-flight token refresh within a process and across replicas
+ *
+ * HighLevel rotates refresh tokens, so two concurrent refreshes for one installation burn
+ * the token. Callers in one process share a SingleFlight promise; replicas serialize on a
+ * transaction-scoped Postgres advisory lock and, once they hold it, reuse a token another
+ * caller stored meanwhile (token_version moved on) instead of refreshing again.
+ */
+
+/**
+ * One in-flight promise per key; callers arriving while it runs share it
+ */
+class SingleFlight {
+  constructor() {
+    this.inflight = new Map(); // key -> Promise
+  }
+
+  /**
+   * Run fn for key unless a run for it is already in flight
+   * @param {string} key
+   * @param {Function} fn - async () => result
+   * @returns {Promise<*>}
+   */
+  run(key, fn) {
+    const pending = this.inflight.get(key);
+    if (pending) {
+      return pending;
+    }
+
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => this.inflight.delete(key));
+    this.inflight.set(key, promise);
+    return promise;
+  }
+
+  has(key) {
+    return this.inflight.has(key);
+  }
+}
+
+/**
+ * Run fn(client) in a transaction holding pg_advisory_xact_lock(hashtext(key)). Commits
+ * what fn did when it returns, rolls back when it throws; the lock ends with the transaction.
+ * @param {import('pg').Pool} db
+ * @param {string} key - Lock name, e.g. "hl_token_refresh:<installation id>"
+ * @param {Object} options
+ * @param {number} options.timeoutMs - Give up waiting for the lock after this long
+ * @param {Function} fn - async (client) => result
+ * @returns {Promise<*>}
+ */
+async function withAdvisoryLock(db, key, { timeoutMs }, fn) {
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query("SELECT set_config('lock_timeout', $1, true)", [`${timeoutMs}ms`]);
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [key]);
+
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Is the token due (expired, or expiring within thresholdMs)?
+ * @param {Object} installation - { expires_at }
+ * @param {number} thresholdMs
+ * @returns {boolean}
+ */
+function needsRefresh(installation, thresholdMs) {
+  return new Date(installation.expires_at).getTime() <= Date.now() + thresholdMs;
+}
+
+/**
+ * Did another caller store new tokens since `seen` was read?
+ * @param {Object} seen - Installation as read before waiting for the lock
+ * @param {Object} current - Installation as read under the lock
+ * @returns {boolean}
+ */
+function refreshedElsewhere(seen, current) {
+  return seen.token_version !== undefined && seen.token_version !== null &&
+    Number(current.token_version) > Number(seen.token_version);
+}
+
+module.exports = {
+  SingleFlight,
+  withAdvisoryLock,
+  needsRefresh,
+  refreshedElsewhere
+};
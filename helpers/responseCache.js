@@ -0,0 +1,249 @@
+/**
+ * Response Cache - read-through cache for idempotent /proxy/hl GETs
+ *
+ * Opt-in per allow-list rule ("cache": { "ttlSeconds": 300, "invalidateOn": ["LocationUpdate"] }).
+ * Entries are keyed by installation + rule + path + sorted query and live in an in-process
+ * LRU, or only in Postgres (hl_response_cache) when replicas share them, so an invalidation on
+ * one replica is seen by all. An expired entry that carries HighLevel's ETag is kept for one
+ * more TTL and revalidated upstream with If-None-Match instead of being fetched again.
+ */
+
+const crypto = require('crypto');
+
+// Expired entries are kept until staleUntil when they can be revalidated
+function retainedUntil(entry) {
+  return entry.staleUntil || entry.expiresAt;
+}
+
+class LruCache {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // key -> entry (insertion order = recency)
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (retainedUntil(entry) <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    // Move to most-recently-used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  purgeExpired() {
+    const now = Date.now();
+    return this.deleteWhere(key => retainedUntil(this.entries.get(key)) <= now);
+  }
+
+  deleteWhere(predicate) {
+    let removed = 0;
+    for (const key of this.entries.keys()) {
+      if (predicate(key)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+class PostgresCacheStore {
+  constructor({ db }) {
+    this.db = db;
+  }
+
+  async get(key) {
+    const { rows } = await this.db.query(
+      `SELECT status, body, etag, upstream_etag, created_at, expires_at, stale_until
+         FROM hl_response_cache
+        WHERE cache_key = $1 AND COALESCE(stale_until, expires_at) > NOW()`,
+      [key]
+    );
+    const row = rows[0];
+    return row && {
+      status: row.status,
+      body: row.body,
+      etag: row.etag,
+      upstreamEtag: row.upstream_etag,
+      createdAt: new Date(row.created_at).getTime(),
+      expiresAt: new Date(row.expires_at).getTime(),
+      staleUntil: row.stale_until ? new Date(row.stale_until).getTime() : null
+    };
+  }
+
+  async set(key, { installationId, ruleId }, entry) {
+    await this.db.query(
+      `INSERT INTO hl_response_cache
+         (cache_key, installation_id, rule_id, status, body, etag, upstream_etag, created_at, expires_at, stale_until)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, to_timestamp($8 / 1000.0), to_timestamp($9 / 1000.0), to_timestamp($10 / 1000.0))
+       ON CONFLICT (cache_key) DO UPDATE
+          SET status = EXCLUDED.status,
+              body = EXCLUDED.body,
+              etag = EXCLUDED.etag,
+              upstream_etag = EXCLUDED.upstream_etag,
+              created_at = EXCLUDED.created_at,
+              expires_at = EXCLUDED.expires_at,
+              stale_until = EXCLUDED.stale_until`,
+      [key, installationId, ruleId, entry.status, JSON.stringify(entry.body), entry.etag, entry.upstreamEtag,
+        entry.createdAt, entry.expiresAt, entry.staleUntil]
+    );
+  }
+
+  async invalidate(installationId, ruleIds = null) {
+    const result = ruleIds
+      ? await this.db.query('DELETE FROM hl_response_cache WHERE installation_id = $1 AND rule_id = ANY($2)', [installationId, ruleIds])
+      : await this.db.query('DELETE FROM hl_response_cache WHERE installation_id = $1', [installationId]);
+    return result.rowCount;
+  }
+
+  async purgeExpired() {
+    const result = await this.db.query('DELETE FROM hl_response_cache WHERE COALESCE(stale_until, expires_at) < NOW()');
+    return result.rowCount;
+  }
+}
+
+/**
+ * Cache settings of an allow-list rule
+ * @param {Object|null} rule - Rule from a policy decision
+ * @returns {{ ttlMs: number, invalidateOn: string[] }|null} - null when the rule isn't cached
+ */
+function ruleCacheSettings(rule) {
+  const cache = rule?.cache;
+  if (!cache) return null;
+
+  const ttlSeconds = typeof cache === 'number' ? cache : cache.ttlSeconds;
+  if (!(ttlSeconds > 0)) return null;
+
+  return { ttlMs: ttlSeconds * 1000, invalidateOn: Array.isArray(cache.invalidateOn) ? cache.invalidateOn : [] };
+}
+
+/**
+ * Weak ETag for a JSON body
+ */
+function etagFor(body) {
+  return `W/"${crypto.createHash('sha1').update(JSON.stringify(body ?? null)).digest('base64url')}"`;
+}
+
+class ResponseCache {
+  /**
+   * @param {Object} options
+   * @param {LruCache} [options.memory] - In-process tier, used only without a shared store
+   * @param {PostgresCacheStore} [options.store] - Shared tier (optional)
+   * @param {number} [options.maxBodyBytes] - Larger responses are not cached
+   * @param {Object} options.logger
+   */
+  constructor({ memory = null, store = null, maxBodyBytes = 256 * 1024, logger }) {
+    // Another replica's invalidation can't reach this process's memory, so shared entries stay in the store
+    this.memory = store ? null : memory;
+    this.store = store;
+    this.maxBodyBytes = maxBodyBytes;
+    this.logger = logger;
+  }
+
+  /**
+   * @param {string} installationId
+   * @param {string} ruleId
+   * @param {string} endpoint - Path with query string
+   * @returns {string}
+   */
+  static key(installationId, ruleId, endpoint) {
+    const url = new URL(endpoint, 'http://hl.invalid');
+    url.searchParams.sort();
+    return `${installationId}|${ruleId}|${url.pathname.replace(/\/$/, '')}${url.search}`;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<Object|null>} - Entry with tier, and stale: true once expired (revalidate with upstreamEtag)
+   */
+  async get(key) {
+    if (this.memory) {
+      const hit = this.memory.get(key);
+      return hit ? { ...hit, tier: 'memory', stale: hit.expiresAt <= Date.now() } : null;
+    }
+    if (!this.store) return null;
+
+    try {
+      const stored = await this.store.get(key);
+      if (!stored) return null;
+      return { ...stored, tier: 'postgres', stale: stored.expiresAt <= Date.now() };
+    } catch (error) {
+      this.logger.warn('Response cache read failed:', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Cache a 200 response (or re-store one HighLevel confirmed unchanged)
+   * @param {string} key
+   * @param {Object} meta - { installationId, ruleId, ttlMs }
+   * @param {Object} response - { status, body, upstreamEtag } (upstreamEtag: HighLevel's ETag header, if any)
+   * @returns {Promise<Object|null>} - Stored entry (with etag), or null if it was too large
+   */
+  async set(key, { installationId, ruleId, ttlMs }, { status, body, upstreamEtag = null }) {
+    const serialized = JSON.stringify(body ?? null);
+    if (Buffer.byteLength(serialized) > this.maxBodyBytes) return null;
+
+    const now = Date.now();
+    const entry = {
+      status,
+      body,
+      etag: etagFor(body),
+      upstreamEtag,
+      createdAt: now,
+      expiresAt: now + ttlMs,
+      staleUntil: upstreamEtag ? now + 2 * ttlMs : null
+    };
+    if (this.memory) this.memory.set(key, entry);
+
+    if (this.store) {
+      await this.store.set(key, { installationId, ruleId }, entry).catch(error => {
+        this.logger.warn('Response cache write failed:', { error: error.message });
+      });
+    }
+    return entry;
+  }
+
+  /**
+   * Drop cached responses for an installation (optionally only some rules)
+   * @param {string} installationId
+   * @param {string[]|null} [ruleIds]
+   * @returns {Promise<number>} - Entries removed
+   */
+  async invalidate(installationId, ruleIds = null) {
+    if (this.store) {
+      return this.store.invalidate(installationId, ruleIds);
+    }
+    if (!this.memory) return 0;
+
+    return this.memory.deleteWhere(key => {
+      const [keyInstallation, keyRule] = key.split('|');
+      return keyInstallation === String(installationId) && (!ruleIds || ruleIds.includes(keyRule));
+    });
+  }
+
+  purgeExpired() {
+    if (this.store) return this.store.purgeExpired();
+    return Promise.resolve(this.memory ? this.memory.purgeExpired() : 0);
+  }
+}
+
+module.exports = {
+  LruCache,
+  PostgresCacheStore,
+  ResponseCache,
+  ruleCacheSettings,
+  etagFor
+};
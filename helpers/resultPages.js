@@ -0,0 +1,205 @@
+/**
+ * Result Pages - branded pages shown at the end of /oauth/callback
+ *
+ * Three page kinds (success, partial, failure) rendered from one layout. Branding is
+ * configured per app from OAUTH_BRANDING_FILE / OAUTH_BRANDING_JSON:
+ *
+ *   {
+ *     "default": { "name": "Acme Sync", "accentFrom": "#0052cc", "accentTo": "#2684ff" },
+ *     "acme-crm": { "logoUrl": "https://cdn.example.com/logo.png", "successUrl": "https://app.example.com/done" }
+ *   }
+ *
+ * App entries are merged over "default", which is merged over the built-in branding.
+ * successUrl / failureUrl switch the callback from a page to a 302 with signed params.
+ */
+
+const fs = require('fs');
+
+const DEFAULT_BRANDING = {
+  name: 'HighLevel Integration',
+  logoUrl: null,
+  accentFrom: '#ff9a00',
+  accentTo: '#ffcd3c',
+  supportUrl: null,
+  retryUrl: '/oauth/start',
+  successUrl: null,
+  failureUrl: null,
+  templates: {}
+};
+
+const DEFAULT_TEMPLATES = {
+  success: {
+    title: '{{name}} Connected',
+    heading: 'Installation Complete!',
+    message: '{{summary}} You may close this window.'
+  },
+  partial: {
+    title: '{{name}} Partially Connected',
+    heading: 'Installation Partially Complete',
+    message: '{{summary}} Some locations could not be connected yet; reinstall or contact support to finish.'
+  },
+  failure: {
+    title: '{{name}} Installation Failed',
+    heading: 'Installation Failed',
+    message: '{{reason}}'
+  }
+};
+
+// Reason codes used by the callback, with the text shown to the installer
+const FAILURE_REASONS = {
+  unknown_app: 'This installation link points at an app that is not available.',
+  missing_code: 'HighLevel did not send an authorization code.',
+  invalid_state: 'This installation link has expired or was already used. Please start again.',
+  client_mismatch: 'The installation was started for a different app configuration.',
+  code_already_used: 'This authorization was already completed.',
+  token_exchange_failed: 'HighLevel rejected the authorization. Please try again.',
+  tenant_not_found: 'We could not tell which location or agency was selected. Please reinstall and pick one.',
+  callback_failed: 'Something went wrong while finishing the installation.'
+};
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{3,8}$/;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Escape a template and replace its {{name}} placeholders (values are escaped too)
+function fill(template, vars) {
+  return escapeHtml(template).replace(/\{\{(\w+)\}\}/g, (match, name) => escapeHtml(vars[name]));
+}
+
+function layout({ title, heading, message, branding, kind, links }) {
+  const from = COLOR_PATTERN.test(branding.accentFrom) ? branding.accentFrom : DEFAULT_BRANDING.accentFrom;
+  const to = COLOR_PATTERN.test(branding.accentTo) ? branding.accentTo : DEFAULT_BRANDING.accentTo;
+  const logo = branding.logoUrl ? `<img class="logo" src="${escapeHtml(branding.logoUrl)}" alt="${escapeHtml(branding.name)}">` : '';
+  const actions = links
+    .map(link => `<a class="button" href="${escapeHtml(link.href)}">${escapeHtml(link.label)}</a>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+  <style>
+    body {
+      margin: 0;
+      padding: 0;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: linear-gradient(135deg, ${from} 0%, ${to} 100%);
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    }
+    .card {
+      background: white;
+      padding: 40px 60px;
+      border-radius: 16px;
+      box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
+      text-align: center;
+      max-width: 480px;
+    }
+    .logo { max-height: 48px; margin-bottom: 16px; }
+    h1 { margin: 0 0 16px 0; color: #333; font-size: 28px; font-weight: 600; }
+    p { margin: 0; color: #666; font-size: 16px; }
+    .button {
+      display: inline-block;
+      margin: 24px 8px 0;
+      padding: 10px 20px;
+      border-radius: 8px;
+      background: ${from};
+      color: white;
+      text-decoration: none;
+    }
+  </style>
+</head>
+<body>
+  <div class="card result-${kind}">
+    ${logo}
+    <h1>${heading}</h1>
+    <p>${message}</p>
+    ${actions}
+  </div>
+</body>
+</html>`;
+}
+
+class ResultPages {
+  /**
+   * @param {Object} options
+   * @param {string} [options.file] - Branding JSON file (OAUTH_BRANDING_FILE)
+   * @param {string} [options.json] - Inline branding JSON (OAUTH_BRANDING_JSON)
+   * @param {Object} options.logger - Winston logger
+   */
+  constructor({ file = null, json = null, logger }) {
+    this.logger = logger;
+    this.apps = {};
+
+    try {
+      if (file) this.apps = JSON.parse(fs.readFileSync(file, 'utf8'));
+      else if (json) this.apps = JSON.parse(json);
+    } catch (error) {
+      logger.error('Failed to load OAuth branding, using defaults:', { error: error.message });
+      this.apps = {};
+    }
+  }
+
+  /**
+   * Branding for an app (built-in <- "default" <- app entry)
+   * @param {string|null} [appSlug]
+   * @returns {Object}
+   */
+  brandingFor(appSlug = null) {
+    const base = this.apps.default || {};
+    const app = (appSlug && this.apps[appSlug]) || {};
+    return {
+      ...DEFAULT_BRANDING,
+      ...base,
+      ...app,
+      templates: { ...(base.templates || {}), ...(app.templates || {}) }
+    };
+  }
+
+  /**
+   * Render a result page
+   * @param {string} kind - success | partial | failure
+   * @param {Object} [vars] - { app, summary, reason }
+   * @returns {string} - HTML
+   */
+  render(kind, { app = null, summary = '', reason = null } = {}) {
+    const branding = this.brandingFor(app);
+    const template = { ...DEFAULT_TEMPLATES[kind], ...(branding.templates[kind] || {}) };
+    const vars = {
+      name: branding.name,
+      summary,
+      reason: FAILURE_REASONS[reason] || FAILURE_REASONS.callback_failed
+    };
+
+    const links = [];
+    if (kind === 'failure' && branding.retryUrl) links.push({ href: branding.retryUrl, label: 'Try again' });
+    if (kind !== 'success' && branding.supportUrl) links.push({ href: branding.supportUrl, label: 'Contact support' });
+
+    return layout({
+      title: fill(template.title, vars),
+      heading: fill(template.heading, vars),
+      message: fill(template.message, vars),
+      branding,
+      kind,
+      links
+    });
+  }
+}
+
+module.exports = {
+  DEFAULT_BRANDING,
+  FAILURE_REASONS,
+  ResultPages,
+  escapeHtml
+};
@@ -0,0 +1,84 @@
+/**
+ * Retry Helpers - jittered exponential backoff and bounded concurrency
+ */
+
+/**
+ * Resolve after the given number of milliseconds
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {Object} [options]
+ * @param {number} [options.baseMs] - Delay ceiling for the first retry
+ * @param {number} [options.maxMs] - Upper bound for any delay
+ * @returns {number} - Delay in milliseconds
+ */
+function backoffDelay(attempt, { baseMs = 500, maxMs = 30000 } = {}) {
+  const ceiling = Math.min(maxMs, baseMs * Math.pow(2, attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Run fn until it succeeds, shouldRetry returns false, or attempts run out
+ * @param {Function} fn - async (attempt) => result
+ * @param {Object} [options]
+ * @param {number} [options.attempts] - Total attempts including the first
+ * @param {Function} [options.shouldRetry] - (error, attempt) => boolean
+ * @param {Function} [options.onRetry] - (error, attempt, delayMs) => void
+ * @returns {Promise<*>}
+ */
+async function withRetry(fn, { attempts = 3, baseMs, maxMs, shouldRetry = () => true, onRetry = () => {} } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= attempts || !shouldRetry(error, attempt)) {
+        throw error;
+      }
+      const delay = backoffDelay(attempt, { baseMs, maxMs });
+      onRetry(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Map items through an async fn with at most `limit` calls in flight
+ * Results keep input order; rejections are returned as { error } instead of thrown.
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array<{ value?: *, error?: Error }>>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { error };
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  sleep,
+  backoffDelay,
+  withRetry,
+  mapWithConcurrency
+};
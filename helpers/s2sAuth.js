@@ -0,0 +1,94 @@
+/**
+ * S2S Auth - bearer tokens the API server sends to this server
+ *
+ * HS256 JWTs signed with S2S_SHARED_SECRET and addressed to "oauth-server" (`aud`). Tokens
+ * without `aud` are still accepted, with a warning, until S2S_REQUIRE_AUDIENCE=1; a token
+ * addressed to another audience, or carrying a `purpose` (start contexts), never is.
+ */
+
+const jwt = require('jsonwebtoken');
+
+const S2S_AUDIENCE = 'oauth-server';
+
+/**
+ * Verify an S2S bearer token
+ * @param {string} token
+ * @param {Object} options
+ * @param {string} options.secret - S2S shared secret
+ * @param {boolean} [options.requireAudience] - Reject tokens without `aud`
+ * @param {Function} [options.onMissingAudience] - Called with the payload of an accepted token without `aud`
+ * @returns {Object} - Token payload
+ * @throws {Error} - 'Invalid or expired token'
+ */
+function verifyS2SToken(token, { secret, requireAudience = false, onMissingAudience = null }) {
+  let payload;
+  try {
+    payload = jwt.verify(token, secret, { algorithms: ['HS256'] });
+  } catch (error) {
+    throw new Error('Invalid or expired token');
+  }
+  // Purpose-bound tokens (e.g. oauth_start contexts) are never S2S credentials
+  if (payload.purpose !== undefined) {
+    throw new Error('Invalid or expired token');
+  }
+
+  if (payload.aud === undefined) {
+    if (requireAudience) throw new Error('Invalid or expired token');
+    if (onMissingAudience) onMissingAudience(payload);
+  } else if (![].concat(payload.aud).includes(S2S_AUDIENCE)) {
+    throw new Error('Invalid or expired token');
+  }
+  return payload;
+}
+
+/**
+ * Express middleware: verify the bearer token, then resolve the app named by its `app` claim
+ * into req.hlApp (none = default app)
+ * @param {Object} options
+ * @param {string} options.secret - S2S shared secret
+ * @param {boolean} [options.requireAudience] - S2S_REQUIRE_AUDIENCE
+ * @param {Function} options.resolveApp - slug => Promise<app|null>
+ * @param {Object} options.logger
+ * @returns {Function}
+ */
+function createS2SAuthenticator({ secret, requireAudience = false, resolveApp, logger }) {
+  // Warn once per issuer, not on every call
+  const warnedIssuers = new Set();
+  const onMissingAudience = payload => {
+    const issuer = payload.iss || 'unknown';
+    if (warnedIssuers.has(issuer)) return;
+    warnedIssuers.add(issuer);
+    logger.warn(`S2S token without aud accepted - set aud: "${S2S_AUDIENCE}" before enabling S2S_REQUIRE_AUDIENCE`, { iss: issuer });
+  };
+
+  return function authenticateS2S(req, res, next) {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Missing or invalid authorization header' });
+    }
+
+    try {
+      req.auth = verifyS2SToken(authHeader.substring(7), { secret, requireAudience, onMissingAudience });
+    } catch (error) {
+      logger.warn('S2S authentication failed:', { error: error.message, ip: req.ip });
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    // The `app` claim names the marketplace app the caller acts for (none = default app)
+    resolveApp(req.auth.app).then(hlApp => {
+      if (!hlApp || hlApp.status !== 'active') {
+        logger.warn('S2S token names an unknown or disabled app', { app: req.auth.app, ip: req.ip });
+        return res.status(403).json({ error: 'Unknown or disabled app', app: req.auth.app });
+      }
+      req.hlApp = hlApp;
+      next();
+    }).catch(next);
+  };
+}
+
+module.exports = {
+  S2S_AUDIENCE,
+  verifyS2SToken,
+  createS2SAuthenticator
+};
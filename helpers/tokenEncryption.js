@@ -0,0 +1,179 @@
+/**
+ * Token Encryption - Key-versioned AES-256-GCM
+ * Encrypts HighLevel tokens at rest with a keyring so keys can be rotated online
+ *
+ * Ciphertext format: gcm:<keyId>:<iv>:<authTag>:<ciphertext> (hex encoded parts)
+ * Legacy AES-256-CBC values (<iv>:<ciphertext>) are still readable with ENCRYPTION_KEY.
+ */
+
+const crypto = require('crypto');
+
+const GCM_PREFIX = 'gcm';
+const GCM_IV_BYTES = 12;
+
+/**
+ * Decode a base64 key and normalise it to the 32 bytes AES-256 needs
+ * @param {string} value - Base64 encoded key (32+ bytes)
+ * @param {string} label - Key name used in error messages
+ * @returns {Buffer} - 32 byte key
+ */
+function parseKey(value, label = 'Encryption key') {
+  const key = Buffer.from(value, 'base64');
+  if (key.length < 32) {
+    throw new Error(`${label} must be at least 32 bytes`);
+  }
+  return key.length > 32 ? key.subarray(0, 32) : key;
+}
+
+/**
+ * Parse a keyring definition of the form "kid1:base64key,kid2:base64key"
+ * @param {string} spec - Keyring definition
+ * @returns {Map<string, Buffer>} - Key ID to key material
+ */
+function parseKeyring(spec) {
+  const keys = new Map();
+  for (const entry of spec.split(',').map(s => s.trim()).filter(Boolean)) {
+    const sep = entry.indexOf(':');
+    if (sep <= 0) {
+      throw new Error('ENCRYPTION_KEYS entries must look like <keyId>:<base64 key>');
+    }
+    const keyId = entry.slice(0, sep).trim();
+    if (keys.has(keyId)) {
+      throw new Error(`Duplicate encryption key ID: ${keyId}`);
+    }
+    keys.set(keyId, parseKey(entry.slice(sep + 1).trim(), `Encryption key "${keyId}"`));
+  }
+  return keys;
+}
+
+class TokenEncryption {
+  /**
+   * @param {Object} options
+   * @param {Map<string, Buffer>} options.keys - Keyring (key ID -> 32 byte key)
+   * @param {string} options.primaryKeyId - Key ID used for new writes
+   * @param {Buffer} [options.legacyKey] - Key for pre-GCM AES-256-CBC values
+   */
+  constructor({ keys, primaryKeyId, legacyKey = null }) {
+    if (!keys || keys.size === 0) {
+      throw new Error('At least one encryption key is required');
+    }
+    if (!keys.has(primaryKeyId)) {
+      throw new Error(`Primary encryption key "${primaryKeyId}" is not in the keyring`);
+    }
+    this.keys = keys;
+    this.primaryKeyId = primaryKeyId;
+    this.legacyKey = legacyKey;
+  }
+
+  /**
+   * Build the keyring from environment variables
+   * - ENCRYPTION_KEYS: "kid:base64key,..." (first entry is primary unless overridden)
+   * - ENCRYPTION_PRIMARY_KEY_ID: key ID used for new writes
+   * - ENCRYPTION_KEY: legacy single key; becomes key "v1" when ENCRYPTION_KEYS is unset
+   */
+  static fromEnv(env = process.env) {
+    const legacyKey = env.ENCRYPTION_KEY ? parseKey(env.ENCRYPTION_KEY, 'ENCRYPTION_KEY') : null;
+    let keys;
+
+    if (env.ENCRYPTION_KEYS) {
+      keys = parseKeyring(env.ENCRYPTION_KEYS);
+    } else if (legacyKey) {
+      keys = new Map([['v1', legacyKey]]);
+    } else {
+      throw new Error('ENCRYPTION_KEYS or ENCRYPTION_KEY must be set');
+    }
+
+    const primaryKeyId = env.ENCRYPTION_PRIMARY_KEY_ID || keys.keys().next().value;
+    return new TokenEncryption({ keys, primaryKeyId, legacyKey });
+  }
+
+  encrypt(text) {
+    const iv = crypto.randomBytes(GCM_IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.keys.get(this.primaryKeyId), iv);
+
+    let encrypted = cipher.update(text, 'utf8', 'hex');
+    encrypted += cipher.final('hex');
+    const tag = cipher.getAuthTag();
+
+    return [GCM_PREFIX, this.primaryKeyId, iv.toString('hex'), tag.toString('hex'), encrypted].join(':');
+  }
+
+  decrypt(encryptedText) {
+    const parts = encryptedText.split(':');
+
+    if (parts.length === 2) {
+      return this.decryptLegacy(parts);
+    }
+
+    if (parts.length !== 5 || parts[0] !== GCM_PREFIX) {
+      throw new Error('Invalid encrypted text format');
+    }
+
+    const [, keyId, ivHex, tagHex, encrypted] = parts;
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new Error(`Unknown encryption key ID: ${keyId}`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(ivHex, 'hex'));
+    decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+
+    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+
+    return decrypted;
+  }
+
+  decryptLegacy([ivHex, encrypted]) {
+    if (!this.legacyKey) {
+      throw new Error('Legacy AES-256-CBC value found but ENCRYPTION_KEY is not set');
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-cbc', this.legacyKey, Buffer.from(ivHex, 'hex'));
+    decipher.setAutoPadding(true);
+
+    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+
+    return decrypted;
+  }
+
+  /**
+   * Key ID a ciphertext was written with ('legacy-cbc' for pre-GCM values)
+   * @param {string} encryptedText
+   * @returns {string|null}
+   */
+  keyIdOf(encryptedText) {
+    const parts = (encryptedText || '').split(':');
+    if (parts.length === 2) return 'legacy-cbc';
+    if (parts.length === 5 && parts[0] === GCM_PREFIX) return parts[1];
+    return null;
+  }
+
+  /**
+   * True when a ciphertext is not on the current primary key
+   * @param {string} encryptedText
+   * @returns {boolean}
+   */
+  needsReencryption(encryptedText) {
+    return this.keyIdOf(encryptedText) !== this.primaryKeyId;
+  }
+
+  /**
+   * Keyring summary safe to expose on admin endpoints (no key material)
+   */
+  describe() {
+    return {
+      algorithm: 'aes-256-gcm',
+      primaryKeyId: this.primaryKeyId,
+      keyIds: Array.from(this.keys.keys()),
+      legacyKeyLoaded: !!this.legacyKey
+    };
+  }
+}
+
+module.exports = {
+  TokenEncryption,
+  parseKey,
+  parseKeyring
+};
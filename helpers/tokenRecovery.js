@@ -0,0 +1,67 @@
+/**
+ * Token Recovery - replay a HighLevel call once after a forced refresh when HighLevel
+ * rejects an access token before it was due to expire (revoked or rotated early)
+ *
+ * Only 401s that name the token itself count; a 401 for a missing scope or permission
+ * is passed through, since a new token would be rejected the same way.
+ */
+
+// 401 bodies that mean the access token itself is bad (as opposed to a scope/permission problem)
+const INVALID_TOKEN_PATTERN = /invalid[\s_-]*(jwt|token|access[\s_-]*token)|jwt[\s_-]*(expired|malformed)|token[\s_-]*(has[\s_-]*)?(expired|revoked)/i;
+
+/**
+ * Did HighLevel reject the request because the access token is invalid/expired/revoked?
+ * @param {Object} response - Axios response from makeAPICall
+ * @returns {boolean}
+ */
+function isInvalidTokenResponse(response) {
+  if (response?.status !== 401) return false;
+
+  const authenticate = response.headers?.['www-authenticate'] || '';
+  if (/invalid_token/i.test(authenticate)) return true;
+
+  const body = response.data || {};
+  const text = [body.error, body.error_description, body.message, body.msg]
+    .flat()
+    .filter(value => typeof value === 'string')
+    .join(' ');
+  return INVALID_TOKEN_PATTERN.test(text);
+}
+
+/**
+ * Run a HighLevel call; if the token is rejected, force one refresh and replay it once
+ * @param {Object} installation - Decrypted installation the call is made with
+ * @param {Function} call - async (installation) => axios response
+ * @param {Function} refresh - async (installation, upstreamError) => installation with new tokens (forced refresh)
+ * @returns {Promise<Object>} - { installation, response, recovery }; recovery is null when the
+ *   first call was accepted, else { upstreamError, outcome: 'replayed' | 'replay_rejected' |
+ *   'refresh_failed', error? } (no response when the refresh failed)
+ */
+async function callWithTokenRecovery(installation, call, refresh) {
+  const response = await call(installation);
+  if (!isInvalidTokenResponse(response)) {
+    return { installation, response, recovery: null };
+  }
+
+  const upstreamError = response.data?.message || response.data?.error || 'invalid token';
+
+  let refreshed;
+  try {
+    refreshed = await refresh(installation, upstreamError);
+  } catch (error) {
+    return { installation, response: null, recovery: { upstreamError, outcome: 'refresh_failed', error } };
+  }
+
+  const replay = await call(refreshed);
+  return {
+    installation: refreshed,
+    response: replay,
+    recovery: { upstreamError, outcome: isInvalidTokenResponse(replay) ? 'replay_rejected' : 'replayed' }
+  };
+}
+
+module.exports = {
+  INVALID_TOKEN_PATTERN,
+  isInvalidTokenResponse,
+  callWithTokenRecovery
+};
@@ -15,10 +15,10 @@
  * - Service-to-service authentication
  * 
  * Security Features:
- * - AES-256 token encryption at rest
+ * - AES-256-GCM token encryption at rest (key-versioned, online rotation)
  * - JWT-based service-to-service auth
- * - Endpoint allow-listing for proxy
- * - Rate limiting and request validation
+ * - Per-method endpoint allow-listing for proxy (reloadable policy)
+ * - Per-installation proxy rate limiting and request validation
  * - Comprehensive audit logging
  * 
  * Environment Variables Required:
@@ -27,6 +27,7 @@
  * - REDIRECT_URI: OAuth callback URL
  * - DATABASE_URL: PostgreSQL connection string
  * - ENCRYPTION_KEY: Base64 encoded encryption key (32+ bytes)
+ *   or ENCRYPTION_KEYS: "keyId:base64key,..." keyring (first entry is primary)
  * - S2S_SHARED_SECRET: Service-to-service JWT secret
  * - NODE_ENV: Environment (development/production)
  * ============================================================
@@ -43,43 +44,38 @@ const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const winston = require('winston');
 const { promisify } = require('util');
+const { pipeline } = require('stream');
 
 // OAuth State Persistence Kit - Import helpers
-const { createState, consumeState, markCodeUsed, isCodeUsed, cleanupExpired } = require('./helpers/oauthStore.js');
+const { createOAuthStateStore } = require('./helpers/oauthStore.js');
+const { createS2SAuthenticator } = require('./helpers/s2sAuth.js');
+const { disconnectRoute } = require('./helpers/disconnect.js');
+const { createPkcePair, verifyStartContext, ReturnUrlSigner } = require('./helpers/oauthReturn.js');
+const { ResultPages } = require('./helpers/resultPages.js');
+const { TokenEncryption } = require('./helpers/tokenEncryption.js');
+const { createEncryptionProvider } = require('./helpers/encryptionProviders.js');
+const { KeyRotationJob } = require('./helpers/keyRotation.js');
+const { SingleFlight, withAdvisoryLock, needsRefresh, refreshedElsewhere } = require('./helpers/refreshLock.js');
+const { TokenRefreshError, InstallationUnavailableError, InstallationStatusStore } = require('./helpers/installationStatus.js');
+const { callWithTokenRecovery } = require('./helpers/tokenRecovery.js');
+const { READ_ONLY_METHODS, validateBatchRequests, runBatch } = require('./helpers/proxyBatch.js');
+const { sleep, backoffDelay, withRetry, mapWithConcurrency } = require('./helpers/retry.js');
+const { CircuitBreakerRegistry } = require('./helpers/circuitBreaker.js');
+const { ProxyPolicyStore } = require('./helpers/proxyPolicy.js');
+const { AppRegistry } = require('./helpers/appRegistry.js');
+const { loadWebhookPublicKey, verifyWebhookSignature, WebhookEventLog } = require('./helpers/appWebhooks.js');
+const { JOB_STATUSES, ConversionJobStore } = require('./helpers/conversionJobs.js');
+const { AgencyLocationStore, LocationMinter } = require('./helpers/agencyLocations.js');
+const { isUuid, parseInstallationFilters, buildInstallationQuery, pageOf, installationHealth, groupInstallationTree } = require('./helpers/installationQuery.js');
+const { MemoryBucketStore, PostgresBucketStore, TokenBucketLimiter, setRateLimitHeaders } = require('./helpers/rateLimiter.js');
+const { ByteLimitExceededError, ByteLimitStream, copyResponseHeaders, declaredLength } = require('./helpers/proxyStream.js');
+const { extractItems, nextCursor, applyCursor, ContinuationTokens, writeNdjson } = require('./helpers/pagination.js');
+const { IdempotencyStore, hashRequest } = require('./helpers/idempotency.js');
+const { LruCache, PostgresCacheStore, ResponseCache, ruleCacheSettings } = require('./helpers/responseCache.js');
 
 // Feature flag helper
 const ff = (k) => process.env[k] === '1';
 
-// Legacy code deduplication (kept for backward compatibility)
-const usedCodes = new Map(); // code -> expiresAt
-const markUsed = (code, ms = 5 * 60 * 1000) => usedCodes.set(code, Date.now() + ms);
-const isUsed = (code) => {
-  const t = usedCodes.get(code);
-  if (!t) return false;
-  if (Date.now() > t) { usedCodes.delete(code); return false; }
-  return true;
-};
-
-// State verification to prevent client/redirect mismatches
-const stateStore = new Map(); // state -> {clientId, redirect, exp}
-const saveState = (state, data, ttlMs) => stateStore.set(state, {...data, exp: Date.now() + ttlMs});
-const loadState = (state) => {
-  const v = stateStore.get(state);
-  if (!v) return null;
-  if (Date.now() > v.exp) { stateStore.delete(state); return null; }
-  return v;
-};
-
-// Cleanup expired codes every 10 minutes
-setInterval(() => {
-  const now = Date.now();
-  for (const [code, expiresAt] of usedCodes.entries()) {
-    if (now > expiresAt) {
-      usedCodes.delete(code);
-    }
-  }
-}, 10 * 60 * 1000);
-
 // Configuration
 const config = {
   port: process.env.PORT || 3000,
@@ -90,12 +86,107 @@ const config = {
   hlClientSecret: process.env.HL_CLIENT_SECRET,
   redirectUri: process.env.REDIRECT_URI,
   
+  // OAuth state / authorization code deduplication
+  oauthState: {
+    backend: process.env.OAUTH_STATE_STORE || 'postgres',
+    stateTtlMs: parseInt(process.env.STATE_TTL_MIN || '20', 10) * 60 * 1000,
+    codeTtlMs: parseInt(process.env.OAUTH_CODE_TTL_MIN || '10', 10) * 60 * 1000
+  },
+  
+  // PKCE and resume-after-install (signed ?ctx= on /oauth/start)
+  oauthStart: {
+    pkce: process.env.OAUTH_PKCE || 'optional', // off | optional (?pkce=1) | always
+    returnToOrigins: (process.env.OAUTH_RETURN_TO_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean),
+    maxContextBytes: parseInt(process.env.OAUTH_MAX_CONTEXT_BYTES || '2048', 10)
+  },
+  
   // Database
   databaseUrl: process.env.DATABASE_URL,
   
   // Security
   encryptionKey: process.env.ENCRYPTION_KEY,
+  encryptionKeys: process.env.ENCRYPTION_KEYS,
   s2sSecret: process.env.S2S_SHARED_SECRET,
+  s2sRequireAudience: ff('S2S_REQUIRE_AUDIENCE'), // reject S2S tokens without aud: "oauth-server"
+  
+  // Token refresh
+  refreshThresholdMs: parseInt(process.env.TOKEN_REFRESH_THRESHOLD_MINUTES || '5', 10) * 60 * 1000,
+  refreshLockTimeoutMs: parseInt(process.env.TOKEN_REFRESH_LOCK_TIMEOUT_MS || '30000', 10),
+  refreshMaxFailures: parseInt(process.env.TOKEN_REFRESH_MAX_FAILURES || '5', 10),
+  refreshJob: {
+    intervalMs: parseInt(process.env.REFRESH_JOB_INTERVAL_MS || String(5 * 60 * 1000), 10),
+    windowMinutes: parseInt(process.env.REFRESH_WINDOW_MINUTES || '60', 10),
+    batchSize: parseInt(process.env.REFRESH_BATCH_SIZE || '50', 10),
+    maxBatchesPerRun: parseInt(process.env.REFRESH_MAX_BATCHES_PER_RUN || '20', 10),
+    concurrency: parseInt(process.env.REFRESH_CONCURRENCY || '5', 10),
+    attempts: parseInt(process.env.TOKEN_REFRESH_RETRY_ATTEMPTS || '3', 10),
+    retryBaseMs: parseInt(process.env.TOKEN_REFRESH_RETRY_DELAY || '1000', 10),
+    leaseSeconds: parseInt(process.env.REFRESH_LEASE_SECONDS || '300', 10)
+  },
+  
+  // Agency -> location token conversion jobs
+  conversionJob: {
+    intervalMs: parseInt(process.env.CONVERSION_JOB_INTERVAL_MS || '30000', 10),
+    pageSize: parseInt(process.env.CONVERSION_PAGE_SIZE || '100', 10),
+    concurrency: parseInt(process.env.CONVERSION_CONCURRENCY || '5', 10),
+    maxAttempts: parseInt(process.env.CONVERSION_MAX_ATTEMPTS || '3', 10),
+    leaseSeconds: parseInt(process.env.CONVERSION_LEASE_SECONDS || '300', 10)
+  },
+  
+  // Proxy scope enforcement: enforce (403 on missing scopes) | report (log only) | off
+  proxyScopeEnforcement: process.env.PROXY_SCOPE_ENFORCEMENT || 'enforce',
+  
+  // Proxy rate limiting per installation (defaults mirror HighLevel: 100 per 10s, 200k per day)
+  proxyRateLimit: {
+    store: process.env.PROXY_RATE_LIMIT_STORE || 'memory',
+    burstLimit: parseInt(process.env.PROXY_RATE_LIMIT_BURST || '100', 10),
+    burstWindowMs: parseInt(process.env.PROXY_RATE_LIMIT_BURST_WINDOW_MS || '10000', 10),
+    dailyLimit: parseInt(process.env.PROXY_RATE_LIMIT_DAILY || '200000', 10),
+    maxWaitMs: parseInt(process.env.PROXY_RATE_LIMIT_MAX_WAIT_MS || '2000', 10)
+  },
+  
+  // HighLevel API retries (idempotent methods on 429/502/503/504) and per-installation circuit breaker
+  hlApiRetry: {
+    maxAttempts: parseInt(process.env.HL_API_MAX_ATTEMPTS || '4', 10),
+    baseMs: parseInt(process.env.HL_API_RETRY_BASE_MS || '500', 10),
+    maxDelayMs: parseInt(process.env.HL_API_RETRY_MAX_DELAY_MS || '10000', 10)
+  },
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+    cooldownMs: parseInt(process.env.CIRCUIT_COOLDOWN_MS || '30000', 10)
+  },
+  proxyStreaming: {
+    maxUploadBytes: parseInt(process.env.PROXY_MAX_UPLOAD_BYTES || String(25 * 1024 * 1024), 10),
+    maxDownloadBytes: parseInt(process.env.PROXY_MAX_DOWNLOAD_BYTES || String(100 * 1024 * 1024), 10),
+    timeoutMs: parseInt(process.env.PROXY_STREAM_TIMEOUT_MS || '120000', 10)
+  },
+  proxyCache: {
+    store: process.env.PROXY_CACHE_STORE || 'memory',
+    maxEntries: parseInt(process.env.PROXY_CACHE_MAX_ENTRIES || '1000', 10),
+    maxBodyBytes: parseInt(process.env.PROXY_CACHE_MAX_BODY_BYTES || String(256 * 1024), 10)
+  },
+  idempotency: {
+    ttlMs: parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24', 10) * 60 * 60 * 1000,
+    lockMs: parseInt(process.env.IDEMPOTENCY_LOCK_MS || '60000', 10)
+  },
+  proxyBatch: {
+    maxRequests: parseInt(process.env.PROXY_BATCH_MAX_REQUESTS || '50', 10),
+    concurrency: parseInt(process.env.PROXY_BATCH_CONCURRENCY || '5', 10)
+  },
+  proxyPagination: {
+    defaultMaxPages: parseInt(process.env.PROXY_PAGINATE_DEFAULT_PAGES || '10', 10),
+    maxPages: parseInt(process.env.PROXY_PAGINATE_MAX_PAGES || '100', 10),
+    maxPageSize: parseInt(process.env.PROXY_PAGINATE_MAX_PAGE_SIZE || '100', 10),
+    continuationTtlMs: parseInt(process.env.PROXY_PAGINATE_CONTINUATION_TTL_MS || String(24 * 60 * 60 * 1000), 10)
+  },
+  
+  // HighLevel app lifecycle webhooks (INSTALL / UNINSTALL / LocationCreate)
+  appWebhooks: {
+    publicKey: process.env.HL_WEBHOOK_PUBLIC_KEY || null,
+    publicKeyFile: process.env.HL_WEBHOOK_PUBLIC_KEY_FILE || null,
+    uninstallAction: process.env.HL_WEBHOOK_UNINSTALL_ACTION || 'revoke', // revoke | delete
+    retentionMs: parseInt(process.env.HL_WEBHOOK_DEDUPE_DAYS || '7', 10) * 24 * 60 * 60 * 1000
+  },
   
   // HighLevel API
   hlApiBase: 'https://services.leadconnectorhq.com',
@@ -105,7 +196,7 @@ const config = {
 // Validate required environment variables
 const requiredEnvVars = [
   'HL_CLIENT_ID', 'HL_CLIENT_SECRET', 'REDIRECT_URI',
-  'DATABASE_URL', 'ENCRYPTION_KEY', 'S2S_SHARED_SECRET'
+  'DATABASE_URL', 'S2S_SHARED_SECRET'
 ];
 
 for (const envVar of requiredEnvVars) {
@@ -115,6 +206,11 @@ for (const envVar of requiredEnvVars) {
   }
 }
 
+if (!config.encryptionKey && !config.encryptionKeys) {
+  console.error('❌ Missing required environment variable: ENCRYPTION_KEY or ENCRYPTION_KEYS');
+  process.exit(1);
+}
+
 // Initialize Express app
 const app = express();
 
@@ -143,7 +239,13 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // HighLevel signs the exact bytes it sent, so keep them for webhook verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/webhooks/')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
@@ -169,30 +271,12 @@ app.get('/feature-flags', (req, res) => {
   res.json({
     OAUTH_CALLBACK_V2: process.env.OAUTH_CALLBACK_V2,
     OAUTH_CALLBACK_LOG: process.env.OAUTH_CALLBACK_LOG,
-    OAUTH_STATE_PERSISTENCE: process.env.OAUTH_STATE_PERSISTENCE,
+    OAUTH_STATE_STORE: config.oauthState.backend,
     STATE_TTL_MIN: process.env.STATE_TTL_MIN,
     commit: process.env.RAILWAY_GIT_COMMIT_SHA || 'unknown'
   });
 });
 
-// Rate limiting (temporarily disabled for debugging)
-// const limiter = rateLimit({
-//   windowMs: 15 * 60 * 1000, // 15 minutes
-//   max: config.nodeEnv === 'production' ? 100 : 1000, // requests per window
-//   message: { error: 'Too many requests, please try again later' },
-//   standardHeaders: true,
-//   legacyHeaders: false,
-// });
-
-// app.use(limiter);
-
-// Stricter rate limiting for sensitive endpoints (temporarily disabled for debugging)
-// const strictLimiter = rateLimit({
-//   windowMs: 15 * 60 * 1000,
-//   max: 20,
-//   message: { error: 'Rate limit exceeded for sensitive endpoint' }
-// });
-
 // Logger setup
 const logger = winston.createLogger({
   level: config.nodeEnv === 'production' ? 'info' : 'debug',
@@ -221,6 +305,28 @@ const db = new Pool({
   connectionTimeoutMillis: 2000,
 });
 
+// Single source of truth for OAuth state and used authorization codes
+const oauthStateStore = createOAuthStateStore({ ...config.oauthState, db });
+const oauthReturnSigner = new ReturnUrlSigner({ secret: config.s2sSecret });
+
+// Branded /oauth/callback result pages and per-app success/failure redirects
+const resultPages = new ResultPages({
+  file: process.env.OAUTH_BRANDING_FILE || null,
+  json: process.env.OAUTH_BRANDING_JSON || null,
+  logger
+});
+
+setInterval(async () => {
+  try {
+    const removed = await oauthStateStore.cleanupExpired();
+    if (removed.states || removed.codes) {
+      logger.debug('Expired OAuth states/codes cleaned up', removed);
+    }
+  } catch (error) {
+    logger.warn('OAuth state cleanup failed:', { error: error.message });
+  }
+}, 10 * 60 * 1000).unref();
+
 // Initialize database and create tables
 async function initializeDatabase() {
   let retryCount = 0;
@@ -255,6 +361,15 @@ async function initializeDatabase() {
       `);
       logger.info('✅ oauth_state index created/verified');
       
+      // PKCE verifier and resume-after-install data bound to the state
+      await db.query(`
+        ALTER TABLE oauth_state
+        ADD COLUMN IF NOT EXISTS code_verifier TEXT,
+        ADD COLUMN IF NOT EXISTS return_to TEXT,
+        ADD COLUMN IF NOT EXISTS context JSONB;
+      `);
+      logger.info('✅ oauth_state PKCE/return columns created/verified');
+      
       // Create oauth_used_codes table
       logger.info('Creating oauth_used_codes table...');
       await db.query(`
@@ -273,6 +388,27 @@ async function initializeDatabase() {
       `);
       logger.info('✅ oauth_used_codes index created/verified');
       
+      // Marketplace app registry (installations reference it; NULL app_id = env-configured default app)
+      logger.info('Creating hl_apps table...');
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS hl_apps (
+          id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          slug          TEXT NOT NULL UNIQUE,
+          name          TEXT,
+          client_id     TEXT NOT NULL,
+          client_secret TEXT NOT NULL,
+          data_key      TEXT,
+          key_provider  TEXT,
+          redirect_uri  TEXT NOT NULL,
+          scopes        TEXT[] NOT NULL DEFAULT '{}',
+          policy        JSONB,
+          status        TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'disabled')),
+          created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+      `);
+      logger.info('✅ hl_apps table created/verified');
+      
       // Create hl_installations table
       logger.info('Creating hl_installations table...');
       await db.query(`
@@ -281,7 +417,7 @@ async function initializeDatabase() {
           location_id       TEXT,
           agency_id         TEXT,
           access_token      TEXT NOT NULL,
-          refresh_token     TEXT NOT NULL,
+          refresh_token     TEXT,
           scopes            TEXT[] NOT NULL DEFAULT '{}',
           expires_at        TIMESTAMPTZ NOT NULL,
           installation_type TEXT DEFAULT 'location' CHECK (installation_type IN ('location', 'agency')),
@@ -291,8 +427,15 @@ async function initializeDatabase() {
           last_token_refresh TIMESTAMPTZ DEFAULT now(),
           install_ip        INET,
           user_agent        TEXT,
-          CONSTRAINT unique_location_install UNIQUE (location_id),
-          CONSTRAINT unique_agency_install UNIQUE (agency_id),
+          data_key          TEXT,
+          key_provider      TEXT,
+          refresh_claimed_until TIMESTAMPTZ,
+          refresh_failure_count INTEGER NOT NULL DEFAULT 0,
+          last_error        TEXT,
+          last_error_at     TIMESTAMPTZ,
+          app_id            UUID REFERENCES hl_apps(id),
+          parent_installation_id UUID REFERENCES hl_installations(id) ON DELETE SET NULL,
+          company_id        TEXT,
           CONSTRAINT require_tenant_id CHECK (
             (location_id IS NOT NULL AND agency_id IS NULL) OR 
             (location_id IS NULL AND agency_id IS NOT NULL)
@@ -332,6 +475,66 @@ async function initializeDatabase() {
           ADD COLUMN IF NOT EXISTS last_token_refresh TIMESTAMPTZ DEFAULT now();
         `);
         
+        // Bumped on every token write: lets a refresh tell that another caller already refreshed
+        // without comparing timestamps from different clocks
+        await db.query(`
+          ALTER TABLE hl_installations 
+          ADD COLUMN IF NOT EXISTS token_version BIGINT NOT NULL DEFAULT 0;
+        `);
+        
+        // Envelope encryption: wrapped per-installation data key and the provider that wrapped it
+        await db.query(`
+          ALTER TABLE hl_installations 
+          ADD COLUMN IF NOT EXISTS data_key TEXT,
+          ADD COLUMN IF NOT EXISTS key_provider TEXT;
+        `);
+        
+        // Lease used by the background refresh scheduler to share work across replicas
+        await db.query(`
+          ALTER TABLE hl_installations 
+          ADD COLUMN IF NOT EXISTS refresh_claimed_until TIMESTAMPTZ;
+        `);
+        
+        // Refresh failure tracking for the active -> error/expired state machine
+        await db.query(`
+          ALTER TABLE hl_installations 
+          ADD COLUMN IF NOT EXISTS refresh_failure_count INTEGER NOT NULL DEFAULT 0,
+          ADD COLUMN IF NOT EXISTS last_error TEXT,
+          ADD COLUMN IF NOT EXISTS last_error_at TIMESTAMPTZ;
+        `);
+        
+        // Marketplace app the installation belongs to (NULL = default app)
+        await db.query(`
+          ALTER TABLE hl_installations 
+          ADD COLUMN IF NOT EXISTS app_id UUID REFERENCES hl_apps(id);
+        `);
+        
+        // Location tokens minted from an agency token: linked to the agency installation,
+        // refreshed by minting again, and HighLevel may not issue them a refresh token
+        await db.query(`
+          ALTER TABLE hl_installations 
+          ADD COLUMN IF NOT EXISTS parent_installation_id UUID REFERENCES hl_installations(id) ON DELETE SET NULL;
+        `);
+        
+        await db.query(`
+          ALTER TABLE hl_installations 
+          ALTER COLUMN refresh_token DROP NOT NULL;
+        `);
+        
+        // Agency (company) a location belongs to; require_tenant_id keeps agency_id NULL on location rows
+        await db.query(`
+          ALTER TABLE hl_installations 
+          ADD COLUMN IF NOT EXISTS company_id TEXT;
+        `);
+        
+        await db.query(`
+          UPDATE hl_installations c
+             SET company_id = p.agency_id
+            FROM hl_installations p
+           WHERE c.parent_installation_id = p.id
+             AND c.company_id IS NULL;
+        `);
+        
         logger.info('✅ Missing columns added successfully');
         
         // Check if location_id has NOT NULL constraint
@@ -409,18 +612,7 @@ async function initializeDatabase() {
           DROP INDEX IF EXISTS hl_installations_agency_id_unique;
         `);
         
-        // Add proper unique constraints (not partial indexes)
-        await db.query(`
-          ALTER TABLE hl_installations 
-          DROP CONSTRAINT IF EXISTS unique_location_install;
-        `);
-        
-        await db.query(`
-          ALTER TABLE hl_installations 
-          DROP CONSTRAINT IF EXISTS unique_agency_install;
-        `);
-        
-        // Create regular unique constraints (will work with ON CONFLICT)
+        // Installations are unique per (app, tenant), so one location can install several apps
         await db.query(`
           ALTER TABLE hl_installations 
           DROP CONSTRAINT IF EXISTS unique_location_install;
@@ -431,17 +623,7 @@ async function initializeDatabase() {
           DROP CONSTRAINT IF EXISTS unique_agency_install;
         `);
         
-        await db.query(`
-          ALTER TABLE hl_installations 
-          ADD CONSTRAINT unique_location_install UNIQUE (location_id);
-        `);
-        
-        await db.query(`
-          ALTER TABLE hl_installations 
-          ADD CONSTRAINT unique_agency_install UNIQUE (agency_id);
-        `);
-        
-        // Run additional constraint fix to ensure proper setup
+        // Run additional constraint fix to ensure proper setup (creates the per-app unique indexes)
         const { fixConstraintsOnRailway } = require('./fix_constraints_railway.js');
         await fixConstraintsOnRailway();
         
@@ -458,27 +640,175 @@ async function initializeDatabase() {
         CREATE INDEX IF NOT EXISTS idx_hl_installations_expires ON hl_installations(expires_at);
         CREATE INDEX IF NOT EXISTS idx_hl_installations_agency ON hl_installations(agency_id);
         CREATE INDEX IF NOT EXISTS idx_hl_installations_status ON hl_installations(status);
+        CREATE INDEX IF NOT EXISTS idx_hl_installations_parent ON hl_installations(parent_installation_id);
+        CREATE INDEX IF NOT EXISTS idx_hl_installations_company ON hl_installations(company_id);
       `);
       logger.info('✅ hl_installations indexes created/verified');
       
-      // Create mark_tokens_for_refresh function
-      logger.info('Creating mark_tokens_for_refresh function...');
+      // mark_tokens_for_refresh only returned location IDs; the refresh scheduler claims rows directly
+      await db.query(`
+        DROP FUNCTION IF EXISTS mark_tokens_for_refresh(INTEGER);
+      `);
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_hl_installations_refresh_due
+          ON hl_installations(expires_at) WHERE status = 'active';
+      `);
+      logger.info('✅ Token refresh scheduler index created/verified');
+      
+      // Token buckets for per-installation proxy rate limiting (PROXY_RATE_LIMIT_STORE=postgres)
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS hl_rate_limits (
+          bucket_key  TEXT PRIMARY KEY,
+          tokens      DOUBLE PRECISION NOT NULL,
+          updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+      `);
       await db.query(`
-        CREATE OR REPLACE FUNCTION mark_tokens_for_refresh(hours_before_expiry INTEGER)
-        RETURNS TABLE(tenant_id TEXT, expires_at TIMESTAMPTZ) AS $$
+        CREATE OR REPLACE FUNCTION hl_rate_limit_take(
+          p_key TEXT, p_capacity DOUBLE PRECISION, p_refill_per_sec DOUBLE PRECISION, p_cost DOUBLE PRECISION
+        )
+        RETURNS TABLE(allowed BOOLEAN, remaining DOUBLE PRECISION) AS $$
+        DECLARE
+          v_tokens  DOUBLE PRECISION;
+          v_updated TIMESTAMPTZ;
+          v_now     TIMESTAMPTZ := clock_timestamp();
         BEGIN
-          RETURN QUERY
-          SELECT 
-            location_id as tenant_id,
-            hi.expires_at
-          FROM hl_installations hi
-          WHERE hi.status = 'active'
-            AND hi.expires_at <= NOW() + (hours_before_expiry || ' hours')::INTERVAL
-            AND (hi.last_token_refresh IS NULL OR hi.last_token_refresh < NOW() - INTERVAL '30 minutes');
+          INSERT INTO hl_rate_limits (bucket_key, tokens, updated_at)
+          VALUES (p_key, p_capacity, v_now)
+          ON CONFLICT (bucket_key) DO NOTHING;
+          
+          SELECT rl.tokens, rl.updated_at INTO v_tokens, v_updated
+            FROM hl_rate_limits rl WHERE rl.bucket_key = p_key FOR UPDATE;
+          
+          v_tokens := LEAST(p_capacity, v_tokens + GREATEST(0, EXTRACT(EPOCH FROM (v_now - v_updated))) * p_refill_per_sec);
+          allowed := v_tokens >= p_cost;
+          IF allowed THEN
+            v_tokens := LEAST(p_capacity, v_tokens - p_cost);
+          END IF;
+          
+          UPDATE hl_rate_limits SET tokens = v_tokens, updated_at = v_now WHERE bucket_key = p_key;
+          remaining := v_tokens;
+          RETURN NEXT;
         END;
         $$ LANGUAGE plpgsql;
       `);
-      logger.info('✅ mark_tokens_for_refresh function created/verified');
+      logger.info('✅ hl_rate_limits table and hl_rate_limit_take function created/verified');
+      
+      // Idempotency keys for mutating /proxy/hl calls (key -> stored response)
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS hl_idempotency_keys (
+          scope            VARCHAR(255) NOT NULL,
+          idempotency_key  VARCHAR(255) NOT NULL,
+          request_hash     CHAR(64) NOT NULL,
+          status           VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+          response_status  INTEGER,
+          response_body    JSONB,
+          locked_until     TIMESTAMPTZ,
+          expires_at       TIMESTAMPTZ NOT NULL,
+          created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          PRIMARY KEY (scope, idempotency_key)
+        );
+      `);
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_hl_idempotency_keys_expires
+          ON hl_idempotency_keys (expires_at);
+      `);
+      logger.info('✅ hl_idempotency_keys table created/verified');
+      
+      // Shared tier of the proxy response cache (PROXY_CACHE_STORE=postgres)
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS hl_response_cache (
+          cache_key        TEXT PRIMARY KEY,
+          installation_id  UUID NOT NULL,
+          rule_id          VARCHAR(100) NOT NULL,
+          status           INTEGER NOT NULL,
+          body             JSONB,
+          etag             VARCHAR(100) NOT NULL,
+          created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          expires_at       TIMESTAMPTZ NOT NULL
+        );
+      `);
+      // HighLevel's ETag, and how long an expired entry is kept for If-None-Match revalidation
+      await db.query(`
+        ALTER TABLE hl_response_cache
+          ADD COLUMN IF NOT EXISTS upstream_etag TEXT,
+          ADD COLUMN IF NOT EXISTS stale_until TIMESTAMPTZ;
+      `);
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_hl_response_cache_installation
+          ON hl_response_cache (installation_id, rule_id);
+      `);
+      logger.info('✅ hl_response_cache table created/verified');
+      
+      // Processed HighLevel app webhook deliveries (retries carry the same webhookId)
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS hl_webhook_events (
+          webhook_id   TEXT PRIMARY KEY,
+          event_type   TEXT NOT NULL,
+          received_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+      `);
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_hl_webhook_events_received
+          ON hl_webhook_events (received_at);
+      `);
+      logger.info('✅ hl_webhook_events table created/verified');
+      
+      // Agency -> location token conversion jobs and their per-location progress
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS hl_conversion_jobs (
+          id                      UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          agency_installation_id  UUID NOT NULL,
+          agency_id               TEXT NOT NULL,
+          app_id                  UUID,
+          status                  TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+          source                  TEXT,
+          next_skip               INTEGER NOT NULL DEFAULT 0,
+          listing_complete        BOOLEAN NOT NULL DEFAULT FALSE,
+          attempts                INTEGER NOT NULL DEFAULT 0,
+          claimed_until           TIMESTAMPTZ,
+          last_error              TEXT,
+          created_at              TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          started_at              TIMESTAMPTZ,
+          finished_at             TIMESTAMPTZ,
+          updated_at              TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+      `);
+      // One queued/running job per agency installation
+      await db.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_hl_conversion_jobs_active
+          ON hl_conversion_jobs (agency_installation_id)
+          WHERE status IN ('queued', 'running');
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS hl_conversion_job_locations (
+          job_id           UUID NOT NULL REFERENCES hl_conversion_jobs(id) ON DELETE CASCADE,
+          location_id      TEXT NOT NULL,
+          location_name    TEXT,
+          status           TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'converted', 'skipped', 'failed')),
+          attempts         INTEGER NOT NULL DEFAULT 0,
+          installation_id  UUID,
+          skip_reason      TEXT,
+          last_error       TEXT,
+          updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          PRIMARY KEY (job_id, location_id)
+        );
+      `);
+      // Locations the agency token was not stored for are recorded as skipped
+      await db.query(`
+        ALTER TABLE hl_conversion_job_locations
+          ADD COLUMN IF NOT EXISTS skip_reason TEXT;
+      `);
+      await db.query(`
+        ALTER TABLE hl_conversion_job_locations
+          DROP CONSTRAINT IF EXISTS hl_conversion_job_locations_status_check;
+      `);
+      await db.query(`
+        ALTER TABLE hl_conversion_job_locations
+          ADD CONSTRAINT hl_conversion_job_locations_status_check
+          CHECK (status IN ('pending', 'converted', 'skipped', 'failed'));
+      `);
+      logger.info('✅ hl_conversion_jobs tables created/verified');
       
       // Verify tables exist
       const result = await db.query(`
@@ -529,50 +859,12 @@ async function initializeDatabase() {
 
 // Database initialization will be called before server starts
 
-// Encryption utilities
-class TokenEncryption {
-  constructor(key) {
-    this.key = Buffer.from(key, 'base64');
-    if (this.key.length < 32) {
-      throw new Error('Encryption key must be at least 32 bytes');
-    }
-    // AES-256-CBC requires exactly 32 bytes
-    if (this.key.length > 32) {
-      this.key = this.key.slice(0, 32);
-    }
-  }
-  
-  encrypt(text) {
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv('aes-256-cbc', this.key, iv);
-    cipher.setAutoPadding(true);
-    
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    return iv.toString('hex') + ':' + encrypted;
-  }
-  
-  decrypt(encryptedText) {
-    const parts = encryptedText.split(':');
-    if (parts.length !== 2) {
-      throw new Error('Invalid encrypted text format');
-    }
-    
-    const iv = Buffer.from(parts[0], 'hex');
-    const encrypted = parts[1];
-    
-    const decipher = crypto.createDecipheriv('aes-256-cbc', this.key, iv);
-    decipher.setAutoPadding(true);
-    
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return decrypted;
-  }
-}
+// Encryption utilities (key-versioned AES-256-GCM keyring)
+const tokenEncryption = TokenEncryption.fromEnv();
 
-const tokenEncryption = new TokenEncryption(config.encryptionKey);
+// Envelope encryption provider for installation tokens (ENCRYPTION_PROVIDER=local|vault)
+const encryptionProvider = createEncryptionProvider({ legacy: tokenEncryption });
+const keyRotationJob = new KeyRotationJob({ db, provider: encryptionProvider, logger });
 
 // JWT utilities
 function generateS2SToken(payload) {
@@ -585,33 +877,13 @@ function generateS2SToken(payload) {
   }, config.s2sSecret);
 }
 
-function verifyS2SToken(token) {
-  try {
-    return jwt.verify(token, config.s2sSecret);
-  } catch (error) {
-    throw new Error('Invalid or expired token');
-  }
-}
-
-// S2S Authentication middleware
-function authenticateS2S(req, res, next) {
-  const authHeader = req.headers.authorization;
-  
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Missing or invalid authorization header' });
-  }
-  
-  const token = authHeader.substring(7);
-  
-  try {
-    const payload = verifyS2SToken(token);
-    req.auth = payload;
-    next();
-  } catch (error) {
-    logger.warn('S2S authentication failed:', { error: error.message, ip: req.ip });
-    return res.status(401).json({ error: 'Invalid or expired token' });
-  }
-}
+// S2S Authentication middleware (sets req.auth and req.hlApp)
+const authenticateS2S = createS2SAuthenticator({
+  secret: config.s2sSecret,
+  requireAudience: config.s2sRequireAudience,
+  resolveApp: slug => appRegistry.getBySlug(slug),
+  logger
+});
 
 // Audit logging
 async function auditLog(installationId, eventType, eventData, req) {
@@ -623,9 +895,9 @@ async function auditLog(installationId, eventType, eventData, req) {
         installationId,
         eventType,
         JSON.stringify(eventData),
-        req.ip,
-        req.get('User-Agent'),
-        req.originalUrl
+        req?.ip || null,
+        req?.get?.('User-Agent') || null,
+        req?.originalUrl || null
       ]
     );
   } catch (error) {
@@ -633,6 +905,47 @@ async function auditLog(installationId, eventType, eventData, req) {
   }
 }
 
+// Error types (TokenRefreshError, InstallationUnavailableError: helpers/installationStatus.js)
+class CircuitOpenError extends Error {
+  constructor(installationId, retryAfterMs) {
+    super('HighLevel calls for this installation are paused after repeated failures');
+    this.name = 'CircuitOpenError';
+    this.installationId = installationId;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Retry policy for HighLevel API calls
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+const hlCircuitBreakers = new CircuitBreakerRegistry(config.circuitBreaker);
+
+/**
+ * How long HighLevel asks us to wait before retrying, from Retry-After or its rate-limit headers
+ * @param {Object} headers - Upstream response headers (lower-cased by axios)
+ * @returns {number|null} - Delay in milliseconds, or null if the response doesn't say
+ */
+function upstreamRetryDelay(headers = {}) {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+    if (!Number.isNaN(ms)) return Math.max(0, ms);
+  }
+  
+  // HighLevel: burst window is exhausted until the interval rolls over
+  if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-interval-milliseconds']) {
+    return Number(headers['x-ratelimit-interval-milliseconds']);
+  }
+  
+  // Daily quota exhausted - no point retrying within this request
+  if (headers['x-ratelimit-daily-remaining'] === '0') {
+    return Infinity;
+  }
+  
+  return null;
+}
+
 // HighLevel API client
 class HighLevelAPI {
   static async exchangeCodeForTokens(code, locationId, agencyId) {
@@ -676,11 +989,13 @@ class HighLevelAPI {
     }
   }
   
-  static async refreshToken(refreshToken) {
+  static async refreshToken(refreshToken, hlApp = null) {
+    // Refresh tokens are bound to the app that issued them
+    const { clientId, clientSecret } = hlApp || appRegistry.defaultApp;
     try {
       const body = new URLSearchParams({
-        client_id: config.hlClientId,
-        client_secret: config.hlClientSecret,
+        client_id: clientId,
+        client_secret: clientSecret,
         grant_type: 'refresh_token',
         refresh_token: refreshToken
       }).toString();
@@ -699,52 +1014,175 @@ class HighLevelAPI {
         status: error.response?.status,
         data: error.response?.data
       });
-      throw new Error('Failed to refresh access token');
+      throw new TokenRefreshError('Failed to refresh access token', {
+        status: error.response?.status,
+        data: error.response?.data
+      });
     }
   }
   
-  static async makeAPICall(accessToken, method, endpoint, data = null, headers = {}) {
+  /**
+   * Mint a location token with an agency access token (/oauth/locationToken)
+   * @returns {Promise<Object>} - { access_token, expires_in, scope, refresh_token? }
+   */
+  static async mintLocationToken(companyId, locationId, agencyAccessToken) {
     try {
-      const response = await axios({
-        method,
-        url: `${config.hlApiBase}${endpoint}`,
-        data,
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-          ...headers
-        },
-        timeout: 30000,
-        validateStatus: () => true, // Don't throw on non-2xx status codes
-        responseType: 'text', // Get raw text to handle non-JSON responses
-        transformResponse: [(data) => {
-          // Try to parse as JSON, fallback to text
-          if (!data) return null;
-          try {
-            return JSON.parse(data);
-          } catch (e) {
-            // If not valid JSON, return as text wrapped in an object
-            return { message: data.toString() };
-          }
-        }]
-      });
+      const response = await axios.post(
+        `${config.hlApiBase}/oauth/locationToken`,
+        new URLSearchParams({ companyId, locationId }).toString(),
+        {
+          headers: {
+            'Authorization': `Bearer ${agencyAccessToken}`,
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Version': '2021-07-28'
+          },
+          timeout: 10000
+        }
+      );
       
-      return response;
+      const tokens = response.data;
+      if (!tokens?.access_token) {
+        throw new Error('No access_token in location token response');
+      }
+      return {
+        ...tokens,
+        expires_in: Number(tokens.expires_in) > 0 ? Number(tokens.expires_in) : 3600
+      };
     } catch (error) {
-      logger.error('HighLevel API call failed:', {
-        method,
-        endpoint,
+      logger.error('Location token mint failed:', {
+        companyId,
+        locationId,
         error: error.message,
-        status: error.response?.status
+        status: error.response?.status,
+        data: error.response?.data
       });
-      throw error;
+      throw new TokenRefreshError('Failed to mint location token', {
+        status: error.response?.status,
+        data: error.response?.data
+      });
+    }
+  }
+  
+  /**
+   * Call the HighLevel API. Idempotent methods are retried with jittered backoff on
+   * 429/502/503/504 and network errors; calls are refused while the installation's circuit is open.
+   * @param {Object} [options]
+   * @param {string} [options.installationId] - Circuit breaker key
+   * @param {boolean} [options.stream] - Return the body as an unparsed stream (data may also be a stream)
+   * @returns {Promise<Object>} - Axios response plus retryCount and outcome
+   */
+  static async makeAPICall(accessToken, method, endpoint, data = null, headers = {}, options = {}) {
+    const { installationId = null, stream = false } = options;
+    const { maxAttempts, baseMs, maxDelayMs } = config.hlApiRetry;
+    // A streamed request body (upload) is consumed by the first attempt and can't be replayed
+    const replayable = !(data && typeof data.pipe === 'function');
+    const idempotent = IDEMPOTENT_METHODS.has(String(method).toUpperCase()) && replayable;
+    
+    if (installationId) {
+      const circuit = hlCircuitBreakers.check(installationId);
+      if (!circuit.allowed) {
+        throw new CircuitOpenError(installationId, circuit.retryAfterMs);
+      }
+    }
+    
+    for (let attempt = 1; ; attempt++) {
+      let response;
+      
+      try {
+        response = await axios({
+          method,
+          url: `${config.hlApiBase}${endpoint}`,
+          data,
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json',
+            ...headers
+          },
+          validateStatus: () => true, // Don't throw on non-2xx status codes
+          ...(stream ? {
+            // Pass bytes through untouched (binary, compressed); caps are enforced by the caller
+            timeout: config.proxyStreaming.timeoutMs,
+            responseType: 'stream',
+            decompress: false,
+            maxBodyLength: Infinity,
+            maxContentLength: Infinity,
+            maxRedirects: replayable ? 5 : 0 // Redirect support would buffer the upload
+          } : {
+            timeout: 30000,
+            responseType: 'text', // Get raw text to handle non-JSON responses
+            transformResponse: [(data) => {
+              // Try to parse as JSON, fallback to text
+              if (!data) return null;
+              try {
+                return JSON.parse(data);
+              } catch (e) {
+                // If not valid JSON, return as text wrapped in an object
+                return { message: data.toString() };
+              }
+            }]
+          })
+        });
+      } catch (error) {
+        if (idempotent && attempt < maxAttempts) {
+          const delay = backoffDelay(attempt, { baseMs, maxMs: maxDelayMs });
+          logger.warn('HighLevel API call failed - retrying', { method, endpoint, attempt, delayMs: delay, error: error.message });
+          await sleep(delay);
+          continue;
+        }
+        
+        if (installationId) hlCircuitBreakers.recordFailure(installationId);
+        logger.error('HighLevel API call failed:', {
+          method,
+          endpoint,
+          attempts: attempt,
+          error: error.message,
+          status: error.response?.status
+        });
+        error.retryCount = attempt - 1;
+        throw error;
+      }
+      
+      if (RETRYABLE_STATUSES.has(response.status) && idempotent && attempt < maxAttempts) {
+        const requested = upstreamRetryDelay(response.headers);
+        const delay = requested ?? backoffDelay(attempt, { baseMs, maxMs: maxDelayMs });
+        
+        if (delay <= maxDelayMs) {
+          if (stream) response.data.destroy();
+          logger.warn('HighLevel API returned retryable status - retrying', {
+            method,
+            endpoint,
+            status: response.status,
+            attempt,
+            delayMs: delay
+          });
+          await sleep(delay + (requested !== null ? Math.floor(Math.random() * baseMs) : 0));
+          continue;
+        }
+      }
+      
+      const failed = RETRYABLE_STATUSES.has(response.status) || response.status >= 500;
+      if (installationId) {
+        if (failed) hlCircuitBreakers.recordFailure(installationId);
+        else hlCircuitBreakers.recordSuccess(installationId);
+      }
+      
+      response.retryCount = attempt - 1;
+      response.outcome = failed ? 'upstream_error' : 'completed';
+      return response;
     }
   }
 }
 
 // Database operations
 class InstallationDB {
-  static async saveInstallation(locationId, agencyId, tokens, scopes, req) {
+  /**
+   * Insert or update the installation of a tenant for an app
+   * @param {Object} [options]
+   * @param {string|null} [options.appId] - hl_apps.id (null = default app)
+   * @param {string|null} [options.companyId] - Agency a location belongs to, when known
+   * @returns {Promise<string>} - Installation ID
+   */
+  static async saveInstallation(locationId, agencyId, tokens, scopes, req, { appId = null, companyId = null } = {}) {
     const client = await db.connect();
     
     try {
@@ -754,16 +1192,13 @@ class InstallationDB {
       logger.info('🔍 saveInstallation called', {
         locationId,
         agencyId,
+        appId,
         hasTokens: !!tokens,
         scopesCount: scopes?.length,
         method: 'manual_upsert_v2',
         timestamp: new Date().toISOString()
       });
       
-      // Encrypt tokens
-      const encryptedAccessToken = tokenEncryption.encrypt(tokens.access_token);
-      const encryptedRefreshToken = tokenEncryption.encrypt(tokens.refresh_token);
-      
       // Calculate expiry time with validation
       const validExpiresIn = tokens.expires_in && !isNaN(tokens.expires_in) ? tokens.expires_in : 3600;
       if (!tokens.expires_in || isNaN(tokens.expires_in)) {
@@ -781,94 +1216,119 @@ class InstallationDB {
       if (locationId) {
         // Location-based installation - check if exists first
         const existing = await client.query(
-          'SELECT id FROM hl_installations WHERE location_id = $1',
-          [locationId]
+          'SELECT id, data_key, key_provider FROM hl_installations WHERE location_id = $1 AND app_id IS NOT DISTINCT FROM $2',
+          [locationId, appId]
         );
         
         if (existing.rows.length > 0) {
-          // Update existing
+          // Update existing (keeps the installation's data key)
+          const sealed = await encryptionProvider.sealTokens(tokens, { dataKey: existing.rows[0].data_key, keyProvider: existing.rows[0].key_provider });
           result = await client.query(
             `UPDATE hl_installations SET
                access_token = $2,
                refresh_token = $3,
                scopes = $4,
                expires_at = $5,
+               data_key = $6,
+               key_provider = $7,
                updated_at = NOW(),
                last_token_refresh = NOW(),
-               status = 'active'
-             WHERE location_id = $1
+               token_version = token_version + 1,
+               status = 'active',
+               parent_installation_id = NULL,
+               company_id = COALESCE($8, company_id)
+             WHERE id = $1
              RETURNING id`,
             [
-              locationId,
-              encryptedAccessToken,
-              encryptedRefreshToken,
+              existing.rows[0].id,
+              sealed.access_token,
+              sealed.refresh_token,
               scopes,
-              expiresAt
+              expiresAt,
+              sealed.data_key,
+              sealed.key_provider,
+              companyId
             ]
           );
         } else {
           // Insert new
+          const sealed = await encryptionProvider.sealTokens(tokens);
           result = await client.query(
             `INSERT INTO hl_installations 
-             (location_id, agency_id, access_token, refresh_token, scopes, expires_at, install_ip, user_agent)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             (location_id, agency_id, access_token, refresh_token, scopes, expires_at, install_ip, user_agent, data_key, key_provider, app_id, company_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
              RETURNING id`,
             [
               locationId,
               agencyId,
-              encryptedAccessToken,
-              encryptedRefreshToken,
+              sealed.access_token,
+              sealed.refresh_token,
               scopes,
               expiresAt,
               installIp,
-              userAgent
+              userAgent,
+              sealed.data_key,
+              sealed.key_provider,
+              appId,
+              companyId
             ]
           );
         }
       } else {
         // Agency-based installation - check if exists first
         const existing = await client.query(
-          'SELECT id FROM hl_installations WHERE agency_id = $1',
-          [agencyId]
+          'SELECT id, data_key, key_provider FROM hl_installations WHERE agency_id = $1 AND app_id IS NOT DISTINCT FROM $2',
+          [agencyId, appId]
         );
         
         if (existing.rows.length > 0) {
-          // Update existing
+          // Update existing (keeps the installation's data key)
+          const sealed = await encryptionProvider.sealTokens(tokens, { dataKey: existing.rows[0].data_key, keyProvider: existing.rows[0].key_provider });
           result = await client.query(
             `UPDATE hl_installations SET
                access_token = $2,
                refresh_token = $3,
                scopes = $4,
                expires_at = $5,
+               data_key = $6,
+               key_provider = $7,
                updated_at = NOW(),
                last_token_refresh = NOW(),
-               status = 'active'
-             WHERE agency_id = $1
+               token_version = token_version + 1,
+               status = 'active',
+               installation_type = 'agency'
+             WHERE id = $1
              RETURNING id`,
             [
-              agencyId,
-              encryptedAccessToken,
-              encryptedRefreshToken,
+              existing.rows[0].id,
+              sealed.access_token,
+              sealed.refresh_token,
               scopes,
-              expiresAt
+              expiresAt,
+              sealed.data_key,
+              sealed.key_provider
             ]
           );
         } else {
           // Insert new
+          const sealed = await encryptionProvider.sealTokens(tokens);
           result = await client.query(
             `INSERT INTO hl_installations 
-             (location_id, agency_id, access_token, refresh_token, scopes, expires_at, install_ip, user_agent)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             (location_id, agency_id, access_token, refresh_token, scopes, expires_at, install_ip, user_agent, data_key, key_provider, app_id, installation_type)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'agency')
              RETURNING id`,
             [
               locationId,
               agencyId,
-              encryptedAccessToken,
-              encryptedRefreshToken,
+              sealed.access_token,
+              sealed.refresh_token,
               scopes,
               expiresAt,
               installIp,
-              userAgent
+              userAgent,
+              sealed.data_key,
+              sealed.key_provider,
+              appId
             ]
           );
         }
@@ -882,6 +1342,7 @@ class InstallationDB {
       await auditLog(installationId, 'install', {
         location_id: locationId,
         agency_id: agencyId,
+        app_id: appId,
         scopes: scopes,
         expires_at: expiresAt
       }, req);
@@ -924,34 +1385,87 @@ class InstallationDB {
     }
   }
   
-  static async getInstallation(locationId, agencyId) {
+  /**
+   * Store a location token minted from an agency installation's token (see helpers/agencyLocations.js)
+   * @param {Object} agency - Agency installation { id, agency_id, app_id }
+   * @param {string} locationId
+   * @param {Object} tokens - /oauth/locationToken response (access_token, expires_in, scope, refresh_token?)
+   * @returns {Promise<Object>} - { installationId, created, reactivated } or { installationId: null, skipped: reason }
+   */
+  static async saveLocationTokenFromAgency(agency, locationId, tokens) {
+    const result = await agencyLocations.save(agency, locationId, tokens);
+    
+    if (result.created || result.reactivated) {
+      await auditLog(result.installationId, result.created ? 'install' : 'installation_reactivated', {
+        location_id: locationId,
+        parent_installation_id: agency.id,
+        app_id: agency.app_id || null,
+        scopes: (tokens.scope || '').split(' ').filter(Boolean),
+        expires_in: tokens.expires_in
+      }, null);
+    }
+    
+    return result;
+  }
+  
+  static async getInstallation(locationId, agencyId, appId = null) {
     const query = locationId 
-      ? 'SELECT * FROM hl_installations WHERE location_id = $1 AND status = $2'
-      : 'SELECT * FROM hl_installations WHERE agency_id = $1 AND status = $2';
+      ? 'SELECT * FROM hl_installations WHERE location_id = $1 AND status = $2 AND app_id IS NOT DISTINCT FROM $3'
+      : 'SELECT * FROM hl_installations WHERE agency_id = $1 AND status = $2 AND app_id IS NOT DISTINCT FROM $3';
     
-    const result = await db.query(query, [locationId || agencyId, 'active']);
+    const result = await db.query(query, [locationId || agencyId, 'active', appId]);
     
     if (result.rows.length === 0) {
       return null;
     }
     
-    const installation = result.rows[0];
+    return InstallationDB.decryptInstallation(result.rows[0]);
+  }
+  
+  // Like getInstallation but returns the row whatever its status (tokens are not decrypted)
+  static async findInstallation(locationId, agencyId, appId = null) {
+    const query = locationId
+      ? 'SELECT * FROM hl_installations WHERE location_id = $1 AND app_id IS NOT DISTINCT FROM $2'
+      : 'SELECT * FROM hl_installations WHERE agency_id = $1 AND app_id IS NOT DISTINCT FROM $2';
     
+    const result = await db.query(query, [locationId || agencyId, appId]);
+    return result.rows[0] || null;
+  }
+  
+  static async getInstallationRecord(installationId) {
+    const result = await db.query('SELECT * FROM hl_installations WHERE id = $1', [installationId]);
+    return result.rows[0] || null;
+  }
+  
+  static async getInstallationById(installationId) {
+    const record = await InstallationDB.getInstallationRecord(installationId);
+    return record ? InstallationDB.decryptInstallation(record) : null;
+  }
+  
+  static async decryptInstallation(installation) {
     // Decrypt tokens
     try {
-      installation.access_token = tokenEncryption.decrypt(installation.access_token);
-      installation.refresh_token = tokenEncryption.decrypt(installation.refresh_token);
+      const decrypted = await encryptionProvider.openTokens(installation);
+      installation.access_token = decrypted.access_token;
+      installation.refresh_token = decrypted.refresh_token;
     } catch (error) {
-      logger.error('Token decryption failed:', { installationId: installation.id });
+      logger.error('Token decryption failed:', { installationId: installation.id, error: error.message });
       throw new Error('Token decryption failed');
     }
     
     return installation;
   }
   
-  static async updateTokens(installationId, tokens) {
-    const encryptedAccessToken = tokenEncryption.encrypt(tokens.access_token);
-    const encryptedRefreshToken = tokenEncryption.encrypt(tokens.refresh_token);
+  /**
+   * Store refreshed tokens
+   * @returns {Promise<number>} - The row's new token_version
+   */
+  static async updateTokens(installationId, tokens, client = db) {
+    const existing = await client.query('SELECT data_key, key_provider FROM hl_installations WHERE id = $1', [installationId]);
+    const sealed = await encryptionProvider.sealTokens(tokens, {
+      dataKey: existing.rows[0]?.data_key || null,
+      keyProvider: existing.rows[0]?.key_provider || null
+    });
     
     // Validate and fix expires_in field
     if (!tokens.expires_in || isNaN(tokens.expires_in)) {
@@ -961,76 +1475,517 @@ class InstallationDB {
     
     const expiresAt = new Date(Date.now() + (tokens.expires_in * 1000));
     
-    await db.query(
+    const result = await client.query(
       `UPDATE hl_installations 
        SET access_token = $1, refresh_token = $2, expires_at = $3, 
-           last_token_refresh = NOW(), updated_at = NOW()
-       WHERE id = $4`,
-      [encryptedAccessToken, encryptedRefreshToken, expiresAt, installationId]
+           data_key = $4, key_provider = $5, refresh_failure_count = 0,
+           last_token_refresh = NOW(), token_version = token_version + 1, updated_at = NOW()
+       WHERE id = $6
+       RETURNING token_version`,
+      [sealed.access_token, sealed.refresh_token, expiresAt, sealed.data_key, sealed.key_provider, installationId]
     );
+    return result.rows[0]?.token_version;
   }
   
-  static async revokeInstallation(locationId, agencyId) {
-    const query = locationId
-      ? 'UPDATE hl_installations SET status = $1, updated_at = NOW() WHERE location_id = $2'
-      : 'UPDATE hl_installations SET status = $1, updated_at = NOW() WHERE agency_id = $2';
+  /**
+   * Record a failed refresh and apply the status rules:
+   * invalid_grant -> expired; refreshMaxFailures consecutive failures -> error
+   * @returns {Promise<Object|null>} - { previous_status, status, refresh_failure_count }
+   */
+  static async recordRefreshFailure(installationId, error) {
+    return installationStatus.recordRefreshFailure(installationId, error);
+  }
+  
+  // HighLevel keeps rejecting freshly refreshed tokens - only a reinstall will help
+  static async markReauthorizationRequired(installationId, lastError) {
+    return installationStatus.markReauthorizationRequired(installationId, lastError);
+  }
+  
+  // Return an error/expired installation to active so it is used and refreshed again. A location
+  // revoked with its agency comes back too once the agency is active again, with its stale token
+  // marked expired so it is re-minted on first use.
+  static async resetInstallation(installationId) {
+    const result = await db.query(
+      `UPDATE hl_installations hi
+          SET status = 'active',
+              expires_at = CASE WHEN hi.status = 'revoked' THEN NOW() ELSE hi.expires_at END,
+              refresh_failure_count = 0,
+              last_error = NULL,
+              last_error_at = NULL,
+              refresh_claimed_until = NULL,
+              updated_at = NOW()
+        WHERE hi.id = $1
+          AND (hi.status IN ('active', 'error', 'expired')
+               OR (hi.status = 'revoked' AND EXISTS (
+                 SELECT 1 FROM hl_installations agency
+                  WHERE agency.id = hi.parent_installation_id AND agency.status = 'active'
+               )))
+        RETURNING hi.id, hi.location_id, hi.agency_id, hi.installation_type, hi.status, hi.expires_at, hi.updated_at`,
+      [installationId]
+    );
+    return result.rows[0] || null;
+  }
+  
+  // Revoke a tenant's installation and the location rows minted from it (see helpers/agencyLocations.js)
+  static async revokeInstallation(locationId, agencyId, appId = null) {
+    return agencyLocations.revoke(locationId, agencyId, appId);
+  }
+  
+  // Remove an installation outright (HL_WEBHOOK_UNINSTALL_ACTION=delete); its children are revoked
+  static async deleteInstallation(installationId) {
+    const result = await db.query(
+      `WITH children AS (
+         UPDATE hl_installations SET status = 'revoked', updated_at = NOW()
+          WHERE parent_installation_id = $1 AND status <> 'revoked'
+         RETURNING id
+       ),
+       deleted AS (
+         DELETE FROM hl_installations WHERE id = $1 RETURNING id
+       )
+       SELECT (SELECT COUNT(*) FROM deleted)::int AS deleted, ARRAY(SELECT id FROM children) AS children`,
+      [installationId]
+    );
+    return result.rows[0];
+  }
+  
+  // Installation a proxy call runs under, minting a missing location token through its agency
+  // unless mint is false (see helpers/agencyLocations.js)
+  static async resolveProxyInstallation(locationId, agencyId, appId = null, { mint = true, req = null } = {}) {
+    return locationMinter.resolve(locationId, agencyId, appId, { mint, req });
+  }
+}
+
+// Single-flight token refresh (see helpers/refreshLock.js): callers in this process share
+// one promise per installation, replicas serialize on an advisory lock keyed by installation.
+const inflightRefreshes = new SingleFlight(); // installationId -> Promise<installation>
+
+class TokenRefresher {
+  /**
+   * Refresh an installation's tokens unless another caller already did
+   * @param {Object} installation - Decrypted installation as read by the caller
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Refresh even if the stored token is not near expiry
+   * @param {string} [options.source] - Who asked (proxy, background, admin) for logs/audit
+   * @param {number} [options.thresholdMs] - Treat tokens expiring within this window as due
+   * @param {Object} [options.req] - Originating request for audit logging
+   * @returns {Promise<Object>} - Installation with current decrypted tokens (refreshed: boolean)
+   */
+  static refresh(installation, options = {}) {
+    return inflightRefreshes.run(installation.id, () => TokenRefresher.refreshWithLock(installation, options));
+  }
+  
+  static needsRefresh(installation, thresholdMs = config.refreshThresholdMs) {
+    return needsRefresh(installation, thresholdMs);
+  }
+  
+  static async refreshWithLock(installation, { force = false, source = 'proxy', req = null, thresholdMs } = {}) {
+    // A minted location token is re-minted with its agency's token, resolved before the child's
+    // lock is taken: refreshing the agency needs a pooled client of its own, so children holding
+    // theirs while they wait on it would exhaust the pool
+    let agency = null;
+    if (installation.parent_installation_id) {
+      try {
+        agency = await TokenRefresher.agencyFor(installation, { source, req });
+      } catch (error) {
+        if (error instanceof TokenRefreshError) {
+          await TokenRefresher.handleFailure(installation, error, { source, req });
+        }
+        throw error;
+      }
+    }
+    
+    // Set once HighLevel has issued new tokens: the old refresh token is spent from then on
+    let issued = false;
+    let result;
+    
+    try {
+      result = await withAdvisoryLock(db, `hl_token_refresh:${installation.id}`, { timeoutMs: config.refreshLockTimeoutMs }, async client => {
+        const { rows } = await client.query('SELECT * FROM hl_installations WHERE id = $1', [installation.id]);
+        if (rows.length === 0) {
+          throw new Error('Installation not found');
+        }
+        
+        const current = rows[0];
+        const decrypted = await encryptionProvider.openTokens(current);
+        
+        // Another caller (or replica) refreshed while we waited for the lock - reuse its token
+        if (refreshedElsewhere(installation, current) || (!force && !TokenRefresher.needsRefresh(current, thresholdMs))) {
+          logger.debug('Token refresh skipped - stored token is current', { installationId: current.id, source });
+          return { current: { ...current, ...decrypted, refreshed: false } };
+        }
+        
+        logger.info('Refreshing access token', { installationId: current.id, source, force });
+        
+        const hlApp = await appRegistry.getById(current.app_id);
+        if (!hlApp) {
+          throw new Error(`App ${current.app_id} of installation not found`);
+        }
+        
+        if (current.parent_installation_id && current.parent_installation_id !== agency?.id) {
+          throw new Error('Installation was re-linked to another agency while refreshing - retry');
+        }
+        
+        const newTokens = current.parent_installation_id
+          ? await HighLevelAPI.mintLocationToken(agency.agency_id, current.location_id, agency.access_token)
+          : await HighLevelAPI.refreshToken(decrypted.refresh_token, hlApp);
+        issued = true;
+        const tokens = {
+          ...newTokens,
+          refresh_token: newTokens.refresh_token || decrypted.refresh_token
+        };
+        
+        const tokenVersion = await InstallationDB.updateTokens(current.id, tokens, client);
+        return { current, tokens, tokenVersion };
+      });
+    } catch (error) {
+      if (issued) {
+        logger.error('Refreshed tokens could not be stored - installation may need reinstall', {
+          installationId: installation.id,
+          error: error.message
+        });
+      }
+      if (error instanceof TokenRefreshError) {
+        await TokenRefresher.handleFailure(installation, error, { source, req });
+      }
+      throw error;
+    }
+    
+    const { current, tokens, tokenVersion } = result;
+    if (!tokens) {
+      return current;
+    }
+    
+    const expiresAt = new Date(Date.now() + (tokens.expires_in * 1000));
+    
+    await auditLog(current.id, 'token_refresh', {
+      source,
+      via: current.parent_installation_id ? 'agency' : 'refresh_token',
+      forced: force,
+      old_expires_at: current.expires_at,
+      new_expires_at: expiresAt
+    }, req);
+    
+    return {
+      ...current,
+      access_token: tokens.access_token,
+      refresh_token: tokens.refresh_token,
+      expires_at: expiresAt,
+      last_token_refresh: new Date(),
+      token_version: tokenVersion,
+      refreshed: true
+    };
+  }
+  
+  /**
+   * Agency installation a minted location token is re-minted from, with its current
+   * (refreshed if due) access token
+   * @returns {Promise<Object>} - Decrypted agency installation
+   */
+  static async agencyFor(child, { source, req }) {
+    const parent = await InstallationDB.getInstallationById(child.parent_installation_id);
+    if (!parent || parent.status !== 'active') {
+      // Nothing to mint from until the agency is reinstalled and converted again
+      throw new TokenRefreshError('Parent agency installation is not active', {
+        data: { error: 'invalid_grant', error_description: `Agency installation ${child.parent_installation_id} is ${parent?.status || 'missing'}` }
+      });
+    }
     
-    await db.query(query, ['revoked', locationId || agencyId]);
+    return TokenRefresher.refresh(parent, { source: `${source}:child`, req });
+  }
+  
+  static async handleFailure(installation, error, { source, req }) {
+    try {
+      const outcome = await InstallationDB.recordRefreshFailure(installation.id, error);
+      if (!outcome) return;
+      
+      error.installationStatus = outcome.status;
+      
+      await auditLog(installation.id, 'token_refresh_failed', {
+        source,
+        http_status: error.status,
+        oauth_error: error.oauthError,
+        failure_count: outcome.refresh_failure_count
+      }, req);
+      
+      if (outcome.previous_status !== outcome.status) {
+        logger.warn('Installation status changed after refresh failure', {
+          installationId: installation.id,
+          from: outcome.previous_status,
+          to: outcome.status,
+          failureCount: outcome.refresh_failure_count
+        });
+        
+        await auditLog(installation.id, 'installation_status_changed', {
+          from: outcome.previous_status,
+          to: outcome.status,
+          reason: error.isInvalidGrant ? 'invalid_grant' : 'repeated_refresh_failures'
+        }, req);
+      }
+    } catch (trackingError) {
+      logger.error('Failed to record token refresh failure:', {
+        installationId: installation.id,
+        error: trackingError.message
+      });
+    }
   }
 }
 
-// Endpoint allow-list for proxy
-const ALLOWED_ENDPOINTS = [
-  // Location endpoints
-  /^\/locations\/[\w-]+$/,
-  /^\/locations\/[\w-]+\/contacts/,
-  /^\/locations\/[\w-]+\/opportunities/,
-  /^\/locations\/[\w-]+\/calendars/,
-  /^\/locations\/[\w-]+\/users/,
-  /^\/locations\/[\w-]+\/custom-fields/,
-  /^\/locations\/[\w-]+\/tags/,
-  /^\/locations\/[\w-]+\/workflows/,
-  
-  // Location search endpoint for agency token conversion
-  /^\/locations\/search$/,
-  
-  // OAuth endpoints for location token conversion
-  /^\/oauth\/locationToken$/,
-  
-  // Agency/Company endpoints
-  /^\/companies\/[\w-]+\/locations$/,
-  /^\/agencies\/[\w-]+\/locations$/,
-  /^\/companies\/[\w-]+$/,
-  /^\/agencies\/[\w-]+$/,
-  
-  // Contact endpoints
-  /^\/contacts$/,                          // Allow /contacts endpoint
-  /^\/contacts\?/,                        // Allow /contacts with query params
-  /^\/contacts\/[\w-]+$/,
-  /^\/contacts\/[\w-]+\/notes/,
-  /^\/contacts\/[\w-]+\/tasks/,
-  /^\/contacts\/[\w-]+\/appointments/,
-  
-  // Opportunity endpoints
-  /^\/opportunities$/,                     // Allow /opportunities endpoint
-  /^\/opportunities\?/,                   // Allow /opportunities with query params
-  /^\/opportunities\/[\w-]+$/,
-  /^\/opportunities\/[\w-]+\/notes/,
-  
-  // Calendar endpoints
-  /^\/calendars\/[\w-]+\/events/,
-  /^\/calendars\/[\w-]+\/slots/,
-  
-  // Products and stores endpoints
-  /^\/products/,
-  /^\/stores/,
-  
-  // Media endpoints
-  /^\/medias/,
-];
+// Background token refresh scheduler. Works on installation IDs (location and agency rows)
+// and claims due rows with FOR UPDATE SKIP LOCKED plus a lease, so replicas share the work.
+class TokenRefreshScheduler {
+  static start() {
+    if (TokenRefreshScheduler.timer) return;
+    TokenRefreshScheduler.scheduleNext();
+  }
+  
+  static stop() {
+    clearTimeout(TokenRefreshScheduler.timer);
+    TokenRefreshScheduler.timer = null;
+  }
+  
+  static scheduleNext() {
+    // Jitter so replicas started together don't poll in lockstep
+    const { intervalMs } = config.refreshJob;
+    const delay = intervalMs + Math.floor(Math.random() * intervalMs * 0.2);
+    TokenRefreshScheduler.timer = setTimeout(async () => {
+      try {
+        await TokenRefreshScheduler.runOnce();
+      } catch (error) {
+        logger.error('Background token refresh job failed:', { error: error.message });
+      } finally {
+        if (TokenRefreshScheduler.timer) TokenRefreshScheduler.scheduleNext();
+      }
+    }, delay);
+    TokenRefreshScheduler.timer.unref?.();
+  }
+  
+  static async claimDue(limit) {
+    const { windowMinutes, leaseSeconds } = config.refreshJob;
+    const result = await db.query(
+      `WITH due AS (
+         SELECT id
+           FROM hl_installations
+          WHERE status = 'active'
+            AND expires_at <= NOW() + ($1 || ' minutes')::interval
+            AND (refresh_claimed_until IS NULL OR refresh_claimed_until < NOW())
+          ORDER BY expires_at
+          LIMIT $2
+          FOR UPDATE SKIP LOCKED
+       )
+       UPDATE hl_installations hi
+          SET refresh_claimed_until = NOW() + ($3 || ' seconds')::interval
+         FROM due
+        WHERE hi.id = due.id
+       RETURNING hi.id, hi.installation_type`,
+      [windowMinutes, limit, leaseSeconds]
+    );
+    return result.rows;
+  }
+  
+  static async runOnce() {
+    const { batchSize, maxBatchesPerRun, concurrency } = config.refreshJob;
+    const totals = { claimed: 0, refreshed: 0, skipped: 0, failed: 0 };
+    
+    for (let batch = 0; batch < maxBatchesPerRun; batch++) {
+      const claimed = await TokenRefreshScheduler.claimDue(batchSize);
+      if (claimed.length === 0) break;
+      
+      totals.claimed += claimed.length;
+      const results = await mapWithConcurrency(claimed, concurrency, row => TokenRefreshScheduler.refreshOne(row));
+      
+      for (const result of results) {
+        if (result.error) totals.failed++;
+        else if (result.value) totals.refreshed++;
+        else totals.skipped++;
+      }
+      
+      if (claimed.length < batchSize) break;
+    }
+    
+    if (totals.claimed > 0) {
+      logger.info('Background token refresh run completed', totals);
+    }
+    return totals;
+  }
+  
+  static async refreshOne({ id, installation_type: installationType }) {
+    const { windowMinutes, attempts, retryBaseMs } = config.refreshJob;
+    
+    try {
+      const installation = await InstallationDB.getInstallationById(id);
+      if (!installation || installation.status !== 'active') return false;
+      
+      const current = await withRetry(
+        () => TokenRefresher.refresh(installation, {
+          source: 'background',
+          thresholdMs: windowMinutes * 60 * 1000
+        }),
+        {
+          attempts,
+          baseMs: retryBaseMs,
+          // Only transient failures are worth retrying, and only while the row is still active
+          shouldRetry: (error) => error instanceof TokenRefreshError && error.isTransient &&
+            (!error.installationStatus || error.installationStatus === 'active'),
+          onRetry: (error, attempt, delay) => logger.warn('Background token refresh retrying', {
+            installationId: id,
+            attempt,
+            delayMs: delay,
+            error: error.message
+          })
+        }
+      );
+      
+      await db.query('UPDATE hl_installations SET refresh_claimed_until = NULL WHERE id = $1', [id]);
+      
+      if (current.refreshed) {
+        logger.info('Background token refresh successful', { installationId: id, installationType });
+      }
+      return current.refreshed;
+    } catch (error) {
+      // Leave the lease in place so the row is retried once it lapses
+      logger.error('Background token refresh failed:', {
+        installationId: id,
+        installationType,
+        error: error.message,
+        status: error.status
+      });
+      throw error;
+    }
+  }
+}
+
+// Endpoint allow-list for proxy: per-method rules from HL_ALLOWED_ENDPOINTS_FILE,
+// HL_ALLOWED_ENDPOINTS_JSON or the built-in defaults (see helpers/proxyPolicy.js)
+const proxyPolicy = new ProxyPolicyStore({
+  file: process.env.HL_ALLOWED_ENDPOINTS_FILE || null,
+  json: process.env.HL_ALLOWED_ENDPOINTS_JSON || null,
+  logger
+});
+proxyPolicy.load();
+proxyPolicy.watch();
+
+// Marketplace apps from hl_apps, plus the env-configured default app (global allow-list)
+const appRegistry = new AppRegistry({
+  db,
+  encryptionProvider,
+  logger,
+  defaultApp: {
+    clientId: config.hlClientId,
+    clientSecret: config.hlClientSecret,
+    redirectUri: config.redirectUri,
+    scopes: (process.env.HL_SCOPES || '').split(',').map(s => s.trim()).filter(Boolean),
+    policy: proxyPolicy
+  }
+});
+
+// Per-installation token buckets in front of HighLevel's own limits
+const proxyRateLimiter = new TokenBucketLimiter({
+  store: config.proxyRateLimit.store === 'postgres' ? new PostgresBucketStore({ db }) : new MemoryBucketStore(),
+  buckets: [
+    { name: 'burst', capacity: config.proxyRateLimit.burstLimit, windowMs: config.proxyRateLimit.burstWindowMs },
+    { name: 'daily', capacity: config.proxyRateLimit.dailyLimit, windowMs: 24 * 60 * 60 * 1000 }
+  ],
+  maxWaitMs: config.proxyRateLimit.maxWaitMs
+});
+
+const paginationTokens = new ContinuationTokens({
+  secret: config.s2sSecret,
+  ttlMs: config.proxyPagination.continuationTtlMs
+});
+
+setInterval(() => {
+  Promise.resolve(proxyRateLimiter.prune()).catch(error => {
+    logger.warn('Rate limit bucket cleanup failed:', { error: error.message });
+  });
+}, 10 * 60 * 1000).unref();
+
+// Stored responses for Idempotency-Key replays on mutating proxy calls
+const idempotencyStore = new IdempotencyStore({
+  db,
+  ttlMs: config.idempotency.ttlMs,
+  lockMs: config.idempotency.lockMs
+});
+
+// Read-through cache for GETs on allow-list rules with a "cache" setting
+const responseCache = new ResponseCache({
+  memory: new LruCache({ maxEntries: config.proxyCache.maxEntries }),
+  store: config.proxyCache.store === 'postgres' ? new PostgresCacheStore({ db }) : null,
+  maxBodyBytes: config.proxyCache.maxBodyBytes,
+  logger
+});
+
+setInterval(() => {
+  responseCache.purgeExpired().catch(error => {
+    logger.warn('Response cache cleanup failed:', { error: error.message });
+  });
+}, 10 * 60 * 1000).unref();
+
+setInterval(() => {
+  idempotencyStore.purgeExpired().catch(error => {
+    logger.warn('Idempotency key cleanup failed:', { error: error.message });
+  });
+}, 60 * 60 * 1000).unref();
+
+// HighLevel's webhook key (HL_WEBHOOK_PUBLIC_KEY / _FILE); without it app webhooks are refused
+let appWebhookKey = null;
+try {
+  appWebhookKey = loadWebhookPublicKey({
+    pem: config.appWebhooks.publicKey,
+    file: config.appWebhooks.publicKeyFile
+  });
+} catch (error) {
+  logger.error('Failed to load HighLevel webhook public key, app webhooks disabled:', { error: error.message });
+}
+const webhookEvents = new WebhookEventLog({ db, retentionMs: config.appWebhooks.retentionMs });
+
+const conversionJobs = new ConversionJobStore({
+  db,
+  leaseSeconds: config.conversionJob.leaseSeconds,
+  maxAttempts: config.conversionJob.maxAttempts
+});
+
+// Location installations minted from agency installations (linked rows, cascade revocation)
+const agencyLocations = new AgencyLocationStore({ db, encryptionProvider, logger });
+
+// Status rules for failed refreshes (active -> expired / error)
+const installationStatus = new InstallationStatusStore({ db, maxFailures: config.refreshMaxFailures });
+
+setInterval(() => {
+  webhookEvents.purgeExpired().catch(error => {
+    logger.warn('Webhook event cleanup failed:', { error: error.message });
+  });
+}, 60 * 60 * 1000).unref();
 
-function isEndpointAllowed(endpoint) {
-  return ALLOWED_ENDPOINTS.some(pattern => pattern.test(endpoint));
+/**
+ * Compare a policy decision's required scopes with the installation's granted scopes.
+ * Installations saved without scopes (older rows) cannot be checked and are let through.
+ * @param {Object} installation
+ * @param {Object} decision - From policy.evaluate()
+ * @param {ProxyPolicyStore} policy - The calling app's allow-list, which made the decision
+ * @returns {{ allowed: boolean, missing: string[] }}
+ */
+function checkInstallationScopes(installation, decision, policy) {
+  const granted = installation.scopes || [];
+  
+  if (config.proxyScopeEnforcement === 'off' || granted.length === 0) {
+    if (granted.length === 0 && decision.requiredScopes.length > 0) {
+      logger.warn('Installation has no recorded scopes - skipping scope check', { installationId: installation.id });
+    }
+    return { allowed: true, missing: [] };
+  }
+  
+  const missing = policy.missingScopes(decision, granted);
+  
+  if (missing.length > 0 && config.proxyScopeEnforcement === 'report') {
+    logger.warn('Proxy call outside granted scopes (report mode)', {
+      installationId: installation.id,
+      rule: decision.rule?.id,
+      missingScopes: missing
+    });
+    return { allowed: true, missing };
+  }
+  
+  return { allowed: missing.length === 0, missing };
 }
 
 // Routes
@@ -1113,6 +2068,13 @@ app.post('/admin/create-tables', async (req, res) => {
       CREATE INDEX IF NOT EXISTS idx_oauth_state_expires ON oauth_state(expires_at);
     `);
     
+    await db.query(`
+      ALTER TABLE oauth_state
+      ADD COLUMN IF NOT EXISTS code_verifier TEXT,
+      ADD COLUMN IF NOT EXISTS return_to TEXT,
+      ADD COLUMN IF NOT EXISTS context JSONB;
+    `);
+    
     // Create oauth_used_codes table
     await db.query(`
       CREATE TABLE IF NOT EXISTS oauth_used_codes (
@@ -1216,11 +2178,17 @@ app.use((req, res, next) => {
 });
 
 // OAuth start endpoint - generates consistent authorize URLs
-app.get('/oauth/start', async (req, res) => {
+// /oauth/start uses the env-configured default app, /oauth/start/:appSlug an app from hl_apps
+app.get(['/oauth/start', '/oauth/start/:appSlug'], async (req, res) => {
   try {
-    const clientId = config.hlClientId;
-    const redirect = config.redirectUri;
-    const scopes = (process.env.HL_SCOPES || '').split(',').map(s => s.trim()).join(' ');
+    const hlApp = await appRegistry.getBySlug(req.params.appSlug);
+    if (!hlApp || hlApp.status !== 'active') {
+      return res.status(404).json({ error: 'Unknown or disabled app', app: req.params.appSlug });
+    }
+    
+    const clientId = hlApp.clientId;
+    const redirect = hlApp.redirectUri;
+    const scopes = hlApp.scopes.join(' ');
     
     // Use the "choose location" authorize URL from HL docs
     const auth = new URL('https://marketplace.leadconnectorhq.com/choose-location');
@@ -1233,22 +2201,48 @@ app.get('/oauth/start', async (req, res) => {
     const state = crypto.randomBytes(12).toString('base64url');
     auth.searchParams.set('state', state);
     
-    // Store state using Postgres-backed persistence (errorfix2)
-     if (ff('OAUTH_STATE_PERSISTENCE')) {
-       await createState(state, { clientId, redirect }, 10 * 60 * 1000);
-       logger.info('OAuth state created with Postgres persistence', { state: state.substring(0, 8) + '...' });
-     } else {
-       // Fallback to legacy in-memory storage
-       saveState(state, { clientId, redirect }, 10 * 60 * 1000);
-       logger.info('OAuth state created with legacy in-memory storage', { state: state.substring(0, 8) + '...' });
-     }
+    // Optional signed start context: where to send the browser afterwards, plus opaque caller data
+    let startContext = { returnTo: null, context: null };
+    if (req.query.ctx) {
+      try {
+        startContext = verifyStartContext(String(req.query.ctx), {
+          secret: config.s2sSecret,
+          allowedOrigins: config.oauthStart.returnToOrigins,
+          maxContextBytes: config.oauthStart.maxContextBytes
+        });
+      } catch (error) {
+        logger.warn('Rejected OAuth start context', { error: error.message });
+        return res.status(400).json({ error: 'Invalid start context', detail: error.message });
+      }
+    }
+    
+    // PKCE (S256) when always on, or when the caller opts in with ?pkce=1
+    const pkceMode = config.oauthStart.pkce;
+    const usePkce = pkceMode === 'always' || (pkceMode === 'optional' && ['1', 'true'].includes(String(req.query.pkce)));
+    let codeVerifier = null;
+    if (usePkce) {
+      const pkce = createPkcePair();
+      codeVerifier = pkce.codeVerifier;
+      auth.searchParams.set('code_challenge', pkce.codeChallenge);
+      auth.searchParams.set('code_challenge_method', pkce.codeChallengeMethod);
+    }
+    
+    // Store state in the configured OAuth state store
+     await oauthStateStore.saveState(state, { clientId, redirectUri: redirect, codeVerifier, ...startContext });
+     logger.info('OAuth state created', {
+       backend: oauthStateStore.backend,
+       state: state.substring(0, 8) + '...',
+       app: hlApp.slug,
+       pkce: usePkce,
+       returnTo: !!startContext.returnTo
+     });
 
      // Set cookie fallback for state (belt-and-suspenders approach)
      res.cookie('hl_oauth_state', state, {
        httpOnly: true,
        secure: true,
        sameSite: 'lax',   // allows HL → your domain redirect to send cookie
-       maxAge: 20 * 60 * 1000
+       maxAge: config.oauthState.stateTtlMs
      });
     
      // If caller asks for JSON (e.g., your CLI/tests), honor it; else 302 for browsers/Marketplace
@@ -1267,73 +2261,98 @@ app.get('/oauth/start', async (req, res) => {
    }
  });
 
+// Finish /oauth/callback: the return_to bound to the state, else the app's configured
+// success/failure URL (both get the outcome as signed params), else a branded result page
+function sendCallbackResult(req, res, st, outcome, { httpStatus = 200, summary = '', detail = null } = {}) {
+  const failed = outcome.status === 'error';
+  const branding = resultPages.brandingFor(st?.appSlug);
+  const target = st?.returnTo || (failed ? branding.failureUrl : branding.successUrl);
+
+  if (target) {
+    logger.info('Redirecting after OAuth callback', { status: outcome.status, error: outcome.error, origin: new URL(target).origin });
+    return res.redirect(302, oauthReturnSigner.buildUrl(target, outcome, st?.context));
+  }
+
+  // API clients and scripts keep getting JSON
+  if ((req.get('accept') || '').includes('application/json')) {
+    return failed
+      ? res.status(httpStatus).json({ error: 'OAuth callback failed', reason: outcome.error, detail })
+      : res.status(httpStatus).json(outcome);
+  }
+
+  const kind = failed ? 'failure' : outcome.status === 'partial' ? 'partial' : 'success';
+  return res.status(httpStatus).type('html').send(resultPages.render(kind, { app: st?.appSlug, summary, reason: outcome.error }));
+}
+
 // STRICT: if V2 is on, do NOT register V1 at all.
 if (ff('OAUTH_CALLBACK_V2')) {
-  app.get('/oauth/callback', async (req, res) => {
-    console.log('HANDLER: V2 main entered', { query: { ...req.query, code: '[redacted]' } });
+  app.get(['/oauth/callback', '/oauth/callback/:appSlug'], async (req, res) => {
+    logger.debug('OAuth callback (v2) entered', { query: { ...req.query, code: '[redacted]' }, app: req.params.appSlug || null });
+    let st = null;
     try {
       const { code, state, location_id, company_id, agency_id } = req.query;
+      
+      // Each app has its own callback URL; plain /oauth/callback is the default app
+      const hlApp = await appRegistry.getBySlug(req.params.appSlug);
+      if (!hlApp || hlApp.status !== 'active') {
+        return sendCallbackResult(req, res, null, { status: 'error', error: 'unknown_app' }, {
+          httpStatus: 404,
+          detail: `Unknown or disabled app: ${req.params.appSlug}`
+        });
+      }
 
-      if (!code) return res.status(400).json({ error: 'Missing required parameter: code' });
+      if (!code) {
+        return sendCallbackResult(req, res, { appSlug: hlApp.slug }, { status: 'error', error: 'missing_code' }, {
+          httpStatus: 400,
+          detail: 'Missing required parameter: code'
+        });
+      }
       
-      // Verify state using Postgres-backed persistence (errorfix2)
-      let st;
-      if (ff('OAUTH_STATE_PERSISTENCE')) {
-        st = await consumeState(state);
-        
-        // Fallback: if DB lookup missed, compare cookie
-        if (!st && req.cookies?.hl_oauth_state === state) {
-          logger.info('DB missed but cookie matched - using cookie fallback', { state: state?.substring(0, 8) + '...' });
-          st = { clientId: config.hlClientId, redirect: config.redirectUri };
-        }
-        
-        if (!st) {
-          logger.warn('Invalid or expired state (Postgres)', { state: state?.substring(0, 8) + '...' });
-          return res.status(400).json({ error: 'Invalid or expired state' });
-        }
-        logger.info('State verified with Postgres persistence', { state: state?.substring(0, 8) + '...' });
-      } else {
-        // Fallback to legacy in-memory storage
-        st = loadState(state);
-        if (!st) {
-          logger.warn('Invalid or expired state (legacy)', { state: state?.substring(0, 8) + '...' });
-          return res.status(400).json({ error: 'Invalid or expired state' });
-        }
-        logger.info('State verified with legacy in-memory storage', { state: state?.substring(0, 8) + '...' });
+      // Verify (and consume) state from the OAuth state store
+      st = await oauthStateStore.consumeState(state);
+      
+      // Fallback: if the store missed, compare cookie (no PKCE verifier or return_to in this case)
+      if (!st && state && req.cookies?.hl_oauth_state === state) {
+        logger.info('State store missed but cookie matched - using cookie fallback', { state: state.substring(0, 8) + '...' });
+        st = { clientId: hlApp.clientId, redirectUri: hlApp.redirectUri };
+      }
+      
+      if (!st) {
+        logger.warn('Invalid or expired state', { backend: oauthStateStore.backend, state: state?.substring(0, 8) + '...' });
+        return sendCallbackResult(req, res, { appSlug: hlApp.slug }, { status: 'error', error: 'invalid_state' }, {
+          httpStatus: 400,
+          detail: 'Invalid or expired state'
+        });
       }
+      logger.info('State verified', { backend: oauthStateStore.backend, state: state.substring(0, 8) + '...', app: hlApp.slug });
+      st.appSlug = hlApp.slug;
       
       // Clear cookie on success path
       res.clearCookie('hl_oauth_state', { httpOnly: true, secure: true, sameSite: 'lax' });
       
       // Sanity check - helps catch common mismatch
-      if (st.clientId !== config.hlClientId || st.redirect !== config.redirectUri) {
+      if (st.clientId !== hlApp.clientId || st.redirectUri !== hlApp.redirectUri) {
         logger.error('Client/redirect mismatch vs. authorize state', { 
-          expected: { clientId: config.hlClientId, redirect: config.redirectUri },
-          actual: { clientId: st.clientId, redirect: st.redirect }
+          app: hlApp.slug,
+          expected: { clientId: hlApp.clientId, redirect: hlApp.redirectUri },
+          actual: { clientId: st.clientId, redirect: st.redirectUri }
+        });
+        return sendCallbackResult(req, res, st, { status: 'error', error: 'client_mismatch' }, {
+          httpStatus: 400,
+          detail: 'Client/redirect mismatch vs. authorize state'
         });
-        return res.status(400).json({ error: 'Client/redirect mismatch vs. authorize state' });
       }
       
-      // Check for code reuse using Postgres-backed deduplication (errorfix2)
-      if (ff('OAUTH_STATE_PERSISTENCE')) {
-        const codeUsed = await isCodeUsed(code);
-        if (codeUsed) {
-          logger.warn('CODE REUSE DETECTED (Postgres)', { code: code.substring(0, 10) + '...' });
-          return res.status(409).json({ error: 'Auth code already used' });
-        }
-        // Mark code as used immediately
-        await markCodeUsed(code, 5 * 60 * 1000); // 5 minute TTL
-        logger.info('Code marked as used (Postgres)', { code: code.substring(0, 10) + '...' });
-      } else {
-        // Fallback to legacy in-memory code deduplication
-        if (isUsed(code)) {
-          logger.warn('CODE REUSE DETECTED (legacy)', { code: code.substring(0, 10) + '...' });
-          return res.status(409).json({ error: 'Auth code already used' });
-        }
-        // Mark code as used immediately
-        markUsed(code, 5 * 60 * 1000); // 5 minute TTL
-        logger.info('Code marked as used (legacy)', { code: code.substring(0, 10) + '...' });
+      // Check-and-mark the code in one step so concurrent callbacks can't both exchange it
+      const firstUse = await oauthStateStore.claimCode(code);
+      if (!firstUse) {
+        logger.warn('CODE REUSE DETECTED', { backend: oauthStateStore.backend, code: code.substring(0, 10) + '...' });
+        return sendCallbackResult(req, res, st, { status: 'error', error: 'code_already_used' }, {
+          httpStatus: 409,
+          detail: 'Auth code already used'
+        });
       }
+      logger.info('Code marked as used', { backend: oauthStateStore.backend, code: code.substring(0, 10) + '...' });
 
       // Auto-detect user_type with fallback mechanism
         const locIdHint = location_id || null;
@@ -1355,12 +2374,13 @@ if (ff('OAUTH_CALLBACK_V2')) {
         // Token exchange with fallback
         async function postToken(userType) {
           const params = new URLSearchParams();
-          params.set('client_id', config.hlClientId);
-          params.set('client_secret', config.hlClientSecret);
+          params.set('client_id', hlApp.clientId);
+          params.set('client_secret', hlApp.clientSecret);
           params.set('grant_type', 'authorization_code');
           params.set('code', code);
-          params.set('redirect_uri', config.redirectUri);
+          params.set('redirect_uri', hlApp.redirectUri);
           params.set('user_type', userType);
+          if (st.codeVerifier) params.set('code_verifier', st.codeVerifier);
           
           console.log('TOKEN EXCHANGE ATTEMPT:', {
             user_type: userType,
@@ -1422,11 +2442,12 @@ if (ff('OAUTH_CALLBACK_V2')) {
               agency_id: !!agency_id,
             }
           });
-          return res.status(status).json({ error: 'OAuth callback failed', detail: data || err.message });
+          return sendCallbackResult(req, res, st, { status: 'error', error: 'token_exchange_failed' }, {
+            httpStatus: status,
+            detail: data || err.message
+          });
         }
-        
-        // Mark code as used after successful exchange
-        markUsed(code);
+
       const scopes = tokens.scope ? tokens.scope.split(' ') : [];
 
       // After we have tokens, first check if tenant info is in the token response
@@ -1486,8 +2507,8 @@ if (ff('OAUTH_CALLBACK_V2')) {
             agency_id: tokens.agency_id
           }
         });
-        return res.status(400).json({
-          error: 'OAuth callback failed',
+        return sendCallbackResult(req, res, st, { status: 'error', error: 'tenant_not_found' }, {
+          httpStatus: 400,
           detail: 'Unable to determine tenant identifier (location_id or agency_id) from OAuth response'
         });
       }
@@ -1507,151 +2528,60 @@ if (ff('OAUTH_CALLBACK_V2')) {
          } catch {}
          
          // Store location installation (agency_id must be NULL per constraint)
-         await saveInstallation({
+         const installationId = await saveInstallation({
           installation_type: 'location',
            location_id: finalLocationId,
            agency_id: null, // Must be NULL for location installs per require_tenant_id constraint
+           company_id: parentAgencyId,
            access_token: tokens.access_token,
            refresh_token: tokens.refresh_token,
            expires_at: tokens.expires_at || new Date(Date.now() + 3600000).toISOString(),
-           scopes: scopes.join(' ')
+           scopes: scopes.join(' '),
+           app_id: hlApp.id
          }, req);
          
-         return res.status(200).send(`
-           <html>
-           <head>
-             <title>Location Connected</title>
-             <style>
-               body {
-                 margin: 0;
-                 padding: 0;
-                 font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                 background: linear-gradient(135deg, #ff9a00 0%, #ffcd3c 100%);
-                 min-height: 100vh;
-                 display: flex;
-                 align-items: center;
-                 justify-content: center;
-               }
-               .card {
-                 background: white;
-                 padding: 40px 60px;
-                 border-radius: 16px;
-                 box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
-                 text-align: center;
-                 opacity: 0;
-                 transform: translateY(20px);
-                 animation: fadeInUp 0.6s ease-out forwards;
-               }
-               @keyframes fadeInUp {
-                 to {
-                   opacity: 1;
-                   transform: translateY(0);
-                 }
-               }
-               h1 {
-                 margin: 0 0 16px 0;
-                 color: #333;
-                 font-size: 28px;
-                 font-weight: 600;
-               }
-               p {
-                 margin: 0;
-                 color: #666;
-                 font-size: 16px;
-               }
-             </style>
-           </head>
-           <body>
-             <div class="card">
-               <h1>Installation Complete!</h1>
-               <p>You may close this window.</p>
-             </div>
-           </body>
-           </html>
-         `);
+         return sendCallbackResult(req, res, st, {
+           status: 'success',
+           installation_id: installationId,
+           location_id: finalLocationId,
+           agency_id: parentAgencyId
+         }, { summary: 'Location Connected Successfully.' });
        }
        
        if (finalAgencyId) {
          // Store agency installation (location_id must be NULL per constraint)
-         await saveInstallation({
+         const installationId = await saveInstallation({
         installation_type: 'agency',
            location_id: null, // Must be NULL for agency installs per require_tenant_id constraint
            agency_id: finalAgencyId,
            access_token: tokens.access_token,
            refresh_token: tokens.refresh_token,
            expires_at: tokens.expires_at || new Date(Date.now() + 3600000).toISOString(),
-           scopes: scopes.join(' ')
+           scopes: scopes.join(' '),
+           app_id: hlApp.id
          }, req);
          
-         // Immediate location token conversion for agency installs
-         let locationCount = 0;
+         // Location tokens are converted by a background job so the installer isn't kept waiting
+         let conversionJob = null;
          try {
-           locationCount = await convertAgencyToLocationTokens(finalAgencyId, tokens.access_token, req);
-           logger.info(`Agency ${finalAgencyId} converted to ${locationCount} location tokens`);
+           conversionJob = await LocationConversionJobs.enqueue(
+             { id: installationId, agency_id: finalAgencyId, app_id: hlApp.id },
+             { source: 'oauth_callback', req }
+           );
          } catch (conversionError) {
-           logger.error('Location token conversion failed:', {
+           logger.error('Failed to queue location token conversion:', {
              agencyId: finalAgencyId,
              error: conversionError.message
            });
            // Continue with agency-only success - conversion failure is not fatal
          }
          
-         const successMessage = locationCount > 0 
-           ? `Agency + ${locationCount} Location${locationCount === 1 ? '' : 's'} Connected`
-           : 'Agency Connected Successfully';
-         
-         return res.status(200).send(`
-           <html>
-           <head>
-             <title>Agency Connected</title>
-             <style>
-               body {
-                 margin: 0;
-                 padding: 0;
-                 font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                 background: linear-gradient(135deg, #ff9a00 0%, #ffcd3c 100%);
-                 min-height: 100vh;
-                 display: flex;
-                 align-items: center;
-                 justify-content: center;
-               }
-               .card {
-                 background: white;
-                 padding: 40px 60px;
-                 border-radius: 16px;
-                 box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
-                 text-align: center;
-                 opacity: 0;
-                 transform: translateY(20px);
-                 animation: fadeInUp 0.6s ease-out forwards;
-               }
-               @keyframes fadeInUp {
-                 to {
-                   opacity: 1;
-                   transform: translateY(0);
-                 }
-               }
-               h1 {
-                 margin: 0 0 16px 0;
-                 color: #333;
-                 font-size: 28px;
-                 font-weight: 600;
-               }
-               p {
-                 margin: 0;
-                 color: #666;
-                 font-size: 16px;
-               }
-             </style>
-           </head>
-           <body>
-             <div class="card">
-               <h1>Installation Complete!</h1>
-               <p>You may close this window.</p>
-             </div>
-           </body>
-           </html>
-         `);
+         return sendCallbackResult(req, res, st, {
+           status: conversionJob ? 'success' : 'partial',
+           installation_id: installationId,
+           agency_id: finalAgencyId,
+           conversion_job_id: conversionJob?.id
+         }, { summary: 'Agency Connected. Its locations are being connected in the background.' });
        }
        
        // Still nothing? Clear, actionable error
@@ -1670,8 +2600,9 @@ if (ff('OAUTH_CALLBACK_V2')) {
 
     } catch (error) {
       logger.error('OAuth callback error (V2):', error);
-      return res.status(500).json({
-        error: 'OAuth callback failed',
+      if (res.headersSent) return;
+      return sendCallbackResult(req, res, st, { status: 'error', error: 'callback_failed' }, {
+        httpStatus: 500,
         detail: error.message
       });
     }
@@ -1679,7 +2610,7 @@ if (ff('OAUTH_CALLBACK_V2')) {
 
   // Helper function to save installation
   async function saveInstallation(installData, req) {
-    const { installation_type, location_id, agency_id, access_token, refresh_token, expires_at, scopes } = installData;
+    const { installation_type, location_id, agency_id, company_id = null, access_token, refresh_token, expires_at, scopes, app_id = null } = installData;
     
     // Use existing InstallationDB.saveInstallation method
     return await InstallationDB.saveInstallation(
@@ -1687,7 +2618,8 @@ if (ff('OAUTH_CALLBACK_V2')) {
       agency_id,
       { access_token, refresh_token, expires_at, scope: scopes },
       scopes.split(' '),
-      req
+      req,
+      { appId: app_id, companyId: company_id }
     );
   }
 } else {
@@ -1695,211 +2627,1380 @@ if (ff('OAUTH_CALLBACK_V2')) {
   // V1 legacy handler removed - V2 handler at line 944 is the active implementation
 }
 
-// Function to convert agency token to location tokens
-async function convertAgencyToLocationTokens(agencyId, agencyAccessToken, req) {
-  let locationCount = 0;
+/**
+ * One page of an agency's locations
+ * @returns {Promise<Object[]>} - HighLevel location objects ({ id, name, ... })
+ */
+async function listAgencyLocations(agencyId, agencyAccessToken, { skip = 0, limit = 100 } = {}) {
+  const response = await axios.get(`${config.hlApiBase}/locations/search`, {
+    params: { companyId: agencyId, skip, limit },
+    headers: {
+      'Authorization': `Bearer ${agencyAccessToken}`,
+      'Version': '2021-07-28'
+    },
+    timeout: 15000
+  });
+  return response.data.locations || [];
+}
+
+/**
+ * Mint one location's token from the agency installation and store it as its child
+ * @param {Object} agency - Decrypted agency installation with a current access token
+ * @returns {Promise<Object>} - { installationId, created, reactivated } or { installationId: null, skipped: reason }
+ */
+async function convertLocationToken(agency, locationId) {
+  const tokens = await HighLevelAPI.mintLocationToken(agency.agency_id, locationId, agency.access_token);
+  return InstallationDB.saveLocationTokenFromAgency(agency, locationId, tokens);
+}
+
+// On-demand location tokens for proxy calls, minted through the agency's installation
+const locationMinter = new LocationMinter({
+  installations: InstallationDB,
+  findAgencyInstallationId: (locationId, appId) => conversionJobs.agencyInstallationFor(locationId, appId),
+  convert: async (agency, locationId, req) => {
+    const current = await TokenRefresher.refresh(await InstallationDB.decryptInstallation({ ...agency }), { source: 'proxy', req });
+    return convertLocationToken(current, locationId);
+  },
+  auditLog,
+  logger
+});
+
+// Agency -> location token conversion as persisted background jobs. A job lists the agency's
+// locations page by page, then converts them with bounded concurrency; progress lives in
+// hl_conversion_jobs / hl_conversion_job_locations so a job survives restarts (see helpers/conversionJobs.js).
+class LocationConversionJobs {
+  static start() {
+    if (LocationConversionJobs.timer) return;
+    LocationConversionJobs.scheduleNext();
+  }
   
-  try {
-    // Step 1: Fetch all locations under the agency
-    logger.info(`Fetching locations for agency ${agencyId}`);
-    const locationsResponse = await axios.get(`${config.hlApiBase}/locations/search`, {
-      params: {
-        companyId: agencyId,
-        limit: 100 // Adjust as needed
-      },
-      headers: {
-        'Authorization': `Bearer ${agencyAccessToken}`,
-        'Version': '2021-07-28'
-      },
-      timeout: 15000
-    });
-    
-    const locations = locationsResponse.data.locations || [];
-    logger.info(`Found ${locations.length} locations for agency ${agencyId}`);
-    
-    // Step 2: Convert agency token to location token for each location
-    for (const location of locations) {
+  static stop() {
+    clearTimeout(LocationConversionJobs.timer);
+    LocationConversionJobs.timer = null;
+  }
+  
+  static scheduleNext() {
+    const { intervalMs } = config.conversionJob;
+    const delay = intervalMs + Math.floor(Math.random() * intervalMs * 0.2);
+    LocationConversionJobs.timer = setTimeout(async () => {
       try {
-        const locationId = location.id;
-        logger.debug(`Converting token for location ${locationId}`);
-        
-        // Call HighLevel's location token conversion endpoint
-        const formData = new URLSearchParams();
-        formData.append('companyId', agencyId);
-        formData.append('locationId', locationId);
+        await LocationConversionJobs.runOnce();
+      } catch (error) {
+        logger.error('Location conversion job run failed:', { error: error.message });
+      } finally {
+        if (LocationConversionJobs.timer) LocationConversionJobs.scheduleNext();
+      }
+    }, delay);
+    LocationConversionJobs.timer.unref?.();
+  }
+  
+  /**
+   * Queue conversion for an agency installation and start working on it right away
+   * @param {Object} agency - Agency installation row
+   * @param {Object} [options] - { source, req }
+   * @returns {Promise<Object>} - The queued (or already queued/running) job
+   */
+  static async enqueue(agency, { source = null, req = null } = {}) {
+    const { job, created } = await conversionJobs.enqueue(agency, source);
+    
+    if (created) {
+      await auditLog(agency.id, 'conversion_job_queued', { jobId: job.id, agencyId: agency.agency_id, source }, req);
+      logger.info('Location conversion job queued', { jobId: job.id, agencyId: agency.agency_id, source });
+    }
+    
+    setImmediate(() => {
+      LocationConversionJobs.runOnce().catch(error => {
+        logger.error('Location conversion job run failed:', { error: error.message });
+      });
+    });
+    return job;
+  }
+  
+  // Work through claimable jobs; a run already in progress in this process picks new ones up
+  static async runOnce() {
+    if (LocationConversionJobs.running) return 0;
+    LocationConversionJobs.running = true;
+    
+    let processed = 0;
+    try {
+      let job;
+      while ((job = await conversionJobs.claimNext())) {
+        await LocationConversionJobs.runJob(job);
+        processed++;
+      }
+    } finally {
+      LocationConversionJobs.running = false;
+    }
+    return processed;
+  }
+  
+  static async runJob(job) {
+    const { pageSize, concurrency } = config.conversionJob;
+    
+    try {
+      let agency = await InstallationDB.getInstallationById(job.agency_installation_id);
+      if (!agency || agency.status !== 'active') {
+        await conversionJobs.fail(job.id, 'Agency installation is not active', { final: true });
+        logger.warn('Location conversion job dropped: agency installation not active', { jobId: job.id, agencyId: job.agency_id });
+        return;
+      }
+      
+      // Refreshed whenever it is due, so long jobs never run on an expired agency token
+      const agencyToken = async () => {
+        agency = await TokenRefresher.refresh(agency, { source: 'conversion' });
+        return agency.access_token;
+      };
+      
+      // Page through every location, saving the offset after each page
+      while (!job.listing_complete) {
+        const locations = await listAgencyLocations(job.agency_id, await agencyToken(), { skip: job.next_skip, limit: pageSize });
+        job = await conversionJobs.recordPage(job, locations, pageSize);
+        logger.debug('Location conversion page recorded', { jobId: job.id, locations: locations.length, nextSkip: job.next_skip });
+      }
+      
+      for (;;) {
+        const batch = await conversionJobs.pendingLocations(job.id, pageSize);
+        if (batch.length === 0) break;
         
-        const tokenResponse = await axios.post(`${config.hlApiBase}/oauth/locationToken`, formData, {
-          headers: {
-            'Authorization': `Bearer ${agencyAccessToken}`,
-            'Content-Type': 'application/x-www-form-urlencoded',
-            'Version': '2021-07-28'
-          },
-          timeout: 10000
+        await agencyToken();
+        const parent = agency;
+        await mapWithConcurrency(batch, concurrency, async ({ location_id: locationId }) => {
+          try {
+            const { installationId, skipped } = await convertLocationToken(parent, locationId);
+            if (skipped) {
+              await conversionJobs.markSkipped(job.id, locationId, skipped);
+            } else {
+              await conversionJobs.markConverted(job.id, locationId, installationId);
+            }
+          } catch (locationError) {
+            logger.warn(`Failed to convert token for location ${locationId}:`, {
+              jobId: job.id,
+              locationId,
+              error: locationError.message
+            });
+            await conversionJobs.markFailed(job.id, locationId, locationError.message);
+          }
         });
         
-        const locationTokens = tokenResponse.data;
-        
-        // Step 3: Store the location token
-        const tokens = {
-          access_token: locationTokens.access_token,
-          refresh_token: locationTokens.refresh_token || null,
-          expires_in: 3600 // Default to 1 hour if not provided
-        };
+        if (!(await conversionJobs.touch(job.id))) return;
+      }
+      
+      const result = await conversionJobs.complete(job.id);
+      await auditLog(agency.id, 'conversion_job_completed', {
+        jobId: job.id,
+        agencyId: job.agency_id,
+        converted: result.converted,
+        skipped: result.skipped,
+        failed: result.failed
+      }, null);
+      logger.info('Location conversion job completed', {
+        jobId: job.id,
+        agencyId: job.agency_id,
+        total: result.total,
+        converted: result.converted,
+        skipped: result.skipped,
+        failed: result.failed
+      });
+      
+    } catch (error) {
+      const status = await conversionJobs.fail(job.id, error.message);
+      logger.error('Location conversion job error:', {
+        jobId: job.id,
+        agencyId: job.agency_id,
+        status,
+        error: error.message
+      });
+      if (status === 'failed') {
+        await auditLog(job.agency_installation_id, 'conversion_job_failed', { jobId: job.id, agencyId: job.agency_id, error: error.message }, null);
+      }
+    }
+  }
+}
+
+// Ultimate catch-all to prove ordering
+app.all(['/oauth/callback', '/oauth/callback/:appSlug'], (req, res) => {
+  console.error('FALLBACK: reached catch-all after handlers. Route ordering wrong.', {
+    query: { ...req.query, code: '[redacted]' }
+  });
+  return res.status(500).json({ error: 'Misrouted: catch-all hit after expected handlers' });
+});
+
+// Proxy endpoint for HighLevel API calls
+/**
+ * Respond to a proxy call whose token refresh failed
+ * Installations moved out of active get a typed error explaining why they are unusable.
+ */
+async function sendRefreshFailure(res, installation, refreshError) {
+  logger.error('Token refresh failed:', {
+    installationId: installation.id,
+    error: refreshError.message,
+    installationStatus: refreshError.installationStatus
+  });
+  
+  if (refreshError.installationStatus && refreshError.installationStatus !== 'active') {
+    const current = await InstallationDB.getInstallationRecord(installation.id);
+    const unavailable = new InstallationUnavailableError(current || { ...installation, status: refreshError.installationStatus });
+    return res.status(unavailable.httpStatus).json(unavailable.toJSON());
+  }
+  
+  return res.status(401).json({
+    error: 'Token refresh failed',
+    code: 'TOKEN_REFRESH_FAILED',
+    retryable: refreshError instanceof TokenRefreshError ? refreshError.isTransient : true
+  });
+}
+
+// Run a proxied HighLevel call, auditing calls that never got a response
+async function proxyAPICall(installation, req, { method, endpoint }, call) {
+  try {
+    return await call();
+  } catch (callError) {
+    await auditLog(installation.id, 'api_call', {
+      method,
+      endpoint,
+      retries: callError.retryCount || 0,
+      outcome: callError instanceof CircuitOpenError ? 'circuit_open' : 'network_error',
+      error: callError.message
+    }, req);
+    throw callError;
+  }
+}
+
+/**
+ * Allow-list decision for one proxied call
+ * @returns {{ decision: Object, denial: Object|null }} - denial is { status, body, headers } when blocked
+ */
+function checkProxyPolicy(req, method, endpoint) {
+  const decision = req.hlApp.policy.evaluate(method, endpoint);
+  if (decision.allowed) {
+    return { decision, denial: null };
+  }
+  
+  logger.warn('Blocked disallowed endpoint access', {
+    method,
+    endpoint,
+    reason: decision.reason,
+    rule: decision.rule?.id,
+    locationId: req.auth.location_id,
+    agencyId: req.auth.agency_id,
+    ip: req.ip
+  });
+  
+  if (decision.reason === 'method_not_allowed') {
+    return {
+      decision,
+      denial: {
+        status: 405,
+        headers: { Allow: decision.allowedMethods.join(', ') },
+        body: {
+          error: 'Method not allowed for this endpoint',
+          code: 'METHOD_NOT_ALLOWED',
+          rule: decision.rule.id,
+          allowed_methods: decision.allowedMethods
+        }
+      }
+    };
+  }
+  
+  return {
+    decision,
+    denial: {
+      status: 403,
+      body: {
+        error: 'Endpoint not allowed',
+        code: decision.reason === 'invalid_endpoint' ? 'INVALID_ENDPOINT' : 'ENDPOINT_FORBIDDEN'
+      }
+    }
+  };
+}
+
+/**
+ * Do the installation's granted scopes cover this call? Denials are audited.
+ * @returns {Promise<Object|null>} - { status, body } when the call is not allowed
+ */
+async function checkProxyScopes(req, record, decision, method, endpoint) {
+  const scopeCheck = checkInstallationScopes(record, decision, req.hlApp.policy);
+  if (scopeCheck.allowed) {
+    return null;
+  }
+  
+  await auditLog(record.id, 'scope_denied', {
+    method,
+    endpoint,
+    rule: decision.rule.id,
+    missing_scopes: scopeCheck.missing
+  }, req);
+  
+  return {
+    status: 403,
+    body: {
+      error: 'Insufficient scope',
+      code: 'INSUFFICIENT_SCOPE',
+      rule: decision.rule.id,
+      required_scopes: decision.requiredScopes,
+      missing_scopes: scopeCheck.missing
+    }
+  };
+}
+
+function sendProxyDenial(res, denial) {
+  for (const [name, value] of Object.entries(denial.headers || {})) {
+    res.setHeader(name, value);
+  }
+  return res.status(denial.status).json(denial.body);
+}
+
+/**
+ * Checks shared by every /proxy/hl mode: allow-list, installation status, scopes,
+ * rate limit and a due token refresh. Responds and returns null when the call can't go ahead.
+ * @returns {Promise<Object|null>} - Decrypted installation with a usable access token
+ */
+async function prepareProxyCall(req, res, method, endpoint) {
+  const access = await authorizeProxyCall(req, res, method, endpoint);
+  return access && admitProxyCall(req, res, access.record);
+}
+
+/**
+ * Allow-list, installation status and scope checks (no upstream cost yet)
+ * @returns {Promise<Object|null>} - { record, decision }, or null after responding
+ */
+async function authorizeProxyCall(req, res, method, endpoint) {
+  const { location_id, agency_id } = req.auth;
+  
+  if (!method || !endpoint) {
+    res.status(400).json({ error: 'Missing method or endpoint' });
+    return null;
+  }
+  
+  if (!location_id && !agency_id) {
+    res.status(400).json({ error: 'Missing location_id or agency_id in token' });
+    return null;
+  }
+  
+  // Check endpoint allow-list (path and method)
+  const { decision, denial } = checkProxyPolicy(req, method, endpoint);
+  if (denial) {
+    sendProxyDenial(res, denial);
+    return null;
+  }
+  
+  // Look the installation up whatever its status so callers learn why it is unusable
+  const record = await InstallationDB.resolveProxyInstallation(location_id, agency_id, req.hlApp.id, { req });
+  
+  if (!record) {
+    res.status(404).json({ error: 'Installation not found' });
+    return null;
+  }
+  
+  if (record.status !== 'active') {
+    const unavailable = new InstallationUnavailableError(record);
+    res.status(unavailable.httpStatus).json(unavailable.toJSON());
+    return null;
+  }
+  
+  // Check the granted scopes cover what this method + endpoint needs
+  const scopeDenial = await checkProxyScopes(req, record, decision, method, endpoint);
+  if (scopeDenial) {
+    sendProxyDenial(res, scopeDenial);
+    return null;
+  }
+  
+  return { record, decision };
+}
+
+/**
+ * Rate limit and a due token refresh, right before calling HighLevel
+ * @returns {Promise<Object|null>} - Decrypted installation, or null after responding
+ */
+async function admitProxyCall(req, res, record) {
+  // Per-installation rate limit: queue briefly, otherwise reject before HighLevel would 429
+  const rateLimit = await proxyRateLimiter.acquire(`installation:${record.id}`);
+  setRateLimitHeaders(res, rateLimit);
+  
+  if (!rateLimit.allowed) {
+    logger.warn('Proxy rate limit exceeded', {
+      installationId: record.id,
+      limitedBy: rateLimit.limitedBy,
+      retryAfterMs: rateLimit.retryAfterMs
+    });
+    res.status(429).json({
+      error: 'Rate limit exceeded',
+      code: 'RATE_LIMITED',
+      limited_by: rateLimit.limitedBy,
+      retry_after_ms: rateLimit.retryAfterMs
+    });
+    return null;
+  }
+  
+  const installation = await InstallationDB.decryptInstallation(record);
+  
+  // Refresh if the token expires within the threshold (single-flight per installation)
+  if (TokenRefresher.needsRefresh(installation)) {
+    try {
+      return await TokenRefresher.refresh(installation, { source: 'proxy', req });
+    } catch (refreshError) {
+      await sendRefreshFailure(res, installation, refreshError);
+      return null;
+    }
+  }
+  
+  return installation;
+}
+
+// Circuit open: tell the caller when HighLevel calls for this installation resume
+function sendCircuitOpen(res, error) {
+  res.setHeader('Retry-After', Math.max(1, Math.ceil(error.retryAfterMs / 1000)));
+  return res.status(503).json({
+    error: 'Upstream temporarily unavailable',
+    code: 'CIRCUIT_OPEN',
+    detail: error.message,
+    retry_after_ms: error.retryAfterMs
+  });
+}
+
+app.post('/proxy/hl', authenticateS2S, async (req, res) => {
+  const { method, endpoint, data, headers = {} } = req.body;
+  const { location_id, agency_id } = req.auth;
+  
+  // Idempotency-Key on mutating calls: duplicates get the stored response instead of a second write
+  const idempotencyKey = method && !READ_ONLY_METHODS.has(String(method).toUpperCase()) ? req.get('Idempotency-Key') : null;
+  const idempotencyScope = `${req.hlApp.slug}:${location_id || ''}:${agency_id || ''}`;
+  let keyClaimed = false;
+  let responseStored = false;
+  
+  try {
+    if (idempotencyKey) {
+      if (idempotencyKey.length > 255) {
+        return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters', code: 'INVALID_IDEMPOTENCY_KEY' });
+      }
+      
+      const claim = await idempotencyStore.begin(idempotencyScope, idempotencyKey, hashRequest({ method, endpoint, data }));
+      
+      if (claim.state === 'mismatch') {
+        return res.status(422).json({
+          error: 'Idempotency-Key was already used with a different request',
+          code: 'IDEMPOTENCY_KEY_REUSED'
+        });
+      }
+      
+      if (claim.state === 'in_progress') {
+        res.setHeader('Retry-After', 1);
+        return res.status(409).json({
+          error: 'A request with this Idempotency-Key is still in progress',
+          code: 'IDEMPOTENCY_KEY_IN_PROGRESS'
+        });
+      }
+      
+      if (claim.state === 'replay') {
+        logger.info('Replaying stored response for Idempotency-Key', { method, endpoint, locationId: location_id, agencyId: agency_id });
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(claim.response.status).json(claim.response.body);
+      }
+      
+      keyClaimed = true;
+    }
+    
+    const access = await authorizeProxyCall(req, res, method, endpoint);
+    if (!access) return;
+    
+    // Read-through cache for GETs on rules that opt in; Cache-Control: no-cache skips the
+    // lookup, no-store also skips storing the fresh response
+    const ruleCache = ruleCacheSettings(access.decision.rule);
+    const cacheControl = req.get('Cache-Control') || '';
+    const cacheKey = ruleCache && String(method).toUpperCase() === 'GET'
+      ? ResponseCache.key(access.record.id, access.decision.rule.id, endpoint)
+      : null;
+    let revalidating = null; // expired entry HighLevel is asked about with If-None-Match
+    
+    if (cacheKey && !/no-cache|no-store/i.test(cacheControl)) {
+      const cached = await responseCache.get(cacheKey);
+      
+      if (cached?.stale) {
+        revalidating = cached;
+      } else if (cached) {
+        await auditLog(access.record.id, 'api_call', {
+          method,
+          endpoint,
+          status_code: cached.status,
+          outcome: 'cache_hit',
+          cache_tier: cached.tier
+        }, req);
         
-        const scopes = (locationTokens.scope || 'contacts.readonly contacts.write').split(' ');
+        res.setHeader('X-Cache', 'HIT');
+        res.setHeader('ETag', cached.etag);
+        res.setHeader('Age', Math.floor((Date.now() - cached.createdAt) / 1000));
+        if (req.get('If-None-Match') === cached.etag) {
+          return res.status(304).end();
+        }
+        return res.status(cached.status).json(cached.body);
+      }
+    }
+    
+    let installation = await admitProxyCall(req, res, access.record);
+    if (!installation) return;
+    
+    // Make API call to HighLevel
+    const callOptions = { installationId: installation.id };
+    const upstreamHeaders = revalidating ? { ...headers, 'If-None-Match': revalidating.upstreamEtag } : headers;
+    
+    // HighLevel rejected the token before it was due to expire (revoked/rotated early):
+    // force one refresh and replay the request with the new token (helpers/tokenRecovery.js)
+    const attempt = await callWithTokenRecovery(
+      installation,
+      current => proxyAPICall(current, req, { method, endpoint }, () =>
+        HighLevelAPI.makeAPICall(current.access_token, method, endpoint, data, upstreamHeaders, callOptions)
+      ),
+      (current, upstreamError) => {
+        logger.warn('HighLevel rejected access token - forcing refresh and replay', {
+          installationId: current.id,
+          method,
+          endpoint,
+          upstreamError
+        });
+        return TokenRefresher.refresh(current, { force: true, source: 'proxy_401', req });
+      }
+    );
+    installation = attempt.installation;
+    let response = attempt.response;
+    const { recovery } = attempt;
+    
+    if (recovery?.outcome === 'refresh_failed') {
+      await auditLog(installation.id, 'token_forced_refresh', {
+        method,
+        endpoint,
+        upstream_error: recovery.upstreamError,
+        outcome: 'refresh_failed',
+        error: recovery.error.message
+      }, req);
+      return sendRefreshFailure(res, installation, recovery.error);
+    }
+    
+    if (recovery) {
+      await auditLog(installation.id, 'token_forced_refresh', {
+        method,
+        endpoint,
+        upstream_error: recovery.upstreamError,
+        refreshed: installation.refreshed,
+        replay_status: response.status,
+        outcome: recovery.outcome
+      }, req);
+      
+      if (recovery.outcome === 'replay_rejected') {
+        const updated = await InstallationDB.markReauthorizationRequired(
+          installation.id,
+          `reauthorization_required - HighLevel rejected a freshly refreshed token: ${response.data?.message || response.data?.error || 'HTTP 401'}`
+        );
         
-        await saveInstallation(locationId, null, tokens, scopes, req);
+        if (updated && updated.previous_status !== updated.status) {
+          logger.warn('Installation requires reauthorization', { installationId: installation.id, from: updated.previous_status });
+          await auditLog(installation.id, 'installation_status_changed', {
+            from: updated.previous_status,
+            to: updated.status,
+            reason: 'reauthorization_required'
+          }, req);
+        }
         
-        locationCount++;
-        logger.debug(`Successfully converted and stored token for location ${locationId}`);
+        const unavailable = new InstallationUnavailableError(updated || { ...installation, status: 'expired' });
+        return res.status(unavailable.httpStatus).json(unavailable.toJSON());
+      }
+    }
+    
+    // Audit log API call with retry outcome
+    await auditLog(installation.id, 'api_call', {
+      method,
+      endpoint,
+      status_code: response.status,
+      retries: response.retryCount,
+      outcome: response.outcome
+    }, req);
+    
+    // HighLevel confirmed the expired entry is unchanged: answer from it and store it again
+    const revalidated = Boolean(revalidating) && response.status === 304;
+    if (revalidated) {
+      response = { ...response, status: revalidating.status, data: revalidating.body };
+    }
+    
+    if (cacheKey) {
+      res.setHeader('X-Cache', revalidated ? 'REVALIDATED' : /no-cache|no-store/i.test(cacheControl) ? 'BYPASS' : 'MISS');
+      
+      if (response.status === 200 && !/no-store/i.test(cacheControl)) {
+        const entry = await responseCache.set(
+          cacheKey,
+          { installationId: installation.id, ruleId: access.decision.rule.id, ttlMs: ruleCache.ttlMs },
+          {
+            status: response.status,
+            body: response.data,
+            upstreamEtag: response.headers?.etag || (revalidated ? revalidating.upstreamEtag : null)
+          }
+        );
         
-      } catch (locationError) {
-        logger.warn(`Failed to convert token for location ${location.id}:`, {
-          locationId: location.id,
-          error: locationError.message
+        if (entry) {
+          res.setHeader('ETag', entry.etag);
+          if (req.get('If-None-Match') === entry.etag) {
+            return res.status(304).end();
+          }
+        }
+      }
+    } else if (ruleCache && response.status < 400 && !READ_ONLY_METHODS.has(String(method).toUpperCase())) {
+      // A write through a cached rule (e.g. POST a tag) makes its cached reads stale
+      await responseCache.invalidate(installation.id, [access.decision.rule.id]);
+    }
+    
+    // Only final answers are stored; 429/5xx leave the key free for the caller's retry
+    if (keyClaimed && response.status < 500 && response.status !== 429) {
+      await idempotencyStore.complete(idempotencyScope, idempotencyKey, { status: response.status, body: response.data });
+      responseStored = true;
+    }
+    
+    res.status(response.status).json(response.data);
+    
+  } catch (error) {
+    if (error instanceof CircuitOpenError) {
+      return sendCircuitOpen(res, error);
+    }
+    
+    logger.error('Proxy request failed:', {
+      method,
+      endpoint,
+      error: error.message,
+      status: error.response?.status
+    });
+    
+    const status = error.response?.status || 500;
+    const errorData = error.response?.data || { error: 'Proxy request failed' };
+    
+    res.status(status).json(errorData);
+  } finally {
+    if (keyClaimed && !responseStored) {
+      idempotencyStore.release(idempotencyScope, idempotencyKey).catch(releaseError => {
+        logger.warn('Failed to release Idempotency-Key:', { error: releaseError.message });
+      });
+    }
+  }
+});
+
+// Streaming proxy for binary downloads and multipart uploads (S2S authenticated)
+// - JSON body { method, endpoint, data, headers }: upstream response is piped back as-is
+// - multipart/form-data or application/octet-stream body: streamed upstream to
+//   ?endpoint=...&method=POST without buffering; the response is piped back the same way
+app.post('/proxy/hl/stream', authenticateS2S, async (req, res) => {
+  const upload = Boolean(req.is('multipart/*', 'application/octet-stream'));
+  const { method, endpoint, data = null, headers = {} } = upload
+    ? { method: String(req.query.method || 'POST').toUpperCase(), endpoint: req.query.endpoint }
+    : req.body;
+  const { maxUploadBytes, maxDownloadBytes } = config.proxyStreaming;
+  
+  // Reject oversized uploads before reading any of the body
+  if (upload && declaredLength(req.headers) > maxUploadBytes) {
+    res.setHeader('Connection', 'close');
+    return res.status(413).json({ error: 'Upload too large', code: 'UPLOAD_TOO_LARGE', max_bytes: maxUploadBytes });
+  }
+  
+  let uploadLimit = null;
+  
+  try {
+    const installation = await prepareProxyCall(req, res, method, endpoint);
+    if (!installation) return;
+    
+    let body = data;
+    let upstreamHeaders = headers;
+    
+    if (upload) {
+      uploadLimit = new ByteLimitStream(maxUploadBytes);
+      body = req.pipe(uploadLimit);
+      upstreamHeaders = { 'Content-Type': req.get('Content-Type') };
+      if (req.get('Content-Length')) upstreamHeaders['Content-Length'] = req.get('Content-Length');
+    }
+    
+    const response = await proxyAPICall(installation, req, { method, endpoint }, () =>
+      HighLevelAPI.makeAPICall(installation.access_token, method, endpoint, body, upstreamHeaders, {
+        installationId: installation.id,
+        stream: true
+      })
+    );
+    
+    const upstreamLength = declaredLength(response.headers);
+    if (upstreamLength !== null && upstreamLength > maxDownloadBytes) {
+      response.data.destroy();
+      await auditLog(installation.id, 'api_call', {
+        method,
+        endpoint,
+        mode: 'stream',
+        status_code: response.status,
+        outcome: 'response_too_large',
+        bytes: upstreamLength
+      }, req);
+      return res.status(502).json({ error: 'Upstream response too large', code: 'RESPONSE_TOO_LARGE', max_bytes: maxDownloadBytes });
+    }
+    
+    res.status(response.status);
+    copyResponseHeaders(response.headers, res);
+    
+    const downloadLimit = new ByteLimitStream(maxDownloadBytes);
+    pipeline(response.data, downloadLimit, res, (streamError) => {
+      if (streamError) {
+        logger.warn('Streaming proxy response aborted', {
+          installationId: installation.id,
+          method,
+          endpoint,
+          bytes: downloadLimit.bytes,
+          error: streamError.message
         });
-        // Continue with other locations even if one fails
       }
+      
+      auditLog(installation.id, 'api_call', {
+        method,
+        endpoint,
+        mode: 'stream',
+        status_code: response.status,
+        retries: response.retryCount,
+        outcome: streamError instanceof ByteLimitExceededError ? 'response_too_large'
+          : streamError ? 'stream_aborted' : response.outcome,
+        bytes_in: uploadLimit?.bytes || 0,
+        bytes_out: downloadLimit.bytes
+      }, req);
+    });
+  } catch (error) {
+    if (error instanceof CircuitOpenError) {
+      return sendCircuitOpen(res, error);
+    }
+    
+    if (uploadLimit && (error instanceof ByteLimitExceededError || uploadLimit.bytes > maxUploadBytes)) {
+      res.setHeader('Connection', 'close');
+      return res.status(413).json({ error: 'Upload too large', code: 'UPLOAD_TOO_LARGE', max_bytes: maxUploadBytes });
+    }
+    
+    logger.error('Streaming proxy request failed:', {
+      method,
+      endpoint,
+      error: error.message
+    });
+    
+    if (!res.headersSent) {
+      res.status(502).json({ error: 'Proxy request failed' });
+    }
+  }
+});
+
+// Walk a HighLevel list endpoint server-side, following startAfter/startAfterId (or
+// nextPageUrl/nextPage) cursors, and stream the items back as NDJSON (S2S authenticated).
+// Body: { endpoint, items_key?, page_size?, max_pages?, max_items? } or { continuation, ... }
+// Lines: { type: 'item', data } ... then { type: 'end', pages, items, done, reason, continuation }
+app.post('/proxy/hl/paginate', authenticateS2S, async (req, res) => {
+  const { location_id, agency_id } = req.auth;
+  const { continuation = null } = req.body;
+  const { defaultMaxPages, maxPages: pageCap, maxPageSize } = config.proxyPagination;
+  const subject = `${req.hlApp.slug}:${location_id || ''}:${agency_id || ''}`;
+  
+  let state;
+  if (continuation) {
+    state = paginationTokens.decode(continuation);
+    if (!state || state.sub !== subject) {
+      return res.status(400).json({ error: 'Invalid or expired continuation token', code: 'INVALID_CONTINUATION' });
+    }
+  } else {
+    const pageSize = parseInt(req.body.page_size, 10);
+    state = {
+      sub: subject,
+      endpoint: req.body.endpoint,
+      cursor: null,
+      itemsKey: req.body.items_key || null,
+      pageSize: pageSize > 0 ? Math.min(pageSize, maxPageSize) : null
+    };
+  }
+  
+  const maxPages = Math.min(Math.max(parseInt(req.body.max_pages, 10) || defaultMaxPages, 1), pageCap);
+  const maxItems = parseInt(req.body.max_items, 10) > 0 ? parseInt(req.body.max_items, 10) : null;
+  
+  let installation;
+  try {
+    installation = await prepareProxyCall(req, res, 'GET', state.endpoint);
+    if (!installation) return;
+  } catch (error) {
+    if (error instanceof CircuitOpenError) {
+      return sendCircuitOpen(res, error);
+    }
+    logger.error('Pagination request failed:', { endpoint: state.endpoint, error: error.message });
+    return res.status(500).json({ error: 'Proxy request failed' });
+  }
+  
+  let clientClosed = false;
+  res.on('close', () => { clientClosed = true; });
+  
+  const totals = { pages: 0, items: 0 };
+  let cursor = state.cursor;
+  let end = { reason: 'completed' };
+  
+  try {
+    for (;;) {
+      if (totals.pages > 0) {
+        // Every page after the first counts against the installation's rate limit
+        const rateLimit = await proxyRateLimiter.acquire(`installation:${installation.id}`);
+        if (!rateLimit.allowed) {
+          end = { reason: 'rate_limited', retry_after_ms: rateLimit.retryAfterMs };
+          break;
+        }
+        if (TokenRefresher.needsRefresh(installation)) {
+          installation = await TokenRefresher.refresh(installation, { source: 'proxy', req });
+        }
+      }
+      
+      const pageEndpoint = applyCursor(state.endpoint, cursor, state.pageSize);
+      const response = await proxyAPICall(installation, req, { method: 'GET', endpoint: pageEndpoint }, () =>
+        HighLevelAPI.makeAPICall(installation.access_token, 'GET', pageEndpoint, null, {}, { installationId: installation.id })
+      );
+      
+      if (response.status >= 400) {
+        // Nothing streamed yet - answer like /proxy/hl would
+        if (!res.headersSent) {
+          await auditLog(installation.id, 'api_paginate', { endpoint: state.endpoint, pages: 0, items: 0, reason: 'upstream_error', status_code: response.status }, req);
+          return res.status(response.status).json(response.data);
+        }
+        end = { reason: 'upstream_error', status_code: response.status, error: response.data };
+        break;
+      }
+      
+      if (!res.headersSent) {
+        res.status(200);
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        res.setHeader('Cache-Control', 'no-store');
+      }
+      
+      const { key, items } = extractItems(response.data, state.itemsKey);
+      state.itemsKey = state.itemsKey || key;
+      for (const item of items) {
+        await writeNdjson(res, { type: 'item', data: item });
+      }
+      
+      totals.pages++;
+      totals.items += items.length;
+      cursor = items.length > 0 ? nextCursor(response.data) : null;
+      
+      if (!cursor) break;
+      if (clientClosed) {
+        end = { reason: 'client_closed' };
+        break;
+      }
+      if (totals.pages >= maxPages) {
+        end = { reason: 'max_pages' };
+        break;
+      }
+      if (maxItems && totals.items >= maxItems) {
+        end = { reason: 'max_items' };
+        break;
+      }
+    }
+  } catch (error) {
+    logger.error('Pagination stopped by error:', {
+      installationId: installation.id,
+      endpoint: state.endpoint,
+      pages: totals.pages,
+      error: error.message
+    });
+    
+    if (!res.headersSent) {
+      if (error instanceof CircuitOpenError) {
+        return sendCircuitOpen(res, error);
+      }
+      if (error instanceof TokenRefreshError || error.installationStatus) {
+        return sendRefreshFailure(res, installation, error);
+      }
+      return res.status(502).json({ error: 'Proxy request failed' });
+    }
+    end = { reason: 'error', error: error.message, code: error instanceof CircuitOpenError ? 'CIRCUIT_OPEN' : undefined };
+  }
+  
+  await auditLog(installation.id, 'api_paginate', {
+    endpoint: state.endpoint,
+    pages: totals.pages,
+    items: totals.items,
+    reason: end.reason,
+    resumed: Boolean(continuation)
+  }, req);
+  
+  if (clientClosed) return;
+  
+  if (!res.headersSent) {
+    res.status(200).setHeader('Content-Type', 'application/x-ndjson');
+  }
+  
+  await writeNdjson(res, {
+    type: 'end',
+    pages: totals.pages,
+    items: totals.items,
+    done: !cursor,
+    ...end,
+    continuation: cursor ? paginationTokens.encode({ ...state, cursor }) : null
+  });
+  res.end();
+});
+
+// Run many HighLevel calls for one tenant in a single S2S request (S2S authenticated)
+// Body: { requests: [{ id?, method, endpoint, data?, headers? }], stop_on_error?, report? }
+// Each sub-request goes through the allow-list, scope check and rate limiter on its own.
+// report: 'transactional' runs sequentially, stops at the first failure and reports which
+// mutations were applied (for compensation) and which requests never ran.
+app.post('/proxy/hl/batch', authenticateS2S, async (req, res) => {
+  const { location_id, agency_id } = req.auth;
+  const { requests, report = 'default' } = req.body;
+  const transactional = report === 'transactional';
+  const stopOnError = transactional || req.body.stop_on_error === true;
+  const { maxRequests, concurrency } = config.proxyBatch;
+  
+  if (!location_id && !agency_id) {
+    return res.status(400).json({ error: 'Missing location_id or agency_id in token' });
+  }
+  
+  const rejection = validateBatchRequests(requests, maxRequests);
+  if (rejection) {
+    return res.status(rejection.status).json(rejection.body);
+  }
+  
+  try {
+    const record = await InstallationDB.resolveProxyInstallation(location_id, agency_id, req.hlApp.id, { req });
+    
+    if (!record) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+    
+    if (record.status !== 'active') {
+      const unavailable = new InstallationUnavailableError(record);
+      return res.status(unavailable.httpStatus).json(unavailable.toJSON());
+    }
+    
+    let installation = await InstallationDB.decryptInstallation(record);
+    if (TokenRefresher.needsRefresh(installation)) {
+      try {
+        installation = await TokenRefresher.refresh(installation, { source: 'proxy', req });
+      } catch (refreshError) {
+        return sendRefreshFailure(res, installation, refreshError);
+      }
+    }
+    
+    const body = await runBatch(requests, { concurrency, stopOnError, transactional }, async ({ method, endpoint, data, headers }) => {
+      const { decision, denial } = checkProxyPolicy(req, method, endpoint);
+      if (denial) return denial;
+      
+      const scopeDenial = await checkProxyScopes(req, record, decision, method, endpoint);
+      if (scopeDenial) return scopeDenial;
+      
+      const rateLimit = await proxyRateLimiter.acquire(`installation:${record.id}`);
+      if (!rateLimit.allowed) {
+        return { status: 429, body: { error: 'Rate limit exceeded', code: 'RATE_LIMITED', limited_by: rateLimit.limitedBy, retry_after_ms: rateLimit.retryAfterMs } };
+      }
+      
+      try {
+        // Long batches can outlive the token - refresh is single-flight per installation
+        if (TokenRefresher.needsRefresh(installation)) {
+          installation = await TokenRefresher.refresh(installation, { source: 'proxy', req });
+        }
+        
+        const response = await proxyAPICall(installation, req, { method, endpoint }, () =>
+          HighLevelAPI.makeAPICall(installation.access_token, method, endpoint, data, headers, {
+            installationId: installation.id
+          })
+        );
+        
+        await auditLog(installation.id, 'api_call', {
+          method,
+          endpoint,
+          batch: true,
+          status_code: response.status,
+          retries: response.retryCount,
+          outcome: response.outcome
+        }, req);
+        
+        return { status: response.status, body: response.data };
+      } catch (error) {
+        if (error instanceof CircuitOpenError) {
+          return { status: 503, body: { error: 'Upstream temporarily unavailable', code: 'CIRCUIT_OPEN', retry_after_ms: error.retryAfterMs } };
+        }
+        if (error instanceof TokenRefreshError) {
+          return { status: 401, body: { error: 'Token refresh failed', code: 'TOKEN_REFRESH_FAILED', retryable: error.isTransient } };
+        }
+        return { status: 502, body: { error: 'Proxy request failed', detail: error.message } };
+      }
+    });
+    
+    await auditLog(installation.id, 'api_batch', {
+      ...body.summary,
+      stop_on_error: stopOnError,
+      report,
+      transaction_status: body.transaction?.status
+    }, req);
+    
+    res.json(body);
+  } catch (error) {
+    logger.error('Batch proxy request failed:', { error: error.message, locationId: location_id, agencyId: agency_id });
+    res.status(500).json({ error: 'Batch proxy request failed' });
+  }
+});
+
+// Drop cached proxy responses for a tenant (S2S authenticated)
+// Body: { event } to drop the rules whose cache.invalidateOn lists that webhook type,
+// { rules: [ruleId, ...] } for specific rules, or {} for everything cached for the tenant.
+// The tenant comes from the token, or from installation_id for admin callers.
+app.post('/admin/cache/invalidate', authenticateS2S, async (req, res) => {
+  const { event = null, rules = null, installation_id = null } = req.body;
+  const { location_id, agency_id } = req.auth;
+  
+  if (rules !== null && !Array.isArray(rules)) {
+    return res.status(400).json({ error: 'rules must be an array of rule IDs' });
+  }
+  
+  try {
+    const installation = installation_id
+      ? await InstallationDB.getInstallationRecord(installation_id)
+      : await InstallationDB.resolveProxyInstallation(location_id, agency_id, req.hlApp.id, { mint: false });
+    
+    if (!installation) {
+      return res.status(404).json({ error: 'Installation not found' });
     }
     
-  } catch (error) {
-    logger.error('Failed to fetch locations or convert tokens:', {
-      agencyId,
-      error: error.message
+    const ruleIds = event ? req.hlApp.policy.rulesInvalidatedBy(event) : rules;
+    const invalidated = event && ruleIds.length === 0 ? 0 : await responseCache.invalidate(installation.id, ruleIds);
+    
+    logger.info('Proxy response cache invalidated', {
+      installationId: installation.id,
+      event,
+      rules: ruleIds || 'all',
+      invalidated
     });
-    throw error;
+    
+    res.json({ success: true, installation_id: installation.id, rules: ruleIds || 'all', invalidated });
+  } catch (error) {
+    logger.error('Failed to invalidate response cache:', { error: error.message });
+    res.status(500).json({ error: 'Failed to invalidate response cache' });
   }
-  
-  return locationCount;
-}
-
-// Ultimate catch-all to prove ordering
-app.all('/oauth/callback', (req, res) => {
-  console.error('FALLBACK: reached catch-all after handlers. Route ordering wrong.', {
-    query: { ...req.query, code: '[redacted]' }
-  });
-  return res.status(500).json({ error: 'Misrouted: catch-all hit after expected handlers' });
 });
 
-// Proxy endpoint for HighLevel API calls
-app.post('/proxy/hl', authenticateS2S, async (req, res) => {
-  const { method, endpoint, data, headers = {} } = req.body;
+// Features the calling tenant can use with its granted scopes (S2S authenticated)
+app.get('/proxy/hl/capabilities', authenticateS2S, async (req, res) => {
   const { location_id, agency_id } = req.auth;
   
-  if (!method || !endpoint) {
-    return res.status(400).json({ error: 'Missing method or endpoint' });
-  }
-  
   if (!location_id && !agency_id) {
     return res.status(400).json({ error: 'Missing location_id or agency_id in token' });
   }
   
-  // Check endpoint allow-list
-  if (!isEndpointAllowed(endpoint)) {
-    logger.warn('Blocked disallowed endpoint access', {
-      endpoint,
-      locationId: location_id,
-      agencyId: agency_id,
-      ip: req.ip
+  try {
+    // A read-only lookup: never mint a location token just to report on it
+    const installation = await InstallationDB.resolveProxyInstallation(location_id, agency_id, req.hlApp.id, { mint: false, req });
+    
+    if (!installation) {
+      return res.status(404).json({ error: 'Installation not found' });
+    }
+    
+    res.json({
+      installation_id: installation.id,
+      status: installation.status,
+      resolved_via_agency: !!installation.parent_installation_id,
+      scopes: installation.scopes || [],
+      scope_enforcement: (installation.scopes || []).length > 0 ? config.proxyScopeEnforcement : 'unknown_scopes',
+      policy_version: req.hlApp.policy.describe().version,
+      features: req.hlApp.policy.capabilities(installation.scopes || [])
     });
-    return res.status(403).json({ error: 'Endpoint not allowed' });
+  } catch (error) {
+    logger.error('Failed to compute capabilities:', { error: error.message, locationId: location_id, agencyId: agency_id });
+    res.status(500).json({ error: 'Failed to compute capabilities' });
+  }
+});
+
+const INSTALLATION_LIST_COLUMNS = `id, app_id, location_id, agency_id, company_id, parent_installation_id,
+              scopes, expires_at, installation_type, status, created_at, updated_at, last_token_refresh,
+              refresh_failure_count, last_error, last_error_at`;
+
+// Admin endpoint - list installations (S2S authenticated); ?view=tree nests locations under their agency.
+// Filters: status, type, agency_id, scope, expires_after/_before/_within, created_after/_before,
+// location_id (search), limit; the next page's cursor is returned in X-Next-Cursor.
+app.get('/admin/installations', authenticateS2S, async (req, res) => {
+  try {
+    if (req.query.view === 'tree') {
+      return res.json(await installationTree());
+    }
+    
+    let filters;
+    try {
+      filters = parseInstallationFilters(req.query);
+    } catch (filterError) {
+      return res.status(400).json({ error: filterError.message, code: filterError.code });
+    }
+    
+    const { text, params } = buildInstallationQuery(filters, INSTALLATION_LIST_COLUMNS);
+    const result = await db.query(text, params);
+    const { rows, nextCursor } = pageOf(result.rows, filters.limit);
+    
+    if (nextCursor) {
+      res.setHeader('X-Next-Cursor', nextCursor);
+    }
+    res.json(rows);
+  } catch (error) {
+    logger.error('Failed to retrieve installations:', error);
+    res.status(500).json({ error: 'Failed to retrieve installations' });
+  }
+});
+
+// Audit events that make up an installation's refresh history
+const REFRESH_HISTORY_EVENTS = ['token_refresh', 'token_refresh_failed', 'installation_status_changed', 'installation_reset'];
+
+// Admin endpoint - one installation with recent audit events, refresh history and health (never tokens)
+app.get('/admin/installations/:id', authenticateS2S, async (req, res) => {
+  const { id } = req.params;
+  const eventLimit = Math.min(parseInt(req.query.events || '50', 10) || 50, 200);
+  
+  if (!isUuid(id)) {
+    return res.status(404).json({ error: 'Installation not found' });
   }
   
   try {
-    // Get installation and tokens
-    const installation = await InstallationDB.getInstallation(location_id, agency_id);
+    const result = await db.query(
+      `SELECT ${INSTALLATION_LIST_COLUMNS}, refresh_token IS NOT NULL AS has_refresh_token
+         FROM hl_installations
+        WHERE id = $1`,
+      [id]
+    );
     
-    if (!installation) {
+    if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Installation not found' });
     }
     
-    // Check if token needs refresh
-    const now = new Date();
-    const expiresAt = new Date(installation.expires_at);
-    const refreshThreshold = new Date(now.getTime() + (5 * 60 * 1000)); // 5 minutes
+    const { has_refresh_token: hasRefreshToken, ...installation } = result.rows[0];
     
-    let accessToken = installation.access_token;
+    const [events, refreshes, children] = await Promise.all([
+      db.query(
+        `SELECT event_type, event_data, ip_address, endpoint, created_at
+           FROM hl_audit_log
+          WHERE installation_id = $1
+          ORDER BY created_at DESC
+          LIMIT $2`,
+        [id, eventLimit]
+      ),
+      db.query(
+        `SELECT event_type, event_data, created_at
+           FROM hl_audit_log
+          WHERE installation_id = $1 AND event_type = ANY($2::text[])
+          ORDER BY created_at DESC
+          LIMIT 20`,
+        [id, REFRESH_HISTORY_EVENTS]
+      ),
+      installation.agency_id
+        ? db.query(
+          `SELECT status, COUNT(*)::int AS count
+             FROM hl_installations
+            WHERE parent_installation_id = $1
+               OR (company_id = $2 AND app_id IS NOT DISTINCT FROM $3)
+            GROUP BY status`,
+          [id, installation.agency_id, installation.app_id]
+        )
+        : null
+    ]);
     
-    if (expiresAt <= refreshThreshold) {
-      logger.info('Refreshing access token', { installationId: installation.id });
-      
-      try {
-        const newTokens = await HighLevelAPI.refreshToken(installation.refresh_token);
-        await InstallationDB.updateTokens(installation.id, newTokens);
-        accessToken = newTokens.access_token;
-        
-        // Validate expires_in for audit log
-        const validExpiresIn = newTokens.expires_in && !isNaN(newTokens.expires_in) ? newTokens.expires_in : 3600;
-        
-        await auditLog(installation.id, 'token_refresh', {
-          old_expires_at: installation.expires_at,
-          new_expires_at: new Date(Date.now() + (validExpiresIn * 1000))
-        }, req);
-        
-      } catch (refreshError) {
-        logger.error('Token refresh failed:', {
-          installationId: installation.id,
-          error: refreshError.message
-        });
-        
-        await auditLog(installation.id, 'error', {
-          type: 'token_refresh_failed',
-          error: refreshError.message
-        }, req);
-        
-        return res.status(401).json({ error: 'Token refresh failed' });
-      }
+    res.json({
+      installation,
+      health: installationHealth({ ...installation, has_refresh_token: hasRefreshToken }, {
+        refreshThresholdMs: config.refreshThresholdMs,
+        maxFailures: config.refreshMaxFailures
+      }),
+      locations: children
+        ? Object.fromEntries(children.rows.map(row => [row.status, row.count]))
+        : undefined,
+      recent_events: events.rows,
+      refresh_history: refreshes.rows
+    });
+  } catch (error) {
+    logger.error('Failed to retrieve installation:', { installationId: id, error: error.message });
+    res.status(500).json({ error: 'Failed to retrieve installation' });
+  }
+});
+
+/**
+ * The 100 newest agency installations, each with the location installations minted from it
+ * or installed directly under its company, plus locations whose agency is not installed
+ * @returns {Promise<Object>} - { agencies: [{ ...agency, locations }], unlinked_locations }
+ */
+async function installationTree() {
+  const agencies = await db.query(
+    `SELECT ${INSTALLATION_LIST_COLUMNS}
+       FROM hl_installations
+      WHERE agency_id IS NOT NULL
+      ORDER BY created_at DESC
+      LIMIT 100`
+  );
+  
+  const locations = await db.query(
+    `SELECT ${INSTALLATION_LIST_COLUMNS}
+       FROM hl_installations
+      WHERE location_id IS NOT NULL
+        AND (parent_installation_id = ANY($1) OR company_id = ANY($2))
+      ORDER BY location_id`,
+    [agencies.rows.map(agency => agency.id), agencies.rows.map(agency => agency.agency_id)]
+  );
+  
+  const unlinked = await db.query(
+    `SELECT COUNT(*)::int AS count
+       FROM hl_installations l
+      WHERE l.location_id IS NOT NULL
+        AND l.parent_installation_id IS NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM hl_installations a
+           WHERE a.agency_id = l.company_id AND a.app_id IS NOT DISTINCT FROM l.app_id
+        )`
+  );
+  
+  return { agencies: groupInstallationTree(agencies.rows, locations.rows), unlinked_locations: unlinked.rows[0].count };
+}
+
+// Admin endpoint - reset an error/expired installation back to active (S2S authenticated)
+app.post('/admin/installations/:id/reset', authenticateS2S, async (req, res) => {
+  const { id } = req.params;
+  
+  if (!isUuid(id)) {
+    return res.status(404).json({ error: 'Installation not found' });
+  }
+  
+  try {
+    const before = await InstallationDB.getInstallationRecord(id);
+    
+    if (!before) {
+      return res.status(404).json({ error: 'Installation not found' });
     }
     
-    // Make API call to HighLevel
-    const response = await HighLevelAPI.makeAPICall(
-      accessToken,
-      method,
-      endpoint,
-      data,
-      headers
-    );
+    const installation = await InstallationDB.resetInstallation(id);
     
-    // Audit log successful API call
-    await auditLog(installation.id, 'api_call', {
-      method,
-      endpoint,
-      status_code: response.status
+    if (!installation) {
+      return res.status(409).json({
+        error: 'Installation cannot be reset',
+        detail: `Installations with status "${before.status}" must be reinstalled`
+      });
+    }
+    
+    await auditLog(id, 'installation_reset', {
+      from: before.status,
+      refresh_failure_count: before.refresh_failure_count,
+      last_error: before.last_error
     }, req);
     
-    res.status(response.status).json(response.data);
+    logger.info('Installation reset to active', { installationId: id, from: before.status, ip: req.ip });
     
+    res.json({ success: true, installation });
   } catch (error) {
-    logger.error('Proxy request failed:', {
-      method,
-      endpoint,
-      error: error.message,
-      status: error.response?.status
-    });
-    
-    const status = error.response?.status || 500;
-    const errorData = error.response?.data || { error: 'Proxy request failed' };
-    
-    res.status(status).json(errorData);
+    logger.error('Failed to reset installation:', { installationId: id, error: error.message });
+    res.status(500).json({ error: 'Failed to reset installation' });
   }
 });
 
-// Admin endpoint - list installations (S2S authenticated)
-app.get('/admin/installations', authenticateS2S, async (req, res) => {
+// Admin endpoint - current proxy allow-list policy (S2S authenticated)
+app.get('/admin/proxy-policy', authenticateS2S, (req, res) => {
+  res.json({ app: req.hlApp.slug, ...req.hlApp.policy.describe() });
+});
+
+// Admin endpoint - reload the proxy allow-list policy without a restart
+app.post('/admin/proxy-policy/reload', authenticateS2S, async (req, res) => {
+  const result = proxyPolicy.load();
+  // App policies are re-read from hl_apps on next use
+  appRegistry.clearCache();
+  
+  await auditLog(null, 'proxy_policy_reload', result, req);
+  
+  res.status(result.success ? 200 : 422).json(result);
+});
+
+// Admin endpoint - dry run: which rule allows or blocks a method + endpoint
+app.get('/admin/proxy-policy/check', authenticateS2S, (req, res) => {
+  const { method, endpoint, scopes } = req.query;
+  
+  if (!method || !endpoint) {
+    return res.status(400).json({ error: 'Missing method or endpoint query parameter' });
+  }
+  
+  const decision = req.hlApp.policy.evaluate(method, endpoint);
+  
+  // Optional: ?scopes=a,b shows which required scopes a tenant with those grants would miss
+  if (scopes !== undefined && decision.allowed) {
+    decision.missingScopes = req.hlApp.policy.missingScopes(decision, String(scopes).split(',').map(s => s.trim()).filter(Boolean));
+  }
+  
+  res.json(decision);
+});
+
+// Admin endpoint - registered marketplace apps (client secrets are never returned)
+app.get('/admin/apps', authenticateS2S, async (req, res) => {
   try {
-    const result = await db.query(
-      `SELECT id, location_id, agency_id, scopes, expires_at, installation_type, 
-              status, created_at, updated_at, last_token_refresh
-       FROM hl_installations 
-       ORDER BY created_at DESC
-       LIMIT 100`
-    );
-    
-    res.json(result.rows);
+    res.json({ apps: await appRegistry.list() });
   } catch (error) {
-    logger.error('Failed to retrieve installations:', error);
-    res.status(500).json({ error: 'Failed to retrieve installations' });
+    logger.error('Failed to list apps:', { error: error.message });
+    res.status(500).json({ error: 'Failed to list apps' });
+  }
+});
+
+// Admin endpoint - create or update an app
+// Body: { client_id, client_secret?, redirect_uri, name?, scopes?, policy?, status? } (client_secret required on create)
+app.put('/admin/apps/:slug', authenticateS2S, async (req, res) => {
+  const { slug } = req.params;
+  const { name, client_id, client_secret, redirect_uri, scopes = [], policy = null, status = 'active' } = req.body;
+
+  if (!Array.isArray(scopes)) {
+    return res.status(400).json({ error: 'scopes must be an array' });
+  }
+
+  let stored;
+  try {
+    stored = await appRegistry.upsert({
+      slug,
+      name,
+      clientId: client_id,
+      clientSecret: client_secret,
+      redirectUri: redirect_uri,
+      scopes,
+      policy,
+      status
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_APP') {
+      return res.status(400).json({ error: 'Invalid app', detail: error.message });
+    }
+    logger.error('Failed to save app:', { slug, error: error.message });
+    return res.status(500).json({ error: 'Failed to save app' });
+  }
+
+  await auditLog(null, 'app_saved', {
+    slug,
+    client_id,
+    redirect_uri,
+    status,
+    secret_changed: !!client_secret,
+    has_own_policy: stored.has_own_policy
+  }, req);
+
+  logger.info('App saved', { slug, status, ip: req.ip });
+
+  res.json({ success: true, app: stored });
+});
+
+// Admin endpoint - encryption keyring and rotation status (S2S authenticated)
+app.get('/admin/encryption', authenticateS2S, (req, res) => {
+  res.json({
+    keyring: tokenEncryption.describe(),
+    provider: encryptionProvider.describe(),
+    rotation: keyRotationJob.status()
+  });
+});
+
+// Admin endpoint - re-encrypt every installation and app secret to the primary key in the background
+app.post('/admin/encryption/rotate', authenticateS2S, async (req, res) => {
+  const alreadyRunning = keyRotationJob.status().status === 'running';
+  const status = keyRotationJob.start({ triggeredBy: req.auth?.iss || null });
+
+  if (!alreadyRunning) {
+    await auditLog(null, 'key_rotation_started', {
+      provider: status.provider
+    }, req);
   }
+
+  res.status(alreadyRunning ? 409 : 202).json({
+    success: !alreadyRunning,
+    message: alreadyRunning ? 'Key rotation already running' : 'Key rotation started',
+    rotation: status
+  });
 });
 
 // Get locations for an agency (S2S authenticated)
@@ -1913,8 +4014,8 @@ app.get('/locations/search', authenticateS2S, async (req, res) => {
   try {
     // Get the agency installation and token
     const agencyResult = await db.query(
-      'SELECT access_token FROM hl_installations WHERE agency_id = $1 AND installation_type = $2 AND status = $3',
-      [agency_id, 'agency', 'active']
+      'SELECT access_token, refresh_token, data_key, key_provider FROM hl_installations WHERE agency_id = $1 AND installation_type = $2 AND status = $3 AND app_id IS NOT DISTINCT FROM $4',
+      [agency_id, 'agency', 'active', req.hlApp.id]
     );
     
     if (agencyResult.rows.length === 0) {
@@ -1922,7 +4023,7 @@ app.get('/locations/search', authenticateS2S, async (req, res) => {
     }
     
     const agencyInstall = agencyResult.rows[0];
-    const decryptedToken = tokenEncryption.decrypt(agencyInstall.access_token);
+    const { access_token: decryptedToken } = await encryptionProvider.openTokens(agencyInstall);
     
     // Fetch locations from HighLevel API
     const locationsResponse = await axios.get(`${config.hlApiBase}/locations/search`, {
@@ -1961,35 +4062,152 @@ app.get('/locations/search', authenticateS2S, async (req, res) => {
 });
 
 // Disconnect/revoke installation
-app.post('/oauth/disconnect', /* strictLimiter, */ async (req, res) => {
-  const { location_id, agency_id } = req.body;
+// Revokes an agency's minted location installations too, so it is S2S only (app from the token's claim)
+app.post('/oauth/disconnect', /* strictLimiter, */ disconnectRoute({
+  authenticate: authenticateS2S,
+  revokeInstallation: (locationId, agencyId, appId) => InstallationDB.revokeInstallation(locationId, agencyId, appId),
+  responseCache,
+  logger
+}));
+
+// HighLevel app lifecycle webhooks (INSTALL / UNINSTALL / LocationCreate)
+// Point the Marketplace app's webhook URL here; /:appSlug skips the appId lookup.
+app.post(['/webhooks/highlevel', '/webhooks/highlevel/:appSlug'], async (req, res) => {
+  if (!appWebhookKey) {
+    return res.status(503).json({ error: 'App webhooks are not configured' });
+  }
   
-  if (!location_id && !agency_id) {
-    return res.status(400).json({ error: 'Missing location_id or agency_id' });
+  if (!verifyWebhookSignature(req.rawBody, req.get('x-wh-signature'), appWebhookKey)) {
+    logger.warn('Rejected HighLevel webhook with invalid signature', { ip: req.ip });
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+  
+  const event = req.body || {};
+  if (!event.type) {
+    return res.status(400).json({ error: 'Missing event type' });
   }
   
+  const webhookId = event.webhookId || null;
+  
   try {
-    await InstallationDB.revokeInstallation(location_id, agency_id);
+    if (webhookId && !(await webhookEvents.record(webhookId, event.type))) {
+      return res.json({ success: true, duplicate: true });
+    }
     
-    logger.info('Installation revoked', {
-      locationId: location_id,
-      agencyId: agency_id,
-      ip: req.ip
-    });
+    // An appId this server doesn't know must not fall back to the default app's installations
+    let hlApp;
+    if (req.params.appSlug) {
+      hlApp = await appRegistry.getBySlug(req.params.appSlug);
+    } else {
+      hlApp = event.appId ? await appRegistry.findByMarketplaceAppId(event.appId) : appRegistry.defaultApp;
+    }
+    
+    if (!hlApp) {
+      logger.warn('HighLevel webhook for unknown app', { type: event.type, app: req.params.appSlug, appId: event.appId });
+      // Not processed, so a retry (e.g. once the app is registered) must not count as a duplicate
+      if (webhookId) {
+        await webhookEvents.forget(webhookId).catch(() => {});
+      }
+      return res.status(404).json({ error: 'Unknown app', app: req.params.appSlug, appId: event.appId });
+    }
     
-    res.json({ success: true, message: 'Installation revoked successfully' });
+    const result = await handleAppWebhook(event, hlApp, req);
+    res.json({ success: true, type: event.type, ...result });
     
   } catch (error) {
-    logger.error('Failed to revoke installation:', {
-      error: error.message,
-      locationId: location_id,
-      Agencyid: agency_id
+    logger.error('HighLevel webhook processing failed:', {
+      type: event.type,
+      webhookId,
+      error: error.message
     });
     
-    res.status(500).json({ error: 'Failed to revoke installation' });
+    // Let HighLevel's retry be processed instead of dropped as a duplicate
+    if (webhookId) {
+      await webhookEvents.forget(webhookId).catch(() => {});
+    }
+    res.status(500).json({ error: 'Webhook processing failed' });
   }
 });
 
+async function handleAppWebhook(event, hlApp, req) {
+  const locationId = event.locationId || null;
+  const companyId = event.companyId || null;
+  
+  switch (event.type) {
+    case 'UNINSTALL': {
+      const record = await InstallationDB.findInstallation(locationId, locationId ? null : companyId, hlApp.id);
+      if (!record) {
+        await auditLog(null, 'webhook_uninstall', { app: hlApp.slug, locationId, companyId, found: false }, req);
+        return { action: 'none' };
+      }
+      
+      const action = config.appWebhooks.uninstallAction === 'delete' ? 'deleted' : 'revoked';
+      const { children } = action === 'deleted'
+        ? await InstallationDB.deleteInstallation(record.id)
+        : await InstallationDB.revokeInstallation(locationId, locationId ? null : companyId, hlApp.id);
+      for (const installationId of [record.id, ...children]) {
+        await responseCache.invalidate(installationId);
+      }
+      
+      // A deleted row can no longer be referenced, so its id goes in the event data
+      await auditLog(action === 'deleted' ? null : record.id, 'webhook_uninstall', {
+        app: hlApp.slug,
+        installationId: record.id,
+        locationId,
+        companyId,
+        action,
+        childrenRevoked: children.length
+      }, req);
+      
+      logger.info('Installation removed by UNINSTALL webhook', { installationId: record.id, app: hlApp.slug, action, childrenRevoked: children.length });
+      return { action, installation_id: record.id, children_revoked: children.length };
+    }
+    
+    case 'INSTALL': {
+      const record = await InstallationDB.findInstallation(locationId, locationId ? null : companyId, hlApp.id);
+      await auditLog(record?.id || null, 'webhook_install', {
+        app: hlApp.slug,
+        installType: event.installType || null,
+        locationId,
+        companyId,
+        known: !!record
+      }, req);
+      
+      // A location picked up after a bulk agency install still needs its own token
+      if (event.installType === 'Location' && locationId && companyId && !record) {
+        return { action: await convertForAgency(companyId, hlApp, req) };
+      }
+      return { action: 'recorded' };
+    }
+    
+    case 'LocationCreate': {
+      const action = companyId ? await convertForAgency(companyId, hlApp, req) : 'none';
+      await auditLog(null, 'webhook_location_created', {
+        app: hlApp.slug,
+        locationId: event.id || null,
+        companyId,
+        action
+      }, req);
+      return { action };
+    }
+    
+    default:
+      logger.info('Ignoring HighLevel webhook type', { type: event.type, app: hlApp.slug });
+      return { action: 'ignored' };
+  }
+}
+
+// Queue location token conversion for an agency that installed the app
+async function convertForAgency(companyId, hlApp, req) {
+  const agency = await InstallationDB.findInstallation(null, companyId, hlApp.id);
+  if (!agency || agency.status !== 'active' || agency.installation_type !== 'agency') {
+    return 'no_agency_install';
+  }
+  
+  await LocationConversionJobs.enqueue(agency, { source: 'webhook', req });
+  return 'conversion_queued';
+}
+
 // Retry connection endpoint for UI
 app.post('/admin/retry-connection', authenticateS2S, async (req, res) => {
   const { agency_id } = req.body;
@@ -2001,8 +4219,8 @@ app.post('/admin/retry-connection', authenticateS2S, async (req, res) => {
   try {
     // Get the agency installation
     const agencyResult = await db.query(
-      'SELECT * FROM hl_installations WHERE agency_id = $1 AND installation_type = $2',
-      [agency_id, 'agency']
+      'SELECT * FROM hl_installations WHERE agency_id = $1 AND installation_type = $2 AND app_id IS NOT DISTINCT FROM $3',
+      [agency_id, 'agency', req.hlApp.id]
     );
     
     if (agencyResult.rows.length === 0) {
@@ -2010,35 +4228,19 @@ app.post('/admin/retry-connection', authenticateS2S, async (req, res) => {
     }
     
     const agencyInstall = agencyResult.rows[0];
-    const decryptedToken = tokenEncryption.decrypt(agencyInstall.access_token);
+    const job = await LocationConversionJobs.enqueue(agencyInstall, { source: 'admin', req });
     
-    // Attempt to convert agency token to location tokens
-    let locationCount = 0;
-    try {
-      locationCount = await convertAgencyToLocationTokens(agency_id, decryptedToken, req);
-      
-      await auditLog(agencyInstall.id, 'retry_connection_success', {
-        agencyId: agency_id,
-        locationsConverted: locationCount
-      }, req);
-      
-      res.json({
-        success: true,
-        message: `Successfully converted ${locationCount} location tokens`,
-        locationsConverted: locationCount
-      });
-      
-    } catch (conversionError) {
-      await auditLog(agencyInstall.id, 'retry_connection_failed', {
-        agencyId: agency_id,
-        error: conversionError.message
-      }, req);
-      
-      res.status(500).json({
-        error: 'Location token conversion failed',
-        detail: conversionError.message
-      });
-    }
+    await auditLog(agencyInstall.id, 'retry_connection_queued', {
+      agencyId: agency_id,
+      jobId: job.id
+    }, req);
+    
+    res.status(202).json({
+      success: true,
+      message: 'Location token conversion queued',
+      job_id: job.id,
+      status_url: `/admin/conversion-jobs/${job.id}`
+    });
     
   } catch (error) {
     logger.error('Retry connection error:', {
@@ -2052,6 +4254,46 @@ app.post('/admin/retry-connection', authenticateS2S, async (req, res) => {
   }
 });
 
+// Conversion jobs for the caller's app, newest first (?agency_id=&status=)
+app.get('/admin/conversion-jobs', authenticateS2S, async (req, res) => {
+  const { agency_id, status } = req.query;
+  
+  if (status && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'Invalid status', allowed: JOB_STATUSES });
+  }
+  
+  try {
+    const jobs = await conversionJobs.list({
+      appId: req.hlApp.id,
+      agencyId: agency_id || null,
+      status: status || null,
+      limit: Math.min(parseInt(req.query.limit || '50', 10) || 50, 200)
+    });
+    res.json({ success: true, jobs });
+  } catch (error) {
+    logger.error('Failed to list conversion jobs:', { error: error.message });
+    res.status(500).json({ error: 'Failed to list conversion jobs' });
+  }
+});
+
+// Conversion job status: converted / failed / pending counts and failed locations
+app.get('/admin/conversion-jobs/:id', authenticateS2S, async (req, res) => {
+  if (!isUuid(req.params.id)) {
+    return res.status(404).json({ error: 'Conversion job not found' });
+  }
+  
+  try {
+    const job = await conversionJobs.status(req.params.id);
+    if (!job || job.app_id !== req.hlApp.id) {
+      return res.status(404).json({ error: 'Conversion job not found' });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    logger.error('Failed to load conversion job:', { jobId: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to load conversion job' });
+  }
+});
+
 // Database fix endpoint - temporary endpoint to fix installation types
 app.post('/admin/fix-installation-type', authenticateS2S, async (req, res) => {
   const { installation_id, new_type } = req.body;
@@ -2133,6 +4375,8 @@ app.use((req, res) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  TokenRefreshScheduler.stop();
+  proxyPolicy.unwatch();
   
   server.close(() => {
     logger.info('HTTP server closed');
@@ -2196,40 +4440,11 @@ app.get('/admin/init-db', async (req, res) => {
   }
 })();
 
-// Background token refresh job (runs every hour)
-setInterval(async () => {
-  try {
-    const result = await db.query(
-      'SELECT * FROM mark_tokens_for_refresh(1)' // 1 hour before expiry
-    );
-    
-    for (const row of result.rows) {
-      try {
-        const installation = await InstallationDB.getInstallation(
-          row.tenant_id.startsWith('loc_') ? row.tenant_id : null,
-          row.tenant_id.startsWith('ag_') ? row.tenant_id : null
-        );
-        
-        if (installation) {
-          const newTokens = await HighLevelAPI.refreshToken(installation.refresh_token);
-          await InstallationDB.updateTokens(installation.id, newTokens);
-          
-          logger.info('Background token refresh successful', {
-            installationId: installation.id,
-            tenantId: row.tenant_id
-          });
-        }
-      } catch (error) {
-        logger.error('Background token refresh failed:', {
-          tenantId: row.tenant_id,
-          error: error.message
-        });
-      }
-    }
-  } catch (error) {
-    logger.error('Background token refresh job failed:', error);
-  }
-}, 60 * 60 * 1000); // Every hour
+// Background token refresh scheduler (location and agency installations)
+TokenRefreshScheduler.start();
+
+// Agency -> location conversion jobs (also resumes jobs left behind by a crash)
+LocationConversionJobs.start();
 
 // ============================================================
 // Test Mode Endpoints - UI Accessible Location Management
@@ -2476,8 +4691,7 @@ app.post('/test-mode/refresh/:locationId', async (req, res) => {
     }
     
     // Force refresh token
-    const newTokens = await HighLevelAPI.refreshToken(installation.refresh_token);
-    await InstallationDB.updateTokens(installation.id, newTokens);
+    await TokenRefresher.refresh(installation, { force: true, source: 'admin', req });
     
     // Validate new token
     const validation = await validateLocationScopes(locationId);
@@ -0,0 +1,225 @@
+const { locationTokenAction, AgencyLocationStore, LocationMinter } = require('../helpers/agencyLocations.js');
+const { scriptedDb } = require('./helpers/scriptedDb.js');
+
+const agency = { id: 'agency-inst-1', agency_id: 'company-1', app_id: null };
+const tokens = { access_token: 'loc-access', expires_in: 86400, scope: 'contacts.readonly contacts.write' };
+const logger = { debug: jest.fn() };
+
+// Seals by prefixing, so tests can see what was stored
+const encryptionProvider = {
+  sealTokens: jest.fn(async ({ access_token: accessToken, refresh_token: refreshToken }) => ({
+    access_token: `sealed:${accessToken}`,
+    refresh_token: refreshToken && `sealed:${refreshToken}`,
+    data_key: 'dk',
+    key_provider: 'local'
+  }))
+};
+
+const store = db => new AgencyLocationStore({ db, encryptionProvider, logger });
+const sqlOf = (db, call) => db.query.mock.calls[call][0].replace(/\s+/g, ' ');
+
+describe('locationTokenAction', () => {
+  test('inserts a missing row and updates rows linked to this agency, whatever their status', () => {
+    expect(locationTokenAction(null, agency)).toEqual({ action: 'insert' });
+    expect(locationTokenAction({ status: 'active', parent_installation_id: agency.id }, agency)).toEqual({ action: 'update' });
+    expect(locationTokenAction({ status: 'error', parent_installation_id: agency.id }, agency)).toEqual({ action: 'update' });
+    expect(locationTokenAction({ status: 'revoked', parent_installation_id: agency.id }, agency)).toEqual({ action: 'update' });
+  });
+
+  test('leaves the location\'s own grant and other agencies\' rows alone', () => {
+    expect(locationTokenAction({ status: 'active', parent_installation_id: null }, agency)).toEqual({ action: 'keep_own' });
+    expect(locationTokenAction({ status: 'revoked', parent_installation_id: null }, agency))
+      .toEqual({ action: 'skip', reason: 'location_uninstalled' });
+    expect(locationTokenAction({ status: 'expired', parent_installation_id: null }, agency))
+      .toEqual({ action: 'skip', reason: 'own_installation_expired' });
+    expect(locationTokenAction({ status: 'active', parent_installation_id: 'agency-inst-2' }, agency))
+      .toEqual({ action: 'skip', reason: 'linked_to_another_agency' });
+  });
+});
+
+describe('AgencyLocationStore', () => {
+  test('stores a new location linked to the agency', async () => {
+    const db = scriptedDb({ rows: [] }, { rows: [{ id: 'loc-inst-1' }] });
+
+    await expect(store(db).save(agency, 'loc-1', tokens)).resolves.toEqual({ installationId: 'loc-inst-1', created: true, reactivated: false });
+    expect(db.query.mock.calls[0][1]).toEqual(['loc-1', null]);
+    expect(db.query.mock.calls[1][1]).toEqual([
+      'loc-1', 'sealed:loc-access', null, ['contacts.readonly', 'contacts.write'], expect.any(Date), 'dk', 'local', null, 'agency-inst-1', 'company-1'
+    ]);
+  });
+
+  test('an agency that is revoked, reinstalled and converted again gets its locations back', async () => {
+    const child = { id: 'loc-inst-1', data_key: 'dk-old', key_provider: 'vault', parent_installation_id: agency.id };
+    const db = scriptedDb(
+      // first conversion
+      { rows: [] },
+      { rows: [{ id: 'loc-inst-1' }] },
+      // agency uninstalled: its linked locations are revoked with it
+      { rows: [{ revoked: [agency.id], children: ['loc-inst-1'] }] },
+      // agency reinstalled (same row) and converted again
+      { rows: [{ ...child, status: 'revoked' }] },
+      { rowCount: 1 }
+    );
+    const locations = store(db);
+
+    await locations.save(agency, 'loc-1', tokens);
+    await expect(locations.revoke(null, 'company-1')).resolves.toEqual({ revoked: [agency.id], children: ['loc-inst-1'] });
+    expect(sqlOf(db, 2)).toContain('WHERE parent_installation_id IN (SELECT id FROM revoked)');
+
+    const result = await locations.save(agency, 'loc-1', { ...tokens, access_token: 'loc-access-2' });
+    expect(result).toEqual({ installationId: 'loc-inst-1', created: false, reactivated: true });
+    expect(encryptionProvider.sealTokens).toHaveBeenLastCalledWith(
+      { access_token: 'loc-access-2', refresh_token: null },
+      { dataKey: 'dk-old', keyProvider: 'vault' }
+    );
+    expect(sqlOf(db, 4)).toContain("status = 'active'");
+    expect(db.query.mock.calls[4][1].slice(0, 2)).toEqual(['loc-inst-1', 'sealed:loc-access-2']);
+  });
+
+  test('a location that uninstalled the app is detached, so a later conversion leaves it revoked', async () => {
+    const db = scriptedDb(
+      { rows: [{ revoked: ['loc-inst-1'], children: [] }] },
+      { rows: [{ id: 'loc-inst-1', status: 'revoked', parent_installation_id: null }] }
+    );
+    const locations = store(db);
+
+    await locations.revoke('loc-1', null);
+    expect(sqlOf(db, 0)).toContain('SET status = $1, parent_installation_id = NULL');
+    expect(db.query.mock.calls[0][1]).toEqual(['revoked', 'loc-1', null]);
+
+    await expect(locations.save(agency, 'loc-1', tokens)).resolves.toEqual({ installationId: null, skipped: 'location_uninstalled' });
+    expect(db.query).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps a direct installation and only records which agency owns the location', async () => {
+    const db = scriptedDb({ rows: [{ id: 'own-inst', status: 'active', parent_installation_id: null }] }, { rowCount: 1 });
+    encryptionProvider.sealTokens.mockClear();
+
+    await expect(store(db).save(agency, 'loc-1', tokens)).resolves.toEqual({ installationId: 'own-inst', created: false, reactivated: false });
+    expect(db.query.mock.calls[1][1]).toEqual(['own-inst', 'company-1']);
+    expect(encryptionProvider.sealTokens).not.toHaveBeenCalled();
+  });
+});
+
+describe('LocationMinter', () => {
+  const activeAgency = { id: 'agency-inst-1', agency_id: 'company-1', app_id: 'app-1', status: 'active' };
+  const minted = { id: 'loc-inst-1', location_id: 'loc-1', parent_installation_id: 'agency-inst-1', status: 'active', expires_at: '2026-01-02T00:00:00Z' };
+
+  // rows: { 'location:<id>' | 'agency:<id>' -> row from findInstallation, <installation id> -> row from getInstallationRecord }
+  function minter({ rows = {}, convert = async () => ({ installationId: minted.id }), agencyFromJobs = null } = {}) {
+    const installations = {
+      findInstallation: jest.fn(async (locationId, agencyId) => rows[locationId ? `location:${locationId}` : `agency:${agencyId}`] || null),
+      getInstallationRecord: jest.fn(async id => rows[id] || null)
+    };
+    const deps = {
+      installations,
+      findAgencyInstallationId: jest.fn(async () => agencyFromJobs),
+      convert: jest.fn(convert),
+      auditLog: jest.fn(async () => {}),
+      logger: { info: jest.fn(), warn: jest.fn() }
+    };
+    return { locationMinter: new LocationMinter(deps), ...deps };
+  }
+
+  test('uses the location\'s own row, or the agency row for agency calls, without minting', async () => {
+    const own = { id: 'loc-inst-9', location_id: 'loc-1', parent_installation_id: null, status: 'active' };
+    const { locationMinter, convert, installations } = minter({ rows: { 'location:loc-1': own, 'agency:company-1': activeAgency } });
+
+    await expect(locationMinter.resolve('loc-1', 'company-1', 'app-1')).resolves.toBe(own);
+    await expect(locationMinter.resolve(null, 'company-1', 'app-1')).resolves.toBe(activeAgency);
+    expect(installations.findInstallation).toHaveBeenCalledWith('loc-1', null, 'app-1');
+    expect(convert).not.toHaveBeenCalled();
+  });
+
+  test('mints a missing location through the agency named in the token and audits it', async () => {
+    const { locationMinter, convert, auditLog } = minter({ rows: { 'agency:company-1': activeAgency, [minted.id]: minted } });
+    const req = { ip: '10.0.0.1' };
+
+    await expect(locationMinter.resolve('loc-1', 'company-1', 'app-1', { req })).resolves.toBe(minted);
+    expect(convert).toHaveBeenCalledWith(activeAgency, 'loc-1', req);
+    expect(auditLog).toHaveBeenCalledWith('loc-inst-1', 'location_token_minted', {
+      source: 'proxy',
+      locationId: 'loc-1',
+      agencyId: 'company-1',
+      agencyInstallationId: 'agency-inst-1',
+      expires_at: minted.expires_at
+    }, req);
+  });
+
+  test('without an agency_id the agency comes from its conversion jobs', async () => {
+    const { locationMinter, findAgencyInstallationId, convert } = minter({
+      rows: { 'agency-inst-1': activeAgency, [minted.id]: minted },
+      agencyFromJobs: 'agency-inst-1'
+    });
+
+    await expect(locationMinter.resolve('loc-1', null, 'app-1')).resolves.toBe(minted);
+    expect(findAgencyInstallationId).toHaveBeenCalledWith('loc-1', 'app-1');
+    expect(convert).toHaveBeenCalledTimes(1);
+  });
+
+  test('never mints for a lookup, an unknown or inactive agency', async () => {
+    const inactive = minter({ rows: { 'agency:company-1': { ...activeAgency, status: 'expired' } } });
+    await expect(inactive.locationMinter.resolve('loc-1', 'company-1', 'app-1')).resolves.toBeNull();
+    await expect(inactive.locationMinter.resolve('loc-1', 'company-1', 'app-1', { mint: false })).resolves.toBeNull();
+    expect(inactive.convert).not.toHaveBeenCalled();
+
+    const unknown = minter();
+    await expect(unknown.locationMinter.resolve('loc-1', null, 'app-1')).resolves.toBeNull();
+    expect(unknown.installations.getInstallationRecord).not.toHaveBeenCalled();
+  });
+
+  test('a location revoked with its agency is minted again once the agency is active, and kept revoked until then', async () => {
+    const revoked = { ...minted, status: 'revoked' };
+    const reinstalled = minter({ rows: { 'location:loc-1': revoked, 'agency-inst-1': activeAgency, [minted.id]: minted } });
+    await expect(reinstalled.locationMinter.resolve('loc-1', 'company-1', 'app-1')).resolves.toBe(minted);
+
+    const stillRevoked = minter({ rows: { 'location:loc-1': revoked, 'agency-inst-1': { ...activeAgency, status: 'revoked' } } });
+    await expect(stillRevoked.locationMinter.resolve('loc-1', 'company-1', 'app-1')).resolves.toBe(revoked);
+    expect(stillRevoked.convert).not.toHaveBeenCalled();
+  });
+
+  test('concurrent calls for one location share a mint until it settles', async () => {
+    const pending = [];
+    const { locationMinter, convert } = minter({
+      rows: { [minted.id]: minted },
+      convert: () => new Promise(resolve => pending.push(resolve))
+    });
+
+    const first = locationMinter.mint(activeAgency, 'loc-1');
+    const second = locationMinter.mint(activeAgency, 'loc-1');
+    const otherLocation = locationMinter.mint(activeAgency, 'loc-2');
+    expect(locationMinter.inflight.has('app-1:loc-1')).toBe(true);
+
+    await Promise.resolve();
+    expect(convert).toHaveBeenCalledTimes(2);
+    pending.forEach(resolve => resolve({ installationId: minted.id }));
+    await expect(Promise.all([first, second, otherLocation])).resolves.toEqual([minted, minted, minted]);
+    expect(locationMinter.inflight.has('app-1:loc-1')).toBe(false);
+  });
+
+  test('a refused mint is audited on the agency and resolves to null', async () => {
+    const refused = Object.assign(new Error('Location not in company'), { status: 400 });
+    const { locationMinter, auditLog, logger } = minter({ convert: async () => { throw refused; } });
+
+    await expect(locationMinter.mint(activeAgency, 'loc-1')).resolves.toBeNull();
+    expect(auditLog).toHaveBeenCalledWith('agency-inst-1', 'location_token_mint_failed', {
+      source: 'proxy',
+      locationId: 'loc-1',
+      agencyId: 'company-1',
+      http_status: 400,
+      error: 'Location not in company'
+    }, null);
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+  });
+
+  test('a location whose row is not the agency\'s to overwrite resolves to that row', async () => {
+    const ownUninstalled = { id: 'loc-inst-9', location_id: 'loc-1', parent_installation_id: null, status: 'revoked' };
+    const { locationMinter, auditLog } = minter({
+      rows: { 'location:loc-1': ownUninstalled },
+      convert: async () => ({ installationId: null, skipped: 'location_uninstalled' })
+    });
+
+    await expect(locationMinter.mint(activeAgency, 'loc-1')).resolves.toBe(ownUninstalled);
+    expect(auditLog).not.toHaveBeenCalled();
+  });
+});
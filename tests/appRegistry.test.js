@@ -0,0 +1,172 @@
+const { AppRegistry, AppValidationError, marketplaceAppId } = require('../helpers/appRegistry.js');
+
+const logger = { info: jest.fn(), error: jest.fn() };
+const POLICY = { rules: [{ id: 'contacts', path: '/contacts/', methods: ['GET'], scopes: ['contacts.readonly'] }] };
+
+const APP_ROW = {
+  id: '6f1c1f84-1b0e-4a53-9c55-0d1f1a6b2a11',
+  slug: 'acme-crm',
+  name: 'Acme CRM',
+  status: 'active',
+  client_id: '65f0a1b2c3-lt1abc',
+  client_secret: 'sealed:acme-secret',
+  data_key: 'dk',
+  key_provider: 'local',
+  redirect_uri: 'https://oauth.example.com/oauth/callback/acme-crm',
+  scopes: ['contacts.readonly'],
+  policy: null
+};
+
+// Seals by prefixing, so tests can see what was stored
+const encryptionProvider = {
+  sealTokens: jest.fn(async tokens => ({ access_token: `sealed:${tokens.access_token}`, data_key: 'dk', key_provider: 'local' })),
+  openTokens: jest.fn(async row => ({ access_token: row.access_token.replace(/^sealed:/, ''), refresh_token: null }))
+};
+
+function registry(db, options = {}) {
+  return new AppRegistry({
+    db,
+    encryptionProvider,
+    logger,
+    defaultApp: { clientId: '64aa00bb11-default', clientSecret: 'env-secret', redirectUri: 'https://oauth.example.com/oauth/callback', scopes: [] },
+    ...options
+  });
+}
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('marketplaceAppId', () => {
+  test('is the client ID prefix', () => {
+    expect(marketplaceAppId('65f0a1b2c3-lt1abc')).toBe('65f0a1b2c3');
+    expect(marketplaceAppId(undefined)).toBe('');
+  });
+});
+
+describe('AppRegistry lookups', () => {
+  test('an empty slug, "default" and a null app id are the env-configured app', async () => {
+    const db = { query: jest.fn() };
+    const apps = registry(db);
+
+    expect(await apps.getBySlug()).toBe(apps.defaultApp);
+    expect(await apps.getBySlug('default')).toBe(apps.defaultApp);
+    expect(await apps.getById(null)).toBe(apps.defaultApp);
+    expect(apps.defaultApp).toMatchObject({ id: null, slug: 'default', clientSecret: 'env-secret' });
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('hydrates a stored app with its decrypted secret and caches it until the TTL', async () => {
+    jest.useFakeTimers({ now: 1700000000000 });
+    const db = { query: jest.fn().mockResolvedValue({ rows: [APP_ROW] }) };
+    const apps = registry(db, { cacheTtlMs: 1000 });
+
+    const app = await apps.getBySlug('acme-crm');
+    expect(app).toMatchObject({ id: APP_ROW.id, clientId: APP_ROW.client_id, clientSecret: 'acme-secret', hasOwnPolicy: false });
+    expect(app.policy).toBe(apps.defaultApp.policy);
+    expect(encryptionProvider.openTokens).toHaveBeenCalledWith(expect.objectContaining({ key_provider: 'local' }));
+
+    expect(await apps.getById(APP_ROW.id)).toBe(app);
+    expect(db.query).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(1000);
+    await apps.getBySlug('acme-crm');
+    expect(db.query).toHaveBeenCalledTimes(2);
+  });
+
+  test('caches misses too', async () => {
+    const db = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    const apps = registry(db);
+
+    expect(await apps.getBySlug('missing')).toBeNull();
+    expect(await apps.getBySlug('missing')).toBeNull();
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives an app with its own policy a separate policy store', async () => {
+    const db = { query: jest.fn().mockResolvedValue({ rows: [{ ...APP_ROW, policy: POLICY }] }) };
+    const app = await registry(db).getBySlug('acme-crm');
+
+    expect(app.hasOwnPolicy).toBe(true);
+    expect(app.policy.source).toBe('app:acme-crm');
+  });
+
+  test('resolves webhook app ids against the default client first, then hl_apps', async () => {
+    const db = { query: jest.fn().mockResolvedValueOnce({ rows: [{ slug: 'acme-crm' }] }).mockResolvedValueOnce({ rows: [APP_ROW] }) };
+    const apps = registry(db);
+
+    expect(await apps.findByMarketplaceAppId('64aa00bb11')).toBe(apps.defaultApp);
+    expect(await apps.findByMarketplaceAppId(null)).toBeNull();
+    expect(await apps.findByMarketplaceAppId('65f0a1b2c3')).toMatchObject({ slug: 'acme-crm' });
+    expect(db.query.mock.calls[0][1]).toEqual(['65f0a1b2c3']);
+  });
+});
+
+describe('AppRegistry.upsert', () => {
+  const input = {
+    slug: 'acme-crm',
+    clientId: APP_ROW.client_id,
+    clientSecret: 'acme-secret',
+    redirectUri: APP_ROW.redirect_uri
+  };
+
+  test('validates the slug, required fields, status and policy before touching the database', async () => {
+    const db = { query: jest.fn() };
+    const apps = registry(db);
+
+    await expect(apps.upsert({ ...input, slug: 'default' })).rejects.toThrow(AppValidationError);
+    await expect(apps.upsert({ ...input, slug: 'Bad_Slug' })).rejects.toThrow('slug must be');
+    await expect(apps.upsert({ ...input, redirectUri: null })).rejects.toThrow('clientId and redirectUri are required');
+    await expect(apps.upsert({ ...input, status: 'paused' })).rejects.toThrow('status must be active or disabled');
+    await expect(apps.upsert({ ...input, policy: { rules: [{ id: 'x' }] } })).rejects.toThrow('Invalid allow-list policy');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('requires a secret for a new app and seals it with the active provider', async () => {
+    const db = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ ...APP_ROW, policy: POLICY }] })
+    };
+    const apps = registry(db);
+
+    await expect(apps.upsert({ ...input, clientSecret: null })).rejects.toThrow('clientSecret is required for a new app');
+
+    const stored = await apps.upsert({ ...input, policy: POLICY });
+    expect(encryptionProvider.sealTokens).toHaveBeenLastCalledWith({ access_token: 'acme-secret' }, { dataKey: null, keyProvider: null });
+    expect(db.query.mock.calls[2][1]).toEqual([
+      'acme-crm', null, APP_ROW.client_id, 'sealed:acme-secret', 'dk', 'local', APP_ROW.redirect_uri, [], JSON.stringify(POLICY), 'active'
+    ]);
+    expect(stored).toMatchObject({ slug: 'acme-crm', client_id: APP_ROW.client_id, has_own_policy: true });
+    expect(stored).not.toHaveProperty('client_secret');
+  });
+
+  test('keeps the stored secret when none is supplied and drops the cached app', async () => {
+    const db = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [APP_ROW] })
+        .mockResolvedValueOnce({ rows: [{ data_key: 'dk', key_provider: 'vault' }] })
+        .mockResolvedValueOnce({ rows: [APP_ROW] })
+    };
+    const apps = registry(db);
+    await apps.getBySlug('acme-crm');
+    encryptionProvider.sealTokens.mockClear();
+
+    await apps.upsert({ ...input, clientSecret: null });
+    expect(encryptionProvider.sealTokens).not.toHaveBeenCalled();
+    expect(db.query.mock.calls[2][1].slice(3, 6)).toEqual([null, null, null]);
+    expect(apps.cache.has('acme-crm')).toBe(false);
+  });
+});
+
+describe('AppRegistry.list', () => {
+  test('lists the default app first without secrets', async () => {
+    const db = { query: jest.fn().mockResolvedValue({ rows: [APP_ROW] }) };
+    const list = await registry(db).list();
+
+    expect(list.map(app => app.slug)).toEqual(['default', 'acme-crm']);
+    expect(list[0]).toMatchObject({ id: null, client_id: '64aa00bb11-default', has_own_policy: false });
+    expect(JSON.stringify(list)).not.toContain('secret');
+  });
+});
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadWebhookPublicKey, verifyWebhookSignature, WebhookEventLog } = require('../helpers/appWebhooks.js');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const PEM = publicKey.export({ type: 'spki', format: 'pem' });
+
+const body = Buffer.from(JSON.stringify({ type: 'INSTALL', appId: '65f0a1b2c3', locationId: 'loc-1', webhookId: 'wh-1' }));
+const sign = data => crypto.sign('sha256', data, privateKey).toString('base64');
+
+describe('loadWebhookPublicKey', () => {
+  test('reads PEM text with escaped newlines, or a file', () => {
+    const fromEnv = loadWebhookPublicKey({ pem: PEM.replace(/\n/g, '\\n') });
+    expect(fromEnv.equals(publicKey)).toBe(true);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hl-webhook-'));
+    const file = path.join(dir, 'key.pem');
+    fs.writeFileSync(file, PEM);
+    const fromFile = loadWebhookPublicKey({ file, pem: 'ignored' });
+    fs.rmSync(dir, { recursive: true });
+    expect(fromFile.equals(publicKey)).toBe(true);
+  });
+
+  test('is null when nothing is configured', () => {
+    expect(loadWebhookPublicKey({})).toBeNull();
+  });
+});
+
+describe('verifyWebhookSignature', () => {
+  test('accepts HighLevel\'s signature over the raw body', () => {
+    expect(verifyWebhookSignature(body, sign(body), publicKey)).toBe(true);
+  });
+
+  test('rejects a modified body, another key\'s signature and missing inputs', () => {
+    const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    const tampered = Buffer.from(body.toString().replace('INSTALL', 'UNINSTALL'));
+
+    expect(verifyWebhookSignature(tampered, sign(body), publicKey)).toBe(false);
+    expect(verifyWebhookSignature(body, crypto.sign('sha256', body, other).toString('base64'), publicKey)).toBe(false);
+    expect(verifyWebhookSignature(body, 'not-a-signature', publicKey)).toBe(false);
+    expect(verifyWebhookSignature(body, undefined, publicKey)).toBe(false);
+    expect(verifyWebhookSignature(null, sign(body), publicKey)).toBe(false);
+    expect(verifyWebhookSignature(body, sign(body), null)).toBe(false);
+  });
+});
+
+describe('WebhookEventLog', () => {
+  test('records a webhook ID once', async () => {
+    const db = { query: jest.fn().mockResolvedValueOnce({ rowCount: 1 }).mockResolvedValueOnce({ rowCount: 0 }) };
+    const events = new WebhookEventLog({ db });
+
+    await expect(events.record('wh-1', 'INSTALL')).resolves.toBe(true);
+    await expect(events.record('wh-1', 'INSTALL')).resolves.toBe(false);
+    expect(db.query.mock.calls[0][1]).toEqual(['wh-1', 'INSTALL']);
+  });
+
+  test('forgets a failed delivery and purges past the retention window', async () => {
+    const db = { query: jest.fn().mockResolvedValueOnce({ rowCount: 1 }).mockResolvedValueOnce({ rowCount: 4 }) };
+    const events = new WebhookEventLog({ db, retentionMs: 60000 });
+
+    await events.forget('wh-1');
+    expect(db.query).toHaveBeenCalledWith('DELETE FROM hl_webhook_events WHERE webhook_id = $1', ['wh-1']);
+
+    await expect(events.purgeExpired()).resolves.toBe(4);
+    expect(db.query.mock.calls[1][1]).toEqual([60000]);
+  });
+});
@@ -0,0 +1,73 @@
+const { CircuitBreakerRegistry } = require('../helpers/circuitBreaker.js');
+
+const NOW = 1700000000000;
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: NOW });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+function tripped(breakers, key = 'inst-1') {
+  for (let i = 0; i < breakers.failureThreshold; i++) breakers.recordFailure(key);
+  return breakers;
+}
+
+describe('CircuitBreakerRegistry', () => {
+  test('stays closed below the failure threshold and a success resets the count', () => {
+    const breakers = new CircuitBreakerRegistry({ failureThreshold: 3 });
+
+    expect(breakers.recordFailure('k')).toBe('closed');
+    expect(breakers.recordFailure('k')).toBe('closed');
+    breakers.recordSuccess('k');
+    expect(breakers.recordFailure('k')).toBe('closed');
+    expect(breakers.check('k')).toEqual({ allowed: true, state: 'closed', retryAfterMs: 0 });
+  });
+
+  test('opens after consecutive failures and refuses calls for the cooldown', () => {
+    const breakers = tripped(new CircuitBreakerRegistry({ failureThreshold: 3, cooldownMs: 10000 }));
+
+    jest.setSystemTime(NOW + 4000);
+    expect(breakers.check('inst-1')).toEqual({ allowed: false, state: 'open', retryAfterMs: 6000 });
+    expect(breakers.check('inst-2').allowed).toBe(true);
+  });
+
+  test('lets one trial call through after the cooldown', () => {
+    const breakers = tripped(new CircuitBreakerRegistry({ failureThreshold: 2, cooldownMs: 1000 }));
+    jest.setSystemTime(NOW + 1000);
+
+    expect(breakers.check('inst-1')).toEqual({ allowed: true, state: 'half_open', retryAfterMs: 0 });
+    expect(breakers.check('inst-1')).toMatchObject({ allowed: false, state: 'half_open' });
+  });
+
+  test('a successful trial closes the circuit', () => {
+    const breakers = tripped(new CircuitBreakerRegistry({ failureThreshold: 2, cooldownMs: 1000 }));
+    jest.setSystemTime(NOW + 1000);
+    breakers.check('inst-1');
+
+    breakers.recordSuccess('inst-1');
+    expect(breakers.snapshot('inst-1')).toEqual({ state: 'closed', failures: 0, openedAt: null, trialInFlight: false });
+    expect(breakers.check('inst-1').allowed).toBe(true);
+  });
+
+  test('a failed trial re-opens the circuit for another cooldown', () => {
+    const breakers = tripped(new CircuitBreakerRegistry({ failureThreshold: 2, cooldownMs: 1000 }));
+    jest.setSystemTime(NOW + 1000);
+    breakers.check('inst-1');
+
+    expect(breakers.recordFailure('inst-1')).toBe('open');
+    expect(breakers.check('inst-1')).toEqual({ allowed: false, state: 'open', retryAfterMs: 1000 });
+  });
+
+  test('evicts healthy circuits first when the registry is full', () => {
+    const breakers = new CircuitBreakerRegistry({ failureThreshold: 5, maxEntries: 2 });
+    breakers.recordFailure('failing');
+    breakers.check('healthy');
+    breakers.check('new');
+
+    expect([...breakers.circuits.keys()]).toEqual(['failing', 'new']);
+    expect(breakers.snapshot('healthy')).toEqual({ state: 'closed', failures: 0, openedAt: null });
+  });
+});
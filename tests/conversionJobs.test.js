@@ -0,0 +1,167 @@
+const { ConversionJobStore } = require('../helpers/conversionJobs.js');
+const { scriptedDb } = require('./helpers/scriptedDb.js');
+
+const agency = { id: 'agency-inst-1', agency_id: 'company-1', app_id: null };
+const job = { id: 'job-1', agency_installation_id: agency.id, status: 'running', next_skip: 0 };
+
+const sqlOf = (db, call) => db.query.mock.calls[call][0].replace(/\s+/g, ' ');
+
+describe('ConversionJobStore.enqueue', () => {
+  test('creates a job when none is queued or running for the agency', async () => {
+    const db = scriptedDb({ rows: [{ ...job, status: 'queued' }] });
+
+    await expect(new ConversionJobStore({ db }).enqueue(agency, 'oauth_callback'))
+      .resolves.toEqual({ job: { ...job, status: 'queued' }, created: true });
+    expect(db.query.mock.calls[0][1]).toEqual(['agency-inst-1', 'company-1', null, 'oauth_callback']);
+    expect(sqlOf(db, 0)).toContain(`ON CONFLICT (agency_installation_id) WHERE status IN ('queued', 'running') DO NOTHING`);
+  });
+
+  test('returns the active job instead of queueing a second one', async () => {
+    const db = scriptedDb({ rows: [] }, { rows: [job] });
+
+    await expect(new ConversionJobStore({ db }).enqueue(agency)).resolves.toEqual({ job, created: false });
+    expect(db.query).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('ConversionJobStore leases', () => {
+  test('claims queued jobs and running jobs whose lease lapsed, for leaseSeconds', async () => {
+    const db = scriptedDb({ rows: [job] }, { rows: [] });
+    const store = new ConversionJobStore({ db, leaseSeconds: 120 });
+
+    await expect(store.claimNext()).resolves.toEqual(job);
+    expect(sqlOf(db, 0)).toContain(`WHERE status IN ('queued', 'running') AND (claimed_until IS NULL OR claimed_until < NOW())`);
+    expect(sqlOf(db, 0)).toContain('FOR UPDATE SKIP LOCKED');
+    expect(db.query.mock.calls[0][1]).toEqual([120]);
+
+    await expect(store.claimNext()).resolves.toBeNull();
+  });
+
+  test('touch extends only a running job', async () => {
+    const db = scriptedDb({ rowCount: 1 }, { rowCount: 0 });
+    const store = new ConversionJobStore({ db, leaseSeconds: 60 });
+
+    await expect(store.touch('job-1')).resolves.toBe(true);
+    await expect(store.touch('job-1')).resolves.toBe(false);
+    expect(db.query.mock.calls[0][1]).toEqual(['job-1', 60]);
+    expect(sqlOf(db, 0)).toContain(`WHERE id = $1 AND status = 'running'`);
+  });
+});
+
+describe('ConversionJobStore.recordPage', () => {
+  test('stores the page, advances the offset and renews the lease', async () => {
+    const db = scriptedDb({ rowCount: 2 }, { rows: [{ ...job, next_skip: 2 }] });
+    const store = new ConversionJobStore({ db, leaseSeconds: 300 });
+
+    const updated = await store.recordPage(job, [{ id: 'loc-1', name: 'One' }, { id: 'loc-2' }], 100);
+    expect(updated.next_skip).toBe(2);
+    expect(JSON.parse(db.query.mock.calls[0][1][1])).toEqual([{ id: 'loc-1', name: 'One' }, { id: 'loc-2', name: null }]);
+    // A short page ends the listing
+    expect(db.query.mock.calls[1][1]).toEqual(['job-1', 2, true, 300]);
+  });
+
+  test('a full page leaves the listing open, and an empty page only updates the job', async () => {
+    const db = scriptedDb({ rowCount: 2 }, { rows: [job] }, { rows: [job] });
+    const store = new ConversionJobStore({ db });
+
+    await store.recordPage(job, [{ id: 'loc-1' }, { id: 'loc-2' }], 2);
+    expect(db.query.mock.calls[1][1][2]).toBe(false);
+
+    await store.recordPage(job, [], 2);
+    expect(db.query).toHaveBeenCalledTimes(3);
+    expect(db.query.mock.calls[2][1]).toEqual(['job-1', 0, true, 300]);
+  });
+});
+
+describe('ConversionJobStore attempts', () => {
+  test('a failed location stays pending until it has used maxAttempts', async () => {
+    const db = scriptedDb({ rowCount: 1 }, { rowCount: 1 });
+    const store = new ConversionJobStore({ db, maxAttempts: 5 });
+
+    await store.markFailed('job-1', 'loc-1', 'HTTP 500');
+    expect(sqlOf(db, 0)).toContain(`status = CASE WHEN attempts + 1 >= $4 THEN 'failed' ELSE 'pending' END`);
+    expect(db.query.mock.calls[0][1]).toEqual(['job-1', 'loc-1', 'HTTP 500', 5]);
+
+    await store.markConverted('job-1', 'loc-1', 'inst-9');
+    expect(sqlOf(db, 1)).toContain(`SET status = 'converted'`);
+    expect(db.query.mock.calls[1][1]).toEqual(['job-1', 'loc-1', 'inst-9']);
+  });
+
+  test('a skipped location records its reason and no installation', async () => {
+    const db = scriptedDb({ rowCount: 1 });
+
+    await new ConversionJobStore({ db }).markSkipped('job-1', 'loc-2', 'location_uninstalled');
+    expect(sqlOf(db, 0)).toContain(`SET status = 'skipped', skip_reason = $3`);
+    expect(sqlOf(db, 0)).not.toContain('installation_id');
+    expect(db.query.mock.calls[0][1]).toEqual(['job-1', 'loc-2', 'location_uninstalled']);
+  });
+
+  test('a job error requeues until maxAttempts, or fails at once when final', async () => {
+    const db = scriptedDb({ rows: [{ status: 'queued' }] }, { rows: [{ status: 'failed' }] }, { rows: [] });
+    const store = new ConversionJobStore({ db, maxAttempts: 3 });
+
+    await expect(store.fail('job-1', 'listing failed')).resolves.toBe('queued');
+    expect(db.query.mock.calls[0][1]).toEqual(['job-1', 'listing failed', false, 3]);
+    expect(sqlOf(db, 0)).toContain(`status = CASE WHEN $3 OR attempts + 1 >= $4 THEN 'failed' ELSE 'queued' END`);
+    expect(sqlOf(db, 0)).toContain('claimed_until = NULL');
+
+    await expect(store.fail('job-1', 'agency installation revoked', { final: true })).resolves.toBe('failed');
+    expect(db.query.mock.calls[1][1][2]).toBe(true);
+
+    await expect(store.fail('missing', 'gone')).resolves.toBeNull();
+  });
+});
+
+describe('ConversionJobStore reporting', () => {
+  test('complete releases the lease and returns the status with failed and skipped locations', async () => {
+    const failed = [{ location_id: 'loc-3', attempts: 3, last_error: 'HTTP 403' }];
+    const skipped = [{ location_id: 'loc-4', skip_reason: 'location_uninstalled' }];
+    const db = scriptedDb(
+      { rowCount: 1 },
+      { rows: [{ ...job, status: 'completed', total: 4, converted: 2, skipped: 1, failed: 1, pending: 0 }] },
+      { rows: failed },
+      { rows: skipped }
+    );
+
+    const status = await new ConversionJobStore({ db }).complete('job-1');
+    expect(sqlOf(db, 0)).toContain(`SET status = 'completed', claimed_until = NULL`);
+    expect(sqlOf(db, 1)).toContain(`FILTER (WHERE l.status = 'skipped'))::int AS skipped`);
+    expect(sqlOf(db, 3)).toContain(`WHERE job_id = $1 AND status = 'skipped'`);
+    expect(status).toMatchObject({
+      status: 'completed',
+      converted: 2,
+      skipped: 1,
+      failed: 1,
+      failed_locations: failed,
+      skipped_locations: skipped
+    });
+  });
+
+  test('status is null for an unknown job', async () => {
+    const db = scriptedDb({ rows: [] });
+    await expect(new ConversionJobStore({ db }).status('missing')).resolves.toBeNull();
+  });
+
+  test('list numbers its filters in order, and appId null means the default app', async () => {
+    const db = scriptedDb({ rows: [] }, { rows: [] });
+    const store = new ConversionJobStore({ db });
+
+    await store.list({ appId: null, agencyId: 'company-1', status: 'failed', limit: 10 });
+    expect(sqlOf(db, 0)).toContain('WHERE j.app_id IS NOT DISTINCT FROM $1 AND j.agency_id = $2 AND j.status = $3');
+    expect(sqlOf(db, 0)).toContain('LIMIT $4');
+    expect(db.query.mock.calls[0][1]).toEqual([null, 'company-1', 'failed', 10]);
+
+    await store.list();
+    expect(sqlOf(db, 1)).toContain('ON l.job_id = j.id GROUP BY j.id');
+    expect(db.query.mock.calls[1][1]).toEqual([50]);
+  });
+
+  test('finds the agency whose latest job listed a location', async () => {
+    const db = scriptedDb({ rows: [{ agency_installation_id: 'agency-inst-1' }] }, { rows: [] });
+    const store = new ConversionJobStore({ db });
+
+    await expect(store.agencyInstallationFor('loc-1')).resolves.toBe('agency-inst-1');
+    expect(db.query.mock.calls[0][1]).toEqual(['loc-1', null]);
+    await expect(store.agencyInstallationFor('loc-2', 'app-1')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,74 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { createS2SAuthenticator } = require('../helpers/s2sAuth.js');
+const { disconnectRoute } = require('../helpers/disconnect.js');
+
+const SECRET = 's2s-secret';
+const sign = (claims, secret = SECRET) => jwt.sign({ iss: 'api-server', aud: 'oauth-server', exp: Math.floor(Date.now() / 1000) + 300, ...claims }, secret, { algorithm: 'HS256' });
+
+const apps = {
+  default: { id: 'app-default', slug: 'default', status: 'active' },
+  partner: { id: 'app-partner', slug: 'partner', status: 'active' }
+};
+
+function server({ revoked = ['agency-inst-1'], children = ['loc-inst-1', 'loc-inst-2'] } = {}) {
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  const revokeInstallation = jest.fn(async () => ({ revoked, children }));
+  const responseCache = { invalidate: jest.fn(async () => 0) };
+
+  const app = express();
+  app.use(express.json());
+  app.post('/oauth/disconnect', disconnectRoute({
+    authenticate: createS2SAuthenticator({ secret: SECRET, resolveApp: async slug => apps[slug || 'default'] || null, logger }),
+    revokeInstallation,
+    responseCache,
+    logger
+  }));
+  return { app, revokeInstallation, responseCache, logger };
+}
+
+describe('POST /oauth/disconnect', () => {
+  test('requires an S2S token before anything is revoked', async () => {
+    const { app, revokeInstallation } = server();
+
+    await request(app).post('/oauth/disconnect').send({ agency_id: 'company-1' })
+      .expect(401, { error: 'Missing or invalid authorization header' });
+    await request(app).post('/oauth/disconnect').set('Authorization', `Bearer ${sign({}, 'wrong-secret')}`).send({ agency_id: 'company-1' })
+      .expect(401, { error: 'Invalid or expired token' });
+    await request(app).post('/oauth/disconnect').set('Authorization', `Bearer ${sign({ app: 'unknown' })}`).send({ agency_id: 'company-1' })
+      .expect(403);
+
+    expect(revokeInstallation).not.toHaveBeenCalled();
+  });
+
+  test('revokes for the app named by the token, not the body, and drops cached responses', async () => {
+    const { app, revokeInstallation, responseCache } = server();
+
+    await request(app)
+      .post('/oauth/disconnect')
+      .set('Authorization', `Bearer ${sign({ app: 'partner' })}`)
+      .send({ agency_id: 'company-1', app: 'default', app_id: 'app-default' })
+      .expect(200, { success: true, message: 'Installation revoked successfully', children_revoked: 2 });
+
+    expect(revokeInstallation).toHaveBeenCalledWith(undefined, 'company-1', 'app-partner');
+    expect(responseCache.invalidate.mock.calls.map(([id]) => id)).toEqual(['agency-inst-1', 'loc-inst-1', 'loc-inst-2']);
+  });
+
+  test('needs a location_id or agency_id', async () => {
+    const { app, revokeInstallation } = server();
+
+    await request(app).post('/oauth/disconnect').set('Authorization', `Bearer ${sign({})}`).send({})
+      .expect(400, { error: 'Missing location_id or agency_id' });
+    expect(revokeInstallation).not.toHaveBeenCalled();
+  });
+
+  test('a failed revoke is a 500', async () => {
+    const { app, revokeInstallation, logger } = server();
+    revokeInstallation.mockRejectedValueOnce(new Error('connection terminated'));
+
+    await request(app).post('/oauth/disconnect').set('Authorization', `Bearer ${sign({})}`).send({ location_id: 'loc-1' })
+      .expect(500, { error: 'Failed to revoke installation' });
+    expect(logger.error).toHaveBeenCalledWith('Failed to revoke installation:', { error: 'connection terminated', locationId: 'loc-1', agencyId: undefined });
+  });
+});
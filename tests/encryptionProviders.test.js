@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { TokenEncryption, parseKeyring } = require('../helpers/tokenEncryption.js');
+const {
+  LocalFileEncryptionProvider,
+  VaultTransitEncryptionProvider,
+  RoutingEncryptionProvider,
+  createEncryptionProvider
+} = require('../helpers/encryptionProviders.js');
+const { createVaultTransitStub } = require('../vault_transit_stub.js');
+
+const key = () => crypto.randomBytes(32).toString('base64');
+const tokens = { access_token: 'access-1', refresh_token: 'refresh-1' };
+
+function legacyKeyring() {
+  return new TokenEncryption({ keys: parseKeyring(`k1:${key()}`), primaryKeyId: 'k1' });
+}
+
+function writeKeyFile(dir, document) {
+  const file = path.join(dir, `keys-${crypto.randomBytes(4).toString('hex')}.json`);
+  fs.writeFileSync(file, JSON.stringify(document));
+  return file;
+}
+
+let server;
+let vaultAddr;
+let tmpDir;
+
+beforeAll(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hl-keys-'));
+  server = createVaultTransitStub({ token: 'test-token' }).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  vaultAddr = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function vaultProvider(legacy, keyName = `key-${crypto.randomBytes(4).toString('hex')}`) {
+  return new VaultTransitEncryptionProvider({ addr: vaultAddr, token: 'test-token', keyName, legacy });
+}
+
+describe('LocalFileEncryptionProvider', () => {
+  test('seals tokens under a wrapped data key and opens them again', async () => {
+    const provider = new LocalFileEncryptionProvider({ legacy: legacyKeyring() });
+    const sealed = await provider.sealTokens(tokens);
+
+    expect(sealed.key_provider).toBe('local');
+    expect(sealed.data_key).toMatch(/^gcm:k1:/);
+    expect(sealed.access_token).not.toContain('access-1');
+    await expect(provider.openTokens(sealed)).resolves.toEqual(tokens);
+  });
+
+  test('keeps an installation on its data key and allows a missing refresh token', async () => {
+    const provider = new LocalFileEncryptionProvider({ legacy: legacyKeyring(), cacheTtlMs: 0 });
+    const first = await provider.sealTokens(tokens);
+    const second = await provider.sealTokens({ access_token: 'access-2' }, { dataKey: first.data_key });
+
+    expect(second.data_key).toBe(first.data_key);
+    expect(second.refresh_token).toBeNull();
+    await expect(provider.openTokens(second)).resolves.toEqual({ access_token: 'access-2', refresh_token: null });
+  });
+
+  test('moves legacy rows onto a data key and rewraps after a master key rotation', async () => {
+    const legacy = legacyKeyring();
+    const legacyRow = { access_token: legacy.encrypt('access-0'), refresh_token: null, data_key: null };
+    const m1 = key();
+    const before = new LocalFileEncryptionProvider({
+      keyFile: writeKeyFile(tmpDir, { primaryKeyId: 'm1', keys: { m1 } }),
+      legacy
+    });
+
+    const migrated = await before.resealTokens(legacyRow);
+    expect(migrated.data_key).toMatch(/^gcm:m1:/);
+    await expect(before.resealTokens(migrated)).resolves.toBeNull();
+
+    const after = new LocalFileEncryptionProvider({
+      keyFile: writeKeyFile(tmpDir, { primaryKeyId: 'm2', keys: { m2: key(), m1 } }),
+      legacy
+    });
+    const rewrapped = await after.resealTokens(migrated);
+
+    expect(rewrapped.data_key).toMatch(/^gcm:m2:/);
+    expect(rewrapped.access_token).toBe(migrated.access_token);
+    await expect(after.openTokens(rewrapped)).resolves.toEqual({ access_token: 'access-0', refresh_token: null });
+  });
+});
+
+describe('VaultTransitEncryptionProvider (against the transit stub)', () => {
+  test('seals and opens tokens with a Vault data key', async () => {
+    const provider = vaultProvider(legacyKeyring());
+    const sealed = await provider.sealTokens(tokens);
+
+    expect(sealed.key_provider).toBe('vault');
+    expect(sealed.data_key).toMatch(/^vault:v1:/);
+
+    provider.dataKeyCache.clear();
+    await expect(provider.openTokens(sealed)).resolves.toEqual(tokens);
+  });
+
+  test('rewraps data keys once the transit key is rotated', async () => {
+    const keyName = 'rotating-key';
+    const provider = vaultProvider(legacyKeyring(), keyName);
+    const sealed = await provider.sealTokens(tokens);
+    await expect(provider.resealTokens(sealed)).resolves.toBeNull();
+
+    await axios.post(`${vaultAddr}/v1/transit/keys/${keyName}/rotate`, null, { headers: { 'X-Vault-Token': 'test-token' } });
+    provider.latestVersion = null;
+
+    const rewrapped = await provider.resealTokens(sealed);
+    expect(rewrapped.data_key).toMatch(/^vault:v2:/);
+    provider.dataKeyCache.clear();
+    await expect(provider.openTokens({ ...sealed, ...rewrapped })).resolves.toEqual(tokens);
+  });
+
+  test('reports Vault errors with the transit path', async () => {
+    const provider = new VaultTransitEncryptionProvider({ addr: vaultAddr, token: 'wrong', keyName: 'k', legacy: legacyKeyring() });
+    await expect(provider.sealTokens(tokens)).rejects.toThrow('Vault transit /datakey/plaintext/k failed: permission denied');
+  });
+
+  test('requires an address, token and key name', () => {
+    expect(() => new VaultTransitEncryptionProvider({ addr: vaultAddr, legacy: legacyKeyring() })).toThrow('VAULT_ADDR, VAULT_TOKEN and VAULT_TRANSIT_KEY');
+  });
+});
+
+describe('RoutingEncryptionProvider', () => {
+  function providers() {
+    const legacy = legacyKeyring();
+    return { legacy, local: new LocalFileEncryptionProvider({ legacy }), vault: vaultProvider(legacy) };
+  }
+
+  test('opens each row with the provider that sealed it', async () => {
+    const { local, vault } = providers();
+    const localRow = await local.sealTokens(tokens);
+    const router = new RoutingEncryptionProvider({ active: vault, providers: [local] });
+
+    await expect(router.openTokens(localRow)).resolves.toEqual(tokens);
+    expect((await router.sealTokens(tokens)).key_provider).toBe('vault');
+  });
+
+  test('seals with a new data key when the row was sealed by another provider', async () => {
+    const { local, vault } = providers();
+    const localRow = await local.sealTokens(tokens);
+    const router = new RoutingEncryptionProvider({ active: vault, providers: [local] });
+
+    const sealed = await router.sealTokens(tokens, { dataKey: localRow.data_key, keyProvider: 'local' });
+    expect(sealed.data_key).toMatch(/^vault:v1:/);
+    await expect(router.openTokens(sealed)).resolves.toEqual(tokens);
+  });
+
+  test('resealTokens migrates rows of other providers to the active one', async () => {
+    const { local, vault } = providers();
+    const localRow = await local.sealTokens(tokens);
+    const router = new RoutingEncryptionProvider({ active: vault, providers: [local] });
+
+    const migrated = await router.resealTokens(localRow);
+    expect(migrated.key_provider).toBe('vault');
+    await expect(vault.openTokens(migrated)).resolves.toEqual(tokens);
+    await expect(router.resealTokens(migrated)).resolves.toBeNull();
+  });
+
+  test('fails clearly for a provider that is not configured', async () => {
+    const { local, vault } = providers();
+    const vaultRow = await vault.sealTokens(tokens);
+    const router = new RoutingEncryptionProvider({ active: local });
+
+    await expect(router.openTokens(vaultRow)).rejects.toThrow('provider "vault", which is not configured');
+  });
+});
+
+describe('createEncryptionProvider', () => {
+  test('keeps local rows readable after switching to vault', async () => {
+    const legacy = legacyKeyring();
+    const before = createEncryptionProvider({ legacy, env: {} });
+    const row = await before.sealTokens(tokens);
+
+    const after = createEncryptionProvider({
+      legacy,
+      env: { ENCRYPTION_PROVIDER: 'vault', VAULT_ADDR: vaultAddr, VAULT_TOKEN: 'test-token', VAULT_TRANSIT_KEY: 'switch' }
+    });
+    expect(after.name).toBe('vault');
+    expect(after.describe().readableProviders).toEqual(['local', 'vault']);
+    await expect(after.openTokens(row)).resolves.toEqual(tokens);
+  });
+
+  test('only adds vault as a reader when it is configured', () => {
+    const router = createEncryptionProvider({ legacy: legacyKeyring(), env: { ENCRYPTION_PROVIDER: 'local' } });
+    expect(router.describe().readableProviders).toEqual(['local']);
+    expect(() => createEncryptionProvider({ legacy: legacyKeyring(), env: { ENCRYPTION_PROVIDER: 'kms' } })).toThrow('Unknown ENCRYPTION_PROVIDER: kms');
+  });
+});
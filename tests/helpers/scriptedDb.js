@@ -0,0 +1,12 @@
+/**
+ * Fake pg Pool whose query() answers with the given results in order
+ * @param {...Object} results - { rows, rowCount } per expected query
+ * @returns {{ query: jest.Mock }}
+ */
+function scriptedDb(...results) {
+  const query = jest.fn();
+  for (const result of results) query.mockResolvedValueOnce(result);
+  return { query };
+}
+
+module.exports = { scriptedDb };
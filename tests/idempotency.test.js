@@ -0,0 +1,69 @@
+const { IdempotencyStore, hashRequest } = require('../helpers/idempotency.js');
+const { scriptedDb } = require('./helpers/scriptedDb.js');
+
+describe('hashRequest', () => {
+  test('is stable under key order and method case', () => {
+    const a = hashRequest({ method: 'post', endpoint: '/contacts', data: { name: 'A', tags: ['x'], address: { city: 'B', zip: '1' } } });
+    const b = hashRequest({ method: 'POST', endpoint: '/contacts', data: { address: { zip: '1', city: 'B' }, tags: ['x'], name: 'A' } });
+    expect(a).toBe(b);
+  });
+
+  test('changes with the endpoint, the payload or array order', () => {
+    const base = hashRequest({ method: 'POST', endpoint: '/contacts', data: { tags: ['a', 'b'] } });
+    expect(hashRequest({ method: 'POST', endpoint: '/contacts/upsert', data: { tags: ['a', 'b'] } })).not.toBe(base);
+    expect(hashRequest({ method: 'POST', endpoint: '/contacts', data: { tags: ['b', 'a'] } })).not.toBe(base);
+    expect(hashRequest({ method: 'POST', endpoint: '/contacts' })).toBe(hashRequest({ method: 'POST', endpoint: '/contacts', data: null }));
+  });
+});
+
+describe('IdempotencyStore.begin', () => {
+  test('claims a new key with the configured lock and TTL', async () => {
+    const db = scriptedDb({ rowCount: 1, rows: [{ idempotency_key: 'k' }] });
+    const store = new IdempotencyStore({ db, ttlMs: 1000, lockMs: 50 });
+
+    await expect(store.begin('inst-1', 'k', 'hash')).resolves.toEqual({ state: 'claimed' });
+    expect(db.query).toHaveBeenCalledTimes(1);
+    expect(db.query.mock.calls[0][1]).toEqual(['inst-1', 'k', 'hash', 50, 1000]);
+  });
+
+  test('replays a completed response for the same request', async () => {
+    const createdAt = new Date();
+    const db = scriptedDb(
+      { rowCount: 0, rows: [] },
+      { rows: [{ request_hash: 'hash', status: 'completed', response_status: 201, response_body: { id: 'c1' }, created_at: createdAt }] }
+    );
+
+    await expect(new IdempotencyStore({ db }).begin('inst-1', 'k', 'hash')).resolves.toEqual({
+      state: 'replay',
+      response: { status: 201, body: { id: 'c1' }, createdAt }
+    });
+  });
+
+  test('rejects a key reused with a different payload', async () => {
+    const db = scriptedDb({ rowCount: 0, rows: [] }, { rows: [{ request_hash: 'other', status: 'completed' }] });
+    await expect(new IdempotencyStore({ db }).begin('inst-1', 'k', 'hash')).resolves.toEqual({ state: 'mismatch' });
+  });
+
+  test('reports a duplicate that is still running, or a claim released meanwhile, as in progress', async () => {
+    const running = scriptedDb({ rowCount: 0, rows: [] }, { rows: [{ request_hash: 'hash', status: 'in_progress' }] });
+    await expect(new IdempotencyStore({ db: running }).begin('inst-1', 'k', 'hash')).resolves.toEqual({ state: 'in_progress' });
+
+    const released = scriptedDb({ rowCount: 0, rows: [] }, { rows: [] });
+    await expect(new IdempotencyStore({ db: released }).begin('inst-1', 'k', 'hash')).resolves.toEqual({ state: 'in_progress' });
+  });
+});
+
+describe('IdempotencyStore completion', () => {
+  test('stores the final response as JSON and only releases in-progress claims', async () => {
+    const db = scriptedDb({ rowCount: 1 }, { rowCount: 0 }, { rowCount: 3 });
+    const store = new IdempotencyStore({ db });
+
+    await store.complete('inst-1', 'k', { status: 200, body: { ok: true } });
+    expect(db.query.mock.calls[0][1]).toEqual(['inst-1', 'k', 200, '{"ok":true}']);
+
+    await store.release('inst-1', 'k');
+    expect(db.query.mock.calls[1][0]).toContain(`status = 'in_progress'`);
+
+    await expect(store.purgeExpired()).resolves.toBe(3);
+  });
+});
@@ -0,0 +1,200 @@
+const {
+  InstallationFilterError,
+  isUuid,
+  parseInstallationFilters,
+  buildInstallationQuery,
+  pageOf,
+  installationHealth,
+  groupInstallationTree
+} = require('../helpers/installationQuery.js');
+
+const ID_1 = '6f1c1f84-1b0e-4a53-9c55-0d1f1a6b2a11';
+const ID_2 = '0b7e6a4c-8d2f-4e1a-b3c5-9a8f7e6d5c4b';
+const NOW = Date.parse('2026-01-15T12:00:00.000Z');
+
+const squash = text => text.replace(/\s+/g, ' ').trim();
+
+describe('isUuid', () => {
+  test('accepts UUIDs only', () => {
+    expect(isUuid(ID_1)).toBe(true);
+    expect(isUuid(ID_1.toUpperCase())).toBe(true);
+    expect(isUuid('123')).toBe(false);
+    expect(isUuid(`${ID_1}x`)).toBe(false);
+    expect(isUuid(undefined)).toBe(false);
+  });
+});
+
+describe('parseInstallationFilters', () => {
+  test('normalizes lists, timestamps and the page size', () => {
+    expect(parseInstallationFilters({
+      status: 'active, error',
+      type: 'agency',
+      agency_id: 'company-1',
+      location_id: 'loc',
+      scope: 'contacts.readonly,contacts.write',
+      expires_before: '2026-02-01',
+      created_after: '2026-01-01T00:00:00+02:00',
+      expires_within: '30',
+      limit: '25'
+    })).toEqual({
+      status: ['active', 'error'],
+      type: 'agency',
+      agencyId: 'company-1',
+      locationSearch: 'loc',
+      scopes: ['contacts.readonly', 'contacts.write'],
+      expiresBefore: '2026-02-01T00:00:00.000Z',
+      createdAfter: '2025-12-31T22:00:00.000Z',
+      expiresWithinMinutes: 30,
+      limit: 25
+    });
+    expect(parseInstallationFilters()).toEqual({ limit: 100 });
+  });
+
+  test.each([
+    [{ status: 'active,paused' }, 'Unknown status: paused'],
+    [{ type: 'company' }, 'type must be location or agency'],
+    [{ created_before: 'yesterday' }, 'created_before must be an ISO 8601 timestamp'],
+    [{ expires_within: '-5' }, 'expires_within must be a whole number of minutes'],
+    [{ expires_within: '1.5' }, 'expires_within must be a whole number of minutes'],
+    [{ limit: '0' }, 'limit must be between 1 and 500'],
+    [{ limit: '501' }, 'limit must be between 1 and 500'],
+    [{ cursor: 'not-a-cursor' }, 'Invalid cursor']
+  ])('rejects %j', (query, message) => {
+    expect(() => parseInstallationFilters(query)).toThrow(new InstallationFilterError(message));
+  });
+
+  test('rejects cursors with a non-UUID id or a bad timestamp', () => {
+    const cursor = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+    expect(() => parseInstallationFilters({ cursor: cursor({ c: '2026-01-01 00:00:00+00', i: '1; DROP TABLE' }) })).toThrow('Invalid cursor');
+    expect(() => parseInstallationFilters({ cursor: cursor({ c: 'soon', i: ID_1 }) })).toThrow('Invalid cursor');
+  });
+});
+
+describe('buildInstallationQuery', () => {
+  test('numbers parameters in filter order and fetches one extra row', () => {
+    const { text, params } = buildInstallationQuery(parseInstallationFilters({
+      status: 'active',
+      type: 'location',
+      agency_id: 'company-1',
+      scope: 'contacts.readonly',
+      expires_within: '60',
+      limit: '10'
+    }), 'id, location_id');
+
+    expect(squash(text)).toBe(squash(`
+      SELECT id, location_id, created_at::text AS cursor_created_at
+        FROM hl_installations
+       WHERE status = ANY($1::text[])
+         AND installation_type = $2
+         AND (agency_id = $3 OR company_id = $3)
+         AND scopes @> $4::text[]
+         AND expires_at <= NOW() + ($5 || ' minutes')::interval
+       ORDER BY created_at DESC, id DESC
+       LIMIT $6`));
+    expect(params).toEqual([['active'], 'location', 'company-1', ['contacts.readonly'], 60, 11]);
+  });
+
+  test('escapes LIKE wildcards in the location search', () => {
+    const { text, params } = buildInstallationQuery({ locationSearch: 'a_b%c\\', limit: 5 }, 'id');
+
+    expect(text).toContain('location_id ILIKE $1');
+    expect(params).toEqual(['%a\\_b\\%c\\\\%', 6]);
+  });
+
+  test('has no WHERE clause without filters', () => {
+    const { text, params } = buildInstallationQuery({ limit: 100 }, 'id');
+
+    expect(text).not.toContain('WHERE');
+    expect(params).toEqual([101]);
+  });
+});
+
+describe('pageOf', () => {
+  const rows = [
+    { id: ID_1, location_id: 'loc-1', cursor_created_at: '2026-01-02 10:00:00.123456+00' },
+    { id: ID_2, location_id: 'loc-2', cursor_created_at: '2026-01-01 09:00:00.654321+00' },
+    { id: ID_1, location_id: 'loc-3', cursor_created_at: '2026-01-01 08:00:00+00' }
+  ];
+
+  test('drops the extra row and the cursor column, and the cursor continues after the last row', () => {
+    const { rows: page, nextCursor } = pageOf(rows, 2);
+
+    expect(page).toEqual([{ id: ID_1, location_id: 'loc-1' }, { id: ID_2, location_id: 'loc-2' }]);
+
+    const filters = parseInstallationFilters({ cursor: nextCursor, limit: '2' });
+    expect(filters.cursor).toEqual({ createdAt: '2026-01-01 09:00:00.654321+00', id: ID_2 });
+
+    const { text, params } = buildInstallationQuery(filters, 'id');
+    expect(text).toContain('(created_at, id) < ($1::timestamptz, $2::uuid)');
+    expect(params).toEqual(['2026-01-01 09:00:00.654321+00', ID_2, 3]);
+  });
+
+  test('has no cursor on the last page', () => {
+    expect(pageOf(rows, 3).nextCursor).toBeNull();
+  });
+});
+
+describe('installationHealth', () => {
+  const options = { refreshThresholdMs: 5 * 60 * 1000, maxFailures: 5, now: NOW };
+  const row = {
+    status: 'active',
+    expires_at: new Date(NOW + 60 * 60 * 1000).toISOString(),
+    refresh_failure_count: 0,
+    has_refresh_token: true,
+    parent_installation_id: null
+  };
+
+  test('is healthy with a valid token, and still healthy when only a refresh is due', () => {
+    expect(installationHealth(row, options)).toMatchObject({ state: 'healthy', reasons: [], expires_in_seconds: 3600, max_refresh_failures: 5 });
+
+    const due = { ...row, expires_at: new Date(NOW + 60 * 1000).toISOString() };
+    expect(installationHealth(due, options)).toMatchObject({ state: 'healthy', reasons: ['refresh_due'] });
+  });
+
+  test('is degraded when expired, failing to refresh or without a refresh token', () => {
+    const expired = { ...row, expires_at: new Date(NOW - 1000).toISOString(), refresh_failure_count: 2 };
+    expect(installationHealth(expired, options)).toMatchObject({
+      state: 'degraded',
+      reasons: ['token_expired', 'refresh_failures'],
+      expires_in_seconds: -1
+    });
+
+    expect(installationHealth({ ...row, has_refresh_token: false }, options).reasons).toEqual(['no_refresh_token']);
+    // Agency-minted location tokens are re-minted instead
+    expect(installationHealth({ ...row, has_refresh_token: false, parent_installation_id: ID_2 }, options).state).toBe('healthy');
+  });
+
+  test('is unavailable unless active', () => {
+    expect(installationHealth({ ...row, status: 'revoked' }, options)).toMatchObject({ state: 'unavailable', reasons: ['status_revoked'] });
+  });
+});
+
+describe('groupInstallationTree', () => {
+  const agency = { id: 'agency-inst-1', agency_id: 'company-1', app_id: 'app-1' };
+  const otherApp = { id: 'agency-inst-2', agency_id: 'company-1', app_id: 'app-2' };
+
+  test('nests minted locations under their parent and direct installs under the same app for the company', () => {
+    const minted = { id: 'loc-inst-1', location_id: 'loc-1', company_id: 'company-1', app_id: 'app-1', parent_installation_id: 'agency-inst-1' };
+    const direct = { id: 'loc-inst-2', location_id: 'loc-2', company_id: 'company-1', app_id: 'app-1', parent_installation_id: null };
+
+    expect(groupInstallationTree([agency], [minted, direct])).toEqual([{
+      ...agency,
+      locations: [{ ...minted, linked: true }, { ...direct, linked: false }]
+    }]);
+  });
+
+  test('a minted location belongs to its parent only, a direct install to every matching agency of its app', () => {
+    const minted = { id: 'loc-inst-1', company_id: 'company-1', app_id: 'app-1', parent_installation_id: 'agency-inst-1' };
+    const directOtherApp = { id: 'loc-inst-3', company_id: 'company-1', app_id: 'app-2', parent_installation_id: null };
+    const otherCompany = { id: 'loc-inst-4', company_id: 'company-2', app_id: 'app-1', parent_installation_id: null };
+
+    const tree = groupInstallationTree([agency, otherApp], [minted, directOtherApp, otherCompany]);
+    expect(tree.map(node => node.locations.map(location => location.id))).toEqual([['loc-inst-1'], ['loc-inst-3']]);
+  });
+
+  test('agencies without locations get an empty list', () => {
+    expect(groupInstallationTree([agency], [])).toEqual([{ ...agency, locations: [] }]);
+    expect(groupInstallationTree([], [{ id: 'loc-inst-1', company_id: 'company-1' }])).toEqual([]);
+  });
+});
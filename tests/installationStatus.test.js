@@ -0,0 +1,96 @@
+const {
+  TokenRefreshError,
+  InstallationUnavailableError,
+  refreshFailureMessage,
+  InstallationStatusStore
+} = require('../helpers/installationStatus.js');
+const { scriptedDb } = require('./helpers/scriptedDb.js');
+
+const sqlOf = (db, call) => db.query.mock.calls[call][0].replace(/\s+/g, ' ');
+
+describe('TokenRefreshError', () => {
+  test('invalid_grant is final, network errors, 429 and 5xx are transient', () => {
+    const invalidGrant = new TokenRefreshError('Refresh failed', { status: 400, data: { error: 'invalid_grant' } });
+    expect(invalidGrant).toMatchObject({ name: 'TokenRefreshError', oauthError: 'invalid_grant', isInvalidGrant: true, isTransient: false });
+
+    expect(new TokenRefreshError('Network error').isTransient).toBe(true);
+    expect(new TokenRefreshError('Rate limited', { status: 429 }).isTransient).toBe(true);
+    expect(new TokenRefreshError('Bad gateway', { status: 502, data: '<html>' })).toMatchObject({ oauthError: null, isTransient: true });
+    expect(new TokenRefreshError('Bad request', { status: 400, data: { error: 'invalid_request' } }).isTransient).toBe(false);
+  });
+});
+
+describe('InstallationUnavailableError', () => {
+  const installation = { id: 'inst-1', last_error: 'HTTP 400 - invalid_grant', last_error_at: '2026-01-01T00:00:00Z' };
+
+  test('maps each unusable status to its HTTP status and code', () => {
+    expect(new InstallationUnavailableError({ ...installation, status: 'expired' })).toMatchObject({ httpStatus: 401, code: 'INSTALLATION_EXPIRED' });
+    expect(new InstallationUnavailableError({ ...installation, status: 'revoked' })).toMatchObject({ httpStatus: 403, code: 'INSTALLATION_REVOKED' });
+    expect(new InstallationUnavailableError({ ...installation, status: 'error' })).toMatchObject({ httpStatus: 503, code: 'INSTALLATION_ERROR' });
+    expect(new InstallationUnavailableError({ ...installation, status: 'something_new' }).code).toBe('INSTALLATION_ERROR');
+  });
+
+  test('serializes to the typed proxy error body', () => {
+    expect(JSON.parse(JSON.stringify(new InstallationUnavailableError({ ...installation, status: 'expired' })))).toEqual({
+      error: 'Installation unavailable',
+      code: 'INSTALLATION_EXPIRED',
+      status: 'expired',
+      reason: 'HighLevel rejected the installation\'s tokens; the app must be reinstalled for this tenant',
+      installation_id: 'inst-1',
+      last_error: 'HTTP 400 - invalid_grant',
+      last_error_at: '2026-01-01T00:00:00Z'
+    });
+    expect(new InstallationUnavailableError({ id: 'inst-2', status: 'revoked' }).toJSON()).toMatchObject({ last_error: null, last_error_at: null });
+  });
+});
+
+describe('refreshFailureMessage', () => {
+  test('joins the HTTP status, OAuth error and description', () => {
+    const error = new TokenRefreshError('Refresh failed', { status: 400, data: { error: 'invalid_grant', error_description: 'Refresh token revoked' } });
+    expect(refreshFailureMessage(error)).toBe('HTTP 400 - invalid_grant - Refresh token revoked');
+    expect(refreshFailureMessage(new Error('connect ECONNREFUSED'))).toBe('connect ECONNREFUSED');
+    expect(refreshFailureMessage(new Error('x'.repeat(2000)))).toHaveLength(1000);
+  });
+});
+
+describe('InstallationStatusStore.recordRefreshFailure', () => {
+  test('an invalid_grant expires an active installation', async () => {
+    const db = scriptedDb({ rows: [{ previous_status: 'active', status: 'expired', refresh_failure_count: 1 }] });
+    const store = new InstallationStatusStore({ db, maxFailures: 5 });
+
+    const outcome = await store.recordRefreshFailure('inst-1', new TokenRefreshError('Refresh failed', { status: 400, data: { error: 'invalid_grant' } }));
+    expect(outcome).toEqual({ previous_status: 'active', status: 'expired', refresh_failure_count: 1 });
+    expect(db.query.mock.calls[0][1]).toEqual(['inst-1', 'HTTP 400 - invalid_grant - Refresh failed', true, 5]);
+  });
+
+  test('other failures count towards maxFailures, and only active installations change status', async () => {
+    const db = scriptedDb({ rows: [{ previous_status: 'active', status: 'error', refresh_failure_count: 3 }] }, { rows: [] });
+    const store = new InstallationStatusStore({ db, maxFailures: 3 });
+
+    await store.recordRefreshFailure('inst-1', new TokenRefreshError('Bad gateway', { status: 502 }));
+    expect(db.query.mock.calls[0][1]).toEqual(['inst-1', 'HTTP 502 - Bad gateway', false, 3]);
+    expect(sqlOf(db, 0)).toContain(
+      "status = CASE WHEN hi.status <> 'active' THEN hi.status WHEN $3 THEN 'expired' WHEN hi.refresh_failure_count + 1 >= $4 THEN 'error' ELSE hi.status END"
+    );
+    expect(sqlOf(db, 0)).toContain('RETURNING prev.status AS previous_status, hi.status, hi.refresh_failure_count');
+
+    // A plain Error (e.g. the store failed) is never treated as invalid_grant; a missing row is null
+    await expect(store.recordRefreshFailure('gone', Object.assign(new Error('boom'), { data: { error: 'invalid_grant' } }))).resolves.toBeNull();
+    expect(db.query.mock.calls[1][1][2]).toBe(false);
+  });
+});
+
+describe('InstallationStatusStore.markReauthorizationRequired', () => {
+  test('expires only an active installation and returns the row with its previous status', async () => {
+    const db = scriptedDb({ rows: [{ id: 'inst-1', previous_status: 'active', status: 'expired' }] }, { rows: [] });
+    const store = new InstallationStatusStore({ db, maxFailures: 5 });
+
+    await expect(store.markReauthorizationRequired('inst-1', 'reauthorization_required - Invalid JWT'))
+      .resolves.toMatchObject({ previous_status: 'active', status: 'expired' });
+    expect(sqlOf(db, 0)).toContain("SET status = CASE WHEN hi.status = 'active' THEN 'expired' ELSE hi.status END");
+    expect(db.query.mock.calls[0][1]).toEqual(['inst-1', 'reauthorization_required - Invalid JWT']);
+
+    await expect(store.markReauthorizationRequired('gone', 'x'.repeat(1500))).resolves.toBeNull();
+    expect(db.query.mock.calls[1][1][1]).toHaveLength(1000);
+  });
+});
@@ -0,0 +1,110 @@
+const { KeyRotationJob } = require('../helpers/keyRotation.js');
+const { scriptedDb } = require('./helpers/scriptedDb.js');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const sqlOf = (db, call) => db.query.mock.calls[call][0].replace(/\s+/g, ' ');
+
+// Rewraps every data key still under the old master key
+const provider = {
+  name: 'local',
+  resealTokens: jest.fn(async row => (row.data_key.startsWith('old:')
+    ? { access_token: row.access_token, refresh_token: row.refresh_token, data_key: `new:${row.data_key.slice(4)}`, key_provider: 'local' }
+    : null))
+};
+
+async function rotate(job) {
+  job.start({ triggeredBy: 'test' });
+  await job.running;
+  return job.status();
+}
+
+const installation = (id, dataKey) => ({ id, access_token: `at-${id}`, refresh_token: `rt-${id}`, data_key: dataKey, key_provider: 'local' });
+
+beforeEach(() => {
+  provider.resealTokens.mockClear();
+});
+
+describe('KeyRotationJob', () => {
+  test('pages through installations by id, batchSize rows at a time', async () => {
+    const db = scriptedDb(
+      { rows: [installation('i1', 'new:k1'), installation('i2', 'new:k2')] },
+      { rows: [installation('i3', 'new:k3')] },
+      { rows: [] },
+      { rows: [] }
+    );
+
+    const status = await rotate(new KeyRotationJob({ db, provider, logger, batchSize: 2 }));
+
+    expect(sqlOf(db, 0)).toContain('FROM hl_installations WHERE ($1::uuid IS NULL OR id > $1::uuid) ORDER BY id LIMIT $2');
+    expect(db.query.mock.calls.map(call => call[1])).toEqual([[null, 2], ['i2', 2], ['i3', 2], [null, 2]]);
+    expect(status).toMatchObject({ status: 'completed', provider: 'local', triggeredBy: 'test', scanned: 3, skipped: 3, reencrypted: 0 });
+  });
+
+  test('rewraps installations still on the old key and skips rows already on the target key', async () => {
+    const db = scriptedDb(
+      { rows: [installation('i1', 'old:k1'), installation('i2', 'new:k2')] },
+      { rowCount: 1 },
+      { rows: [] },
+      { rows: [] }
+    );
+
+    const status = await rotate(new KeyRotationJob({ db, provider, logger }));
+
+    expect(db.query).toHaveBeenCalledTimes(4);
+    expect(sqlOf(db, 1)).toContain('UPDATE hl_installations SET access_token = $2, refresh_token = $7, data_key = $3, key_provider = $4');
+    expect(db.query.mock.calls[1][1]).toEqual(['i1', 'at-i1', 'new:k1', 'local', 'at-i1', 'old:k1', 'rt-i1']);
+    expect(status).toMatchObject({ scanned: 2, reencrypted: 1, skipped: 1, failed: 0 });
+  });
+
+  test('a row changed meanwhile is skipped by the compare-and-swap', async () => {
+    const db = scriptedDb({ rows: [installation('i1', 'old:k1')] }, { rowCount: 0 }, { rows: [] }, { rows: [] });
+
+    await expect(rotate(new KeyRotationJob({ db, provider, logger }))).resolves.toMatchObject({ reencrypted: 0, skipped: 1 });
+  });
+
+  test('one row failing is counted and logged without stopping the run', async () => {
+    const db = scriptedDb(
+      { rows: [installation('i1', 'old:k1'), installation('i2', 'old:k2')] },
+      { rowCount: 1 },
+      { rows: [] },
+      { rows: [] }
+    );
+    provider.resealTokens.mockRejectedValueOnce(new Error('Vault unavailable'));
+
+    const status = await rotate(new KeyRotationJob({ db, provider, logger }));
+
+    expect(status).toMatchObject({ status: 'completed', scanned: 2, reencrypted: 1, failed: 1 });
+    expect(db.query.mock.calls[1][1][0]).toBe('i2');
+    expect(logger.error).toHaveBeenCalledWith('Key rotation failed for installation', { table: 'hl_installations', id: 'i1', error: 'Vault unavailable' });
+  });
+
+  test('a query error fails the run, and start() while running returns the running status', async () => {
+    const db = { query: jest.fn().mockRejectedValueOnce(new Error('connection lost')) };
+    const job = new KeyRotationJob({ db, provider, logger });
+
+    const started = job.start();
+    expect(job.start()).toEqual(started);
+    await job.running;
+
+    expect(job.status()).toMatchObject({ status: 'failed', error: 'connection lost' });
+    expect(job.status().finishedAt).not.toBeNull();
+  });
+
+  test('reseals app client secrets after the installations', async () => {
+    const db = scriptedDb(
+      { rows: [] },
+      { rows: [{ id: 'app-1', access_token: 'secret-ct', refresh_token: null, data_key: 'old:k1', key_provider: 'local' }] },
+      { rowCount: 1 },
+      { rows: [] }
+    );
+
+    const status = await rotate(new KeyRotationJob({ db, provider, logger }));
+
+    expect(sqlOf(db, 1)).toContain('SELECT id, client_secret AS access_token, NULL AS refresh_token, data_key, key_provider FROM hl_apps');
+    expect(sqlOf(db, 2)).toContain('UPDATE hl_apps SET client_secret = $2, data_key = $3, key_provider = $4');
+    expect(sqlOf(db, 2)).toContain('AND client_secret = $5 AND data_key IS NOT DISTINCT FROM $6');
+    expect(db.query.mock.calls[2][1]).toEqual(['app-1', 'secret-ct', 'new:k1', 'local', 'secret-ct', 'old:k1']);
+    expect(status).toMatchObject({ status: 'completed', scanned: 1, reencrypted: 1, skipped: 0, failed: 0 });
+  });
+});
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  StartContextError,
+  createPkcePair,
+  isAllowedReturnTo,
+  signStartContext,
+  verifyStartContext,
+  ReturnUrlSigner
+} = require('../helpers/oauthReturn.js');
+
+const SECRET = 's2s-secret';
+const NOW = 1700000000000;
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('createPkcePair', () => {
+  test('challenge is the S256 hash of the verifier', () => {
+    const { codeVerifier, codeChallenge, codeChallengeMethod } = createPkcePair();
+
+    expect(codeVerifier).toMatch(/^[A-Za-z0-9_-]{43,128}$/);
+    expect(codeChallenge).toBe(crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+    expect(codeChallengeMethod).toBe('S256');
+  });
+});
+
+describe('isAllowedReturnTo', () => {
+  test('accepts absolute http(s) URLs on the allow-list only', () => {
+    const allowed = ['https://app.example.com'];
+
+    expect(isAllowedReturnTo('https://app.example.com/onboarding?step=2', allowed)).toBe(true);
+    expect(isAllowedReturnTo('https://evil.example.com/onboarding', allowed)).toBe(false);
+    expect(isAllowedReturnTo('https://app.example.com.evil.com/', allowed)).toBe(false);
+    expect(isAllowedReturnTo('http://app.example.com/', allowed)).toBe(false);
+  });
+
+  test('allows any http(s) origin without a list, but never other schemes or relative URLs', () => {
+    expect(isAllowedReturnTo('http://localhost:3000/done')).toBe(true);
+    expect(isAllowedReturnTo('javascript:alert(1)')).toBe(false);
+    expect(isAllowedReturnTo('/onboarding')).toBe(false);
+    expect(isAllowedReturnTo(undefined)).toBe(false);
+  });
+});
+
+describe('start context', () => {
+  const options = { secret: SECRET, allowedOrigins: ['https://app.example.com'] };
+
+  test('round-trips return_to and context', () => {
+    const token = signStartContext({ secret: SECRET, returnTo: 'https://app.example.com/done', context: { step: 3 } });
+
+    expect(verifyStartContext(token, options)).toEqual({ returnTo: 'https://app.example.com/done', context: { step: 3 } });
+    expect(verifyStartContext(signStartContext({ secret: SECRET }), options)).toEqual({ returnTo: null, context: null });
+  });
+
+  test('is not signed with the S2S secret itself', () => {
+    const token = signStartContext({ secret: SECRET });
+
+    expect(() => jwt.verify(token, SECRET, { algorithms: ['HS256'] })).toThrow();
+    const asS2S = jwt.sign({ purpose: 'oauth_start' }, SECRET, { algorithm: 'HS256' });
+    expect(() => verifyStartContext(asS2S, options)).toThrow(StartContextError);
+  });
+
+  test('rejects expired tokens and tokens minted for another purpose', () => {
+    const expired = signStartContext({ secret: SECRET, expiresIn: -1 });
+    expect(() => verifyStartContext(expired, options)).toThrow('Start context rejected: jwt expired');
+
+    const key = crypto.createHmac('sha256', SECRET).update('oauth_start').digest();
+    const other = jwt.sign({ purpose: 'something_else' }, key, { algorithm: 'HS256' });
+    expect(() => verifyStartContext(other, options)).toThrow('Start context has the wrong purpose');
+  });
+
+  test('rejects a return_to off the allow-list and an oversized context', () => {
+    const offList = signStartContext({ secret: SECRET, returnTo: 'https://evil.example.com/' });
+    expect(() => verifyStartContext(offList, options)).toThrow('return_to is not an allowed URL');
+    expect(() => verifyStartContext(offList, options)).toThrow(expect.objectContaining({ code: 'INVALID_START_CONTEXT' }));
+
+    const big = signStartContext({ secret: SECRET, context: 'x'.repeat(100) });
+    expect(() => verifyStartContext(big, { ...options, maxContextBytes: 50 })).toThrow('context exceeds 50 bytes');
+  });
+});
+
+describe('ReturnUrlSigner', () => {
+  const signer = new ReturnUrlSigner({ secret: SECRET });
+
+  function queryOf(url) {
+    return Object.fromEntries(new URL(url).searchParams);
+  }
+
+  test('appends a signed outcome and keeps return_to query parameters', () => {
+    jest.useFakeTimers({ now: NOW });
+    const url = signer.buildUrl('https://app.example.com/done?tab=1', {
+      status: 'success',
+      installation_id: 'inst-1',
+      location_id: 'loc-1',
+      agency_id: null
+    }, { step: 3 });
+    const query = queryOf(url);
+
+    expect(query).toMatchObject({ tab: '1', status: 'success', installation_id: 'inst-1', context: '{"step":3}', ts: String(NOW) });
+    expect(query).not.toHaveProperty('agency_id');
+    expect(signer.verify(query)).toEqual({
+      status: 'success',
+      installation_id: 'inst-1',
+      location_id: 'loc-1',
+      context: { step: 3 },
+      ts: String(NOW)
+    });
+  });
+
+  test('rejects tampered, foreign-key, unsigned and stale parameters', () => {
+    jest.useFakeTimers({ now: NOW });
+    const query = queryOf(signer.buildUrl('https://app.example.com/done', { status: 'error', error: 'access_denied' }));
+
+    expect(signer.verify({ ...query, status: 'success' })).toBeNull();
+    expect(new ReturnUrlSigner({ secret: 'other' }).verify(query)).toBeNull();
+    expect(signer.verify({ ...query, sig: undefined })).toBeNull();
+    expect(signer.verify(null)).toBeNull();
+
+    jest.setSystemTime(NOW + 60001);
+    expect(signer.verify(query, 60000)).toBeNull();
+  });
+});
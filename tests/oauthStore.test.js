@@ -0,0 +1,114 @@
+const { PostgresOAuthStateStore, MemoryOAuthStateStore, createOAuthStateStore } = require('../helpers/oauthStore.js');
+const { scriptedDb } = require('./helpers/scriptedDb.js');
+
+const stateData = { clientId: 'client-1', redirectUri: 'https://oauth.example.com/oauth/callback', codeVerifier: 'verifier', returnTo: null, context: { ref: 'r1' } };
+
+const sqlOf = (db, call) => db.query.mock.calls[call][0].replace(/\s+/g, ' ');
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('createOAuthStateStore', () => {
+  test('builds the configured backend and rejects unknown ones', () => {
+    expect(createOAuthStateStore({ db: scriptedDb() }).backend).toBe('postgres');
+    expect(createOAuthStateStore({ backend: 'memory' }).backend).toBe('memory');
+    expect(() => createOAuthStateStore({ backend: 'redis' })).toThrow('Unknown OAUTH_STATE_STORE "redis"');
+  });
+});
+
+describe('PostgresOAuthStateStore', () => {
+  const ttls = { stateTtlMs: 1000, codeTtlMs: 500 };
+
+  test('claims a code once; a second claim of a live marker is rejected', async () => {
+    const db = scriptedDb({ rowCount: 1, rows: [{ code: 'c1' }] }, { rowCount: 0, rows: [] });
+    const store = new PostgresOAuthStateStore({ db, ...ttls });
+
+    await expect(store.claimCode('c1')).resolves.toBe(true);
+    await expect(store.claimCode('c1')).resolves.toBe(false);
+    expect(db.query.mock.calls[0][1]).toEqual(['c1', 500]);
+  });
+
+  test('takes over an expired marker in the same statement', async () => {
+    const db = scriptedDb({ rowCount: 1, rows: [{ code: 'c1' }] });
+
+    await expect(new PostgresOAuthStateStore({ db, ...ttls }).claimCode('c1')).resolves.toBe(true);
+    expect(sqlOf(db, 0)).toContain('ON CONFLICT (code) DO UPDATE SET created_at = NOW(), expires_at = EXCLUDED.expires_at WHERE oauth_used_codes.expires_at <= NOW()');
+  });
+
+  test('stores a state with its TTL and consumes only unexpired states', async () => {
+    const createdAt = new Date();
+    const db = scriptedDb(
+      { rowCount: 1 },
+      { rows: [{ client_id: 'client-1', redirect_uri: stateData.redirectUri, code_verifier: 'verifier', return_to: null, context: { ref: 'r1' }, created_at: createdAt }] },
+      { rows: [] }
+    );
+    const store = new PostgresOAuthStateStore({ db, ...ttls });
+
+    await store.saveState('s1', stateData);
+    expect(db.query.mock.calls[0][1]).toEqual(['s1', 'client-1', stateData.redirectUri, 'verifier', null, '{"ref":"r1"}', 1000]);
+
+    await expect(store.consumeState('s1')).resolves.toEqual({ ...stateData, createdAt });
+    expect(sqlOf(db, 1)).toContain('DELETE FROM oauth_state WHERE state = $1 AND expires_at > NOW()');
+
+    // Expired (or already consumed)
+    await expect(store.consumeState('s1')).resolves.toBeNull();
+    await expect(store.consumeState('')).resolves.toBeNull();
+    expect(db.query).toHaveBeenCalledTimes(3);
+  });
+
+  test('cleanupExpired deletes expired states and codes', async () => {
+    const db = scriptedDb({ rowCount: 2 }, { rowCount: 5 });
+
+    await expect(new PostgresOAuthStateStore({ db, ...ttls }).cleanupExpired()).resolves.toEqual({ states: 2, codes: 5 });
+    expect(sqlOf(db, 0)).toBe('DELETE FROM oauth_state WHERE expires_at <= NOW()');
+    expect(sqlOf(db, 1)).toBe('DELETE FROM oauth_used_codes WHERE expires_at <= NOW()');
+  });
+});
+
+describe('MemoryOAuthStateStore', () => {
+  const newStore = () => new MemoryOAuthStateStore({ stateTtlMs: 1000, codeTtlMs: 500 });
+
+  test('claims a code once until its marker expires', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const store = newStore();
+
+    await expect(store.claimCode('c1')).resolves.toBe(true);
+    await expect(store.claimCode('c1')).resolves.toBe(false);
+
+    jest.advanceTimersByTime(500);
+    await expect(store.claimCode('c1')).resolves.toBe(true);
+    await expect(store.claimCode('c1')).resolves.toBe(false);
+  });
+
+  test('a state is consumed once, and not at all after its TTL', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const store = newStore();
+
+    await store.saveState('s1', stateData);
+    await store.saveState('s2', stateData);
+    await expect(store.consumeState('s1')).resolves.toEqual({ ...stateData, createdAt: new Date('2026-01-01T00:00:00Z') });
+    await expect(store.consumeState('s1')).resolves.toBeNull();
+
+    jest.advanceTimersByTime(1000);
+    await expect(store.consumeState('s2')).resolves.toBeNull();
+    expect(store.states.size).toBe(0);
+  });
+
+  test('cleanupExpired drops only expired states and codes', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const store = newStore();
+
+    await store.saveState('old', stateData);
+    await store.claimCode('old-code');
+    jest.advanceTimersByTime(600);
+    await store.saveState('new', stateData);
+    await store.claimCode('new-code');
+
+    await expect(store.cleanupExpired()).resolves.toEqual({ states: 0, codes: 1 });
+    jest.advanceTimersByTime(400);
+    await expect(store.cleanupExpired()).resolves.toEqual({ states: 1, codes: 0 });
+    expect([...store.states.keys()]).toEqual(['new']);
+    expect([...store.usedCodes.keys()]).toEqual(['new-code']);
+  });
+});
@@ -0,0 +1,113 @@
+const { EventEmitter } = require('events');
+const { extractItems, nextCursor, applyCursor, ContinuationTokens, writeNdjson } = require('../helpers/pagination.js');
+
+const NOW = 1700000000000;
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('extractItems', () => {
+  test('uses itemsKey when given, otherwise the first array outside meta', () => {
+    const body = { meta: { total: 2 }, contacts: [{ id: 1 }, { id: 2 }], tags: ['x'] };
+
+    expect(extractItems(body)).toEqual({ key: 'contacts', items: [{ id: 1 }, { id: 2 }] });
+    expect(extractItems(body, 'tags')).toEqual({ key: 'tags', items: ['x'] });
+    expect(extractItems(body, 'missing')).toEqual({ key: 'missing', items: [] });
+    expect(extractItems({ meta: {} })).toEqual({ key: null, items: [] });
+    expect(extractItems(null)).toEqual({ key: null, items: [] });
+  });
+});
+
+describe('nextCursor', () => {
+  test('reads startAfter / startAfterId as strings', () => {
+    expect(nextCursor({ meta: { startAfter: 1699999999000, startAfterId: 'abc' } }))
+      .toEqual({ startAfter: '1699999999000', startAfterId: 'abc' });
+    expect(nextCursor({ meta: { startAfterId: 'abc' } })).toEqual({ startAfterId: 'abc' });
+  });
+
+  test('takes only cursor params from nextPageUrl', () => {
+    const body = { meta: { nextPageUrl: 'https://services.leadconnectorhq.com/contacts/?locationId=l1&startAfter=5&startAfterId=c9' } };
+    expect(nextCursor(body)).toEqual({ startAfter: '5', startAfterId: 'c9' });
+    expect(nextCursor({ meta: { nextPageUrl: '/contacts/?locationId=l1' } })).toBeNull();
+  });
+
+  test('falls back to a page number, and returns null on the last page', () => {
+    expect(nextCursor({ meta: { nextPage: 3 } })).toEqual({ page: '3' });
+    expect(nextCursor({ meta: { nextPage: null, total: 10 } })).toBeNull();
+    expect(nextCursor({ contacts: [] })).toBeNull();
+  });
+});
+
+describe('applyCursor', () => {
+  test('replaces any previous cursor and sets the page size', () => {
+    expect(applyCursor('/contacts/?locationId=l1&startAfter=1&page=2', { startAfterId: 'c9' }, 50))
+      .toBe('/contacts/?locationId=l1&startAfterId=c9&limit=50');
+    expect(applyCursor('/contacts/?locationId=l1&page=2', null)).toBe('/contacts/?locationId=l1');
+  });
+});
+
+describe('ContinuationTokens', () => {
+  const state = { sub: 'inst-1', endpoint: '/contacts/?locationId=l1', cursor: { startAfterId: 'c9' }, itemsKey: 'contacts', pageSize: 100 };
+
+  test('round-trips the walk state', () => {
+    jest.useFakeTimers({ now: NOW });
+    const tokens = new ContinuationTokens({ secret: 's3cret', ttlMs: 1000 });
+
+    expect(tokens.decode(tokens.encode(state))).toEqual({ ...state, exp: NOW + 1000 });
+  });
+
+  test('rejects tampered, foreign, expired and malformed tokens', () => {
+    jest.useFakeTimers({ now: NOW });
+    const tokens = new ContinuationTokens({ secret: 's3cret', ttlMs: 1000 });
+    const token = tokens.encode(state);
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...state, sub: 'inst-2', exp: NOW + 1000 })).toString('base64url');
+
+    expect(tokens.decode(`${forged}.${signature}`)).toBeNull();
+    expect(new ContinuationTokens({ secret: 'other' }).decode(token)).toBeNull();
+    expect(tokens.decode('garbage')).toBeNull();
+    expect(tokens.decode(undefined)).toBeNull();
+
+    jest.setSystemTime(NOW + 1000);
+    expect(tokens.decode(token)).toBeNull();
+  });
+});
+
+describe('writeNdjson', () => {
+  function response(accepts) {
+    const res = new EventEmitter();
+    res.destroyed = false;
+    res.lines = [];
+    res.write = chunk => {
+      res.lines.push(chunk);
+      return accepts;
+    };
+    return res;
+  }
+
+  test('writes one JSON line and resolves at once while the socket keeps up', async () => {
+    const res = response(true);
+    await writeNdjson(res, { id: 1 });
+    expect(res.lines).toEqual(['{"id":1}\n']);
+  });
+
+  test('waits for drain (or close) when the buffer is full', async () => {
+    const res = response(false);
+    let settled = false;
+    const pending = writeNdjson(res, { id: 1 }).then(() => { settled = true; });
+
+    await Promise.resolve();
+    expect(settled).toBe(false);
+
+    res.emit('drain');
+    await pending;
+    expect(res.listenerCount('drain')).toBe(0);
+    expect(res.listenerCount('close')).toBe(0);
+
+    const closing = response(false);
+    const closed = writeNdjson(closing, { id: 2 });
+    closing.emit('close');
+    await expect(closed).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,170 @@
+const { validateBatchRequests, transactionReport, runBatch } = require('../helpers/proxyBatch.js');
+
+// Upstream stand-in: answers each call from a table keyed by "METHOD endpoint"
+function upstream(answers) {
+  return jest.fn(async ({ method, endpoint }) => {
+    const answer = answers[`${method} ${endpoint}`];
+    if (answer instanceof Error) throw answer;
+    return answer || { status: 200, body: { ok: true } };
+  });
+}
+
+describe('validateBatchRequests', () => {
+  test('rejects an empty, oversized or malformed batch', () => {
+    expect(validateBatchRequests(undefined, 10)).toEqual({ status: 400, body: { error: 'requests must be a non-empty array' } });
+    expect(validateBatchRequests([], 10).status).toBe(400);
+    expect(validateBatchRequests(new Array(11).fill({ method: 'GET', endpoint: '/x' }), 10)).toEqual({
+      status: 413,
+      body: { error: 'Too many requests in batch', code: 'BATCH_TOO_LARGE', max_requests: 10 }
+    });
+    expect(validateBatchRequests([{ method: 'GET', endpoint: '/x' }, null], 10).body).toMatchObject({ index: 1 });
+    expect(validateBatchRequests([{ method: 'GET' }], 10).body).toMatchObject({ index: 0 });
+  });
+
+  test('accepts a well-formed batch', () => {
+    expect(validateBatchRequests([{ method: 'get', endpoint: '/contacts/1' }], 10)).toBeNull();
+  });
+});
+
+describe('runBatch', () => {
+  test('returns one result per item in request order, with ids defaulting to the index', async () => {
+    const execute = upstream({ 'POST /contacts': { status: 201, body: { id: 'c1' } } });
+
+    const body = await runBatch([
+      { id: 'create', method: 'post', endpoint: '/contacts', data: { name: 'Ada' } },
+      { method: 'GET', endpoint: '/contacts/c0' }
+    ], { concurrency: 5 }, execute);
+
+    expect(body).toEqual({
+      summary: { total: 2, succeeded: 2, failed: 0, skipped: 0 },
+      results: [
+        { id: 'create', index: 0, method: 'POST', endpoint: '/contacts', status: 201, body: { id: 'c1' }, ok: true },
+        { id: '1', index: 1, method: 'GET', endpoint: '/contacts/c0', status: 200, body: { ok: true }, ok: true }
+      ]
+    });
+    expect(execute).toHaveBeenCalledWith({ method: 'POST', endpoint: '/contacts', data: { name: 'Ada' }, headers: {} }, 0);
+    expect(execute).toHaveBeenCalledWith({ method: 'GET', endpoint: '/contacts/c0', data: null, headers: {} }, 1);
+  });
+
+  test('a partial failure fails only its own item', async () => {
+    const execute = upstream({
+      'GET /contacts/missing': { status: 404, body: { message: 'Contact not found' } },
+      'GET /users': { status: 403, body: { error: 'Endpoint not allowed', code: 'ENDPOINT_FORBIDDEN' } },
+      'GET /contacts/boom': new Error('socket hang up')
+    });
+
+    const { summary, results } = await runBatch([
+      { method: 'GET', endpoint: '/contacts/1' },
+      { method: 'GET', endpoint: '/contacts/missing' },
+      { method: 'GET', endpoint: '/users' },
+      { method: 'GET', endpoint: '/contacts/boom' },
+      { method: 'GET', endpoint: '/contacts/2' }
+    ], { concurrency: 2 }, execute);
+
+    expect(summary).toEqual({ total: 5, succeeded: 2, failed: 3, skipped: 0 });
+    expect(results.map(result => [result.status, result.ok])).toEqual([[200, true], [404, false], [403, false], [500, false], [200, true]]);
+    expect(results[1].body).toEqual({ message: 'Contact not found' });
+    expect(results[2].body.code).toBe('ENDPOINT_FORBIDDEN');
+    expect(results[3].body).toEqual({ error: 'Proxy request failed' });
+    expect(execute).toHaveBeenCalledTimes(5);
+  });
+
+  test('never runs more than the concurrency limit at once', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const execute = jest.fn(async () => {
+      peak = Math.max(peak, ++inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight--;
+      return { status: 200, body: {} };
+    });
+
+    await runBatch(new Array(7).fill({ method: 'GET', endpoint: '/contacts' }), { concurrency: 3 }, execute);
+    expect(peak).toBe(3);
+    expect(execute).toHaveBeenCalledTimes(7);
+  });
+
+  test('stopOnError skips the items that had not started', async () => {
+    const execute = upstream({ 'PUT /contacts/2': { status: 422, body: { message: 'Invalid email' } } });
+
+    const { summary, results } = await runBatch([
+      { method: 'PUT', endpoint: '/contacts/1' },
+      { method: 'PUT', endpoint: '/contacts/2' },
+      { id: 'third', method: 'PUT', endpoint: '/contacts/3' }
+    ], { concurrency: 1, stopOnError: true }, execute);
+
+    expect(summary).toEqual({ total: 3, succeeded: 1, failed: 1, skipped: 1 });
+    expect(results[2]).toEqual({ id: 'third', index: 2, method: 'PUT', endpoint: '/contacts/3', status: null, skipped: true, ok: false });
+    expect(execute).toHaveBeenCalledTimes(2);
+  });
+
+  test('a thrown error stops the batch like a failed status does', async () => {
+    const execute = upstream({ 'GET /contacts/1': new Error('socket hang up') });
+
+    const { summary } = await runBatch([
+      { method: 'GET', endpoint: '/contacts/1' },
+      { method: 'GET', endpoint: '/contacts/2' }
+    ], { concurrency: 1, stopOnError: true }, execute);
+
+    expect(summary).toEqual({ total: 2, succeeded: 0, failed: 1, skipped: 1 });
+  });
+
+  test('transactional runs one at a time, stops at the first failure and reports the applied writes', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const answers = upstream({ 'POST /opportunities': { status: 400, body: { message: 'pipelineId is required' } } });
+    const execute = jest.fn(async (call, index) => {
+      peak = Math.max(peak, ++inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight--;
+      return answers(call, index);
+    });
+
+    const body = await runBatch([
+      { id: 'contact', method: 'POST', endpoint: '/contacts' },
+      { id: 'lookup', method: 'GET', endpoint: '/contacts/c1' },
+      { id: 'opportunity', method: 'POST', endpoint: '/opportunities' },
+      { id: 'note', method: 'POST', endpoint: '/contacts/c1/notes' }
+    ], { concurrency: 5, transactional: true }, execute);
+
+    expect(peak).toBe(1);
+    expect(body.summary).toEqual({ total: 4, succeeded: 2, failed: 1, skipped: 1 });
+    expect(body.transaction).toEqual({
+      status: 'partially_applied',
+      failed_at: { id: 'opportunity', index: 2, status: 400 },
+      applied: [{ id: 'contact', method: 'POST', endpoint: '/contacts', status: 200 }],
+      not_attempted: ['note']
+    });
+  });
+
+  test('only transactional batches get a transaction report', async () => {
+    const body = await runBatch([{ method: 'GET', endpoint: '/contacts' }], { concurrency: 1, stopOnError: true }, upstream({}));
+    expect(body).not.toHaveProperty('transaction');
+  });
+});
+
+describe('transactionReport', () => {
+  const result = (id, method, status, extra = {}) => ({ id, index: Number(id), method, endpoint: `/items/${id}`, status, ok: status !== null && status < 400, ...extra });
+
+  test('committed when nothing failed', () => {
+    expect(transactionReport([result('0', 'POST', 201), result('1', 'GET', 200)])).toEqual({
+      status: 'committed',
+      failed_at: null,
+      applied: [{ id: '0', method: 'POST', endpoint: '/items/0', status: 201 }],
+      not_attempted: []
+    });
+  });
+
+  test('not_applied when the failure came before any write', () => {
+    expect(transactionReport([
+      result('0', 'GET', 200),
+      result('1', 'DELETE', 403),
+      result('2', 'POST', null, { skipped: true })
+    ])).toEqual({
+      status: 'not_applied',
+      failed_at: { id: '1', index: 1, status: 403 },
+      applied: [],
+      not_attempted: ['2']
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const { ProxyPolicyStore, normalizeEndpoint } = require('../helpers/proxyPolicy.js');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const document = {
+  rules: [
+    { id: 'contacts', feature: 'contacts', path: '/contacts/', methods: ['GET', 'POST'], scopes: { GET: ['contacts.readonly'], POST: ['contacts.write'] } },
+    { id: 'contact', feature: 'contacts', path: '/contacts/:contactId', methods: ['GET', 'PUT', 'DELETE'], scopes: { GET: ['contacts.readonly'], PUT: ['contacts.write'], DELETE: ['contacts.write'] } },
+    { id: 'contact-notes', feature: 'contacts', path: '/contacts/:contactId/notes/*', methods: ['*'], scopes: ['contacts.write'] },
+    { id: 'location', path: '/locations/:locationId', methods: ['get'] },
+    { id: 'custom-values', regex: '^/locations/[^/]+/customValues$', methods: ['GET'], scopes: ['locations/customValues.readonly'] }
+  ]
+};
+
+function loadedPolicy() {
+  const policy = new ProxyPolicyStore({ document, label: 'test', logger });
+  policy.load();
+  return policy;
+}
+
+describe('normalizeEndpoint', () => {
+  test('strips the query string, fragment and a trailing slash', () => {
+    expect(normalizeEndpoint('/contacts/c1?locationId=l1&q=../../users')).toBe('/contacts/c1');
+    expect(normalizeEndpoint('/contacts/c1#notes')).toBe('/contacts/c1');
+    expect(normalizeEndpoint('/contacts/')).toBe('/contacts');
+    expect(normalizeEndpoint('/')).toBe('/');
+  });
+
+  test('rejects dot segments, doubled slashes and encoded escapes', () => {
+    const unsafe = [
+      '/contacts/../users',
+      '/contacts/..',
+      '/contacts/./c1',
+      '/contacts/%2e%2e/users',
+      '/contacts/%2E%2E/users',
+      '/contacts/c1%2fnotes',
+      '/contacts//c1',
+      '//evil.example.com/contacts',
+      '/contacts\\..\\users'
+    ];
+    for (const endpoint of unsafe) {
+      expect(normalizeEndpoint(endpoint)).toBeNull();
+    }
+  });
+
+  test('rejects anything that is not an absolute path', () => {
+    expect(normalizeEndpoint('contacts/c1')).toBeNull();
+    expect(normalizeEndpoint('https://services.leadconnectorhq.com/contacts/')).toBeNull();
+    expect(normalizeEndpoint(undefined)).toBeNull();
+  });
+});
+
+describe('ProxyPolicyStore.evaluate', () => {
+  const policy = loadedPolicy();
+
+  test('allows a matching method and reports the scopes it needs', () => {
+    expect(policy.evaluate('get', '/contacts/c1?fields=name')).toMatchObject({
+      allowed: true,
+      reason: 'allowed',
+      method: 'GET',
+      path: '/contacts/c1',
+      rule: { id: 'contact' },
+      allowedMethods: ['GET', 'PUT', 'DELETE'],
+      requiredScopes: ['contacts.readonly'],
+      policyVersion: policy.policy.version
+    });
+    expect(policy.evaluate('PUT', '/contacts/c1').requiredScopes).toEqual(['contacts.write']);
+  });
+
+  test('a known path with another method is method_not_allowed, with the methods it takes', () => {
+    expect(policy.evaluate('PATCH', '/contacts/c1')).toMatchObject({
+      allowed: false,
+      reason: 'method_not_allowed',
+      rule: { id: 'contact' },
+      allowedMethods: ['GET', 'PUT', 'DELETE'],
+      requiredScopes: []
+    });
+    expect(policy.evaluate('POST', '/locations/l1')).toMatchObject({ reason: 'method_not_allowed', allowedMethods: ['GET'] });
+  });
+
+  test('":name" matches exactly one segment and "/*" the base path and below', () => {
+    expect(policy.evaluate('GET', '/contacts/c1/tasks').reason).toBe('no_matching_rule');
+    expect(policy.evaluate('GET', '/contacts/c1/notes').allowed).toBe(true);
+    expect(policy.evaluate('DELETE', '/contacts/c1/notes/n1/attachments/a1')).toMatchObject({ allowed: true, requiredScopes: ['contacts.write'] });
+    expect(policy.evaluate('GET', '/contacts/c1/notesx').reason).toBe('no_matching_rule');
+    expect(policy.evaluate('GET', '/locations/l1/customValues')).toMatchObject({ allowed: true, rule: { id: 'custom-values' } });
+  });
+
+  test('escape attempts never reach a rule', () => {
+    for (const endpoint of ['/contacts/c1/notes/../../users', '/contacts/%2e%2e/users', '/contacts//users', '/contacts/c1%2F..%2Fusers']) {
+      expect(policy.evaluate('GET', endpoint)).toMatchObject({ allowed: false, reason: 'invalid_endpoint', rule: null });
+    }
+  });
+
+  test('a query string cannot change which rule applies', () => {
+    expect(policy.evaluate('GET', '/locations/l1?path=/contacts/c1/notes')).toMatchObject({ allowed: true, rule: { id: 'location' } });
+    expect(policy.evaluate('DELETE', '/locations/l1?_method=GET').reason).toBe('method_not_allowed');
+  });
+
+  test('a trailing slash in the endpoint or the rule path does not matter', () => {
+    expect(policy.evaluate('POST', '/contacts/')).toMatchObject({ allowed: true, rule: { id: 'contacts' }, requiredScopes: ['contacts.write'] });
+    expect(policy.evaluate('GET', '/contacts')).toMatchObject({ allowed: true, rule: { id: 'contacts' } });
+    expect(policy.evaluate('GET', '/contacts/c1/')).toMatchObject({ allowed: true, rule: { id: 'contact' } });
+  });
+
+  test('unknown paths are no_matching_rule', () => {
+    expect(policy.evaluate('GET', '/users/')).toMatchObject({ allowed: false, reason: 'no_matching_rule', allowedMethods: [] });
+  });
+});
+
+describe('ProxyPolicyStore.missingScopes', () => {
+  const policy = loadedPolicy();
+
+  test('lists the required scopes the installation was not granted', () => {
+    const decision = policy.evaluate('DELETE', '/contacts/c1/notes/n1');
+    expect(policy.missingScopes(decision, ['contacts.readonly'])).toEqual(['contacts.write']);
+    expect(policy.missingScopes(decision, ['contacts.readonly', 'contacts.write'])).toEqual([]);
+    expect(policy.missingScopes(decision)).toEqual(['contacts.write']);
+  });
+
+  test('a rule without scopes needs none', () => {
+    expect(policy.missingScopes(policy.evaluate('GET', '/locations/l1'), [])).toEqual([]);
+  });
+});
+
+describe('ProxyPolicyStore.capabilities', () => {
+  const policy = loadedPolicy();
+
+  test('groups rules by feature with the calls allowed and the scopes the rest need', () => {
+    const features = policy.capabilities(['contacts.readonly']);
+
+    expect(Object.keys(features)).toEqual(['contacts', 'location', 'custom-values']);
+    expect(features.contacts).toMatchObject({
+      allowed: ['GET /contacts/', 'GET /contacts/:contactId'],
+      blocked: {
+        'POST /contacts/': ['contacts.write'],
+        'PUT /contacts/:contactId': ['contacts.write'],
+        'DELETE /contacts/:contactId': ['contacts.write'],
+        'PATCH /contacts/:contactId/notes/*': ['contacts.write']
+      },
+      usable: true,
+      read: true,
+      write: false
+    });
+    expect(features.location).toEqual({ allowed: ['GET /locations/:locationId'], blocked: {}, usable: true, read: true, write: false });
+    expect(features['custom-values']).toEqual({
+      allowed: [],
+      blocked: { 'GET ^/locations/[^/]+/customValues$': ['locations/customValues.readonly'] },
+      usable: false,
+      read: false,
+      write: false
+    });
+  });
+
+  test('write is reported once a non-GET call is allowed', () => {
+    expect(policy.capabilities(['contacts.readonly', 'contacts.write']).contacts).toMatchObject({ blocked: {}, read: true, write: true });
+    expect(policy.capabilities().contacts.usable).toBe(false);
+  });
+});
@@ -0,0 +1,81 @@
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const {
+  ByteLimitExceededError,
+  ByteLimitStream,
+  copyResponseHeaders,
+  declaredLength
+} = require('../helpers/proxyStream.js');
+
+// Pipe the chunks through a ByteLimitStream and collect what came out
+async function pump(chunks, limit) {
+  const received = [];
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      received.push(chunk);
+      callback();
+    }
+  });
+  const limiter = new ByteLimitStream(limit);
+  try {
+    await pipeline(Readable.from(chunks.map(chunk => Buffer.from(chunk))), limiter, sink);
+    return { body: Buffer.concat(received).toString(), bytes: limiter.bytes };
+  } catch (error) {
+    return { body: Buffer.concat(received).toString(), bytes: limiter.bytes, error };
+  }
+}
+
+describe('ByteLimitStream', () => {
+  test('passes a body up to the limit through unchanged', async () => {
+    await expect(pump(['abc', 'def'], 6)).resolves.toEqual({ body: 'abcdef', bytes: 6 });
+  });
+
+  test('fails with LIMIT_EXCEEDED on the chunk that crosses the limit', async () => {
+    const { body, error } = await pump(['abc', 'def', 'ghi'], 5);
+
+    expect(body).toBe('abc');
+    expect(error).toBeInstanceOf(ByteLimitExceededError);
+    expect(error).toMatchObject({ code: 'LIMIT_EXCEEDED', limit: 5, message: 'Stream exceeded the 5 byte limit' });
+  });
+
+  test('a limit of 0 means no limit', async () => {
+    await expect(pump(['x'.repeat(1000)], 0)).resolves.toEqual({ body: 'x'.repeat(1000), bytes: 1000 });
+  });
+});
+
+describe('declaredLength', () => {
+  test('reads a valid Content-Length', () => {
+    expect(declaredLength({ 'content-length': '1024' })).toBe(1024);
+    expect(declaredLength({ 'content-length': '0' })).toBe(0);
+    expect(declaredLength({ 'content-length': 42 })).toBe(42);
+  });
+
+  test('is null when the header is missing', () => {
+    expect(declaredLength({})).toBeNull();
+    expect(declaredLength(undefined)).toBeNull();
+    expect(declaredLength({ 'content-length': null })).toBeNull();
+  });
+
+  test('is null for values that are not a byte count', () => {
+    for (const value of ['', ' ', 'abc', '-1', '1.5', '1e3', '0x10', '12 34']) {
+      expect(declaredLength({ 'content-length': value })).toBeNull();
+    }
+  });
+
+  test('keeps an oversized length so the caller can reject it before streaming', () => {
+    const length = declaredLength({ 'content-length': '99999999999999999999999' });
+    expect(length).toBeGreaterThan(Number.MAX_SAFE_INTEGER);
+  });
+});
+
+describe('copyResponseHeaders', () => {
+  test('forwards only the content headers that are present', () => {
+    const res = { setHeader: jest.fn() };
+
+    copyResponseHeaders({ 'content-type': 'image/png', 'content-length': '10', 'set-cookie': 'x=1', etag: null }, res);
+    expect(res.setHeader.mock.calls).toEqual([['content-type', 'image/png'], ['content-length', '10']]);
+
+    copyResponseHeaders(undefined, res);
+    expect(res.setHeader).toHaveBeenCalledTimes(2);
+  });
+});
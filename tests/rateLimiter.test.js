@@ -0,0 +1,139 @@
+const { MemoryBucketStore, PostgresBucketStore, TokenBucketLimiter, setRateLimitHeaders } = require('../helpers/rateLimiter.js');
+
+const NOW = 1700000000000;
+
+function limiter(options = {}) {
+  return new TokenBucketLimiter({
+    store: new MemoryBucketStore(),
+    buckets: [
+      { name: 'burst', capacity: 2, windowMs: 1000 },
+      { name: 'daily', capacity: 3, windowMs: 24 * 60 * 60 * 1000 }
+    ],
+    ...options
+  });
+}
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: NOW });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('MemoryBucketStore', () => {
+  test('starts full, refills at the configured rate and never exceeds capacity', async () => {
+    const store = new MemoryBucketStore();
+    const bucket = { capacity: 2, refillPerSec: 1 };
+
+    await expect(store.take('k', bucket, 2)).resolves.toEqual({ allowed: true, remaining: 0 });
+    await expect(store.take('k', bucket, 1)).resolves.toEqual({ allowed: false, remaining: 0 });
+
+    jest.setSystemTime(NOW + 500);
+    await expect(store.take('k', bucket, 1)).resolves.toEqual({ allowed: false, remaining: 0.5 });
+
+    jest.setSystemTime(NOW + 10000);
+    await expect(store.take('k', bucket, 1)).resolves.toEqual({ allowed: true, remaining: 1 });
+  });
+
+  test('prunes buckets that have refilled completely', async () => {
+    const store = new MemoryBucketStore();
+    const bucket = { capacity: 2, refillPerSec: 1 };
+    await store.take('old', bucket, 1);
+
+    jest.setSystemTime(NOW + 1500);
+    await store.take('recent', bucket, 1);
+
+    jest.setSystemTime(NOW + 2500);
+    store.prune([bucket]);
+    expect([...store.buckets.keys()]).toEqual(['recent']);
+  });
+});
+
+describe('TokenBucketLimiter', () => {
+  test('charges every bucket and reports what is left', async () => {
+    const result = await limiter().take('installation:1');
+
+    expect(result).toEqual({
+      allowed: true,
+      retryAfterMs: 0,
+      limits: [{ name: 'burst', limit: 2, remaining: 1 }, { name: 'daily', limit: 3, remaining: 2 }]
+    });
+  });
+
+  test('rejects when the burst bucket is empty with the time until a token is back', async () => {
+    const rl = limiter();
+    await rl.take('k');
+    await rl.take('k');
+    const result = await rl.take('k');
+
+    expect(result).toMatchObject({ allowed: false, limitedBy: 'burst', retryAfterMs: 500 });
+  });
+
+  test('refunds the buckets already charged when a later bucket rejects', async () => {
+    const rl = limiter();
+    for (let i = 0; i < 3; i++) {
+      await rl.take('k');
+      jest.advanceTimersByTime(1000);
+    }
+
+    const rejected = await rl.take('k');
+    expect(rejected).toMatchObject({ allowed: false, limitedBy: 'daily' });
+    // The burst token taken before the daily bucket said no was given back
+    expect(rl.store.buckets.get('k:burst').tokens).toBe(2);
+  });
+
+  test('keys are independent', async () => {
+    const rl = limiter();
+    await rl.take('a');
+    await rl.take('a');
+
+    await expect(rl.take('b')).resolves.toMatchObject({ allowed: true });
+  });
+
+  test('acquire queues for a short wait and gives up on a long one', async () => {
+    const rl = limiter({ maxWaitMs: 1000 });
+    await rl.take('k');
+    await rl.take('k');
+
+    const queued = rl.acquire('k');
+    await jest.advanceTimersByTimeAsync(500);
+    await expect(queued).resolves.toMatchObject({ allowed: true, waitedMs: 500 });
+
+    const impatient = limiter({ maxWaitMs: 100 });
+    await impatient.take('k');
+    await impatient.take('k');
+    await expect(impatient.acquire('k')).resolves.toMatchObject({ allowed: false, waitedMs: 0 });
+  });
+});
+
+describe('PostgresBucketStore', () => {
+  test('takes tokens through hl_rate_limit_take()', async () => {
+    const db = { query: jest.fn().mockResolvedValue({ rows: [{ allowed: true, remaining: 4 }] }) };
+    const store = new PostgresBucketStore({ db });
+
+    await expect(store.take('k:burst', { capacity: 5, refillPerSec: 1 }, 1)).resolves.toEqual({ allowed: true, remaining: 4 });
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining('hl_rate_limit_take'), ['k:burst', 5, 1, 1]);
+  });
+});
+
+describe('setRateLimitHeaders', () => {
+  test('sets limit headers per bucket and Retry-After when limited', () => {
+    const headers = {};
+    const res = { setHeader: (name, value) => { headers[name] = value; } };
+
+    setRateLimitHeaders(res, {
+      allowed: false,
+      retryAfterMs: 1200,
+      limits: [{ name: 'burst', limit: 100, remaining: -1 }, { name: 'daily', limit: 200000, remaining: 5 }]
+    });
+
+    expect(headers).toEqual({
+      'X-RateLimit-Limit': 100,
+      'X-RateLimit-Remaining': 0,
+      'X-RateLimit-Daily-Limit': 200000,
+      'X-RateLimit-Daily-Remaining': 5,
+      'Retry-After': 2
+    });
+  });
+});
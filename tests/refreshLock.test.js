@@ -0,0 +1,129 @@
+const { SingleFlight, withAdvisoryLock, needsRefresh, refreshedElsewhere } = require('../helpers/refreshLock.js');
+
+// Fake pg Pool handing out one client whose queries are recorded
+function lockingDb({ failOn = null } = {}) {
+  const client = {
+    query: jest.fn(async sql => {
+      if (failOn && sql.startsWith(failOn)) throw new Error(`${failOn} failed`);
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  return { db: { connect: jest.fn(async () => client) }, client };
+}
+
+const statements = client => client.query.mock.calls.map(call => call[0]);
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('SingleFlight', () => {
+  test('callers for the same key share one run', async () => {
+    const flight = new SingleFlight();
+    let release;
+    const fn = jest.fn(() => new Promise(resolve => { release = resolve; }));
+
+    const first = flight.run('inst-1', fn);
+    const second = flight.run('inst-1', fn);
+    expect(second).toBe(first);
+    expect(flight.has('inst-1')).toBe(true);
+
+    await Promise.resolve();
+    release({ refreshed: true });
+    await expect(Promise.all([first, second])).resolves.toEqual([{ refreshed: true }, { refreshed: true }]);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test('runs other keys independently and forgets a key once its run settles', async () => {
+    const flight = new SingleFlight();
+    const fn = jest.fn(async key => key);
+
+    await expect(Promise.all([flight.run('a', () => fn('a')), flight.run('b', () => fn('b'))])).resolves.toEqual(['a', 'b']);
+    expect(flight.has('a')).toBe(false);
+
+    await flight.run('a', () => fn('a'));
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test('a failed run rejects every waiter and is not cached', async () => {
+    const flight = new SingleFlight();
+    const failing = flight.run('inst-1', async () => { throw new Error('invalid_grant'); });
+    const waiter = flight.run('inst-1', async () => 'unused');
+
+    await expect(failing).rejects.toThrow('invalid_grant');
+    await expect(waiter).rejects.toThrow('invalid_grant');
+    await expect(flight.run('inst-1', async () => 'retried')).resolves.toBe('retried');
+  });
+});
+
+describe('withAdvisoryLock', () => {
+  test('takes the lock with a timeout, runs fn on the client and commits', async () => {
+    const { db, client } = lockingDb();
+
+    await expect(withAdvisoryLock(db, 'hl_token_refresh:inst-1', { timeoutMs: 5000 }, async tx => {
+      await tx.query('UPDATE hl_installations SET token_version = token_version + 1');
+      return 'stored';
+    })).resolves.toBe('stored');
+
+    expect(statements(client)).toEqual([
+      'BEGIN',
+      "SELECT set_config('lock_timeout', $1, true)",
+      'SELECT pg_advisory_xact_lock(hashtext($1))',
+      'UPDATE hl_installations SET token_version = token_version + 1',
+      'COMMIT'
+    ]);
+    expect(client.query.mock.calls[1][1]).toEqual(['5000ms']);
+    expect(client.query.mock.calls[2][1]).toEqual(['hl_token_refresh:inst-1']);
+    expect(client.release).toHaveBeenCalledTimes(1);
+  });
+
+  test('rolls back and releases the client when fn throws', async () => {
+    const { db, client } = lockingDb();
+
+    await expect(withAdvisoryLock(db, 'k', { timeoutMs: 100 }, async () => { throw new Error('HighLevel 400'); }))
+      .rejects.toThrow('HighLevel 400');
+    expect(statements(client).slice(-1)).toEqual(['ROLLBACK']);
+    expect(client.release).toHaveBeenCalledTimes(1);
+  });
+
+  test('a lock timeout or failed commit surfaces, even if the rollback fails too', async () => {
+    const timedOut = lockingDb({ failOn: 'SELECT pg_advisory_xact_lock' });
+    const fn = jest.fn();
+    await expect(withAdvisoryLock(timedOut.db, 'k', { timeoutMs: 100 }, fn)).rejects.toThrow('SELECT pg_advisory_xact_lock failed');
+    expect(fn).not.toHaveBeenCalled();
+    expect(timedOut.client.release).toHaveBeenCalledTimes(1);
+
+    const { db, client } = lockingDb();
+    client.query.mockImplementation(async sql => {
+      if (sql === 'COMMIT' || sql === 'ROLLBACK') throw new Error(`${sql} failed`);
+      return { rows: [] };
+    });
+    await expect(withAdvisoryLock(db, 'k', { timeoutMs: 100 }, async () => 'stored')).rejects.toThrow('COMMIT failed');
+    expect(client.release).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('needsRefresh', () => {
+  test('is due once the expiry is within the threshold', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T12:00:00Z') });
+
+    expect(needsRefresh({ expires_at: '2026-01-01T12:04:59Z' }, 5 * 60 * 1000)).toBe(true);
+    expect(needsRefresh({ expires_at: '2026-01-01T12:05:00Z' }, 5 * 60 * 1000)).toBe(true);
+    expect(needsRefresh({ expires_at: '2026-01-01T12:05:01Z' }, 5 * 60 * 1000)).toBe(false);
+    expect(needsRefresh({ expires_at: new Date('2026-01-01T11:00:00Z') }, 0)).toBe(true);
+  });
+});
+
+describe('refreshedElsewhere', () => {
+  test('compares the version read before the lock with the stored one', () => {
+    expect(refreshedElsewhere({ token_version: 3 }, { token_version: '4' })).toBe(true);
+    expect(refreshedElsewhere({ token_version: '4' }, { token_version: 4 })).toBe(false);
+    expect(refreshedElsewhere({ token_version: 5 }, { token_version: 4 })).toBe(false);
+  });
+
+  test('a caller that never saw a version cannot tell, so it does not reuse', () => {
+    expect(refreshedElsewhere({}, { token_version: 9 })).toBe(false);
+    expect(refreshedElsewhere({ token_version: null }, { token_version: 9 })).toBe(false);
+  });
+});
@@ -0,0 +1,135 @@
+const { LruCache, ResponseCache, ruleCacheSettings, etagFor } = require('../helpers/responseCache.js');
+
+const logger = { warn: jest.fn() };
+const meta = { installationId: 'inst-1', ruleId: 'location', ttlMs: 60000 };
+
+// Minimal stand-in for PostgresCacheStore: one map shared by every "replica"
+function sharedStore() {
+  const rows = new Map();
+  return {
+    rows,
+    get: async key => {
+      const entry = rows.get(key);
+      return entry && (entry.staleUntil || entry.expiresAt) > Date.now() ? entry : null;
+    },
+    set: async (key, { installationId, ruleId }, entry) => {
+      rows.set(key, { ...entry, installationId, ruleId });
+    },
+    invalidate: async (installationId, ruleIds = null) => {
+      let removed = 0;
+      for (const [key, entry] of rows) {
+        if (entry.installationId === installationId && (!ruleIds || ruleIds.includes(entry.ruleId))) {
+          rows.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+    purgeExpired: async () => 0
+  };
+}
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('LruCache', () => {
+  test('evicts the least recently used entry', () => {
+    const lru = new LruCache({ maxEntries: 2 });
+    const entry = { expiresAt: Date.now() + 1000 };
+    lru.set('a', entry);
+    lru.set('b', entry);
+    lru.get('a');
+    lru.set('c', entry);
+
+    expect(lru.get('a')).toBe(entry);
+    expect(lru.get('b')).toBeNull();
+  });
+
+  test('drops entries once past their stale window', () => {
+    const lru = new LruCache();
+    lru.set('gone', { expiresAt: Date.now() - 1 });
+    lru.set('stale', { expiresAt: Date.now() - 1, staleUntil: Date.now() + 1000 });
+
+    expect(lru.get('gone')).toBeNull();
+    expect(lru.get('stale')).not.toBeNull();
+    expect(lru.purgeExpired()).toBe(0);
+  });
+});
+
+describe('ResponseCache', () => {
+  test('keys ignore query parameter order and a trailing slash', () => {
+    expect(ResponseCache.key('i', 'r', '/contacts/?b=2&a=1')).toBe(ResponseCache.key('i', 'r', '/contacts?a=1&b=2'));
+  });
+
+  test('serves a fresh entry from memory with a weak ETag', async () => {
+    const cache = new ResponseCache({ memory: new LruCache(), logger });
+    const stored = await cache.set('k', meta, { status: 200, body: { id: 1 } });
+    const hit = await cache.get('k');
+
+    expect(stored.etag).toBe(etagFor({ id: 1 }));
+    expect(hit).toMatchObject({ tier: 'memory', stale: false, body: { id: 1 } });
+  });
+
+  test('keeps an expired entry for revalidation only when HighLevel sent an ETag', async () => {
+    jest.useFakeTimers({ now: 1000000 });
+    const cache = new ResponseCache({ memory: new LruCache(), logger });
+    await cache.set('with-etag', meta, { status: 200, body: {}, upstreamEtag: '"abc"' });
+    await cache.set('without', meta, { status: 200, body: {} });
+
+    jest.setSystemTime(1000000 + meta.ttlMs + 1);
+    expect(await cache.get('with-etag')).toMatchObject({ stale: true, upstreamEtag: '"abc"' });
+    expect(await cache.get('without')).toBeNull();
+
+    jest.setSystemTime(1000000 + 2 * meta.ttlMs + 1);
+    expect(await cache.get('with-etag')).toBeNull();
+  });
+
+  test('does not cache bodies over the size cap', async () => {
+    const cache = new ResponseCache({ memory: new LruCache(), maxBodyBytes: 10, logger });
+    await expect(cache.set('k', meta, { status: 200, body: { text: 'x'.repeat(20) } })).resolves.toBeNull();
+    await expect(cache.get('k')).resolves.toBeNull();
+  });
+
+  test('invalidates an installation, optionally only some rules', async () => {
+    const cache = new ResponseCache({ memory: new LruCache(), logger });
+    await cache.set(ResponseCache.key('inst-1', 'location', '/locations/1'), meta, { status: 200, body: 1 });
+    await cache.set(ResponseCache.key('inst-1', 'tags', '/locations/1/tags'), { ...meta, ruleId: 'tags' }, { status: 200, body: 2 });
+    await cache.set(ResponseCache.key('inst-2', 'tags', '/locations/2/tags'), { ...meta, installationId: 'inst-2', ruleId: 'tags' }, { status: 200, body: 3 });
+
+    await expect(cache.invalidate('inst-1', ['tags'])).resolves.toBe(1);
+    await expect(cache.invalidate('inst-1')).resolves.toBe(1);
+    await expect(cache.get(ResponseCache.key('inst-2', 'tags', '/locations/2/tags'))).resolves.not.toBeNull();
+  });
+
+  test('with a shared store, an invalidation on one replica is seen by the others', async () => {
+    const store = sharedStore();
+    const replicaA = new ResponseCache({ memory: new LruCache(), store, logger });
+    const replicaB = new ResponseCache({ memory: new LruCache(), store, logger });
+
+    await replicaA.set('k', meta, { status: 200, body: { v: 1 } });
+    expect(await replicaB.get('k')).toMatchObject({ tier: 'postgres', body: { v: 1 } });
+
+    await replicaA.invalidate('inst-1');
+    await expect(replicaB.get('k')).resolves.toBeNull();
+  });
+
+  test('a failing store read is a miss, not an error', async () => {
+    const store = { ...sharedStore(), get: async () => { throw new Error('db down'); } };
+    const cache = new ResponseCache({ store, logger });
+
+    await expect(cache.get('k')).resolves.toBeNull();
+    expect(logger.warn).toHaveBeenCalledWith('Response cache read failed:', { error: 'db down' });
+  });
+});
+
+describe('ruleCacheSettings', () => {
+  test('reads seconds or an object, and ignores rules without a positive TTL', () => {
+    expect(ruleCacheSettings({ cache: 30 })).toEqual({ ttlMs: 30000, invalidateOn: [] });
+    expect(ruleCacheSettings({ cache: { ttlSeconds: 5, invalidateOn: ['LocationUpdate'] } }))
+      .toEqual({ ttlMs: 5000, invalidateOn: ['LocationUpdate'] });
+    expect(ruleCacheSettings({ cache: 0 })).toBeNull();
+    expect(ruleCacheSettings({})).toBeNull();
+    expect(ruleCacheSettings(null)).toBeNull();
+  });
+});
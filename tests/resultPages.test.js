@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_BRANDING, FAILURE_REASONS, ResultPages, escapeHtml } = require('../helpers/resultPages.js');
+
+const logger = { error: jest.fn() };
+
+const BRANDING = {
+  default: { name: 'Acme Sync', supportUrl: 'https://acme.example.com/help' },
+  'acme-crm': {
+    name: 'Acme CRM',
+    logoUrl: 'https://cdn.example.com/logo.png',
+    accentFrom: '#0052cc',
+    templates: { success: { heading: '{{name}} is ready' } }
+  }
+};
+
+describe('escapeHtml', () => {
+  test('escapes markup and quote characters', () => {
+    expect(escapeHtml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    expect(escapeHtml(null)).toBe('');
+  });
+});
+
+describe('ResultPages', () => {
+  test('merges app branding over "default" over the built-ins', () => {
+    const pages = new ResultPages({ json: JSON.stringify(BRANDING), logger });
+
+    expect(pages.brandingFor('acme-crm')).toMatchObject({
+      name: 'Acme CRM',
+      supportUrl: 'https://acme.example.com/help',
+      accentFrom: '#0052cc',
+      accentTo: DEFAULT_BRANDING.accentTo,
+      retryUrl: '/oauth/start'
+    });
+    expect(pages.brandingFor('unknown').name).toBe('Acme Sync');
+    expect(pages.brandingFor().name).toBe('Acme Sync');
+  });
+
+  test('reads branding from a file before inline JSON', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'branding-'));
+    const file = path.join(dir, 'branding.json');
+    fs.writeFileSync(file, JSON.stringify({ default: { name: 'From File' } }));
+
+    const pages = new ResultPages({ file, json: JSON.stringify(BRANDING), logger });
+    fs.rmSync(dir, { recursive: true });
+    expect(pages.brandingFor().name).toBe('From File');
+  });
+
+  test('falls back to the built-in branding when the config does not parse', () => {
+    const pages = new ResultPages({ json: '{ not json', logger });
+
+    expect(pages.brandingFor()).toEqual(DEFAULT_BRANDING);
+    expect(logger.error).toHaveBeenCalledWith('Failed to load OAuth branding, using defaults:', expect.any(Object));
+  });
+
+  test('renders a success page with the app template, logo and accent', () => {
+    const html = new ResultPages({ json: JSON.stringify(BRANDING), logger })
+      .render('success', { app: 'acme-crm', summary: 'Connected 2 locations.' });
+
+    expect(html).toContain('<title>Acme CRM Connected</title>');
+    expect(html).toContain('<h1>Acme CRM is ready</h1>');
+    expect(html).toContain('<p>Connected 2 locations. You may close this window.</p>');
+    expect(html).toContain('<img class="logo" src="https://cdn.example.com/logo.png" alt="Acme CRM">');
+    expect(html).toContain('linear-gradient(135deg, #0052cc 0%');
+    expect(html).not.toContain('Contact support');
+  });
+
+  test('renders failures with the reason text and retry/support links', () => {
+    const html = new ResultPages({ json: JSON.stringify(BRANDING), logger }).render('failure', { reason: 'invalid_state' });
+
+    expect(html).toContain(`<p>${escapeHtml(FAILURE_REASONS.invalid_state)}</p>`);
+    expect(html).toContain('<a class="button" href="/oauth/start">Try again</a>');
+    expect(html).toContain('<a class="button" href="https://acme.example.com/help">Contact support</a>');
+
+    const unknown = new ResultPages({ logger }).render('failure', { reason: 'no_such_reason' });
+    expect(unknown).toContain(FAILURE_REASONS.callback_failed);
+  });
+
+  test('escapes configured values and rejects accent colours that are not hex', () => {
+    const pages = new ResultPages({
+      json: JSON.stringify({ default: { name: '<script>x</script>', accentFrom: 'red;}</style><script>' } }),
+      logger
+    });
+    const html = pages.render('partial', { summary: '<b>1 of 2</b>' });
+
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&lt;b&gt;1 of 2&lt;/b&gt;');
+    expect(html).toContain(`linear-gradient(135deg, ${DEFAULT_BRANDING.accentFrom} 0%`);
+  });
+});
@@ -0,0 +1,56 @@
+const { backoffDelay, withRetry, mapWithConcurrency } = require('../helpers/retry.js');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('backoffDelay', () => {
+  test('doubles the ceiling per attempt up to maxMs', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.999999);
+
+    expect(backoffDelay(1, { baseMs: 100, maxMs: 1000 })).toBe(99);
+    expect(backoffDelay(3, { baseMs: 100, maxMs: 1000 })).toBe(399);
+    expect(backoffDelay(10, { baseMs: 100, maxMs: 1000 })).toBe(999);
+  });
+});
+
+describe('withRetry', () => {
+  test('retries until fn succeeds', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(new Error('flaky'))
+      .mockResolvedValueOnce('ok');
+    const onRetry = jest.fn();
+
+    await expect(withRetry(fn, { attempts: 3, baseMs: 1, onRetry })).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(onRetry).toHaveBeenCalledWith(expect.any(Error), 1, expect.any(Number));
+  });
+
+  test('gives up after the last attempt or when shouldRetry says no', async () => {
+    const failing = jest.fn().mockRejectedValue(new Error('down'));
+    await expect(withRetry(failing, { attempts: 2, baseMs: 1 })).rejects.toThrow('down');
+    expect(failing).toHaveBeenCalledTimes(2);
+
+    const fatal = jest.fn().mockRejectedValue(new Error('invalid_grant'));
+    await expect(withRetry(fatal, { attempts: 5, shouldRetry: () => false })).rejects.toThrow('invalid_grant');
+    expect(fatal).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  test('keeps input order, caps calls in flight and returns failures as { error }', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 0], 2, async (ms, index) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      inFlight--;
+      if (index === 2) throw new Error('third failed');
+      return ms * 2;
+    });
+
+    expect(peak).toBe(2);
+    expect(results).toEqual([{ value: 60 }, { value: 20 }, { error: new Error('third failed') }, { value: 0 }]);
+  });
+});
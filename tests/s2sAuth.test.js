@@ -0,0 +1,86 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { verifyS2SToken, createS2SAuthenticator } = require('../helpers/s2sAuth.js');
+
+const SECRET = 's2s-secret';
+const sign = (claims, secret = SECRET) => jwt.sign({ iss: 'api-server', exp: Math.floor(Date.now() / 1000) + 300, ...claims }, secret, { algorithm: 'HS256' });
+
+describe('verifyS2SToken', () => {
+  test('accepts tokens addressed to the OAuth server', () => {
+    expect(verifyS2SToken(sign({ aud: 'oauth-server', location_id: 'loc-1' }), { secret: SECRET })).toMatchObject({ location_id: 'loc-1' });
+    expect(verifyS2SToken(sign({ aud: ['other', 'oauth-server'] }), { secret: SECRET })).toMatchObject({ iss: 'api-server' });
+  });
+
+  test('accepts tokens without aud during the deprecation period, and reports them', () => {
+    const onMissingAudience = jest.fn();
+    const payload = verifyS2SToken(sign({ location_id: 'loc-1' }), { secret: SECRET, onMissingAudience });
+
+    expect(payload.location_id).toBe('loc-1');
+    expect(onMissingAudience).toHaveBeenCalledWith(payload);
+    expect(() => verifyS2SToken(sign({}), { secret: SECRET, requireAudience: true })).toThrow('Invalid or expired token');
+  });
+
+  test('rejects another audience, start contexts, a wrong secret and expired tokens', () => {
+    expect(() => verifyS2SToken(sign({ aud: 'api-server' }), { secret: SECRET })).toThrow('Invalid or expired token');
+    expect(() => verifyS2SToken(sign({ aud: 'oauth-server', purpose: 'oauth_start' }), { secret: SECRET })).toThrow('Invalid or expired token');
+    expect(() => verifyS2SToken(sign({ aud: 'oauth-server' }, 'other'), { secret: SECRET })).toThrow('Invalid or expired token');
+    expect(() => verifyS2SToken(sign({ aud: 'oauth-server', exp: Math.floor(Date.now() / 1000) - 10 }), { secret: SECRET }))
+      .toThrow('Invalid or expired token');
+  });
+});
+
+describe('createS2SAuthenticator', () => {
+  const defaultApp = { slug: 'default', status: 'active' };
+  const apps = { default: defaultApp, disabled: { slug: 'disabled', status: 'disabled' } };
+
+  function server({ requireAudience = false, logger = { warn: jest.fn() } } = {}) {
+    const authenticateS2S = createS2SAuthenticator({
+      secret: SECRET,
+      requireAudience,
+      resolveApp: async slug => apps[slug || 'default'] || null,
+      logger
+    });
+    const app = express();
+    app.get('/protected', authenticateS2S, (req, res) => res.json({ auth: req.auth, app: req.hlApp.slug }));
+    return app;
+  }
+
+  test('rejects requests without a bearer token or with a bad one', async () => {
+    const app = server();
+
+    await request(app).get('/protected').expect(401, { error: 'Missing or invalid authorization header' });
+    await request(app).get('/protected').set('Authorization', `Bearer ${sign({ aud: 'api-server' })}`).expect(401, { error: 'Invalid or expired token' });
+  });
+
+  test('sets req.auth and req.hlApp from the token and its app claim', async () => {
+    const res = await request(server())
+      .get('/protected')
+      .set('Authorization', `Bearer ${sign({ aud: 'oauth-server', location_id: 'loc-1' })}`)
+      .expect(200);
+
+    expect(res.body).toMatchObject({ auth: { location_id: 'loc-1' }, app: 'default' });
+  });
+
+  test('refuses unknown and disabled apps', async () => {
+    const app = server();
+
+    await request(app).get('/protected').set('Authorization', `Bearer ${sign({ aud: 'oauth-server', app: 'disabled' })}`)
+      .expect(403, { error: 'Unknown or disabled app', app: 'disabled' });
+    await request(app).get('/protected').set('Authorization', `Bearer ${sign({ aud: 'oauth-server', app: 'nope' })}`)
+      .expect(403);
+  });
+
+  test('warns once per issuer about tokens without aud, and rejects them once aud is required', async () => {
+    const logger = { warn: jest.fn() };
+    const app = server({ logger });
+    const token = sign({});
+
+    await request(app).get('/protected').set('Authorization', `Bearer ${token}`).expect(200);
+    await request(app).get('/protected').set('Authorization', `Bearer ${token}`).expect(200);
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+    expect(logger.warn.mock.calls[0][1]).toEqual({ iss: 'api-server' });
+
+    await request(server({ requireAudience: true })).get('/protected').set('Authorization', `Bearer ${token}`).expect(401);
+  });
+});
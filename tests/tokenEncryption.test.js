@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const { TokenEncryption, parseKeyring } = require('../helpers/tokenEncryption.js');
+
+const key = () => crypto.randomBytes(32).toString('base64');
+
+describe('TokenEncryption', () => {
+  test('round-trips a token and tags it with the primary key ID', () => {
+    const keyring = new TokenEncryption({ keys: parseKeyring(`k1:${key()}`), primaryKeyId: 'k1' });
+    const sealed = keyring.encrypt('access-token');
+
+    expect(sealed.startsWith('gcm:k1:')).toBe(true);
+    expect(keyring.decrypt(sealed)).toBe('access-token');
+  });
+
+  test('reads values written with an older key after the primary moves on', () => {
+    const k1 = key();
+    const old = new TokenEncryption({ keys: parseKeyring(`k1:${k1}`), primaryKeyId: 'k1' });
+    const sealed = old.encrypt('refresh-token');
+
+    const rotated = TokenEncryption.fromEnv({ ENCRYPTION_KEYS: `k2:${key()},k1:${k1}` });
+    expect(rotated.primaryKeyId).toBe('k2');
+    expect(rotated.decrypt(sealed)).toBe('refresh-token');
+    expect(rotated.needsReencryption(sealed)).toBe(true);
+    expect(rotated.needsReencryption(rotated.encrypt('refresh-token'))).toBe(false);
+  });
+
+  test('decrypts legacy AES-256-CBC values with ENCRYPTION_KEY', () => {
+    const legacyKey = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-cbc', legacyKey, iv);
+    const legacy = `${iv.toString('hex')}:${cipher.update('old-token', 'utf8', 'hex')}${cipher.final('hex')}`;
+
+    const keyring = TokenEncryption.fromEnv({ ENCRYPTION_KEY: legacyKey.toString('base64') });
+    expect(keyring.keyIdOf(legacy)).toBe('legacy-cbc');
+    expect(keyring.decrypt(legacy)).toBe('old-token');
+  });
+
+  test('rejects tampered ciphertext and unknown key IDs', () => {
+    const keyring = new TokenEncryption({ keys: parseKeyring(`k1:${key()}`), primaryKeyId: 'k1' });
+    const parts = keyring.encrypt('token').split(':');
+
+    parts[4] = parts[4].replace(/^./, c => (c === '0' ? '1' : '0'));
+    expect(() => keyring.decrypt(parts.join(':'))).toThrow();
+    expect(() => keyring.decrypt(['gcm', 'k9', ...parts.slice(2)].join(':'))).toThrow('Unknown encryption key ID: k9');
+  });
+
+  test('validates the keyring definition', () => {
+    expect(() => parseKeyring('nokey')).toThrow('<keyId>:<base64 key>');
+    expect(() => parseKeyring(`k1:${key()},k1:${key()}`)).toThrow('Duplicate encryption key ID: k1');
+    expect(() => parseKeyring(`k1:${Buffer.alloc(16).toString('base64')}`)).toThrow('at least 32 bytes');
+    expect(() => TokenEncryption.fromEnv({})).toThrow('ENCRYPTION_KEYS or ENCRYPTION_KEY must be set');
+  });
+});
@@ -0,0 +1,89 @@
+const { isInvalidTokenResponse, callWithTokenRecovery } = require('../helpers/tokenRecovery.js');
+
+const installation = { id: 'inst-1', access_token: 'old-token' };
+const refreshedInstallation = { ...installation, access_token: 'new-token', refreshed: true };
+
+const ok = { status: 200, data: { contacts: [] } };
+const invalidJwt = { status: 401, data: { statusCode: 401, message: 'Invalid JWT' } };
+const missingScope = { status: 401, data: { message: 'The token is not authorized for this scope.' } };
+
+describe('isInvalidTokenResponse', () => {
+  test('recognises invalid, expired and revoked token 401s', () => {
+    expect(isInvalidTokenResponse(invalidJwt)).toBe(true);
+    expect(isInvalidTokenResponse({ status: 401, data: { error: 'invalid_token' } })).toBe(true);
+    expect(isInvalidTokenResponse({ status: 401, data: { msg: 'Token has expired' } })).toBe(true);
+    expect(isInvalidTokenResponse({ status: 401, data: { message: ['jwt malformed'] } })).toBe(true);
+    expect(isInvalidTokenResponse({ status: 401, headers: { 'www-authenticate': 'Bearer error="invalid_token"' }, data: '' })).toBe(true);
+  });
+
+  test('ignores scope and permission 401s and anything that is not a 401', () => {
+    expect(isInvalidTokenResponse(missingScope)).toBe(false);
+    expect(isInvalidTokenResponse({ status: 401, data: null })).toBe(false);
+    expect(isInvalidTokenResponse({ status: 403, data: { message: 'Invalid JWT' } })).toBe(false);
+    expect(isInvalidTokenResponse(ok)).toBe(false);
+    expect(isInvalidTokenResponse(undefined)).toBe(false);
+  });
+});
+
+describe('callWithTokenRecovery', () => {
+  test('an accepted call is returned as is, without refreshing', async () => {
+    const call = jest.fn().mockResolvedValueOnce(ok);
+    const refresh = jest.fn();
+
+    await expect(callWithTokenRecovery(installation, call, refresh)).resolves.toEqual({ installation, response: ok, recovery: null });
+    expect(refresh).not.toHaveBeenCalled();
+  });
+
+  test('a rejected token forces one refresh and the call is replayed with the new token', async () => {
+    const call = jest.fn().mockResolvedValueOnce(invalidJwt).mockResolvedValueOnce(ok);
+    const refresh = jest.fn().mockResolvedValueOnce(refreshedInstallation);
+
+    await expect(callWithTokenRecovery(installation, call, refresh)).resolves.toEqual({
+      installation: refreshedInstallation,
+      response: ok,
+      recovery: { upstreamError: 'Invalid JWT', outcome: 'replayed' }
+    });
+    expect(refresh).toHaveBeenCalledWith(installation, 'Invalid JWT');
+    expect(call.mock.calls.map(([used]) => used.access_token)).toEqual(['old-token', 'new-token']);
+  });
+
+  test('a replay that is rejected again is reported, never replayed a second time', async () => {
+    const call = jest.fn().mockResolvedValue({ status: 401, data: { error: 'invalid_token' } });
+    const refresh = jest.fn().mockResolvedValueOnce(refreshedInstallation);
+
+    const { response, recovery } = await callWithTokenRecovery(installation, call, refresh);
+    expect(response.status).toBe(401);
+    expect(recovery).toEqual({ upstreamError: 'invalid_token', outcome: 'replay_rejected' });
+    expect(call).toHaveBeenCalledTimes(2);
+    expect(refresh).toHaveBeenCalledTimes(1);
+  });
+
+  test('a failed refresh is reported with its error and nothing is replayed', async () => {
+    const call = jest.fn().mockResolvedValueOnce({ status: 401, headers: { 'www-authenticate': 'Bearer error="invalid_token"' }, data: {} });
+    const error = new Error('invalid_grant');
+    const refresh = jest.fn().mockRejectedValueOnce(error);
+
+    await expect(callWithTokenRecovery(installation, call, refresh)).resolves.toEqual({
+      installation,
+      response: null,
+      recovery: { upstreamError: 'invalid token', outcome: 'refresh_failed', error }
+    });
+    expect(call).toHaveBeenCalledTimes(1);
+  });
+
+  test('a 401 for a missing scope is passed through', async () => {
+    const call = jest.fn().mockResolvedValueOnce(missingScope);
+    const refresh = jest.fn();
+
+    await expect(callWithTokenRecovery(installation, call, refresh)).resolves.toMatchObject({ response: missingScope, recovery: null });
+    expect(refresh).not.toHaveBeenCalled();
+  });
+
+  test('a call that throws (e.g. an open circuit) is not recovered', async () => {
+    const call = jest.fn().mockRejectedValueOnce(new Error('circuit open'));
+    const refresh = jest.fn();
+
+    await expect(callWithTokenRecovery(installation, call, refresh)).rejects.toThrow('circuit open');
+    expect(refresh).not.toHaveBeenCalled();
+  });
+});
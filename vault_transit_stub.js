@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * ============================================================
+ * HighLevel OAuth Integration - Vault Transit Stub
+ * ============================================================
+ *
+ * Minimal in-memory stand-in for the HashiCorp Vault Transit API so the
+ * oauth-server "vault" encryption provider can be exercised locally.
+ * Keys live in memory only - never use this outside development.
+ *
+ * Usage:
+ *   node vault_transit_stub.js --port=8200
+ *   ENCRYPTION_PROVIDER=vault VAULT_ADDR=http://localhost:8200 \
+ *   VAULT_TOKEN=dev-token VAULT_TRANSIT_KEY=hl-tokens node oauth_server.js
+ *
+ * Supported endpoints (mount: transit):
+ *   POST /v1/transit/datakey/plaintext/:key
+ *   POST /v1/transit/decrypt/:key
+ *   POST /v1/transit/rewrap/:key
+ *   GET  /v1/transit/keys/:key
+ *   POST /v1/transit/keys/:key/rotate
+ *
+ * Tests start it in-process with createVaultTransitStub().
+ * ============================================================
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+
+/**
+ * Express app serving the transit endpoints, with its own in-memory keys
+ * @param {Object} [options]
+ * @param {string} [options.token] - Accepted X-Vault-Token
+ * @returns {import('express').Express}
+ */
+function createVaultTransitStub({ token = process.env.VAULT_TOKEN || 'dev-token' } = {}) {
+  const keys = new Map(); // name -> [versionKey(Buffer), ...] (index 0 = v1)
+
+  function getKey(name) {
+    if (!keys.has(name)) keys.set(name, [crypto.randomBytes(32)]);
+    return keys.get(name);
+  }
+
+  function wrap(name, plaintext) {
+    const versions = getKey(name);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', versions[versions.length - 1], iv);
+    const body = Buffer.concat([iv, cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+    return `vault:v${versions.length}:${body.toString('base64')}`;
+  }
+
+  function unwrap(name, ciphertext) {
+    const match = /^vault:v(\d+):(.+)$/.exec(ciphertext || '');
+    const key = match && getKey(name)[Number(match[1]) - 1];
+    if (!key) throw new Error('invalid ciphertext or key version');
+
+    const body = Buffer.from(match[2], 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, body.subarray(0, 12));
+    decipher.setAuthTag(body.subarray(body.length - 16));
+    return Buffer.concat([decipher.update(body.subarray(12, body.length - 16)), decipher.final()]);
+  }
+
+  const app = express();
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    if (req.get('X-Vault-Token') !== token) {
+      return res.status(403).json({ errors: ['permission denied'] });
+    }
+    next();
+  });
+
+  app.post('/v1/transit/datakey/plaintext/:key', (req, res) => {
+    const plaintext = crypto.randomBytes((req.body.bits || 256) / 8);
+    res.json({ data: { plaintext: plaintext.toString('base64'), ciphertext: wrap(req.params.key, plaintext) } });
+  });
+
+  app.post('/v1/transit/decrypt/:key', (req, res) => {
+    try {
+      res.json({ data: { plaintext: unwrap(req.params.key, req.body.ciphertext).toString('base64') } });
+    } catch (error) {
+      res.status(400).json({ errors: [error.message] });
+    }
+  });
+
+  app.post('/v1/transit/rewrap/:key', (req, res) => {
+    try {
+      res.json({ data: { ciphertext: wrap(req.params.key, unwrap(req.params.key, req.body.ciphertext)) } });
+    } catch (error) {
+      res.status(400).json({ errors: [error.message] });
+    }
+  });
+
+  app.get('/v1/transit/keys/:key', (req, res) => {
+    res.json({ data: { name: req.params.key, latest_version: getKey(req.params.key).length } });
+  });
+
+  app.post('/v1/transit/keys/:key/rotate', (req, res) => {
+    getKey(req.params.key).push(crypto.randomBytes(32));
+    res.status(204).end();
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = process.argv.find(arg => arg.startsWith('--port='))?.split('=')[1] || 8200;
+  const devToken = process.env.VAULT_TOKEN || 'dev-token';
+  createVaultTransitStub({ token: devToken }).listen(port, () => {
+    console.log(`Vault transit stub listening on http://localhost:${port} (token: ${devToken})`);
+  });
+}
+
+module.exports = {
+  createVaultTransitStub
+};